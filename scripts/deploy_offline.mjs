@@ -0,0 +1,326 @@
+// Runs Workers for Platforms deploys end-to-end, offline: the worker inside local
+// workerd (Miniflare: D1, KV, R2) against scripts/fake_cloudflare.mjs. Builds an
+// app and publishes it, then checks what reached the API: the assets upload session
+// and its manifest, every bucket uploaded with the session JWT, the completion JWT
+// and bindings in the script's multipart metadata (a preview gets only its own
+// secrets, staging the agent-wide ones), a promote that uploads nothing
+// again, two deploys at once (one is refused). Then a Worker template: its KV namespace provisioned once and reused on
+// redeploy, the wrangler.toml rewritten with the real id, the agent_resources rows;
+// and provisioning KV, D1 and R2 directly, finding resources left by an earlier
+// run. Teardown must delete the scripts and every provisioned resource.
+//
+//   node scripts/deploy_offline.mjs
+//
+// Exits non-zero unless every check passes.
+
+import { mkdirSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from "node:fs";
+import { randomBytes } from "node:crypto";
+import { createRequire } from "node:module";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import * as esbuild from "esbuild";
+import { Miniflare } from "miniflare";
+import { startFakeCloudflare } from "./fake_cloudflare.mjs";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const AGENT = "deployagent1";
+const PROVISIONED = "provisionagt";
+const NAMESPACE = "codr-apps";
+
+// A small app: an entry, a module it imports and a stylesheet
+const APP_FILES = [
+  { path: "index.html", content: `<!doctype html><html><head><title>Deploy check</title></head><body><div id="app"></div><script type="module" src="/src/main.ts"></script></body></html>` },
+  { path: "src/main.ts", content: `import "./style.css";\nimport { greet } from "./greet";\ndocument.getElementById("app")!.textContent = greet("offline");\n` },
+  { path: "src/greet.ts", content: `export const greet = (name: string) => \`Hello, \${name}\`;\n` },
+  { path: "src/style.css", content: `body { font-family: system-ui; }\n` }
+];
+
+// Storage of every kind, with the placeholder ids templates ship
+const STORAGE_TOML = `name = "provision-check"
+main = "src/index.js"
+
+[[kv_namespaces]]
+binding = "CACHE"
+id = "your-kv-namespace-id"
+
+[[d1_databases]]
+binding = "DB"
+database_name = "notes"
+database_id = "your-database-id"
+
+[[r2_buckets]]
+binding = "FILES"
+bucket_name = "uploads"
+`;
+
+// --------------------- Worker bundle ---------------------
+const work = mkdtempSync(join(tmpdir(), "codr-deploy-"));
+const require = createRequire(import.meta.url);
+await esbuild.build({
+  entryPoints: [join(ROOT, "src/worker.ts")],
+  bundle: true,
+  format: "esm",
+  platform: "neutral",
+  mainFields: ["module", "main"],
+  conditions: ["workerd", "worker", "browser"],
+  external: ["esbuild-wasm/esbuild.wasm", "node:*"],
+  outfile: join(work, "worker.mjs"),
+  logLevel: "warning"
+});
+// The provisioning service itself, for driving it without a template that declares D1 and R2
+await esbuild.build({
+  stdin: {
+    contents: `export { createProvisioningService } from "./src/services/provisioning";\nexport { createCloudflareAPI } from "./src/services/cloudflare-api";\n`,
+    resolveDir: ROOT,
+    loader: "ts"
+  },
+  bundle: true,
+  format: "esm",
+  platform: "node",
+  outfile: join(work, "provisioning.mjs"),
+  logLevel: "warning"
+});
+mkdirSync(join(work, "esbuild-wasm"));
+writeFileSync(join(work, "esbuild-wasm/esbuild.wasm"), readFileSync(require.resolve("esbuild-wasm/esbuild.wasm")));
+
+const TOKEN = "cf-offline-token";
+const fake = await startFakeCloudflare({ apiToken: TOKEN, bucketSize: 2 });
+
+const mf = new Miniflare({
+  modulesRoot: work,
+  modules: [
+    { type: "ESModule", path: join(work, "worker.mjs") },
+    { type: "CompiledWasm", path: join(work, "esbuild-wasm/esbuild.wasm") }
+  ],
+  compatibilityDate: "2025-07-01", // newest the bundled workerd accepts
+  compatibilityFlags: ["nodejs_compat"],
+  d1Databases: ["AGENT_REGISTRY_DB"],
+  kvNamespaces: ["AGENT_CACHE"],
+  r2Buckets: ["AGENT_ASSETS"],
+  durableObjects: { AGENT_STATE: "AgentStateDO" },
+  bindings: {
+    APP_URL: "http://codr.test",
+    CUSTOM_DOMAIN: "codr.test",
+    CLOUDFLARE_AI_GATEWAY: "https://gateway.invalid/deploy",
+    CLOUDFLARE_ACCOUNT_ID: fake.accountId,
+    CLOUDFLARE_API_TOKEN: fake.apiToken,
+    CLOUDFLARE_API_BASE_URL: fake.apiBaseUrl,
+    DISPATCH_NAMESPACE: NAMESPACE,
+    SECRETS_ENCRYPTION_KEY: randomBytes(32).toString("base64")
+  }
+});
+
+let failed = false;
+const check = (ok, label) => {
+  console.log(`${ok ? "✓" : "✗"} ${label}`);
+  if (!ok) failed = true;
+};
+const api = async (method, path, body) => {
+  const res = await mf.dispatchFetch(`http://codr.test${path}`, {
+    method,
+    headers: body ? { "content-type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json() };
+};
+const uploadsSince = from => fake.requests.slice(from).filter(r => r.path.endsWith("/workers/assets/upload"));
+
+try {
+  const db = await mf.getD1Database("AGENT_REGISTRY_DB");
+  const kv = await mf.getKVNamespace("AGENT_CACHE");
+  const r2 = await mf.getR2Bucket("AGENT_ASSETS");
+  for (const file of readdirSync(join(ROOT, "src/migrations")).filter(f => f.endsWith(".sql")).sort()) {
+    for (const statement of sqlStatements(readFileSync(join(ROOT, "src/migrations", file), "utf8"))) {
+      await db.prepare(statement).run();
+    }
+  }
+  await db.prepare(`INSERT INTO agents (id, name) VALUES (?, ?)`).bind(AGENT, "Deploy Agent").run();
+
+  // --------------------- Build and publish ---------------------
+  const build = await api("POST", "/api/build", { appId: AGENT, framework: "vite", files: APP_FILES });
+  check(build.body.success && build.body.assets?.length >= 3, `built ${build.body.assets?.length ?? 0} assets${build.body.errors ? `: ${build.body.errors.join("; ")}` : ""}`);
+  await api("PUT", `/api/agents/${AGENT}/environments/preview/vars`, { vars: { GREETING: "hello" } });
+  // Agent-wide keys are for staging and production; a preview only gets its own
+  await api("PUT", `/api/agents/${AGENT}/secrets`, { secrets: { PAYMENTS_KEY: "sk_live_123", MAIL_KEY: "mail_live" } });
+  await api("PUT", `/api/agents/${AGENT}/secrets`, { environment: "preview", secrets: { PAYMENTS_KEY: "sk_test_123" } });
+
+  const deploy = await api("POST", `/api/agents/${AGENT}/deploy`, { deployedBy: "offline" });
+  const version = deploy.body.version;
+  check(deploy.status === 200 && version?.status === "deployed", `version ${version?.id ?? "(none)"} ${version?.status ?? deploy.body.error}`);
+  const preview = await db.prepare(`SELECT script_name FROM agent_environments WHERE agent_id = ? AND name = 'preview'`).bind(AGENT).first();
+  const uploaded = fake.scripts.get(`${NAMESPACE}/${preview?.script_name}`);
+  check(!!uploaded, `script ${preview?.script_name} uploaded to namespace ${NAMESPACE}`);
+
+  // The upload session was given every built file, hashed and sized
+  const [session] = fake.sessions.values();
+  const built = build.body.assets || [];
+  const manifestPaths = session ? [...session.manifest.values()].sort() : [];
+  check(
+    manifestPaths.join(",") === built.map(a => `/${a.path}`).sort().join(","),
+    `upload session manifest: ${manifestPaths.join(", ")}`
+  );
+
+  // Each bucket went up with the session JWT, and the stored bytes are the published files
+  const uploads = uploadsSince(0);
+  const expectedBuckets = Math.ceil(built.length / 2);
+  check(
+    uploads.length === expectedBuckets && uploads.every(u => u.token?.startsWith("upload-") && /^multipart\/form-data/.test(u.contentType) && u.search === "?base64=true"),
+    `${uploads.length} bucket uploads (of ${expectedBuckets}) authenticated with the session JWT`
+  );
+  let sameBytes = built.length > 0;
+  for (const asset of built) {
+    const stored = [...fake.assets.values()].find(a => a.path === `/${asset.path}`);
+    const published = await (await r2.get(`${version?.assetsPrefix}${asset.path}`))?.text();
+    if (!stored || stored.bytes.toString() !== asset.content || published !== asset.content) sameBytes = false;
+  }
+  check(sameBytes, "uploaded assets match the published files");
+
+  // The script's multipart metadata: module, completion JWT, asset config, vars and secrets
+  const metadata = uploaded?.metadata;
+  const binding = name => metadata?.bindings.find(b => b.name === name);
+  check(
+    metadata?.main_module === "worker.js" && uploaded.modules["worker.js"]?.type === "application/javascript+module",
+    `main module ${metadata?.main_module} (${uploaded?.modules["worker.js"]?.type})`
+  );
+  check(
+    metadata?.assets?.jwt?.startsWith("completion-") && metadata.assets.config?.not_found_handling === "single-page-application",
+    `assets attached with the completion JWT (${metadata?.assets?.config?.not_found_handling})`
+  );
+  check(
+    binding("ASSETS")?.type === "assets" && binding("GREETING")?.text === "hello" &&
+      binding("PAYMENTS_KEY")?.type === "secret_text" && binding("PAYMENTS_KEY")?.text === "sk_test_123" && !binding("MAIL_KEY"),
+    `bindings: ${metadata?.bindings.map(b => `${b.name} (${b.type})`).join(", ")}; only preview secrets`
+  );
+  const route = await kv.get(`agent:${preview?.script_name}`, "json");
+  check(route?.dispatchScript === preview?.script_name, `KV route dispatches to ${route?.dispatchScript}`);
+
+  // --------------------- Promote: same files, nothing uploaded again ---------------------
+  const before = fake.requests.length;
+  const promoted = await api("POST", `/api/agents/${AGENT}/promote`, { to: "staging", versionId: version?.id });
+  const staging = await db.prepare(`SELECT script_name FROM agent_environments WHERE agent_id = ? AND name = 'staging'`).bind(AGENT).first();
+  const stagingScript = fake.scripts.get(`${NAMESPACE}/${staging?.script_name}`);
+  check(
+    promoted.body.success && uploadsSince(before).length === 0 && stagingScript?.metadata.assets?.jwt?.startsWith("completion-"),
+    `promoted to ${staging?.script_name} with no asset re-upload`
+  );
+  const stagingSecrets = (stagingScript?.metadata.bindings || []).filter(b => b.type === "secret_text");
+  check(
+    stagingSecrets.map(b => `${b.name}=${b.text}`).join(",") === "MAIL_KEY=mail_live,PAYMENTS_KEY=sk_live_123",
+    `staging secrets: ${stagingSecrets.map(b => b.name).join(", ")} (agent-wide values)`
+  );
+
+  // --------------------- Concurrent deploys: one holds the agent's lock ---------------------
+  const racing = await Promise.all([1, 2].map(() => api("POST", `/api/agents/${AGENT}/deploy`, { deployedBy: "offline" })));
+  const raced = racing.map(r => r.status).sort().join("/");
+  const pending = await db.prepare(`SELECT COUNT(*) AS n FROM agent_versions WHERE agent_id = ? AND status = 'pending'`).bind(AGENT).first();
+  check(raced === "200/409" && racing.some(r => r.body.version?.id === `${AGENT}-v2`) && pending?.n === 0, `concurrent deploys: ${raced}, no pending version left`);
+
+  // --------------------- Failures surface ---------------------
+  const rejected = await api("POST", `/api/build`, { appId: `${AGENT}-x`, framework: "vite", files: APP_FILES });
+  fake.apiToken = "rotated"; // the worker's token no longer matches
+  await db.prepare(`INSERT INTO agents (id, name) VALUES (?, ?)`).bind(`${AGENT}-x`, "Rejected").run();
+  const refused = await api("POST", `/api/agents/${AGENT}-x/deploy`, {});
+  fake.apiToken = TOKEN;
+  check(rejected.body.success && refused.body.version?.status === "failed", `bad API token: version ${refused.body.version?.status ?? refused.body.error}`);
+
+  // --------------------- Worker template: provision, then reuse ---------------------
+  const kvCreates = () => fake.requests.filter(r => r.method === "POST" && r.path.endsWith("/storage/kv/namespaces")).length;
+  const template = await api("POST", `/api/agents/${AGENT}/deploy-template`, { templateId: "webhook-receiver" });
+  const [kvRow] = (await db.prepare(`SELECT * FROM agent_resources WHERE agent_id = ?`).bind(AGENT).all()).results;
+  check(
+    template.status === 200 && kvRow?.type === "kv_namespace" && kvRow.binding === "WEBHOOK_DATA" && fake.kv.get(kvRow.resource_id)?.title === kvRow.name,
+    `template provisioned ${kvRow?.name ?? template.body.error} as KV ${kvRow?.resource_id}`
+  );
+  const storedToml = await (await r2.get(`apps/${AGENT}/source/wrangler.toml`))?.text();
+  check(
+    !!storedToml?.includes(`id = "${kvRow?.resource_id}"`) && !storedToml.includes("your-kv-namespace-id"),
+    "wrangler.toml stored with the namespace id in place of the placeholder"
+  );
+  const templateScript = fake.scripts.get(`${NAMESPACE}/${template.body.scriptName}`);
+  const kvBinding = templateScript?.metadata.bindings.find(b => b.name === "WEBHOOK_DATA");
+  check(
+    templateScript?.metadata.main_module === "src/index.js" && kvBinding?.type === "kv_namespace" && kvBinding.namespace_id === kvRow?.resource_id,
+    `template script ${template.body.scriptName} bound to its namespace`
+  );
+  const createdBefore = kvCreates();
+  const redeployed = await api("POST", `/api/agents/${AGENT}/deploy-template`, { templateId: "webhook-receiver" });
+  const rows = (await db.prepare(`SELECT COUNT(*) AS n FROM agent_resources WHERE agent_id = ?`).bind(AGENT).first()).n;
+  check(redeployed.status === 200 && kvCreates() === createdBefore && rows === 1, `redeploy reused the namespace (${rows} resource row)`);
+
+  // --------------------- KV, D1 and R2, some left by an earlier run ---------------------
+  // 120 other namespaces put this agent's on the second page; its bucket exists but was never recorded
+  for (let i = 0; i < 120; i++) fake.kv.set(`other${i}`, { id: `other${i}`, title: `someone-else-${i}` });
+  fake.kv.set("earlierkvid", { id: "earlierkvid", title: `codr-${PROVISIONED}-cache` });
+  fake.r2.set(`codr-${PROVISIONED}-uploads`, { name: `codr-${PROVISIONED}-uploads`, creation_date: new Date().toISOString() });
+  await db.prepare(`INSERT INTO agents (id, name) VALUES (?, ?)`).bind(PROVISIONED, "Provisioned").run();
+
+  const { createProvisioningService, createCloudflareAPI } = await import(pathToFileURL(join(work, "provisioning.mjs")).href);
+  const cloudflare = createCloudflareAPI({ accountId: fake.accountId, apiToken: TOKEN, apiBaseUrl: fake.apiBaseUrl });
+  const provisioning = createProvisioningService(db, cloudflare);
+  const creates = () => fake.requests.filter(r => r.method === "POST" && /\/(storage\/kv\/namespaces|d1\/database|r2\/buckets)$/.test(r.path)).map(r => r.path.split("/").slice(-2).join("/"));
+  const createdEarlier = creates().length;
+  const first = await provisioning.provision(PROVISIONED, STORAGE_TOML);
+  const database = [...fake.d1.values()].find(db => db.name === `codr-${PROVISIONED}-notes`);
+  check(
+    first.success && creates().slice(createdEarlier).join(",") === "d1/database" && !!database,
+    `provisioned: KV and R2 found and reused, D1 created (${creates().slice(createdEarlier).join(", ") || "nothing created"})`
+  );
+  check(
+    !!first.config?.includes(`id = "earlierkvid"`) &&
+      first.config.includes(`database_id = "${database?.uuid}"`) &&
+      first.config.includes(`database_name = "codr-${PROVISIONED}-notes"`) &&
+      first.config.includes(`bucket_name = "codr-${PROVISIONED}-uploads"`),
+    "wrangler.toml rewritten with the KV, D1 and R2 ids"
+  );
+  const recorded = (await db.prepare(`SELECT type, binding, name, resource_id FROM agent_resources WHERE agent_id = ? ORDER BY type`).bind(PROVISIONED).all()).results;
+  check(
+    recorded.map(r => `${r.type}:${r.binding}=${r.resource_id}`).join(",") ===
+      `d1:DB=${database?.uuid},kv_namespace:CACHE=earlierkvid,r2_bucket:FILES=codr-${PROVISIONED}-uploads`,
+    `agent_resources: ${recorded.map(r => `${r.type} ${r.name}`).join(", ")}`
+  );
+  const createdAfterFirst = creates().length;
+  const second = await provisioning.provision(PROVISIONED, STORAGE_TOML);
+  check(second.success && creates().length === createdAfterFirst && second.config === first.config, "provisioning again creates nothing and gives the same config");
+
+  // --------------------- Teardown ---------------------
+  const teardown = await api("DELETE", `/api/agents/${AGENT}`);
+  const left = [...fake.scripts.keys()].filter(key => key.includes(AGENT) && !key.includes(`${AGENT}-x`));
+  check(teardown.status === 200 && !left.length, `teardown deleted ${teardown.body.removed?.scripts?.length ?? 0} scripts${left.length ? `; left ${left.join(", ")}` : ""}`);
+  check(!fake.kv.has(kvRow?.resource_id), `teardown deleted the template's namespace ${kvRow?.name}`);
+  const provisionedTeardown = await api("DELETE", `/api/agents/${PROVISIONED}`);
+  const remaining = (await db.prepare(`SELECT COUNT(*) AS n FROM agent_resources WHERE agent_id IN (?, ?)`).bind(AGENT, PROVISIONED).first()).n;
+  check(
+    provisionedTeardown.status === 200 && remaining === 0 &&
+      !fake.kv.has("earlierkvid") && !fake.d1.has(database?.uuid) && !fake.r2.has(`codr-${PROVISIONED}-uploads`),
+    `teardown deprovisioned ${provisionedTeardown.body.removed?.resources?.length ?? 0} resources (${remaining} rows left)`
+  );
+} catch (error) {
+  check(false, error instanceof Error ? error.message : String(error));
+} finally {
+  await mf.dispose();
+  await fake.close();
+  rmSync(work, { recursive: true, force: true });
+}
+
+process.exit(failed ? 1 : 0);
+
+// Migration files → single statements (trigger bodies kept whole), comments dropped
+function sqlStatements(sql) {
+  const statements = [];
+  let current = "";
+  let inBlock = false;
+  for (const line of sql.split("\n")) {
+    const text = line.replace(/--.*$/, "").trimEnd();
+    if (!text.trim()) continue;
+    current += `${text}\n`;
+    if (/\bBEGIN\s*$/i.test(text)) inBlock = true;
+    if (inBlock ? /^\s*END;?$/i.test(text) : text.endsWith(";")) {
+      statements.push(current.trim());
+      current = "";
+      inBlock = false;
+    }
+  }
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
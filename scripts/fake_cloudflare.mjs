@@ -0,0 +1,219 @@
+// Local stand-in for the parts of the Cloudflare API that Workers for Platforms
+// deploys and template provisioning use, for deploying without an account or
+// network. Point the worker at it with CLOUDFLARE_API_BASE_URL:
+//
+//   node scripts/fake_cloudflare.mjs --port 8791   # → CLOUDFLARE_API_BASE_URL=http://127.0.0.1:8791/client/v4
+//
+// Dispatch-namespace scripts take the multipart upload (metadata + modules).
+// Static assets go through an upload session: the manifest's new hashes come back
+// in buckets of --bucket-size, each bucket is uploaded (base64) with the session
+// JWT, and the last upload answers with the completion JWT the script's metadata
+// must carry. Hashes already uploaded aren't asked for again. KV namespaces (listed
+// in pages), D1 databases and R2 buckets can be listed or looked up, created once
+// per name, and deleted. Every call needs the API token as a bearer token, except
+// asset uploads, which take the session JWT.
+// scripts/deploy_offline.mjs imports startFakeCloudflare to drive it from a check.
+
+import { createHash, randomUUID } from "node:crypto";
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+
+export async function startFakeCloudflare({ port = 0, accountId = "fake-account", apiToken = "fake-token", bucketSize = 2 } = {}) {
+  let token = apiToken;        // settable, so a check can revoke it mid-run
+  const requests = [];
+  const scripts = new Map();   // "<namespace>/<script>" → { metadata, modules, etag }
+  const assets = new Map();    // hash → { path, bytes }
+  const sessions = new Map();  // upload JWT → { manifest, pending, completion }
+  const completions = new Set();
+  const kv = new Map();        // namespace id → { id, title }
+  const d1 = new Map();        // uuid → { uuid, name, created_at }
+  const r2 = new Map();        // bucket name → { name, creation_date }
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const path = url.pathname.replace(/^\/client\/v4/, "");
+    const bearer = (req.headers.authorization || "").match(/^Bearer (\S+)$/)?.[1];
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const raw = Buffer.concat(chunks);
+    requests.push({ method: req.method, path, search: url.search, token: bearer, contentType: req.headers["content-type"] });
+
+    const send = (status, result, errors = []) => {
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify({ success: status < 400, errors, messages: [], result: status < 400 ? result : null }));
+    };
+    const fail = (status, code, message) => send(status, null, [{ code, message }]);
+    const json = () => (raw.length ? JSON.parse(raw.toString()) : {});
+    const form = () => new Request("http://fake/", { method: "POST", headers: { "content-type": req.headers["content-type"] }, body: raw }).formData();
+
+    const account = path.match(/^\/accounts\/([^/]+)\/(.+)$/);
+    if (!account) return fail(404, 7000, "No route for that URI");
+    if (account[1] !== accountId) return fail(403, 9109, "Unauthorized to access requested resource");
+    const route = account[2];
+
+    // Asset uploads authenticate with the upload session's JWT, not the API token
+    if (req.method === "POST" && route === "workers/assets/upload") {
+      const session = sessions.get(bearer);
+      if (!session) return fail(401, 10000, "Authentication error: invalid upload JWT");
+      if (url.searchParams.get("base64") !== "true") return fail(400, 10000, "Asset uploads must be base64");
+      for (const [hash, file] of (await form()).entries()) {
+        const path = session.manifest.get(hash);
+        if (!session.pending.has(hash) || !path) return fail(400, 10000, `Hash ${hash} was not requested by this upload session`);
+        const base64 = await file.text();
+        if (assetHash(base64, path) !== hash) return fail(400, 10000, `Content of ${path} doesn't match hash ${hash}`);
+        assets.set(hash, { path, type: file.type, bytes: Buffer.from(base64, "base64") });
+        session.pending.delete(hash);
+      }
+      if (session.pending.size) return send(202, {});
+      session.completion ??= issueCompletion();
+      return send(201, { jwt: session.completion });
+    }
+
+    if (bearer !== token) return fail(401, 10000, "Authentication error");
+
+    const script = route.match(/^workers\/dispatch\/namespaces\/([^/]+)\/scripts\/([^/]+)(\/assets-upload-session)?$/);
+    if (script) {
+      const key = `${decodeURIComponent(script[1])}/${decodeURIComponent(script[2])}`;
+
+      if (req.method === "POST" && script[3]) {
+        const manifest = new Map();
+        const pending = new Set();
+        for (const [path, entry] of Object.entries(json().manifest || {})) {
+          manifest.set(entry.hash, path);
+          if (!assets.has(entry.hash)) pending.add(entry.hash);
+        }
+        const jwt = `upload-${randomUUID()}`;
+        const session = { script: key, manifest, pending, completion: pending.size ? undefined : issueCompletion() };
+        sessions.set(jwt, session);
+        const buckets = [];
+        for (let i = 0; i < pending.size; i += bucketSize) buckets.push([...pending].slice(i, i + bucketSize));
+        return send(200, { jwt: session.completion || jwt, buckets });
+      }
+
+      if (req.method === "PUT" && !script[3]) {
+        const parts = await form();
+        const metadataPart = parts.get("metadata");
+        if (!metadataPart) return fail(400, 10021, "Missing metadata part");
+        const metadata = JSON.parse(await metadataPart.text());
+        if (metadata.assets && !completions.has(metadata.assets.jwt)) return fail(400, 10021, "Invalid assets completion JWT");
+        const modules = {};
+        for (const [name, part] of parts.entries()) {
+          if (name !== "metadata") modules[name] = { type: part.type, content: await part.text() };
+        }
+        if (!modules[metadata.main_module]) return fail(400, 10021, `No such module ${metadata.main_module}`);
+        const etag = createHash("sha256").update(raw).digest("hex");
+        scripts.set(key, { metadata, modules, etag });
+        return send(200, { id: decodeURIComponent(script[2]), etag, modified_on: new Date().toISOString() });
+      }
+
+      if (req.method === "DELETE" && !script[3]) {
+        if (!scripts.delete(key)) return fail(404, 10007, "workers.api.error.script_not_found");
+        return send(200, null);
+      }
+    }
+
+    // KV namespaces: paged listing; titles are unique per account
+    if (route === "storage/kv/namespaces") {
+      if (req.method === "GET") {
+        const perPage = Number(url.searchParams.get("per_page") || 20);
+        const page = Number(url.searchParams.get("page") || 1);
+        return send(200, [...kv.values()].slice((page - 1) * perPage, page * perPage));
+      }
+      if (req.method === "POST") {
+        const { title } = json();
+        if (!title) return fail(400, 10019, "title is required");
+        if ([...kv.values()].some(ns => ns.title === title)) return fail(400, 10014, "A namespace with this account ID and title already exists");
+        const namespace = { id: randomUUID().replaceAll("-", ""), title };
+        kv.set(namespace.id, namespace);
+        return send(200, namespace);
+      }
+    }
+    const namespace = route.match(/^storage\/kv\/namespaces\/([^/]+)$/);
+    if (namespace && req.method === "DELETE") {
+      return kv.delete(namespace[1]) ? send(200, null) : fail(404, 10013, "namespace not found");
+    }
+
+    // D1 databases: listing filters by name
+    if (route === "d1/database") {
+      if (req.method === "GET") {
+        const name = url.searchParams.get("name");
+        return send(200, [...d1.values()].filter(db => !name || db.name.includes(name)));
+      }
+      if (req.method === "POST") {
+        const { name } = json();
+        if (!name) return fail(400, 7400, "name is required");
+        if ([...d1.values()].some(db => db.name === name)) return fail(400, 7502, "A database with that name already exists");
+        const database = { uuid: randomUUID(), name, created_at: new Date().toISOString() };
+        d1.set(database.uuid, database);
+        return send(200, database);
+      }
+    }
+    const database = route.match(/^d1\/database\/([^/]+)$/);
+    if (database && req.method === "DELETE") {
+      return d1.delete(database[1]) ? send(200, null) : fail(404, 7404, "Database not found");
+    }
+
+    // R2 buckets: looked up by name
+    if (route === "r2/buckets" && req.method === "POST") {
+      const { name } = json();
+      if (!name) return fail(400, 10005, "name is required");
+      if (r2.has(name)) return fail(409, 10004, "The bucket you tried to create already exists, and you own it.");
+      const bucket = { name, creation_date: new Date().toISOString() };
+      r2.set(name, bucket);
+      return send(200, bucket);
+    }
+    const bucket = route.match(/^r2\/buckets\/([^/]+)$/);
+    if (bucket && req.method === "GET") {
+      return r2.has(bucket[1]) ? send(200, r2.get(bucket[1])) : fail(404, 10006, "The specified bucket does not exist.");
+    }
+    if (bucket && req.method === "DELETE") {
+      return r2.delete(bucket[1]) ? send(200, null) : fail(404, 10006, "The specified bucket does not exist.");
+    }
+
+    fail(404, 7000, "No route for that URI");
+  });
+
+  function issueCompletion() {
+    const jwt = `completion-${randomUUID()}`;
+    completions.add(jwt);
+    return jwt;
+  }
+
+  await new Promise(resolve => server.listen(port, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url,
+    apiBaseUrl: `${url}/client/v4`,
+    accountId,
+    get apiToken() {
+      return token;
+    },
+    set apiToken(value) {
+      token = value;
+    },
+    requests,
+    scripts,
+    assets,
+    sessions,
+    kv,
+    d1,
+    r2,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// How services/deployment.ts names an asset: sha256 of its base64 plus extension, 32 hex chars
+function assetHash(base64, path) {
+  const extension = path.includes(".") ? path.slice(path.lastIndexOf(".") + 1) : "";
+  return createHash("sha256").update(base64 + extension).digest("hex").slice(0, 32);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => (args.includes(name) ? args[args.indexOf(name) + 1] : fallback);
+  const fake = await startFakeCloudflare({ port: Number(option("--port", "8791")), bucketSize: Number(option("--bucket-size", "2")) });
+  console.log(
+    `Fake Cloudflare API on ${fake.url}; set CLOUDFLARE_API_BASE_URL=${fake.apiBaseUrl}, ` +
+    `CLOUDFLARE_ACCOUNT_ID=${fake.accountId}, CLOUDFLARE_API_TOKEN=${fake.apiToken}`
+  );
+}
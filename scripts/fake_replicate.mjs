@@ -0,0 +1,154 @@
+// Local stand-in for the Replicate predictions API, for media generation without
+// an account or network. Point the worker at it with REPLICATE_API_BASE_URL:
+//
+//   node scripts/fake_replicate.mjs --port 8790   # → REPLICATE_API_BASE_URL=http://127.0.0.1:8790/v1
+//
+// Predictions go starting → processing → succeeded, one step every --step ms.
+// Outputs are tiny files served from /files/: a PNG (as a list, like image
+// models), a WAV for speech/audio/music models, an MP4 for video models. Models
+// named */fail end failed, */slow take 50 steps, owner "missing" is a 404.
+// Prefer: wait holds the create call, cancel works, and a prediction created
+// with a webhook is posted to it once it settles. scripts/media_generation.mjs
+// imports startFakeReplicate to drive it from a check.
+
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+
+// Smallest valid files of each kind
+const FILES = {
+  png: {
+    type: "image/png",
+    bytes: Buffer.from("iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=", "base64")
+  },
+  wav: {
+    type: "audio/wav",
+    bytes: Buffer.from("UklGRiQAAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQAAAAA=", "base64")
+  },
+  mp4: {
+    type: "video/mp4",
+    bytes: Buffer.from("AAAAGGZ0eXBpc29tAAACAGlzb21pc28yAAAACGZyZWU=", "base64")
+  }
+};
+
+export async function startFakeReplicate({ port = 0, stepMs = 200, deliver = defaultDeliver } = {}) {
+  const predictions = new Map();
+  const webhooks = [];
+  let next = 1;
+
+  const statusOf = p => {
+    if (p.final) return p.final;
+    const steps = Math.floor((Date.now() - p.createdAt) / stepMs);
+    if (steps < 1) return "starting";
+    if (steps < p.steps) return "processing";
+    return p.model.endsWith("/fail") ? "failed" : "succeeded";
+  };
+
+  const view = (p, base) => {
+    const status = statusOf(p);
+    const done = status === "succeeded";
+    const file = `${base}/files/${p.id}/0.${p.ext}`;
+    return {
+      id: p.id,
+      model: p.model,
+      version: p.version ?? "fake",
+      input: p.input,
+      status,
+      output: done ? (p.ext === "png" ? [file] : file) : null,
+      error: status === "failed" ? "The model failed (fake)" : null,
+      logs: "",
+      created_at: new Date(p.createdAt).toISOString(),
+      completed_at: ["succeeded", "failed", "canceled"].includes(status) ? new Date().toISOString() : null,
+      metrics: done ? { predict_time: (p.steps * stepMs) / 1000 } : {},
+      urls: { get: `${base}/v1/predictions/${p.id}`, cancel: `${base}/v1/predictions/${p.id}/cancel` }
+    };
+  };
+
+  const settled = p => ["succeeded", "failed", "canceled"].includes(statusOf(p));
+
+  const notify = (p, base) => {
+    if (!p.webhook || p.notified) return;
+    p.notified = true;
+    const payload = view(p, base);
+    webhooks.push({ url: p.webhook, payload });
+    Promise.resolve(deliver(p.webhook, payload)).catch(error => console.warn(`fake replicate: webhook failed: ${error}`));
+  };
+
+  const server = createServer(async (req, res) => {
+    const base = `http://${req.headers.host}`;
+    const send = (status, body, headers = { "content-type": "application/json" }) => {
+      res.writeHead(status, headers);
+      res.end(Buffer.isBuffer(body) ? body : JSON.stringify(body));
+    };
+    const path = new URL(req.url, base).pathname;
+
+    const file = path.match(/^\/files\/([^/]+)\/0\.(\w+)$/);
+    if (req.method === "GET" && file) {
+      const p = predictions.get(file[1]);
+      if (!p || statusOf(p) !== "succeeded") return send(404, { detail: "Not found" });
+      return send(200, FILES[file[2]].bytes, { "content-type": FILES[file[2]].type });
+    }
+
+    if (!/^Bearer \S+/.test(req.headers.authorization || "")) return send(401, { detail: "You did not pass an authentication token" });
+
+    let body = {};
+    if (req.method === "POST") {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      try {
+        body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : {};
+      } catch {
+        return send(400, { detail: "Invalid JSON" });
+      }
+    }
+
+    const create = path.match(/^\/v1\/models\/([^/]+)\/([^/]+)\/predictions$/);
+    if (req.method === "POST" && (create || path === "/v1/predictions")) {
+      const model = create ? `${create[1]}/${create[2]}` : "fake/versioned";
+      if (create?.[1] === "missing") return send(404, { title: "Not found", detail: `Model ${model} does not exist` });
+      if (!body.input || typeof body.input !== "object") return send(422, { detail: "input is required" });
+
+      const id = `fake${String(next++).padStart(6, "0")}`;
+      const ext = /video/.test(model) ? "mp4" : /speech|audio|music|voice/.test(model) ? "wav" : "png";
+      const p = { id, model, version: body.version, input: body.input, ext, webhook: body.webhook, createdAt: Date.now(), steps: model.endsWith("/slow") ? 50 : 3 };
+      predictions.set(id, p);
+      setTimeout(() => notify(p, base), p.steps * stepMs + 20).unref?.();
+
+      const wait = Number((req.headers.prefer || "").match(/wait=(\d+)/)?.[1] ?? 0);
+      const until = Date.now() + wait * 1000;
+      while (wait && !settled(p) && Date.now() < until) await new Promise(resolve => setTimeout(resolve, 25));
+      return send(201, view(p, base));
+    }
+
+    const get = path.match(/^\/v1\/predictions\/([^/]+)(\/cancel)?$/);
+    const p = get && predictions.get(get[1]);
+    if (get && !p) return send(404, { detail: "Prediction not found" });
+    if (req.method === "GET" && get && !get[2]) return send(200, view(p, base));
+    if (req.method === "POST" && get?.[2]) {
+      if (!settled(p)) p.final = "canceled";
+      notify(p, base);
+      return send(200, view(p, base));
+    }
+    send(404, { detail: "Not found" });
+  });
+
+  await new Promise(resolve => server.listen(port, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url,
+    apiBaseUrl: `${url}/v1`,
+    predictions,
+    webhooks,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function defaultDeliver(url, payload) {
+  return fetch(url, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(payload) });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => (args.includes(name) ? args[args.indexOf(name) + 1] : fallback);
+  const fake = await startFakeReplicate({ port: Number(option("--port", "8790")), stepMs: Number(option("--step", "1000")) });
+  console.log(`Fake Replicate on ${fake.url}; set REPLICATE_API_BASE_URL=${fake.apiBaseUrl}`);
+}
@@ -0,0 +1,230 @@
+// Runs media generation end-to-end, offline: the worker inside local workerd
+// (Miniflare: D1, KV, R2) against scripts/fake_replicate.mjs, through the
+// /api/agents/:id/media routes. Covers a prediction finished inside the request,
+// one finished by webhook, one by polling, cancellation, a failing model, bad
+// requests, files served from R2 and usage rows, describing an image with Workers
+// AI (a stand-in AI binding), then the same through the client generated apps get
+// (templates/media-client.js).
+//
+//   node scripts/media_generation.mjs
+//
+// Exits non-zero unless every check passes.
+
+import { mkdirSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import * as esbuild from "esbuild";
+import { Miniflare } from "miniflare";
+import { mediaClientSource } from "../templates/media-client.js";
+import { startFakeReplicate } from "./fake_replicate.mjs";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const AGENT = "mediaagent01";
+
+// --------------------- Worker bundle ---------------------
+const work = mkdtempSync(join(tmpdir(), "codr-media-"));
+const require = createRequire(import.meta.url);
+await esbuild.build({
+  entryPoints: [join(ROOT, "src/worker.ts")],
+  bundle: true,
+  format: "esm",
+  platform: "neutral",
+  mainFields: ["module", "main"],
+  conditions: ["workerd", "worker", "browser"],
+  external: ["esbuild-wasm/esbuild.wasm", "node:*"],
+  outfile: join(work, "worker.mjs"),
+  logLevel: "warning"
+});
+mkdirSync(join(work, "esbuild-wasm"));
+writeFileSync(join(work, "esbuild-wasm/esbuild.wasm"), readFileSync(require.resolve("esbuild-wasm/esbuild.wasm")));
+
+// Webhooks are handed to the worker directly: it has no port of its own here
+let mf;
+const fake = await startFakeReplicate({
+  stepMs: 150,
+  deliver: (url, payload) =>
+    mf.dispatchFetch(url, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(payload) })
+});
+
+// Workers AI stand-in: image-to-text answers with what it was sent
+const FAKE_AI = `
+export default () => ({
+  async run(model, inputs) {
+    if (!Array.isArray(inputs.image)) throw new Error("Unsupported model " + model);
+    return { description: "A " + inputs.image.length + "-byte image. Asked: " + inputs.prompt };
+  }
+});`;
+
+mf = new Miniflare({
+  workers: [
+    {
+      name: "codr",
+      modulesRoot: work,
+      modules: [
+        { type: "ESModule", path: join(work, "worker.mjs") },
+        { type: "CompiledWasm", path: join(work, "esbuild-wasm/esbuild.wasm") }
+      ],
+      compatibilityDate: "2025-07-01", // newest the bundled workerd accepts
+      compatibilityFlags: ["nodejs_compat"],
+      d1Databases: ["AGENT_REGISTRY_DB"],
+      kvNamespaces: ["AGENT_CACHE"],
+      r2Buckets: ["AGENT_ASSETS"],
+      durableObjects: { AGENT_STATE: "AgentStateDO" },
+      wrappedBindings: { AI: "fake-ai" },
+      bindings: {
+        APP_URL: "http://codr.test",
+        CUSTOM_DOMAIN: "codr.test",
+        CLOUDFLARE_AI_GATEWAY: "https://gateway.invalid/media",
+        REPLICATE_API_TOKEN: "r8_fake",
+        REPLICATE_API_BASE_URL: fake.apiBaseUrl
+      }
+    },
+    { name: "fake-ai", modules: true, script: FAKE_AI }
+  ]
+});
+
+let failed = false;
+const check = (ok, label) => {
+  console.log(`${ok ? "✓" : "✗"} ${label}`);
+  if (!ok) failed = true;
+};
+const api = async (method, path, body) => {
+  const res = await mf.dispatchFetch(`http://codr.test${path}`, {
+    method,
+    headers: body ? { "content-type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json() };
+};
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+try {
+  const db = await mf.getD1Database("AGENT_REGISTRY_DB");
+  const r2 = await mf.getR2Bucket("AGENT_ASSETS");
+  for (const file of readdirSync(join(ROOT, "src/migrations")).filter(f => f.endsWith(".sql")).sort()) {
+    for (const statement of sqlStatements(readFileSync(join(ROOT, "src/migrations", file), "utf8"))) {
+      await db.prepare(statement).run();
+    }
+  }
+  await db.prepare(`INSERT INTO agents (id, name) VALUES (?, ?)`).bind(AGENT, "Media Agent").run();
+
+  // Finished inside the request
+  const image = await api("POST", `/api/agents/${AGENT}/media`, { kind: "image", input: { prompt: "a lighthouse at dusk" }, wait: 10 });
+  const asset = image.body.assets?.[0];
+  check(image.status === 200 && image.body.status === "succeeded", `image ${image.body.predictionId}: ${image.status} ${image.body.status ?? image.body.error}`);
+  check(asset?.contentType === "image/png" && asset.name === "0.png", `image stored as ${asset?.key}`);
+  if (asset) {
+    const res = await mf.dispatchFetch(`http://codr.test${asset.url}`);
+    const bytes = new Uint8Array(await res.arrayBuffer());
+    check(res.ok && res.headers.get("content-type") === "image/png" && bytes.length === asset.size, `served ${asset.url} (${bytes.length} bytes)`);
+  }
+
+  // Finished by webhook: no one polls, yet the job and its file land in R2
+  const video = await api("POST", `/api/agents/${AGENT}/media`, { kind: "video", input: { prompt: "waves" } });
+  check(video.status === 202, `video ${video.body.predictionId} accepted while ${video.body.status}`);
+  let stored;
+  for (let i = 0; i < 40 && stored?.status !== "succeeded"; i++) {
+    await sleep(100);
+    stored = await (await r2.get(`media/${AGENT}/${video.body.predictionId}/job.json`))?.json();
+  }
+  check(stored?.status === "succeeded" && stored.assets[0]?.contentType === "video/mp4", `video completed by webhook (${stored?.assets[0]?.key ?? "no file"})`);
+  check(fake.webhooks.some(w => w.payload.id === video.body.predictionId && w.url === "http://codr.test/api/replicate/webhook"), "webhook pointed at APP_URL");
+
+  // Finished by polling (a versioned model; its webhook is dropped to prove the poll does it)
+  const spoof = await api("POST", "/api/replicate/webhook", { id: "not-ours" });
+  check(spoof.status === 404, "webhook for an unknown prediction refused");
+  const audio = await api("POST", `/api/agents/${AGENT}/media`, { kind: "audio", model: "minimax/speech-02-turbo", input: { text: "hello" } });
+  fake.predictions.get(audio.body.predictionId).notified = true;
+  let polled = audio;
+  for (let i = 0; i < 40 && polled.body.status !== "succeeded"; i++) {
+    await sleep(100);
+    polled = await api("GET", `/api/agents/${AGENT}/media/${audio.body.predictionId}`);
+  }
+  check(polled.body.status === "succeeded" && polled.body.assets[0]?.name === "0.wav", `audio completed by polling (${polled.body.assets?.[0]?.key ?? "no file"})`);
+
+  // Cancelled, and failed
+  const slow = await api("POST", `/api/agents/${AGENT}/media`, { model: "codr-test/slow", input: { prompt: "x" } });
+  const cancelled = await api("POST", `/api/agents/${AGENT}/media/${slow.body.predictionId}/cancel`);
+  check(cancelled.body.status === "canceled" && !cancelled.body.assets.length, `slow prediction ${cancelled.body.status}`);
+  const failing = await api("POST", `/api/agents/${AGENT}/media`, { model: "codr-test/fail", input: { prompt: "x" }, wait: 10 });
+  check(failing.body.status === "failed" && !!failing.body.error, `failing model: ${failing.body.status} (${failing.body.error})`);
+
+  // Bad requests
+  const invalid = await api("POST", `/api/agents/${AGENT}/media`, { kind: "hologram", wait: 600 });
+  check(invalid.status === 400 && invalid.body.issues?.length === 3, `invalid request: ${invalid.body.issues?.join("; ")}`);
+  const missing = await api("POST", `/api/agents/${AGENT}/media`, { model: "missing/model", input: {} });
+  check(missing.status === 400, `unknown model: ${missing.status} ${missing.body.error}`);
+  const noAgent = await api("POST", "/api/agents/nobody/media", { input: { prompt: "x" } });
+  check(noAgent.status === 404, "unknown agent refused");
+
+  // Listing and accounting
+  const list = await api("GET", `/api/agents/${AGENT}/media`);
+  check(list.body.media?.length === 5, `${list.body.media?.length} jobs listed`);
+  const usage = await db
+    .prepare(`SELECT COUNT(*) AS calls, SUM(status = 'ok') AS ok FROM llm_usage WHERE agent_id = ? AND phase = 'media'`)
+    .bind(AGENT)
+    .first();
+  check(usage.calls === 5 && usage.ok === 3, `${usage.calls} media predictions accounted (${usage.ok} succeeded)`);
+
+  // Image to text, of the image generated above
+  const png = await (await mf.dispatchFetch(`http://codr.test${asset.url}`)).arrayBuffer();
+  const described = await mf.dispatchFetch(`http://codr.test/api/agents/${AGENT}/describe-image`, { method: "POST", headers: { "content-type": "image/png" }, body: png });
+  const description = await described.json();
+  check(described.ok && description.description === `A ${png.byteLength}-byte image. Asked: Describe this image.`, `image described: ${description.description ?? description.error}`);
+  const notImage = await mf.dispatchFetch(`http://codr.test/api/agents/${AGENT}/describe-image`, { method: "POST", headers: { "content-type": "text/plain" }, body: "x" });
+  check(notImage.status === 415, `non-image body refused (${notImage.status})`);
+  const describeUsage = await db.prepare(`SELECT COUNT(*) AS calls FROM llm_usage WHERE agent_id = ? AND phase = 'describe-image' AND provider = 'workersai'`).bind(AGENT).first();
+  check(describeUsage.calls === 1, `${describeUsage.calls} image description accounted`);
+
+  // The client generated apps import, as their app (same host) would call it
+  writeFileSync(join(work, "codr-media.mjs"), mediaClientSource(AGENT));
+  const { createMediaClient, MediaError } = await import(pathToFileURL(join(work, "codr-media.mjs")).href);
+  const media = createMediaClient({ fetch: (path, init) => mf.dispatchFetch(`http://codr.test${path}`, init) });
+  const poll = { wait: 0, intervalMs: 100, timeoutMs: 10_000 };
+
+  const picture = await media.generate("image", { prompt: "a harbour" }, { wait: 10 });
+  const file = await mf.dispatchFetch(`http://codr.test${media.fileUrl(picture.assets[0])}`);
+  check(picture.status === "succeeded" && file.headers.get("content-type") === "image/png", `client: image ${picture.predictionId} at ${media.fileUrl(picture.assets[0])}`);
+  const speech = await media.generate("audio", { text: "hi" }, poll);
+  check(speech.assets[0]?.contentType === "audio/wav", `client: audio ${speech.predictionId} waited out (${speech.assets[0]?.key})`);
+  const failure = await media.generate("image", { prompt: "x" }, { ...poll, model: "codr-test/fail" }).catch(error => error);
+  check(failure instanceof MediaError && failure.job?.status === "failed", `client: failed model throws (${failure.message})`);
+  const refused = await media.start("hologram", {}).catch(error => error);
+  check(refused instanceof MediaError && refused.status === 400 && refused.issues?.length === 1, `client: bad request throws (${refused.issues?.join("; ")})`);
+  const slowJob = await media.start("image", { prompt: "x" }, { model: "codr-test/slow", wait: 0 });
+  const stopped = await media.cancel(slowJob.predictionId);
+  const listed = await media.list();
+  check(stopped.status === "canceled" && listed.length === 9, `client: cancel and list (${listed.length} jobs)`);
+  const answer = await media.describe(new Blob([png], { type: "image/png" }), "What colour is it?");
+  check(answer === `A ${png.byteLength}-byte image. Asked: What colour is it?`, `client: describe (${answer})`);
+} catch (error) {
+  check(false, error instanceof Error ? error.message : String(error));
+} finally {
+  await mf.dispose();
+  await fake.close();
+  rmSync(work, { recursive: true, force: true });
+}
+
+process.exit(failed ? 1 : 0);
+
+// Migration files → single statements (trigger bodies kept whole), comments dropped
+function sqlStatements(sql) {
+  const statements = [];
+  let current = "";
+  let inBlock = false;
+  for (const line of sql.split("\n")) {
+    const text = line.replace(/--.*$/, "").trimEnd();
+    if (!text.trim()) continue;
+    current += `${text}\n`;
+    if (/\bBEGIN\s*$/i.test(text)) inBlock = true;
+    if (inBlock ? /^\s*END;?$/i.test(text) : text.endsWith(";")) {
+      statements.push(current.trim());
+      current = "";
+      inBlock = false;
+    }
+  }
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
@@ -0,0 +1,153 @@
+// Populates Codr's offline package mirror (R2 registry/*) used by in-Worker builds.
+// Run locally whenever you want to add or bump a package generated apps may import:
+//
+//   node scripts/mirror_packages.mjs react@18.3.1 react-dom@18.3.1 dayjs@1.11.13
+//   node scripts/mirror_packages.mjs react@18.3.1 --upload   # also push to R2 via wrangler
+//
+// Each export subpath is pre-bundled into a single browser ESM file, its own
+// dependencies inlined. Peer dependencies and the other packages mirrored in the
+// same run stay as bare imports so the build links them to one shared copy; the
+// build fails on any bare import the mirror can't serve.
+
+import { execFileSync } from "node:child_process";
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, writeFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import * as esbuild from "esbuild";
+
+const parseSpec = (spec) => {
+  const at = spec.lastIndexOf("@");
+  return at > 0 ? { name: spec.slice(0, at), version: spec.slice(at + 1) } : { name: spec, version: "latest" };
+};
+
+// One installed package (under resolveDir/node_modules) as mirror objects. `peers`
+// are the other packages mirrored alongside it, kept as bare imports.
+// scripts/replay_generation.mjs seeds its local R2 with this from the repo's node_modules
+export async function mirrorPackage(name, { resolveDir, peers = [] }) {
+  const require = createRequire(join(resolveDir, "index.js"));
+  const pkgJson = JSON.parse(readFileSync(join(resolveDir, "node_modules", name, "package.json"), "utf8"));
+  const version = pkgJson.version;
+  const external = [
+    ...Object.keys(pkgJson.peerDependencies || {}),
+    ...peers.filter(n => n !== name)
+  ].flatMap(dep => [dep, `${dep}/*`]);
+
+  const files = {};
+  const objects = [];
+  for (const subpath of exportSubpaths(pkgJson)) {
+    const specifier = subpath === "." ? name : `${name}/${subpath.slice(2)}`;
+    const entry = wrapperFor(require, specifier);
+
+    let result;
+    try {
+      result = await esbuild.build({
+        stdin: { contents: entry, resolveDir, loader: "js" },
+        bundle: true,
+        write: false,
+        format: "esm",
+        platform: "browser",
+        target: "es2020",
+        minify: true,
+        external,
+        define: { "process.env.NODE_ENV": '"production"' },
+        logLevel: "silent"
+      });
+    } catch (error) {
+      // Node-only subpaths (e.g. react-dom/server.node) can't run in the browser anyway
+      if (subpath === ".") throw error;
+      console.warn(`⚠️  ${specifier}: skipped (${error.errors?.[0]?.text || error.message})`);
+      continue;
+    }
+
+    const contents = result.outputFiles[0].text;
+    const fileName = subpath === "." ? "index.js" : `${subpath.slice(2).replace(/\//g, "__")}.js`;
+    const key = `registry/${name}/${version}/${fileName}`;
+    const integrity = `sha256-${createHash("sha256").update(contents).digest("hex")}`;
+
+    objects.push({ key, contents });
+    files[subpath] = { key, integrity };
+  }
+
+  return { name, version, files, objects };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const upload = args.includes("--upload");
+  const outIdx = args.indexOf("--out");
+  const OUT = outIdx !== -1 ? args[outIdx + 1] : ".mirror";
+  const BUCKET = process.env.MIRROR_BUCKET || "agent-assets-bucket";
+  const specs = args.filter((a, i) => !a.startsWith("--") && i !== outIdx + 1);
+
+  if (!specs.length) {
+    console.error("Usage: node scripts/mirror_packages.mjs <name@version>... [--out dir] [--upload]");
+    process.exit(1);
+  }
+
+  // Install everything into one scratch dir so peer deps resolve to each other
+  const work = mkdtempSync(join(tmpdir(), "codr-mirror-"));
+  writeFileSync(join(work, "package.json"), JSON.stringify({ name: "codr-mirror", private: true }));
+  execFileSync("npm", ["install", "--no-audit", "--no-fund", "--ignore-scripts", ...specs], { cwd: work, stdio: "inherit" });
+
+  const written = [];
+  const write = (key, contents) => {
+    const path = join(OUT, key);
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, contents);
+    written.push(key);
+  };
+  const peers = specs.map(s => parseSpec(s).name);
+
+  for (const spec of specs) {
+    const { name, version, files, objects } = await mirrorPackage(parseSpec(spec).name, { resolveDir: work, peers });
+    for (const object of objects) write(object.key, object.contents);
+
+    // Merge into any existing index so older versions stay resolvable
+    const indexKey = `registry/${name}/index.json`;
+    const indexPath = join(OUT, indexKey);
+    const index = existsSync(indexPath) ? JSON.parse(readFileSync(indexPath, "utf8")) : { name, versions: {} };
+    index.versions[version] = { files };
+    write(indexKey, JSON.stringify(index, null, 2));
+
+    console.log(`✅ ${name}@${version}: ${Object.keys(files).join(", ")}`);
+  }
+
+  if (upload) {
+    for (const key of written) {
+      execFileSync("npx", ["wrangler", "r2", "object", "put", `${BUCKET}/${key}`, "--file", join(OUT, key), "--remote"], { stdio: "inherit" });
+    }
+    console.log(`\nUploaded ${written.length} objects to r2://${BUCKET}`);
+  } else {
+    console.log(`\nWrote ${written.length} objects to ${OUT}/ (re-run with --upload to push to R2)`);
+  }
+}
+
+// "." plus any concrete (non-wildcard, non-JSON) subpaths from package.json "exports"
+function exportSubpaths(pkgJson) {
+  const exportsField = pkgJson.exports;
+  if (!exportsField || typeof exportsField === "string" || !Object.keys(exportsField).some(k => k.startsWith("."))) {
+    return ["."];
+  }
+  return Object.keys(exportsField).filter(k => k.startsWith(".") && !k.includes("*") && !k.endsWith(".json"));
+}
+
+// CommonJS packages only expose a default export once bundled as ESM, so
+// re-export their keys by name (the same trick CDNs like esm.sh use)
+function wrapperFor(require, specifier) {
+  let keys = [];
+  try {
+    keys = Object.keys(require(specifier)).filter(k => k !== "default" && /^[A-Za-z_$][\w$]*$/.test(k));
+  } catch {
+    return `export * from "${specifier}";`;
+  }
+  if (!keys.length) return `export * from "${specifier}"; export { default } from "${specifier}";`;
+  return [
+    `import * as ns from "${specifier}";`,
+    `const mod = ns.default ?? ns;`,
+    `export default mod;`,
+    `export const { ${keys.join(", ")} } = mod;`
+  ].join("\n");
+}
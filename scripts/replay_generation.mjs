@@ -0,0 +1,206 @@
+// Runs one full generation end-to-end, offline: POST /api/agents, planning, every
+// planned file, build and publish, inside local workerd (Miniflare: D1, KV, R2 and
+// AgentStateDO with real alarms), with every LLM call answered from a cassette.
+//
+//   node scripts/replay_generation.mjs                        # replay fixtures/cassettes/notes-app.json
+//   node scripts/replay_generation.mjs --cassette todo-app    # another fixture
+//   node scripts/replay_generation.mjs --record               # call providers live, (re)write the fixture
+//
+// Recording needs CLOUDFLARE_AI_GATEWAY (gateway URL) and GOOGLE_AI_STUDIO_API_KEY in
+// the environment. A fixture holds the POST /api/agents body and the recorded
+// responses (see src/lib/llm-cassette.ts). Prompts are matched by hash, so after a
+// prompt change replay fails naming the missing prompt: record again.
+// Exits non-zero unless the run completes with its version, route and files in place.
+
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import * as esbuild from "esbuild";
+import { Miniflare } from "miniflare";
+import { mirrorPackage } from "./mirror_packages.mjs";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const args = process.argv.slice(2);
+const option = (name, fallback) => (args.includes(name) ? args[args.indexOf(name) + 1] : fallback);
+
+const record = args.includes("--record");
+const cassette = option("--cassette", "notes-app");
+const timeoutMs = Number(option("--timeout", "300")) * 1000;
+const fixturePath = join(ROOT, "fixtures", "cassettes", `${cassette}.json`);
+// Packages the fixture apps import; builds only vendor from the mirror
+const MIRRORED = ["react", "react-dom"];
+
+// Used when recording a cassette that doesn't exist yet
+const DEFAULT_REQUEST = {
+  name: "Meeting Notes",
+  jtbds: "capture meeting notes and tag action items",
+  input_sources: "manual entry",
+  outputs: "tagged notes list",
+  api_keys_required: "",
+  visual_style: { theme: "light", color: "indigo", font: "Inter", vibe: "calm", motion: "subtle" },
+  frontend_framework: "vite"
+};
+
+const fixture = existsSync(fixturePath)
+  ? JSON.parse(readFileSync(fixturePath, "utf8"))
+  : { cassette, request: DEFAULT_REQUEST, entries: [] };
+if (!record && !fixture.entries.length) {
+  console.error(`No cassette at ${fixturePath}; record one with --record`);
+  process.exit(1);
+}
+if (record && !process.env.CLOUDFLARE_AI_GATEWAY) {
+  console.error("Recording calls providers live: set CLOUDFLARE_AI_GATEWAY (and GOOGLE_AI_STUDIO_API_KEY)");
+  process.exit(1);
+}
+
+// --------------------- Worker bundle ---------------------
+const work = mkdtempSync(join(tmpdir(), "codr-replay-"));
+const require = createRequire(import.meta.url);
+await esbuild.build({
+  entryPoints: [join(ROOT, "src/worker.ts")],
+  bundle: true,
+  format: "esm",
+  platform: "neutral",
+  mainFields: ["module", "main"],
+  conditions: ["workerd", "worker", "browser"],
+  external: ["esbuild-wasm/esbuild.wasm", "node:*"],
+  outfile: join(work, "worker.mjs"),
+  logLevel: "warning"
+});
+mkdirSync(join(work, "esbuild-wasm"));
+writeFileSync(join(work, "esbuild-wasm/esbuild.wasm"), readFileSync(require.resolve("esbuild-wasm/esbuild.wasm")));
+
+const mf = new Miniflare({
+  modulesRoot: work,
+  modules: [
+    { type: "ESModule", path: join(work, "worker.mjs") },
+    { type: "CompiledWasm", path: join(work, "esbuild-wasm/esbuild.wasm") }
+  ],
+  compatibilityDate: "2025-07-01", // newest the bundled workerd accepts
+  compatibilityFlags: ["nodejs_compat"],
+  d1Databases: ["AGENT_REGISTRY_DB"],
+  kvNamespaces: ["AGENT_CACHE"],
+  r2Buckets: ["AGENT_ASSETS"],
+  durableObjects: { AGENT_STATE: "AgentStateDO" },
+  bindings: {
+    CUSTOM_DOMAIN: "codr.test",
+    CLOUDFLARE_AI_GATEWAY: record ? process.env.CLOUDFLARE_AI_GATEWAY : "https://gateway.invalid/replay",
+    GOOGLE_AI_STUDIO_API_KEY: record ? process.env.GOOGLE_AI_STUDIO_API_KEY || "" : "replay",
+    LLM_CASSETTE: cassette,
+    LLM_CASSETTE_MODE: record ? "record" : "replay"
+  }
+});
+
+let failed = false;
+const check = (ok, label) => {
+  console.log(`${ok ? "✓" : "✗"} ${label}`);
+  if (!ok) failed = true;
+};
+
+try {
+  const db = await mf.getD1Database("AGENT_REGISTRY_DB");
+  const kv = await mf.getKVNamespace("AGENT_CACHE");
+  const r2 = await mf.getR2Bucket("AGENT_ASSETS");
+
+  for (const file of readdirSync(join(ROOT, "src/migrations")).filter(f => f.endsWith(".sql")).sort()) {
+    for (const statement of sqlStatements(readFileSync(join(ROOT, "src/migrations", file), "utf8"))) {
+      await db.prepare(statement).run();
+    }
+  }
+  for (const entry of fixture.entries) {
+    await r2.put(`cassettes/${cassette}/${entry.key}.json`, JSON.stringify(entry));
+  }
+  // The offline package mirror builds resolve against, vendored from this repo's node_modules
+  for (const name of MIRRORED) {
+    const mirrored = await mirrorPackage(name, { resolveDir: ROOT, peers: MIRRORED });
+    for (const object of mirrored.objects) await r2.put(object.key, object.contents);
+    await r2.put(`registry/${name}/index.json`, JSON.stringify({ name, versions: { [mirrored.version]: { files: mirrored.files } } }));
+  }
+
+  // --------------------- Run ---------------------
+  const res = await mf.dispatchFetch("http://codr.test/api/agents", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(fixture.request)
+  });
+  const created = await res.json();
+  check(res.ok && created.generation, `POST /api/agents started generation for ${created.id}`);
+
+  const ns = await mf.getDurableObjectNamespace("AGENT_STATE");
+  const stub = ns.get(ns.idFromName(created.id));
+  const started = Date.now();
+  let status;
+  do {
+    await new Promise(resolve => setTimeout(resolve, 500));
+    status = await (await stub.fetch("https://do/status")).json();
+  } while (status.status === "running" && Date.now() - started < timeoutMs);
+
+  for (const step of status.steps || []) {
+    console.log(`  ${step.status.padEnd(9)} ${step.path || step.name}${step.model ? ` (${step.model})` : ""}${step.error ? ` — ${step.error}` : ""}`);
+  }
+  check(status.status === "completed", `generation ${status.status}${status.error ? `: ${status.error}` : ""}`);
+
+  // --------------------- Outputs ---------------------
+  const version = await db
+    .prepare(`SELECT id, status, assets_prefix FROM agent_versions WHERE agent_id = ? ORDER BY version DESC LIMIT 1`)
+    .bind(created.id)
+    .first();
+  check(version?.status === "deployed", `version ${version?.id ?? "(none)"} published`);
+  check(!!(await kv.get(`agent:${created.id}`)), `KV route agent:${created.id}`);
+  if (version) {
+    check(!!(await r2.head(`${version.assets_prefix}index.html`)), `R2 ${version.assets_prefix}index.html`);
+    const sources = await (await r2.get(`sources/${created.id}/${version.id}.json`))?.json();
+    check(!!sources, "source snapshot stored");
+    const unattributed = (sources || []).filter(f => !f.model).map(f => f.path);
+    check(!unattributed.length, unattributed.length ? `no model recorded for ${unattributed.join(", ")}` : "model recorded for every file");
+  }
+  const usage = await db
+    .prepare(`SELECT COUNT(*) AS calls, SUM(input_tokens + output_tokens) AS tokens, SUM(cost_usd) AS cost FROM llm_usage WHERE agent_id = ?`)
+    .bind(created.id)
+    .first();
+  check(usage.calls > 0, `${usage.calls} model calls accounted (${usage.tokens ?? 0} tokens, $${(usage.cost ?? 0).toFixed(4)})`);
+
+  if (record) {
+    const entries = [];
+    let cursor;
+    do {
+      const listing = await r2.list({ prefix: `cassettes/${cassette}/`, cursor });
+      for (const object of listing.objects) entries.push(await (await r2.get(object.key)).json());
+      cursor = listing.truncated ? listing.cursor : undefined;
+    } while (cursor);
+    entries.sort((a, b) => a.key.localeCompare(b.key));
+
+    mkdirSync(dirname(fixturePath), { recursive: true });
+    writeFileSync(fixturePath, JSON.stringify({ cassette, request: fixture.request, entries }, null, 2) + "\n");
+    console.log(`Recorded ${entries.length} responses → ${fixturePath}`);
+  }
+} catch (error) {
+  check(false, error instanceof Error ? error.message : String(error));
+} finally {
+  await mf.dispose();
+  rmSync(work, { recursive: true, force: true });
+}
+
+process.exit(failed ? 1 : 0);
+
+// Migration files → single statements (trigger bodies kept whole), comments dropped
+function sqlStatements(sql) {
+  const statements = [];
+  let current = "";
+  let inBlock = false;
+  for (const line of sql.split("\n")) {
+    const text = line.replace(/--.*$/, "").trimEnd();
+    if (!text.trim()) continue;
+    current += `${text}\n`;
+    if (/\bBEGIN\s*$/i.test(text)) inBlock = true;
+    if (inBlock ? /^\s*END;?$/i.test(text) : text.endsWith(";")) {
+      statements.push(current.trim());
+      current = "";
+      inBlock = false;
+    }
+  }
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
@@ -1,9 +1,28 @@
 // src/core/code-generator.ts
 // Codr — Phase-based code generation using Google AI Studio
 
-import { generateUIWithGoogle, callLLM, pickLLMForJTBD, type EnvReq } from "../lib/llm";
-import { AgentStateDO } from "../do/AgentStateDO";
-import { getTemplate, getTemplatesByFramework } from "../../templates/index.js";
+import { callLLM, forgetLLMReply, type EnvReq, type LLMChoice, type LLMUsage } from "../lib/llm";
+import { createModelRouter } from "../lib/llm-router";
+import {
+  EDITS_SCHEMA,
+  FILE_LIST_SCHEMA,
+  OutputContractError,
+  PLAN_PATH,
+  PLAN_SCHEMA,
+  findPlan,
+  parseEdits,
+  parseFileList,
+  parsePlan,
+  type FileEdit,
+  type PlannedFile,
+  type ProjectPlan
+} from "../lib/file-contract";
+import { applyUnifiedDiff } from "../lib/unified-diff";
+import type { GenerationStatus } from "../do/AgentStateDO";
+import { MEDIA_CLIENT_PATH, getTemplate, getTemplatesByFramework, mediaClientSource } from "../../templates/index.js";
+import { agentUrl } from "../services/app-host";
+import type { VersionEnv } from "../services/versions";
+import { createUsageService, type UsageService } from "../services/usage";
 
 export interface CodeGenerationRequest {
   name: string;
@@ -21,13 +40,14 @@ export interface CodeGenerationRequest {
     screenshots?: string[];
   };
   frontend_framework: "react" | "vite";
-  llm_models?: Record<string, string>;
+  llm_models?: Record<string, string>; // stage → model (lib/llm-router.ts)
 }
 
 export interface GeneratedFile {
   path: string;
   content: string;
   phase: string;
+  model?: string; // "<provider>/<model>" that wrote it (the answering one, after any fallback); "codr" for files Codr adds
 }
 
 export interface GenerationResult {
@@ -37,115 +57,191 @@ export interface GenerationResult {
   build_result?: any;
 }
 
-export class CodeGenerator {
-  constructor(private env: EnvReq & { AGENT_STATE: DurableObjectNamespace }) {}
-
-  async generateApp(request: CodeGenerationRequest, agentId: string): Promise<GenerationResult> {
-    const phases = [
-      { name: "planning", description: "Analyze requirements and create project structure" },
-      { name: "foundation", description: "Generate package.json, config files, and basic setup" },
-      { name: "core", description: "Create main components and business logic" },
-      { name: "styling", description: "Add CSS, themes, and visual design" },
-      { name: "integration", description: "Connect APIs and external services" },
-      { name: "optimization", description: "Performance improvements and error handling" }
-    ];
-
-    const allFiles: GeneratedFile[] = [];
-    let currentPhase = 0;
-
-    // Get Durable Object for state management
-    const agentStub = this.env.AGENT_STATE.get(this.env.AGENT_STATE.idFromName(agentId));
-
-    for (const phase of phases) {
-      try {
-        // Update progress
-        await agentStub.fetch("https://do/progress", {
-          method: "POST",
-          body: JSON.stringify({
-            phase: phase.name,
-            progress: (currentPhase / phases.length) * 100,
-            status: "generating"
-          })
-        });
-
-        const phaseFiles = await this.generatePhase(request, phase.name, allFiles);
-        allFiles.push(...phaseFiles);
-
-        currentPhase++;
-      } catch (error) {
-        console.error(`Phase ${phase.name} failed:`, error);
-        // Continue with next phase or implement error recovery
-      }
-    }
+export interface FileChange {
+  path: string;
+  action: "edited" | "added" | "deleted";
+}
 
-    // Build the generated application
-    console.log(`Building generated app for ${request.name}`);
-    const buildResult = await this.buildGeneratedApp(allFiles, request, agentId);
+export interface RefineResult extends GenerationResult {
+  success: boolean;
+  changes: FileChange[];
+  error?: string;
+}
+
+export type CodeGeneratorEnv = EnvReq & VersionEnv & {
+  AGENT_STATE: DurableObjectNamespace;
+};
+
+// Planning runs first and writes the manifest; every planned file is then generated
+// on its own, tagged with one of the later phases for its prompt guidance and model
+export const GENERATION_PHASES = [
+  { name: "planning", description: "Analyze requirements and create project structure" },
+  { name: "foundation", description: "Generate package.json, config files, and basic setup" },
+  { name: "core", description: "Create main components and business logic" },
+  { name: "styling", description: "Add CSS, themes, and visual design" },
+  { name: "integration", description: "Connect APIs and external services" },
+  { name: "optimization", description: "Performance improvements and error handling" }
+];
+
+// Characters of related file contents sent with each file prompt
+const CONTEXT_BUDGET = 24_000;
+// Characters of the app's files sent with a refine instruction
+const REFINE_BUDGET = 60_000;
+
+// Repair round-trips per reply before the step fails
+export const MAX_REPAIR_ROUNDS = 2;
+
+// What a model call is accounted to
+interface UsageTag {
+  phase: string;
+  path?: string;
+  agentId?: string; // defaults to the generator's agent
+}
+
+// A model's reply and which "<provider>/<model>" gave it
+interface LLMReply {
+  text: string;
+  model: string;
+}
+
+// One piece of work's model calls: `ask` remembers who answered last, `reject`
+// drops an unusable reply from the LLM cache so a retried step doesn't get it back
+export interface Asker {
+  ask(prompt: string, fresh: boolean): Promise<string>;
+  reject(prompt: string): Promise<void>;
+  model?: string;
+}
 
-    // Generate preview and deployment
-    const result = await this.createPreviewAndDeploy(allFiles, buildResult, request, agentId);
+// A model reply as it's written: "reply" when a call (or a repair round) starts,
+// then its text in pieces
+export type GenerationProgress =
+  | { type: "reply"; phase: string; path?: string }
+  | { type: "token"; phase: string; path?: string; text: string };
+
+export interface CodeGeneratorOptions {
+  signal?: AbortSignal;   // cancels the run: model calls abort, nothing more is published
+  agentId?: string;       // model calls are accounted to it, and stop once its workspace's budget is spent
+  onProgress?: (event: GenerationProgress) => void; // streams replies when set
+}
+
+export class CodeGenerator {
+  private usage?: UsageService;
 
-    // Mark as complete
-    await agentStub.fetch("https://do/progress", {
+  constructor(private env: CodeGeneratorEnv, private options: CodeGeneratorOptions = {}) {
+    if (env.AGENT_REGISTRY_DB) this.usage = createUsageService(env);
+  }
+
+  // Starts a checkpointed run in the agent's Durable Object and returns straight away;
+  // the DO works through the phases on alarms so an evicted Worker loses nothing
+  async generateApp(request: CodeGenerationRequest, agentId: string): Promise<GenerationStatus> {
+    const stub = this.env.AGENT_STATE.get(this.env.AGENT_STATE.idFromName(agentId));
+    const res = await stub.fetch("https://do/generate", {
       method: "POST",
-      body: JSON.stringify({
-        phase: "complete",
-        progress: 100,
-        status: "completed",
-        result
-      })
+      body: JSON.stringify({ agentId, request })
     });
+    if (!res.ok) throw new Error(`Could not start generation: ${await res.text()}`);
+    return res.json();
+  }
 
-    return result;
+  // Build the generated files and publish them as a new preview version
+  async finish(files: GeneratedFile[], request: CodeGenerationRequest, agentId: string): Promise<GenerationResult> {
+    console.log(`Building generated app for ${request.name}`);
+    files = withMediaClient(files, request, agentId);
+    const buildResult = await this.buildGeneratedApp(files, request, agentId);
+    this.options.signal?.throwIfAborted();
+    return this.createPreviewAndDeploy(files, buildResult, request, agentId);
   }
 
-  private async generatePhase(
+  // The planning phase: the manifest of every file the app needs, in dependency order
+  async planProject(request: CodeGenerationRequest): Promise<GeneratedFile> {
+    const prompt = `${this.buildPlanningPrompt(request)}\n\n${outputInstructions(PLAN_SCHEMA)}`;
+    const llmChoice = createModelRouter(request.llm_models, request.jtbds, this.env).choose("analyze");
+    const asker = this.asker(llmChoice, { phase: "planning" });
+    const plan = await withRepair("planning", prompt, asker, parsePlan);
+    return { path: PLAN_PATH, content: JSON.stringify(plan, null, 2), phase: "planning", model: asker.model };
+  }
+
+  // One planned file, with the files it depends on (and its neighbours) as context.
+  // `files` holds everything generated so far; if it already has this path the
+  // file is being regenerated and its current version is shown too
+  async generateFile(
     request: CodeGenerationRequest,
-    phase: string,
-    previousFiles: GeneratedFile[]
-  ): Promise<GeneratedFile[]> {
-    const llmChoice = pickLLMForJTBD(request.jtbds);
-
-    let prompt = this.buildPhasePrompt(request, phase, previousFiles);
-
-    if (phase === "planning") {
-      // Use general LLM for planning
-      const response = await callLLM(this.env, prompt, llmChoice);
-      return this.parsePlanningResponse(response, phase);
-    } else if (phase.includes("ui") || phase === "styling") {
-      // Use Google AI Studio for UI generation
-      const uiResult = await generateUIWithGoogle(this.env, "gemini-2.0-pro-exp", prompt);
-      return uiResult.files.map(f => ({ ...f, phase }));
-    } else {
-      // Use appropriate LLM for other phases
-      const response = await callLLM(this.env, prompt, llmChoice);
-      return this.parseCodeResponse(response, phase);
-    }
+    planned: PlannedFile,
+    files: GeneratedFile[]
+  ): Promise<GeneratedFile> {
+    const plan = findPlan(files);
+    if (!plan) throw new Error(`${PLAN_PATH} is missing; run planning first`);
+
+    const phase = filePhase(planned);
+    const prompt = `${this.buildFilePrompt(request, planned, phase, plan, files)}\n\n${outputInstructions(FILE_LIST_SCHEMA)} Return only ${planned.path}.`;
+
+    // The user's "generate" model if they mapped one; otherwise Google AI Studio for
+    // UI generation and the JTBD's LLM for everything else
+    const ui = phase === "styling" || /\.(css|scss)$/.test(planned.path);
+    const choice = createModelRouter(request.llm_models, request.jtbds, this.env).choose("generate", { ui });
+
+    const asker = this.asker(choice, { phase, path: planned.path });
+    const content = await withRepair(planned.path, prompt, asker, reply => {
+      const returned = parseFileList(reply);
+      const file = returned.find(f => f.path === planned.path);
+      if (!file) {
+        throw new OutputContractError(
+          [`expected ${planned.path}, got ${returned.map(f => f.path).join(", ")}`],
+          reply
+        );
+      }
+      // Other planned files are generated on their own turn; unplanned ones aren't in the manifest
+      if (returned.length > 1) console.warn(`Ignoring extra files returned with ${planned.path}`);
+      return file.content;
+    });
+
+    return { path: planned.path, content, phase, model: asker.model };
   }
 
-  private buildPhasePrompt(
+  // Targeted edits to an existing file set from a natural-language instruction: the
+  // model answers with diffs or replacements, which are applied, built and published
+  // as a new version. A build failure publishes nothing
+  async refine(
     request: CodeGenerationRequest,
-    phase: string,
-    previousFiles: GeneratedFile[]
-  ): string {
-    const baseContext = `
-Create a ${request.frontend_framework} application with these requirements:
-- Name: ${request.name}
-- Purpose: ${request.jtbds}
-- Inputs: ${request.input_sources.join(", ")}
-- Outputs: ${request.outputs.join(", ")}
-- Required APIs: ${request.api_keys_required.join(", ")}
-- Visual Style: ${JSON.stringify(request.visual_style, null, 2)}
+    agentId: string,
+    files: GeneratedFile[],
+    instruction: string,
+    requestedBy = "api"
+  ): Promise<RefineResult> {
+    const prompt = `${this.buildRefinePrompt(request, instruction, files)}\n\n${editInstructions()}`;
+    const choice = createModelRouter(request.llm_models, request.jtbds, this.env).choose("generate");
+    const asker = this.asker(choice, { phase: "refine", agentId });
+    const edited = await withRepair("refine", prompt, asker, reply => applyEdits(files, parseEdits(reply), instruction));
+    const changes = edited.changes;
+    // Edited and added files are now the refining model's work
+    const touched = new Set(changes.filter(c => c.action !== "deleted").map(c => c.path));
+    const updated = withMediaClient(
+      edited.updated.map(f => (touched.has(f.path) ? { ...f, model: asker.model } : f)),
+      request,
+      agentId
+    );
+
+    const buildResult = await this.buildGeneratedApp(updated, request, agentId);
+    this.options.signal?.throwIfAborted();
+    if (!buildResult.success) {
+      await asker.reject(prompt); // asking again should get different edits
+      return {
+        success: false,
+        files: updated,
+        changes,
+        build_result: buildResult,
+        error: `Build failed${buildResult.errors?.length ? `: ${buildResult.errors[0]}` : ""}`
+      };
+    }
 
-Previous files generated:
-${previousFiles.map(f => `- ${f.path} (${f.phase})`).join("\n")}
-    `;
+    const result = await this.createPreviewAndDeploy(updated, buildResult, request, agentId, requestedBy);
+    return { ...result, success: true, changes };
+  }
 
-    switch (phase) {
-      case "planning":
-        return `${baseContext}
+  private buildPlanningPrompt(request: CodeGenerationRequest): string {
+    return `${requirementsContext(request)}
 
-Create a detailed project structure and file list for this application. Return as JSON:
+Create a detailed project structure and file list for this application, as JSON:
 {
   "structure": {
     "src/": ["components/", "utils/", "types/"],
@@ -153,109 +249,102 @@ Create a detailed project structure and file list for this application. Return a
     "package.json": "dependencies and scripts"
   },
   "files": [
-    {"path": "src/main.tsx", "description": "Entry point"},
-    {"path": "src/App.tsx", "description": "Main component"}
+    {"path": "package.json", "description": "Dependencies and scripts", "phase": "foundation"},
+    {"path": "src/types.ts", "description": "Shared types", "phase": "core"},
+    {"path": "src/App.tsx", "description": "Main component", "phase": "core", "dependsOn": ["src/types.ts"]},
+    {"path": "src/main.tsx", "description": "Entry point", "phase": "foundation", "dependsOn": ["src/App.tsx"]}
   ]
-}`;
-
-      case "foundation":
-        return `${baseContext}
-
-Generate the foundation files for this ${request.frontend_framework} app:
-- package.json with all necessary dependencies
-- tsconfig.json
-- vite.config.ts (if using Vite)
-- index.html
-- main.tsx entry point
-- Basic App component structure
-
-Return as JSON array of files with path and content.`;
-
-      case "core":
-        return `${baseContext}
-
-Generate the core functionality:
-- Main components based on the JTBD
-- Business logic
-- State management
-- API integration points
-
-Focus on the core user workflow described in the requirements.`;
-
-      case "styling":
-        return `${baseContext}
-
-Generate styling based on visual preferences:
-- Theme: ${request.visual_style.theme}
-- Color palette: ${request.visual_style.color}
-- Font: ${request.visual_style.font}
-- Design vibe: ${request.visual_style.vibe}
-- Motion: ${request.visual_style.motion}
-
-Create CSS files, Tailwind config, and styled components.`;
+}
 
-      case "integration":
-        return `${baseContext}
+List every file the app needs, config files included; nothing outside this list will be generated.
+Give each file the phase whose work it belongs to (${GENERATION_PHASES.slice(1).map(p => p.name).join(", ")})
+and, in "dependsOn", the planned files it imports. No cycles.`;
+  }
 
-Add API integrations and external services:
-${request.api_keys_required.map(api => `- ${api} integration`).join("\n")}
+  private asker(choice: LLMChoice, tag: UsageTag): Asker {
+    const asker: Asker = {
+      ask: async (prompt, fresh) => {
+        const reply = await this.llm(prompt, choice, tag, fresh);
+        asker.model = reply.model;
+        return reply.text;
+      },
+      reject: prompt => forgetLLMReply(this.env, prompt, choice)
+    };
+    return asker;
+  }
 
-Create service files, API clients, and connection logic.`;
+  // `fresh` skips the LLM cache (repair rounds should get a new answer)
+  private async llm(prompt: string, choice: LLMChoice, tag: UsageTag, fresh = false): Promise<LLMReply> {
+    const agentId = tag.agentId ?? this.options.agentId;
+    const usage = agentId ? this.usage : undefined;
+    if (usage) await usage.assertWithinBudget(agentId!);
+
+    const { phase, path } = tag;
+    const progress = this.options.onProgress;
+    progress?.({ type: "reply", phase, path });
+    // Retries and fallbacks may hand the call on; the last successful attempt answered it
+    let answered: LLMUsage | undefined;
+    const text = await callLLM(this.env, prompt, choice, undefined, {
+      signal: this.options.signal,
+      cache: !fresh,
+      onUsage: async call => {
+        if (call.ok) answered = call;
+        await usage?.record({ ...call, agentId: agentId!, phase, path });
+      },
+      onToken: progress && (text => progress({ type: "token", phase, path, text }))
+    });
+    const { provider, model } = answered ?? choice;
+    return { text, model: `${provider}/${model}` };
+  }
 
-      case "optimization":
-        return `${baseContext}
+  private buildRefinePrompt(request: CodeGenerationRequest, instruction: string, files: GeneratedFile[]): string {
+    const shown: GeneratedFile[] = [];
+    const omitted: string[] = [];
+    let budget = REFINE_BUDGET;
+    for (const file of files) {
+      if (file.path === PLAN_PATH) continue;
+      if (file.content.length <= budget) {
+        shown.push(file);
+        budget -= file.content.length;
+      } else {
+        omitted.push(file.path);
+      }
+    }
 
-Add optimizations:
-- Error boundaries
-- Loading states
-- Performance improvements
-- Type safety
-- Testing setup`;
+    return `${requirementsContext(request)}
 
-      default:
-        return baseContext;
-    }
-  }
+The app already exists. Change it as follows, touching only what this needs:
+${instruction}
 
-  private parsePlanningResponse(response: string, phase: string): GeneratedFile[] {
-    try {
-      const data = JSON.parse(response);
-      // Convert planning data to actual file structure
-      return [
-        {
-          path: "project-structure.json",
-          content: JSON.stringify(data, null, 2),
-          phase
-        }
-      ];
-    } catch {
-      return [{
-        path: "planning-notes.txt",
-        content: response,
-        phase
-      }];
-    }
+Current files:
+${shown.map(f => `--- ${f.path} ---\n${f.content}`).join("\n\n")}
+${omitted.length ? `\nAlso in the app (not shown; replace them whole if they must change): ${omitted.join(", ")}\n` : ""}`;
   }
 
-  private parseCodeResponse(response: string, phase: string): GeneratedFile[] {
-    try {
-      // Try to parse as JSON array of files
-      const files = JSON.parse(response);
-      if (Array.isArray(files)) {
-        return files.map((f: any) => ({
-          path: f.path || `phase-${phase}.txt`,
-          content: f.content || f,
-          phase
-        }));
-      }
-    } catch {}
-
-    // Fallback: treat as single file content
-    return [{
-      path: `phase-${phase}.tsx`,
-      content: response,
-      phase
-    }];
+  private buildFilePrompt(
+    request: CodeGenerationRequest,
+    planned: PlannedFile,
+    phase: string,
+    plan: ProjectPlan,
+    files: GeneratedFile[]
+  ): string {
+    const manifest = plan.files
+      .map(f => `- ${f.path}: ${f.description}${f.dependsOn?.length ? ` (imports ${f.dependsOn.join(", ")})` : ""}`)
+      .join("\n");
+    const current = files.find(f => f.path === planned.path);
+    const { shown, omitted } = relatedFiles(planned, plan, files);
+
+    return `${requirementsContext(request)}
+
+Project plan (${PLAN_PATH}):
+${manifest}
+
+Write the file ${planned.path}: ${planned.description}
+Import only npm packages and the planned files above, at the paths listed.
+${phaseGuidance(request, phase)}
+${shown.length ? `\nRelated files already written:\n${shown.map(f => `--- ${f.path} ---\n${f.content}`).join("\n\n")}\n` : ""}${
+  omitted.length ? `\nAlso written (not shown): ${omitted.join(", ")}\n` : ""}${
+  current ? `\nCurrent version of ${planned.path}, to be rewritten:\n${current.content}\n` : ""}`;
   }
 
   private async buildGeneratedApp(
@@ -271,7 +360,8 @@ Add optimizations:
       appId: agentId,
       files: files.map(f => ({ path: f.path, content: f.content })),
       framework: request.frontend_framework,
-      dependencies: {} // Could be extended to include detected dependencies
+      dependencies: {}, // Detected from imports and pinned against the offline mirror by the build service
+      manifest: findPlan(files)?.files.map(f => f.path)
     };
 
     const buildResult = await buildService.buildApp(buildRequest);
@@ -282,37 +372,252 @@ Add optimizations:
     files: GeneratedFile[],
     buildResult: any,
     request: CodeGenerationRequest,
-    agentId: string
+    agentId: string,
+    deployedBy = "generator"
   ): Promise<GenerationResult> {
-    // Store build assets in R2
+    // Every generation lands on its own preview host (pr-<n>--<agent>); promote from there
     if (buildResult.success && buildResult.assets) {
-      for (const asset of buildResult.assets) {
-        await this.env.AGENT_ASSETS.put(
-          `apps/${agentId}/${asset.path}`,
-          asset.content,
-          {
-            httpMetadata: {
-              contentType: asset.type === 'html' ? 'text/html' :
-                          asset.type === 'js' ? 'application/javascript' :
-                          asset.type === 'css' ? 'text/css' : 'text/plain'
-            }
-          }
-        );
-      }
+      const { createVersionService } = await import("../services/versions");
+      const version = await createVersionService(this.env).publish(agentId, buildResult, deployedBy, files);
+
+      return {
+        files,
+        preview_url: version.url,
+        deployment_id: version.id,
+        build_result: buildResult
+      };
     }
 
-    const previewUrl = `https://${agentId}.yourdomain.com`;
-
     return {
       files,
-      preview_url: previewUrl,
-      deployment_id: agentId,
+      preview_url: agentUrl(this.env, agentId),
       build_result: buildResult
     };
   }
 }
 
+function requirementsContext(request: CodeGenerationRequest): string {
+  return `
+Create a ${request.frontend_framework} application with these requirements:
+- Name: ${request.name}
+- Purpose: ${request.jtbds}
+- Inputs: ${request.input_sources.join(", ")}
+- Outputs: ${request.outputs.join(", ")}
+- Required APIs: ${request.api_keys_required.join(", ")}
+- Visual Style: ${JSON.stringify(request.visual_style, null, 2)}${mediaContext(request)}`;
+}
+
+// Image, audio or video among the outputs, or images among the inputs: the app goes
+// through Codr's media routes
+function wantsMedia(request: CodeGenerationRequest): boolean {
+  return (
+    request.outputs.some(output => /image|audio|video|voice|speech/i.test(output)) ||
+    request.input_sources.some(source => /image|photo|picture|screenshot/i.test(source))
+  );
+}
+
+function mediaContext(request: CodeGenerationRequest): string {
+  if (!wantsMedia(request)) return "";
+  return `
+
+${MEDIA_CLIENT_PATH} is provided by Codr; don't plan or write it. Generate images, audio and video with it:
+  import { createMediaClient } from "./codr-media.js"; // relative to the importing file
+  const media = createMediaClient();
+  const job = await media.generate("image", { prompt }); // "video" takes { prompt }, "audio" { text }
+  const src = media.fileUrl(job.assets[0]); // for <img>, <audio> or <video>
+  const text = await media.describe(file, "What is written here?"); // an uploaded image as text; the prompt is optional
+generate() can take minutes for video: show progress, and catch its MediaError.`;
+}
+
+// The media client, added (or restored) for apps that want media
+function withMediaClient(files: GeneratedFile[], request: CodeGenerationRequest, agentId: string): GeneratedFile[] {
+  if (!wantsMedia(request)) return files;
+  const client: GeneratedFile = { path: MEDIA_CLIENT_PATH, content: mediaClientSource(agentId), phase: "integration", model: "codr" };
+  return [...files.filter(f => f.path !== MEDIA_CLIENT_PATH), client];
+}
+
+function phaseGuidance(request: CodeGenerationRequest, phase: string): string {
+  switch (phase) {
+    case "foundation":
+      return `This is foundation work for a ${request.frontend_framework} app: package.json with all necessary dependencies, tsconfig.json, ${request.frontend_framework === "vite" ? "vite.config.ts, " : ""}index.html, the main.tsx entry point and the basic App structure.`;
+
+    case "styling":
+      return `This is styling work. Follow the visual preferences:
+- Theme: ${request.visual_style.theme}
+- Color palette: ${request.visual_style.color}
+- Font: ${request.visual_style.font}
+- Design vibe: ${request.visual_style.vibe}
+- Motion: ${request.visual_style.motion}`;
+
+    case "integration":
+      return `This is integration work: service files, API clients and connection logic for
+${request.api_keys_required.map(api => `- ${api} integration`).join("\n")}`;
+
+    case "optimization":
+      return "This is optimization work: error boundaries, loading states, performance and type safety.";
+
+    default:
+      return "This is core work: components, business logic and state for the core user workflow described in the requirements.";
+  }
+}
+
+// Planned phase if it's one we have guidance for; untagged files are core work
+function filePhase(planned: PlannedFile): string {
+  const known = GENERATION_PHASES.slice(1).some(p => p.name === planned.phase);
+  return known ? planned.phase! : "core";
+}
+
+// Context for one file: what it imports first, then what imports it, then its
+// directory neighbours, within CONTEXT_BUDGET; anything over is named, not shown
+function relatedFiles(
+  planned: PlannedFile,
+  plan: ProjectPlan,
+  files: GeneratedFile[]
+): { shown: GeneratedFile[]; omitted: string[] } {
+  const dir = planned.path.includes("/") ? planned.path.slice(0, planned.path.lastIndexOf("/") + 1) : "";
+  const candidates = [
+    ...(planned.dependsOn || []),
+    ...plan.files.filter(f => f.dependsOn?.includes(planned.path)).map(f => f.path),
+    ...plan.files.map(f => f.path).filter(path => path.startsWith(dir) && !path.slice(dir.length).includes("/"))
+  ];
+
+  const shown: GeneratedFile[] = [];
+  const omitted: string[] = [];
+  let budget = CONTEXT_BUDGET;
+  for (const path of new Set(candidates)) {
+    const file = files.find(f => f.path === path);
+    if (!file || path === planned.path) continue;
+    if (file.content.length <= budget) {
+      shown.push(file);
+      budget -= file.content.length;
+    } else {
+      omitted.push(path);
+    }
+  }
+  return { shown, omitted };
+}
+
+// Parse a reply; on a contract violation ask again (up to MAX_REPAIR_ROUNDS times)
+// with the rejected reply and the problems found, then give up with those problems
+export async function withRepair<T>(
+  label: string,
+  prompt: string,
+  asker: Asker,
+  parse: (reply: string) => T
+): Promise<T> {
+  let reply = await asker.ask(prompt, false);
+
+  for (let round = 0; ; round++) {
+    try {
+      return parse(reply);
+    } catch (error) {
+      if (!(error instanceof OutputContractError)) throw error;
+      if (round === 0) await asker.reject(prompt);
+      if (round >= MAX_REPAIR_ROUNDS) {
+        throw new Error(`${label} output rejected after ${round + 1} replies: ${error.message}`);
+      }
+      console.warn(`${label} reply rejected (${error.message}); asking for a repair`);
+      reply = await asker.ask(repairPrompt(prompt, reply, error.issues), true);
+    }
+  }
+}
+
+export function outputInstructions(schema: string): string {
+  return `Reply with ONLY JSON matching ${schema} (a \`\`\`json fence is fine). Paths are relative, under src/ or public/, or root config files (package.json, index.html, vite.config.ts, tsconfig.json); no "..".`;
+}
+
+function editInstructions(): string {
+  return `Reply with ONLY JSON matching ${EDITS_SCHEMA}. Per file give one of: "diff", a unified diff against the current file with a few lines of unchanged context around each change; "content", the complete file (for new files or when most of it changes); or "delete": true. Paths follow the same rules as before; ${PLAN_PATH} is maintained for you.`;
+}
+
+// The edited file set, with the manifest following added and deleted files.
+// Edits that can't be applied are contract issues, so the model gets to fix them
+function applyEdits(
+  files: GeneratedFile[],
+  edits: FileEdit[],
+  instruction: string
+): { updated: GeneratedFile[]; changes: FileChange[] } {
+  const byPath = new Map(files.map(f => [f.path, f]));
+  const issues: string[] = [];
+  const changes: FileChange[] = [];
+
+  for (const edit of edits) {
+    const current = byPath.get(edit.path);
+    if (edit.path === PLAN_PATH) {
+      issues.push(`${PLAN_PATH} is maintained for you; leave it out`);
+    } else if (edit.delete) {
+      if (!current) issues.push(`${edit.path}: cannot delete a file that doesn't exist`);
+      else {
+        byPath.delete(edit.path);
+        changes.push({ path: edit.path, action: "deleted" });
+      }
+    } else if (edit.diff !== undefined) {
+      if (!current) issues.push(`${edit.path}: no such file to diff against; send "content" for new files`);
+      else {
+        try {
+          byPath.set(edit.path, { ...current, content: applyUnifiedDiff(current.content, edit.diff) });
+          changes.push({ path: edit.path, action: "edited" });
+        } catch (error) {
+          issues.push(`${edit.path}: ${error instanceof Error ? error.message : String(error)}`);
+        }
+      }
+    } else {
+      byPath.set(edit.path, { path: edit.path, content: edit.content!, phase: current?.phase ?? "refine" });
+      changes.push({ path: edit.path, action: current ? "edited" : "added" });
+    }
+  }
+  if (issues.length) throw new OutputContractError(issues);
+
+  const plan = findPlan(files);
+  if (plan) {
+    const deleted = new Set(changes.filter(c => c.action === "deleted").map(c => c.path));
+    const added = changes.filter(c => c.action === "added").map(c => ({
+      path: c.path,
+      description: `Added when refining: ${instruction.slice(0, 200)}`
+    }));
+    const kept = plan.files
+      .filter(f => !deleted.has(f.path))
+      .map(f => (f.dependsOn ? { ...f, dependsOn: f.dependsOn.filter(dep => !deleted.has(dep)) } : f));
+    const manifest: ProjectPlan = { ...plan, files: [...kept, ...added] };
+    byPath.set(PLAN_PATH, { path: PLAN_PATH, content: JSON.stringify(manifest, null, 2), phase: "planning" });
+  }
+
+  return { updated: Array.from(byPath.values()), changes };
+}
+
+function repairPrompt(prompt: string, reply: string, issues: string[]): string {
+  const shown = reply.length > 8000 ? `${reply.slice(0, 8000)}\n…(truncated)` : reply;
+  return `${prompt}
+
+Your previous reply could not be used:
+${issues.map(issue => `- ${issue}`).join("\n")}
+
+Previous reply:
+${shown}
+
+Reply again with the complete answer, fixing those problems.`;
+}
+
+// POST /api/agents bodies carry lists as CSV (the builder joins them); phases need arrays
+export function normalizeGenerationRequest(body: Record<string, any>): CodeGenerationRequest {
+  const list = (value: unknown): string[] =>
+    Array.isArray(value) ? value.map(String)
+    : typeof value === "string" ? value.split(",").map(v => v.trim()).filter(Boolean)
+    : [];
+
+  return {
+    name: String(body.name ?? ""),
+    jtbds: String(body.jtbds ?? ""),
+    input_sources: list(body.input_sources),
+    outputs: list(body.outputs),
+    api_keys_required: list(body.api_keys_required),
+    visual_style: body.visual_style ?? {},
+    frontend_framework: body.frontend_framework === "react" ? "react" : "vite",
+    llm_models: body.llm_models && typeof body.llm_models === "object" ? body.llm_models : undefined
+  };
+}
+
 // Export factory function
-export function createCodeGenerator(env: EnvReq & { AGENT_STATE: DurableObjectNamespace }) {
-  return new CodeGenerator(env);
+export function createCodeGenerator(env: CodeGeneratorEnv, options: CodeGeneratorOptions = {}) {
+  return new CodeGenerator(env, options);
 }
\ No newline at end of file
@@ -1,8 +1,13 @@
 // src/core/template-customizer.ts
 // VibeSDK-style AI template customization pipeline
 
-import { generateUIWithGoogle, callLLM, type EnvReq, type LLMChoice, type Provider } from "../lib/llm";
+import { callLLM, forgetLLMReply, type EnvReq, type LLMChoice, type LLMUsage } from "../lib/llm";
+import { FILE_LIST_SCHEMA, OutputContractError, parseFileList } from "../lib/file-contract";
+import { createModelRouter } from "../lib/llm-router";
+import { outputInstructions, withRepair, type Asker } from "./code-generator";
+import { createUsageService, type UsageService } from "../services/usage";
 import { AgentStateDO } from "../do/AgentStateDO";
+import { BASE_DEPENDENCIES, BASE_DEV_DEPENDENCIES, reconcileDependencies, scanImports } from "../services/dependencies";
 import { readFileSync } from 'fs';
 import { join } from 'path';
 import YAML from 'yaml';
@@ -25,6 +30,7 @@ export interface TemplateDefinition {
     type: string;
     capabilities?: string[];
     providers?: string[];
+    secrets?: string[];
     purpose?: string;
   }>;
   deployment: {
@@ -71,8 +77,27 @@ export interface UserRequirements {
   llm_models: Record<string, string>;
 }
 
+// Where the customized UI goes
+const UI_PATH = "src/App.tsx";
+
+// llm_usage phase of customization calls
+const CUSTOMIZE_PHASE = "customize";
+
+// A model's reply and which "<provider>/<model>" gave it
+interface CustomizationReply {
+  text: string;
+  model: string;
+}
+
+// Without AGENT_REGISTRY_DB model calls go unaccounted and unbudgeted
+export type TemplateCustomizerEnv = EnvReq & { AGENT_STATE: DurableObjectNamespace; AGENT_REGISTRY_DB?: D1Database };
+
 export class TemplateCustomizer {
-  constructor(private env: EnvReq & { AGENT_STATE: DurableObjectNamespace }) {}
+  private usage?: UsageService;
+
+  constructor(private env: TemplateCustomizerEnv) {
+    if (env.AGENT_REGISTRY_DB) this.usage = createUsageService({ AGENT_REGISTRY_DB: env.AGENT_REGISTRY_DB });
+  }
 
   async customizeTemplate(
     templateName: string,
@@ -97,18 +122,21 @@ export class TemplateCustomizer {
     const customizedVars = this.applyVariableSubstitution(templateDef, userRequirements);
 
     // Generate UI customization
-    const uiCustomization = await this.generateUICustomization(templateDef, userRequirements, customizedVars);
+    const uiCustomization = await this.generateUICustomization(templateDef, userRequirements, customizedVars, agentId);
 
     // Generate functionality customization
-    const functionalityCustomization = await this.generateFunctionalityCustomization(templateDef, userRequirements, customizedVars);
+    const functionalityCustomization = await this.generateFunctionalityCustomization(templateDef, userRequirements, customizedVars, agentId);
 
-    // Apply package patches
-    const packagePatches = this.applyPackagePatches(templateDef, userRequirements);
+    // Apply package patches (reconciled against what the generated UI imports)
+    const packagePatches = this.applyPackagePatches(templateDef, userRequirements, [
+      { path: UI_PATH, content: uiCustomization.text }
+    ]);
 
     // Generate final app structure
     const finalApp = this.generateFinalAppStructure(templateDef, {
-      uiCustomization,
-      functionalityCustomization,
+      uiCustomization: uiCustomization.text,
+      functionalityCustomization: functionalityCustomization.text,
+      models: { ui: uiCustomization.model, functionality: functionalityCustomization.model },
       packagePatches,
       userRequirements,
       customizedVars
@@ -165,25 +193,71 @@ export class TemplateCustomizer {
   private async generateUICustomization(
     templateDef: TemplateDefinition,
     userRequirements: UserRequirements,
-    variables: Record<string, string>
-  ): Promise<string> {
-    const prompt = this.interpolatePrompt(templateDef.customization_prompts.ui_generation, variables, userRequirements);
-
-    // Use Google AI Studio for UI generation
-    const uiResult = await generateUIWithGoogle(this.env, "gemini-2.0-pro-exp", prompt);
-    return uiResult.files?.[0]?.content || "/* UI customization failed */";
+    variables: Record<string, string>,
+    agentId: string
+  ): Promise<CustomizationReply> {
+    const prompt = `${this.interpolatePrompt(templateDef.customization_prompts.ui_generation, variables, userRequirements)}
+
+${outputInstructions(FILE_LIST_SCHEMA)} Return only ${UI_PATH}.`;
+
+    // The user's "ui_copy" (or primary) model, else Google AI Studio for UI generation
+    const choice = createModelRouter(userRequirements.llm_models, userRequirements.jtbds, this.env).choose("ui_copy", { ui: true });
+    const asker = this.asker(choice, agentId, UI_PATH);
+    const text = await withRepair(UI_PATH, prompt, asker, reply => {
+      const file = parseFileList(reply).find(f => f.path === UI_PATH);
+      if (!file) throw new OutputContractError([`expected ${UI_PATH}`], reply);
+      return file.content;
+    });
+    return { text, model: asker.model! };
   }
 
   private async generateFunctionalityCustomization(
     templateDef: TemplateDefinition,
     userRequirements: UserRequirements,
-    variables: Record<string, string>
-  ): Promise<string> {
+    variables: Record<string, string>,
+    agentId: string
+  ): Promise<CustomizationReply> {
     const prompt = this.interpolatePrompt(templateDef.customization_prompts.functionality, variables, userRequirements);
 
     // Use appropriate LLM for functionality
     const llmChoice = this.selectLLMForCustomization(userRequirements);
-    return await callLLM(this.env, prompt, llmChoice);
+    return this.llm(prompt, llmChoice, agentId);
+  }
+
+  // Model calls for withRepair: repair rounds skip the LLM cache, and a rejected reply is dropped from it
+  private asker(choice: LLMChoice, agentId: string, path?: string): Asker {
+    const asker: Asker = {
+      ask: async (prompt, fresh) => {
+        const reply = await this.llm(prompt, choice, agentId, fresh, path);
+        asker.model = reply.model;
+        return reply.text;
+      },
+      reject: prompt => forgetLLMReply(this.env, prompt, choice)
+    };
+    return asker;
+  }
+
+  // Accounted to the agent in the "customize" phase; refused once its workspace's budget is spent
+  private async llm(
+    prompt: string,
+    choice: LLMChoice,
+    agentId: string,
+    fresh = false,
+    path?: string
+  ): Promise<CustomizationReply> {
+    await this.usage?.assertWithinBudget(agentId);
+
+    // Retries and fallbacks may hand the call on; the last successful attempt answered it
+    let answered: LLMUsage | undefined;
+    const text = await callLLM(this.env, prompt, choice, undefined, {
+      cache: !fresh,
+      onUsage: async call => {
+        if (call.ok) answered = call;
+        await this.usage?.record({ ...call, agentId, phase: CUSTOMIZE_PHASE, path });
+      }
+    });
+    const { provider, model } = answered ?? choice;
+    return { text, model: `${provider}/${model}` };
   }
 
   private interpolatePrompt(
@@ -208,23 +282,14 @@ export class TemplateCustomizer {
   }
 
   private selectLLMForCustomization(userRequirements: UserRequirements): LLMChoice {
-    // Use the LLM selected by user, fallback to Gemini
-    const primaryModel = userRequirements.llm_models?.primary || 'gemini-2.0-pro-exp';
-
-    const provider = (primaryModel.includes('gemini') ? 'googleai' :
-                     primaryModel.includes('claude') ? 'anthropic' :
-                     primaryModel.includes('gpt') ? 'openai' : 'googleai') as Provider;
-
-    return {
-      provider,
-      model: primaryModel,
-      reason: 'user_selected_model'
-    };
+    // The user's "generate" (or primary) model, else the JTBD heuristics
+    return createModelRouter(userRequirements.llm_models, userRequirements.jtbds, this.env).choose('generate');
   }
 
   private applyPackagePatches(
     templateDef: TemplateDefinition,
-    userRequirements: UserRequirements
+    userRequirements: UserRequirements,
+    generatedFiles: Array<{ path: string; content: string }> = []
   ): any {
     const patches = { ...templateDef.package_patches };
 
@@ -232,17 +297,31 @@ export class TemplateCustomizer {
     if (userRequirements.api_keys_required.includes('openai')) {
       patches.dependencies = {
         ...patches.dependencies,
-        'openai': '^4.0.0'
+        'openai': '4.52.7'
       };
     }
 
     if (userRequirements.api_keys_required.includes('anthropic')) {
       patches.dependencies = {
         ...patches.dependencies,
-        '@anthropic-ai/sdk': '^0.17.0'
+        '@anthropic-ai/sdk': '0.17.2'
       };
     }
 
+    // Packages the generated code imports but no patch declared are added here;
+    // the build pins them against the offline mirror and reports what it couldn't
+    const baseDependencies = BASE_DEPENDENCIES;
+    const { dependencies, issues } = reconcileDependencies(
+      scanImports(generatedFiles),
+      baseDependencies,
+      patches.dependencies
+    );
+    for (const name of Object.keys(baseDependencies)) {
+      if (!patches.dependencies?.[name]) delete dependencies[name];
+    }
+    patches.dependencies = dependencies;
+    patches.dependency_issues = issues.filter(i => i.kind !== 'unused' && !(i.package in baseDependencies));
+
     return patches;
   }
 
@@ -267,6 +346,8 @@ export class TemplateCustomizer {
       metadata: {
         template: templateDef.name,
         customized: true,
+        models: customizations.models, // "<provider>/<model>" that wrote the UI and the functionality
+        dependency_issues: customizations.packagePatches?.dependency_issues || [],
         user_requirements: customizations.userRequirements,
         generated_at: new Date().toISOString()
       }
@@ -284,16 +365,11 @@ export class TemplateCustomizer {
         preview: "vite preview"
       },
       dependencies: {
-        react: "^18.2.0",
-        "react-dom": "^18.2.0",
+        ...BASE_DEPENDENCIES,
         ...customizations.packagePatches?.dependencies
       },
       devDependencies: {
-        "@types/react": "^18.2.0",
-        "@types/react-dom": "^18.2.0",
-        "@vitejs/plugin-react": "^4.0.0",
-        typescript: "^5.0.0",
-        vite: "^4.0.0",
+        ...BASE_DEV_DEPENDENCIES,
         ...customizations.packagePatches?.devDependencies
       }
     };
@@ -412,6 +488,6 @@ export default defineConfig({
   }
 }
 
-export function createTemplateCustomizer(env: EnvReq & { AGENT_STATE: DurableObjectNamespace }) {
+export function createTemplateCustomizer(env: TemplateCustomizerEnv) {
   return new TemplateCustomizer(env);
 }
\ No newline at end of file
@@ -1,8 +1,9 @@
 // src/core/template-selector.ts
 // JTBD-based template selection with AI fallback generation
 
-import { pickLLMForJTBD, callLLM, type EnvReq } from "../lib/llm";
-import { createTemplateCustomizer, type UserRequirements } from "./template-customizer";
+import { callLLM } from "../lib/llm";
+import { createModelRouter } from "../lib/llm-router";
+import { createTemplateCustomizer, type TemplateCustomizerEnv, type UserRequirements } from "./template-customizer";
 import { readFileSync, readdirSync } from 'fs';
 import { join } from 'path';
 import YAML from 'yaml';
@@ -22,7 +23,7 @@ export interface TemplateSelectionResult {
 }
 
 export class TemplateSelector {
-  constructor(private env: EnvReq & { AGENT_STATE: DurableObjectNamespace }) {}
+  constructor(private env: TemplateCustomizerEnv) {}
 
   async selectTemplateForJTBD(userRequirements: UserRequirements): Promise<TemplateSelectionResult> {
     const availableTemplates = this.getAvailableTemplates();
@@ -209,8 +210,8 @@ export class TemplateSelector {
   }
 
   async generateCustomTemplate(userRequirements: UserRequirements, agentId: string): Promise<any> {
-    // Use AI to generate a completely custom template
-    const llmChoice = pickLLMForJTBD(userRequirements.jtbds);
+    // Use AI to generate a completely custom template, with the user's "generate" model if mapped
+    const llmChoice = createModelRouter(userRequirements.llm_models, userRequirements.jtbds, this.env).choose("generate");
 
     const prompt = `
 Create a custom app template based on these requirements:
@@ -245,15 +246,15 @@ Return the complete file structure as a JSON object with file paths as keys and
       };
     } catch (error) {
       // Fallback: generate a basic structure
-      return this.generateFallbackApp(userRequirements);
+      return this.generateFallbackApp(userRequirements, agentId);
     }
   }
 
-  private generateFallbackApp(userRequirements: UserRequirements): any {
+  private generateFallbackApp(userRequirements: UserRequirements, agentId: string): any {
     const customizer = createTemplateCustomizer(this.env);
 
     // Use the most flexible template as base and heavily customize it
-    return customizer.customizeTemplate('journal-app', userRequirements, 'fallback-agent');
+    return customizer.customizeTemplate('journal-app', userRequirements, agentId);
   }
 
   async templatizeGeneratedApp(generatedApp: any, templateName: string): Promise<void> {
@@ -299,6 +300,6 @@ Return the complete file structure as a JSON object with file paths as keys and
   }
 }
 
-export function createTemplateSelector(env: EnvReq & { AGENT_STATE: DurableObjectNamespace }) {
+export function createTemplateSelector(env: TemplateCustomizerEnv) {
   return new TemplateSelector(env);
 }
\ No newline at end of file
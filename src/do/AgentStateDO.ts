@@ -1,6 +1,112 @@
 // src/do/AgentStateDO.ts
-// Purpose: Durable Object for *resume-in-progress* state per user+agent.
-// Exposes an internal mini-API your Worker can call: GET/PUT/DELETE /session
+// Purpose: Durable Object for *resume-in-progress* state per user+agent, and for
+// checkpointed code generation per agent (named by agent id).
+// Exposes an internal mini-API your Worker can call: GET/PUT/DELETE /session,
+// POST /generate, POST /generate/resume, POST /generate/files, POST /generate/cancel,
+// GET /status, GET /ws, POST/DELETE /lock, DELETE /all
+//
+// Generation runs one step per alarm: "planning" writes the manifest
+// (project-structure.json) and expands into one step per planned file, in
+// dependency order, then "build" (build + publish). A step's file is stored before
+// the next alarm is set, so an evicted isolate picks up at the first step that
+// isn't completed. Failing steps retry with backoff; after MAX_STEP_ATTEMPTS the
+// run stops as "failed" until /generate/resume; a step refused by the workspace's
+// LLM budget fails at once. /generate/files regenerates chosen files of a
+// finished run and rebuilds.
+//
+// One piece of generation work runs per agent at a time. A step holds the lock
+// (a lease, so a dead isolate can't keep it) and other writers — refine, deploys —
+// take it through /lock. Each acquisition gets its own holder token, and only that
+// token releases it. A generation requested while the agent is busy is queued (the
+// latest request wins) and starts when the active work ends. /generate/cancel
+// aborts the step's in-flight model calls and stops the run as "cancelled".
+//
+// /ws is the agent's progress channel (a hibernatable WebSocket): the run's status
+// on connect and on every change, the model's reply text as each file is written,
+// and each file once it's stored — see ProgressMessage.
+
+import type {
+  CodeGenerationRequest,
+  CodeGeneratorEnv,
+  GeneratedFile,
+  GenerationProgress
+} from "../core/code-generator";
+import { findPlan } from "../lib/file-contract";
+import { recordAgentEvent } from "../lib/events";
+import { BudgetExceededError } from "../services/usage";
+
+export type AgentStateEnv = Omit<CodeGeneratorEnv, "AI_GATEWAY"> & {
+  AI_GATEWAY?: string;
+  CLOUDFLARE_AI_GATEWAY?: string; // the Worker's name for AI_GATEWAY
+};
+
+export type GenerationStepStatus = "pending" | "running" | "completed" | "failed";
+
+export interface GenerationStep {
+  name: string;                   // "planning", a planned file's phase, or "build"
+  path?: string;                  // the planned file this step generates
+  status: GenerationStepStatus;
+  attempts: number;
+  error?: string;
+  model?: string;                 // "<provider>/<model>" that wrote the step's file
+  startedAt?: number;
+  completedAt?: number;
+}
+
+export interface GenerationRun {
+  agentId: string;
+  request: CodeGenerationRequest;
+  status: "queued" | "running" | "completed" | "failed" | "cancelled"; // queued: waiting on the lock
+  steps: GenerationStep[];
+  progress: number;               // 0–100, completed steps
+  result?: {
+    preview_url?: string;
+    deployment_id?: string;
+    build_success?: boolean;
+    errors?: string[];
+  };
+  error?: string;
+  startedAt: number;
+  updatedAt: number;
+}
+
+// What GET /status returns; `stalled` = running with no alarm or step left to drive it,
+// `queuedAt` = a new generation is waiting for this one to end
+export type GenerationStatus = Omit<GenerationRun, "request"> & { stalled: boolean; queuedAt?: number };
+
+export interface GenerationLock {
+  holder: string;                 // "generation" while a step runs, else "<purpose>:<uuid>" (refine:…)
+  expiresAt: number;
+}
+
+// What /ws clients receive. "reply" starts a model reply for a file (a repair
+// round starts another), "token" carries its text, "file" the stored result
+export type ProgressMessage =
+  | { type: "status"; run: Omit<GenerationStatus, "stalled" | "queuedAt"> | { status: "idle" } }
+  | GenerationProgress
+  | { type: "file"; path: string; phase: string; content: string };
+
+interface QueuedGeneration {
+  agentId: string;
+  request: CodeGenerationRequest;
+  queuedAt: number;
+}
+
+const PLANNING_STEP = "planning";
+const BUILD_STEP = "build";
+const MAX_STEP_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 15_000;    // × attempts so far
+const STEP_LEASE_MS = 10 * 60_000; // a step holding the lock longer is presumed dead
+const STEP_HOLDER = "generation";
+const FILES_PREFIX = "files:";    // files:<path>, one value per file
+const TOKEN_FLUSH_MS = 100;       // reply text is sent to /ws clients in batches this far apart
+
+// Start/resume/regenerate/cancel/lock refused: 409 in the current state, 400 for a bad request
+class GenerationConflict extends Error {
+  constructor(message: string, public status: 400 | 409 = 409) {
+    super(message);
+  }
+}
 
 export interface SessionState {
   agentId: string;
@@ -13,10 +119,13 @@ export interface SessionState {
 export class AgentStateDO {
   state: DurableObjectState;
   storage: DurableObjectStorage;
+  env: AgentStateEnv;
+  private inflight: AbortController | null = null; // the running step's model calls
 
-  constructor(state: DurableObjectState, _env: unknown) {
+  constructor(state: DurableObjectState, env: AgentStateEnv) {
     this.state = state;
     this.storage = state.storage;
+    this.env = env;
   }
 
   // Read current session snapshot (or null if none)
@@ -50,6 +159,249 @@ export class AgentStateDO {
     await this.storage.delete("session");
   }
 
+  // Start a fresh generation run, or queue it while the agent is busy
+  async startGeneration(agentId: string, request: CodeGenerationRequest): Promise<GenerationStatus> {
+    const run = await this.storage.get<GenerationRun>("generation");
+    const active = !!run && (await this.isActive(run));
+    const lock = await this.currentLock();
+    if (active || lock) {
+      const queued: QueuedGeneration = { agentId, request, queuedAt: Date.now() };
+      await this.storage.put("queued", queued);
+      // Only a lock in the way: nothing ends a run to start it, so wake up when the lease does
+      if (!active && lock) await this.storage.setAlarm(lock.expiresAt);
+      if (run && run.status !== "queued") return this.statusOf(run);
+      // Nothing to show yet; a placeholder run reports the wait
+      return this.statusOf(await this.newRun(agentId, request, "queued"));
+    }
+    return this.beginGeneration(agentId, request);
+  }
+
+  // Continue from the first step that isn't completed; earlier checkpoints are kept
+  async resumeGeneration(): Promise<GenerationStatus> {
+    const run = await this.storage.get<GenerationRun>("generation");
+    if (!run || run.status === "queued") throw new GenerationConflict("No generation run to resume");
+    if (run.status === "completed") throw new GenerationConflict("Generation already completed");
+    if (await this.isActive(run)) return this.statusOf(run);
+    await this.refuseIfLocked();
+
+    for (const step of run.steps) {
+      if (step.status !== "completed") {
+        step.status = "pending";
+        step.attempts = 0;
+        delete step.error;
+      }
+    }
+    run.status = "running";
+    delete run.error;
+    await this.saveRun(run);
+    await this.storage.setAlarm(Date.now());
+    return this.statusOf(run);
+  }
+
+  // Generate the given planned files again, with the current versions as context,
+  // then rebuild; files depending on them are left as they are
+  async regenerateFiles(paths: string[]): Promise<GenerationStatus> {
+    const run = await this.storage.get<GenerationRun>("generation");
+    if (!run || run.status === "queued") throw new GenerationConflict("No generation run to regenerate from");
+    if (await this.isActive(run)) throw new GenerationConflict("Generation is still running");
+    await this.refuseIfLocked();
+
+    const steps = paths.map(path => run.steps.find(s => s.path === path));
+    const unknown = paths.filter((_, i) => !steps[i]);
+    if (unknown.length) throw new GenerationConflict(`Not in the plan: ${unknown.join(", ")}`, 400);
+
+    for (const step of [...steps, run.steps.find(s => s.name === BUILD_STEP)]) {
+      if (!step) continue;
+      step.status = "pending";
+      step.attempts = 0;
+      delete step.error;
+    }
+    run.status = "running";
+    delete run.error;
+    delete run.result;
+    await this.saveRun(run);
+    await this.storage.setAlarm(Date.now());
+    return this.statusOf(run);
+  }
+
+  // Stop the run where it is: the step's model calls abort, nothing more is
+  // published, and any queued generation is dropped. /generate/resume picks it up again
+  async cancelGeneration(): Promise<GenerationStatus> {
+    const run = await this.storage.get<GenerationRun>("generation");
+    if (!run || (run.status !== "running" && run.status !== "queued")) {
+      throw new GenerationConflict("No generation in progress to cancel");
+    }
+
+    for (const step of run.steps) {
+      if (step.status === "running") step.status = "pending";
+    }
+    run.status = "cancelled";
+    run.error = "Cancelled";
+    await this.saveRun(run);
+    await this.storage.deleteAlarm();
+    await this.storage.delete("queued");
+    this.inflight?.abort(new Error("Generation cancelled"));
+
+    if (this.env.AGENT_REGISTRY_DB) {
+      await recordAgentEvent(this.env.AGENT_REGISTRY_DB, run.agentId, "cancel", {
+        steps: run.steps.map(s => `${s.path ?? s.name}:${s.status}`)
+      });
+    }
+    return this.statusOf(run);
+  }
+
+  async getGenerationStatus(): Promise<GenerationStatus | null> {
+    const run = await this.storage.get<GenerationRun>("generation");
+    return run ? this.statusOf(run) : null;
+  }
+
+  // Take the agent's lock for work outside the alarm loop (refine, deploy). Refused
+  // while a generation is active or any lock is live, ours or not. The returned
+  // holder is the token that releases it
+  async acquireLock(purpose: string, ttlMs: number): Promise<GenerationLock> {
+    const run = await this.storage.get<GenerationRun>("generation");
+    if (run && (await this.isActive(run))) throw new GenerationConflict("Generation is running");
+    await this.refuseIfLocked();
+
+    const lock: GenerationLock = { holder: `${purpose}:${crypto.randomUUID()}`, expiresAt: Date.now() + ttlMs };
+    await this.storage.put("lock", lock);
+    return lock;
+  }
+
+  // Let go of the lock (if `holder` is its token) and start whatever queued up behind it
+  async releaseLock(holder: string): Promise<void> {
+    const current = await this.storage.get<GenerationLock>("lock");
+    if (current?.holder === holder) await this.storage.delete("lock");
+    await this.startQueued();
+  }
+
+  // Runs exactly one step, then schedules the next (or a retry)
+  async alarm(): Promise<void> {
+    const run = await this.storage.get<GenerationRun>("generation");
+    if (!run || run.status !== "running") {
+      await this.startQueued(); // a queued run waiting out someone else's lock
+      return;
+    }
+
+    const index = run.steps.findIndex(s => s.status !== "completed");
+    if (index === -1) return;
+    const step = run.steps[index];
+
+    // Someone else (a refine or deploy) is working; try again when their lease runs out
+    const lock = await this.currentLock();
+    if (lock && lock.holder !== STEP_HOLDER) {
+      await this.storage.setAlarm(lock.expiresAt);
+      return;
+    }
+    await this.storage.put("lock", { holder: STEP_HOLDER, expiresAt: Date.now() + STEP_LEASE_MS });
+
+    // Marked before the work so an eviction mid-step still counts as an attempt
+    step.status = "running";
+    step.attempts++;
+    step.startedAt = Date.now();
+    delete step.error;
+    await this.saveRun(run);
+
+    const { createCodeGenerator } = await import("../core/code-generator");
+    const inflight = (this.inflight = new AbortController());
+    const relay = this.relayProgress();
+    const generator = createCodeGenerator({
+      ...this.env,
+      AI_GATEWAY: this.env.AI_GATEWAY || this.env.CLOUDFLARE_AI_GATEWAY || ""
+    }, { signal: inflight.signal, agentId: run.agentId, onProgress: relay.onProgress });
+
+    let retryable = true;
+    try {
+      const files = await this.loadFiles();
+      if (step.name === BUILD_STEP) {
+        const result = await generator.finish(files, run.request, run.agentId);
+        const build = result.build_result;
+        run.result = {
+          preview_url: result.preview_url,
+          deployment_id: result.deployment_id,
+          build_success: !!build?.success,
+          errors: build?.errors
+        };
+        if (!build?.success) {
+          retryable = false; // the same files won't build on a retry
+          throw new Error(`Build failed${run.result.errors?.length ? `: ${run.result.errors[0]}` : ""}`);
+        }
+      } else if (step.name === PLANNING_STEP) {
+        const manifest = await generator.planProject(run.request);
+        relay.flush(); // the reply's last text before the file it became
+        await this.saveFile(manifest);
+        step.model = manifest.model;
+        // The manifest is the work queue: one step per planned file, before the build
+        const plan = findPlan([manifest])!;
+        run.steps = [
+          ...run.steps.slice(0, index + 1),
+          ...plan.files.map(f => ({ name: f.phase || "core", path: f.path, status: "pending" as const, attempts: 0 })),
+          ...run.steps.filter(s => s.name === BUILD_STEP)
+        ];
+      } else {
+        const planned = findPlan(files)?.files.find(f => f.path === step.path);
+        if (!planned) {
+          retryable = false;
+          throw new Error(`${step.path} is not in the plan`);
+        }
+        const file = await generator.generateFile(run.request, planned, files);
+        relay.flush();
+        await this.saveFile(file);
+        step.model = file.model;
+      }
+      step.status = "completed";
+      step.completedAt = Date.now();
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      step.error = message;
+      if (error instanceof BudgetExceededError) retryable = false; // no retry helps until the budget is raised
+      console.error(`Generation step ${step.name} for ${run.agentId} failed (attempt ${step.attempts}):`, error);
+
+      if (!retryable || step.attempts >= MAX_STEP_ATTEMPTS) {
+        step.status = "failed";
+        run.status = "failed";
+        run.error = `${step.path ?? step.name}: ${message}`;
+      } else {
+        step.status = "pending";
+      }
+    } finally {
+      relay.flush();
+      if (this.inflight === inflight) this.inflight = null;
+    }
+
+    // Cancelled while the step ran: its outcome no longer applies
+    const latest = await this.storage.get<GenerationRun>("generation");
+    if (latest?.status !== "running" || latest.startedAt !== run.startedAt) {
+      await this.releaseLock(STEP_HOLDER);
+      return;
+    }
+
+    run.progress = Math.round((run.steps.filter(s => s.status === "completed").length / run.steps.length) * 100);
+    if (run.steps.every(s => s.status === "completed")) run.status = "completed";
+    await this.saveRun(run);
+    await this.storage.delete("lock");
+
+    if (run.status === "running") {
+      await this.storage.setAlarm(Date.now() + (step.status === "pending" ? RETRY_DELAY_MS * step.attempts : 0));
+      return;
+    }
+    if (this.env.AGENT_REGISTRY_DB) {
+      await recordAgentEvent(this.env.AGENT_REGISTRY_DB, run.agentId, run.status === "completed" ? "build" : "error", {
+        generation: run.status,
+        steps: run.steps.map(s => `${s.path ?? s.name}:${s.status}`),
+        previewUrl: run.result?.preview_url,
+        error: run.error
+      });
+    }
+    await this.startQueued();
+  }
+
+  // Wipe everything this object stores (agent teardown)
+  async destroy(): Promise<void> {
+    await this.storage.deleteAlarm();
+    await this.storage.deleteAll();
+  }
+
   // Minimal internal API for your Worker to call via stub.fetch(...)
   async fetch(request: Request): Promise<Response> {
     const url = new URL(request.url);
@@ -70,7 +422,189 @@ export class AgentStateDO {
       await this.clearSession();
       return json({ ok: true });
     }
+    if (request.method === "POST" && url.pathname === "/generate") {
+      const { agentId, request: generation } = await request.json<any>().catch(() => ({}));
+      if (!agentId || !generation) return json({ error: "agentId and request are required" }, 400);
+      return this.generationResponse(() => this.startGeneration(agentId, generation), json);
+    }
+    if (request.method === "POST" && url.pathname === "/generate/resume") {
+      return this.generationResponse(() => this.resumeGeneration(), json);
+    }
+    if (request.method === "POST" && url.pathname === "/generate/files") {
+      const { paths } = await request.json<any>().catch(() => ({}));
+      if (!Array.isArray(paths) || !paths.length) return json({ error: "paths must be a non-empty array" }, 400);
+      return this.generationResponse(() => this.regenerateFiles(paths.map(String)), json);
+    }
+    if (request.method === "POST" && url.pathname === "/generate/cancel") {
+      return this.generationResponse(() => this.cancelGeneration(), json);
+    }
+    if (request.method === "POST" && url.pathname === "/lock") {
+      const { purpose, ttlMs } = await request.json<any>().catch(() => ({}));
+      if (typeof purpose !== "string" || !/^[\w-]+$/.test(purpose) || !(Number(ttlMs) > 0)) {
+        return json({ error: "purpose (a word) and ttlMs are required" }, 400);
+      }
+      return this.generationResponse(() => this.acquireLock(purpose, Number(ttlMs)), json);
+    }
+    if (request.method === "DELETE" && url.pathname === "/lock") {
+      await this.releaseLock(url.searchParams.get("holder") || "");
+      return json({ ok: true });
+    }
+    if (request.method === "GET" && url.pathname === "/ws") {
+      if (request.headers.get("Upgrade") !== "websocket") return json({ error: "Expected a WebSocket upgrade" }, 426);
+      const [client, server] = Object.values(new WebSocketPair());
+      this.state.acceptWebSocket(server);
+      server.send(JSON.stringify({ type: "status", run: (await this.getGenerationStatus()) ?? { status: "idle" } }));
+      return new Response(null, { status: 101, webSocket: client });
+    }
+    if (request.method === "GET" && url.pathname === "/status") {
+      return json((await this.getGenerationStatus()) ?? { status: "idle" });
+    }
+    if (request.method === "DELETE" && url.pathname === "/all") {
+      await this.destroy();
+      return json({ ok: true });
+    }
     return new Response("Not found", { status: 404 });
   }
+
+  // Progress clients only listen; close politely when they go
+  async webSocketClose(ws: WebSocket, code: number, reason: string): Promise<void> {
+    ws.close(code, reason);
+  }
+
+  private broadcast(message: ProgressMessage): void {
+    const sockets = this.state.getWebSockets();
+    if (!sockets.length) return;
+    const text = JSON.stringify(message);
+    for (const ws of sockets) {
+      try {
+        ws.send(text);
+      } catch {
+        // Closing; the runtime drops it
+      }
+    }
+  }
+
+  // The generator's reply stream for /ws clients, text batched every TOKEN_FLUSH_MS
+  private relayProgress(): { onProgress: (event: GenerationProgress) => void; flush: () => void } {
+    let pending: Extract<GenerationProgress, { type: "token" }> | null = null;
+    let sentAt = 0;
+    const flush = () => {
+      if (pending) this.broadcast(pending);
+      pending = null;
+      sentAt = Date.now();
+    };
+    const onProgress = (event: GenerationProgress) => {
+      if (event.type === "reply") {
+        flush();
+        this.broadcast(event);
+        return;
+      }
+      if (pending) pending.text += event.text;
+      else pending = { ...event };
+      if (Date.now() - sentAt >= TOKEN_FLUSH_MS) flush();
+    };
+    return { onProgress, flush };
+  }
+
+  private async generationResponse(
+    action: () => Promise<GenerationStatus | GenerationLock>,
+    json: (body: unknown, status?: number) => Response
+  ): Promise<Response> {
+    try {
+      return json(await action());
+    } catch (error) {
+      if (error instanceof GenerationConflict) return json({ error: error.message }, error.status);
+      throw error;
+    }
+  }
+
+  private async saveRun(run: GenerationRun): Promise<void> {
+    run.updatedAt = Date.now();
+    await this.storage.put("generation", run);
+    const { request: _request, ...status } = run;
+    this.broadcast({ type: "status", run: status });
+  }
+
+  private async beginGeneration(agentId: string, request: CodeGenerationRequest): Promise<GenerationStatus> {
+    await this.deleteFiles(FILES_PREFIX);
+    const run = await this.newRun(agentId, request, "running");
+    await this.storage.setAlarm(Date.now());
+    return this.statusOf(run);
+  }
+
+  private async newRun(
+    agentId: string,
+    request: CodeGenerationRequest,
+    status: GenerationRun["status"]
+  ): Promise<GenerationRun> {
+    const now = Date.now();
+    const run: GenerationRun = {
+      agentId,
+      request,
+      status,
+      // File steps are added once planning has written the manifest
+      steps: [PLANNING_STEP, BUILD_STEP].map(name => ({ name, status: "pending", attempts: 0 })),
+      progress: 0,
+      startedAt: now,
+      updatedAt: now
+    };
+    await this.saveRun(run);
+    return run;
+  }
+
+  // The queued generation, once nothing is running and nobody holds the lock
+  private async startQueued(): Promise<void> {
+    const queued = await this.storage.get<QueuedGeneration>("queued");
+    if (!queued || (await this.currentLock())) return;
+    const run = await this.storage.get<GenerationRun>("generation");
+    if (run && (await this.isActive(run))) return;
+
+    await this.storage.delete("queued");
+    await this.beginGeneration(queued.agentId, queued.request);
+  }
+
+  // Running and still driven: an alarm is set or a step holds the lock
+  private async isActive(run: GenerationRun): Promise<boolean> {
+    return run.status === "running" && !(await this.statusOf(run)).stalled;
+  }
+
+  // Unexpired lock, if any
+  private async currentLock(): Promise<GenerationLock | null> {
+    const lock = await this.storage.get<GenerationLock>("lock");
+    return lock && lock.expiresAt > Date.now() ? lock : null;
+  }
+
+  private async refuseIfLocked(): Promise<void> {
+    const lock = await this.currentLock();
+    if (lock) throw new GenerationConflict(`Agent is busy (${lock.holder.split(":")[0]})`);
+  }
+
+  private async statusOf(run: GenerationRun): Promise<GenerationStatus> {
+    const scheduled = (await this.storage.getAlarm()) !== null;
+    const stepRunning = (await this.currentLock())?.holder === STEP_HOLDER;
+    const queued = await this.storage.get<QueuedGeneration>("queued");
+    const { request: _request, ...status } = run;
+    return { ...status, stalled: run.status === "running" && !scheduled && !stepRunning, queuedAt: queued?.queuedAt };
+  }
+
+  // Every checkpointed file, by path
+  private async loadFiles(): Promise<GeneratedFile[]> {
+    const entries = await this.storage.list<GeneratedFile>({ prefix: FILES_PREFIX });
+    return Array.from(entries.values());
+  }
+
+  // One value per file keeps each well under the 128 KiB storage value limit;
+  // a regenerated file replaces its earlier version
+  private async saveFile(file: GeneratedFile): Promise<void> {
+    await this.storage.put(`${FILES_PREFIX}${file.path}`, file);
+    this.broadcast({ type: "file", ...file });
+  }
+
+  private async deleteFiles(prefix: string): Promise<void> {
+    const keys = Array.from((await this.storage.list({ prefix })).keys());
+    for (let i = 0; i < keys.length; i += 128) {
+      await this.storage.delete(keys.slice(i, i + 128));
+    }
+  }
 }
 
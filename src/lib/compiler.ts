@@ -0,0 +1,230 @@
+// src/lib/compiler.ts
+// Codr — In-Worker bundling for generated apps (esbuild-wasm, native esbuild for local Node runs)
+
+import type { BuildFailure, Message, Metafile, OutputFile, Plugin } from "esbuild-wasm";
+
+type Esbuild = typeof import("esbuild-wasm");
+
+export interface SourceFile {
+  path: string;
+  content: string;
+}
+
+export interface CompileOptions {
+  entryPoints: string[];                // project-relative paths, e.g. "src/main.tsx"
+  external?: (specifier: string) => boolean;
+  plugins?: Plugin[];                   // run before the virtual file system resolver
+  minify?: boolean;
+}
+
+export interface CompiledOutput {
+  path: string;                         // e.g. "assets/main-ABC123.js"
+  content: string;
+}
+
+export interface CompileResult {
+  success: boolean;
+  outputs: CompiledOutput[];
+  metafile?: Metafile;
+  errors: string[];
+  warnings: string[];
+}
+
+const VFS_NAMESPACE = "codr-vfs";
+const RESOLVE_EXTENSIONS = ["", ".tsx", ".ts", ".jsx", ".js", ".mjs", ".json", ".css"];
+const INDEX_FILES = ["index.tsx", "index.ts", "index.jsx", "index.js"];
+
+// --------------------- esbuild loader ---------------------
+let esbuildPromise: Promise<Esbuild> | null = null;
+
+function isWorkerRuntime() {
+  return typeof navigator !== "undefined" && navigator.userAgent === "Cloudflare-Workers";
+}
+
+export function loadEsbuild(): Promise<Esbuild> {
+  if (!esbuildPromise) {
+    esbuildPromise = (async () => {
+      if (isWorkerRuntime()) {
+        // Workers can't compile wasm from bytes at runtime, so the module is
+        // bundled by wrangler and handed to esbuild pre-compiled.
+        const esbuild = await import("esbuild-wasm/esm/browser.js");
+        const { default: wasmModule } = await import("esbuild-wasm/esbuild.wasm");
+        await esbuild.initialize({ wasmModule, worker: false });
+        return esbuild as unknown as Esbuild;
+      }
+
+      // Local Node path (scripts, dev tooling): use the native binary.
+      // Kept as a variable so wrangler doesn't try to bundle it into the Worker.
+      const nativePackage = "esbuild";
+      return (await import(/* @vite-ignore */ nativePackage)) as Esbuild;
+    })().catch(error => {
+      esbuildPromise = null;
+      throw error;
+    });
+  }
+  return esbuildPromise;
+}
+
+// --------------------- Path helpers ---------------------
+// Normalise to a project-relative POSIX path ("./src/../src/App.tsx" → "src/App.tsx").
+// Returns null when the path escapes the project root.
+export function normalizePath(path: string): string | null {
+  const segments: string[] = [];
+  for (const part of path.replace(/\\/g, "/").split("/")) {
+    if (!part || part === ".") continue;
+    if (part === "..") {
+      if (!segments.length) return null;
+      segments.pop();
+      continue;
+    }
+    segments.push(part);
+  }
+  return segments.join("/");
+}
+
+function dirname(path: string) {
+  const idx = path.lastIndexOf("/");
+  return idx === -1 ? "" : path.slice(0, idx);
+}
+
+function isBareSpecifier(specifier: string) {
+  return !specifier.startsWith(".") && !specifier.startsWith("/") && !/^[a-z]+:/i.test(specifier);
+}
+
+function loaderFor(path: string) {
+  const ext = path.slice(path.lastIndexOf(".") + 1).toLowerCase();
+  switch (ext) {
+    case "tsx": return "tsx" as const;
+    case "ts": return "ts" as const;
+    case "jsx": return "jsx" as const;
+    case "js":
+    case "mjs": return "js" as const;
+    case "css": return "css" as const;
+    case "json": return "json" as const;
+    case "svg": return "dataurl" as const;
+    default: return "text" as const;
+  }
+}
+
+// --------------------- Virtual file system plugin ---------------------
+function virtualFileSystem(files: Map<string, string>, external: (specifier: string) => boolean): Plugin {
+  const lookup = (base: string): string | null => {
+    for (const ext of RESOLVE_EXTENSIONS) {
+      if (files.has(base + ext)) return base + ext;
+    }
+    for (const index of INDEX_FILES) {
+      const candidate = base ? `${base}/${index}` : index;
+      if (files.has(candidate)) return candidate;
+    }
+    return null;
+  };
+
+  return {
+    name: "codr-vfs",
+    setup(build) {
+      build.onResolve({ filter: /.*/ }, args => {
+        const specifier = args.path;
+
+        // URLs (CDN imports, data:) are left for the browser to fetch
+        if (/^(https?:|data:)/.test(specifier)) return { path: specifier, external: true };
+
+        if (args.kind !== "entry-point" && isBareSpecifier(specifier)) {
+          if (external(specifier)) return { path: specifier, external: true };
+          return { errors: [{ text: `Package "${specifier}" is not available to this build` }] };
+        }
+
+        const base = specifier.startsWith("/") || args.kind === "entry-point"
+          ? normalizePath(specifier)
+          : normalizePath(`${dirname(args.importer)}/${specifier}`);
+
+        if (base === null) {
+          return { errors: [{ text: `Import "${specifier}" points outside the project` }] };
+        }
+
+        const resolved = lookup(base);
+        if (!resolved) return { errors: [{ text: `Could not resolve "${specifier}"` }] };
+
+        return { path: resolved, namespace: VFS_NAMESPACE };
+      });
+
+      build.onLoad({ filter: /.*/, namespace: VFS_NAMESPACE }, args => ({
+        contents: files.get(args.path) ?? "",
+        loader: loaderFor(args.path),
+        resolveDir: `/${dirname(args.path)}`
+      }));
+    }
+  };
+}
+
+// --------------------- Diagnostics ---------------------
+export function formatMessage(message: Message): string {
+  const loc = message.location;
+  if (!loc) return message.text;
+  const file = loc.file.replace(new RegExp(`^${VFS_NAMESPACE}:`), "");
+  return `${file}:${loc.line}:${loc.column}: ${message.text}`;
+}
+
+function isBuildFailure(error: unknown): error is BuildFailure {
+  return !!error && typeof error === "object" && Array.isArray((error as BuildFailure).errors);
+}
+
+// --------------------- Compile ---------------------
+export async function compile(files: SourceFile[], options: CompileOptions): Promise<CompileResult> {
+  const esbuild = await loadEsbuild();
+
+  const fileMap = new Map<string, string>();
+  for (const file of files) {
+    const path = normalizePath(file.path);
+    if (path) fileMap.set(path, file.content);
+  }
+
+  try {
+    const result = await esbuild.build({
+      entryPoints: options.entryPoints,
+      absWorkingDir: "/",
+      outdir: "/dist",
+      entryNames: "assets/[name]-[hash]",
+      chunkNames: "assets/chunk-[hash]",
+      assetNames: "assets/[name]-[hash]",
+      bundle: true,
+      splitting: true,
+      format: "esm",
+      target: "es2020",
+      jsx: "automatic",
+      minify: options.minify ?? true,
+      metafile: true,
+      write: false,
+      logLevel: "silent",
+      define: { "process.env.NODE_ENV": '"production"' },
+      plugins: [
+        ...(options.plugins || []),
+        virtualFileSystem(fileMap, options.external || (() => true))
+      ]
+    });
+
+    return {
+      success: result.errors.length === 0,
+      outputs: result.outputFiles.map(toOutput),
+      metafile: result.metafile,
+      errors: result.errors.map(formatMessage),
+      warnings: result.warnings.map(formatMessage)
+    };
+  } catch (error) {
+    if (isBuildFailure(error)) {
+      return {
+        success: false,
+        outputs: [],
+        errors: error.errors.map(formatMessage),
+        warnings: error.warnings.map(formatMessage)
+      };
+    }
+    throw error;
+  }
+}
+
+function toOutput(file: OutputFile): CompiledOutput {
+  return {
+    path: file.path.replace(/^\/?dist\//, ""),
+    content: file.text
+  };
+}
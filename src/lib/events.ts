@@ -0,0 +1,29 @@
+// src/lib/events.ts
+// Codr — Append-only agent event log (D1 agent_events)
+
+export type AgentEventKind = "build" | "preview" | "deploy" | "promote" | "rollback" | "refine" | "cancel" | "error";
+
+export async function recordAgentEvent(
+  db: D1Database,
+  agentId: string,
+  kind: AgentEventKind,
+  detail: Record<string, unknown> = {}
+): Promise<void> {
+  try {
+    await db
+      .prepare(`INSERT INTO agent_events (agent_id,kind,detail) VALUES (?,?,?)`)
+      .bind(agentId, kind, JSON.stringify(detail))
+      .run();
+  } catch (error) {
+    // Logging must never fail the operation it describes
+    console.error(`Failed to record ${kind} event for ${agentId}:`, error);
+  }
+}
+
+export async function listAgentEvents(db: D1Database, agentId: string, limit = 50) {
+  const res = await db
+    .prepare(`SELECT id, kind, detail, at FROM agent_events WHERE agent_id = ? ORDER BY at DESC, id DESC LIMIT ?`)
+    .bind(agentId, limit)
+    .all<{ id: number; kind: string; detail: string | null; at: string }>();
+  return (res.results || []).map(row => ({ ...row, detail: row.detail ? JSON.parse(row.detail) : null }));
+}
@@ -0,0 +1,293 @@
+// src/lib/file-contract.ts
+// Codr — The output contract every generation phase must meet
+//
+// A phase reply is a file list: {"files":[{"path":"src/App.tsx","content":"…"}]}.
+// It may arrive bare, inside a ```json fence, or as one fenced block per file
+// labelled with its path (```tsx src/App.tsx). Anything else is rejected with the
+// list of problems, which the caller can send back to the model for a repair.
+//
+// The planning reply is the project manifest: every file the app needs, with the
+// planned files each one imports. It is stored as project-structure.json and is
+// the work queue for generation and the checklist for build and QA.
+//
+// A refine reply is a list of edits to an existing file set: a unified diff, a
+// full replacement or a deletion per file.
+
+export interface FileEntry {
+  path: string;
+  content: string;
+}
+
+export interface PlannedFile {
+  path: string;
+  description: string;
+  phase?: string;       // which generation phase's guidance applies
+  dependsOn?: string[]; // planned files this one imports; generated first
+}
+
+export interface ProjectPlan {
+  files: PlannedFile[];
+  [key: string]: unknown; // e.g. "structure", kept as the model wrote it
+}
+
+export interface FileEdit {
+  path: string;
+  diff?: string;     // unified diff against the current file
+  content?: string;  // whole new contents (new files, large rewrites)
+  delete?: true;
+}
+
+export class OutputContractError extends Error {
+  constructor(public issues: string[], public reply?: string) {
+    super(issues.join("; "));
+    this.name = "OutputContractError";
+  }
+}
+
+export const FILE_LIST_SCHEMA = `{"files":[{"path":"src/App.tsx","content":"<complete file contents>"}]}`;
+export const PLAN_SCHEMA = `{"files":[{"path":"src/App.tsx","description":"<what this file does>","phase":"core","dependsOn":["src/types.ts"]}]}`;
+
+export const EDITS_SCHEMA = `{"edits":[{"path":"src/App.tsx","diff":"@@ -12,3 +12,4 @@\\n ..."},{"path":"src/Tags.tsx","content":"<complete file contents>"},{"path":"src/Old.tsx","delete":true}]}`;
+
+// Where the manifest is kept among the generated files
+export const PLAN_PATH = "project-structure.json";
+
+// Where generated files may live: under these folders, or one of the root config files
+export const ALLOWED_ROOTS = ["src/", "public/"];
+const ROOT_FILES = /^(index\.html|package\.json|tsconfig(\.[\w-]+)?\.json|(vite|tailwind|postcss)\.config\.(ts|js|cjs|mjs)|README\.md)$/;
+
+const FENCE = /```([^\n`]*)\n([\s\S]*?)```/g;
+
+export function parseFileList(reply: string): FileEntry[] {
+  const json = extractJSON(reply);
+  if (json !== undefined) return validateFileList(json, reply);
+
+  // One fenced block per file, path after the language tag
+  const files: FileEntry[] = [];
+  for (const [, info, body] of reply.matchAll(FENCE)) {
+    const path = info.trim().split(/\s+/).find(part => part.includes("/") || part.includes("."));
+    if (path) files.push({ path: path.replace(/^(title|file|path)=["']?|["']$/g, ""), content: body });
+  }
+  if (files.length) return validateFileList({ files }, reply);
+
+  throw new OutputContractError([`expected JSON matching ${FILE_LIST_SCHEMA}`], reply);
+}
+
+export function parsePlan(reply: string): ProjectPlan {
+  const json = extractJSON(reply);
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new OutputContractError([`expected a JSON object matching ${PLAN_SCHEMA}`], reply);
+  }
+
+  const plan = json as Record<string, unknown>;
+  const issues: string[] = [];
+  const files = checkEntries(plan.files, "description", issues);
+  if (issues.length) throw new OutputContractError(issues, reply);
+
+  // No issues means every raw entry made it through, in order
+  const raw = plan.files as Array<Record<string, unknown>>;
+  const planned = new Set(files.map(f => f.path));
+  const entries: PlannedFile[] = files.map((f, i) => {
+    const entry: PlannedFile = { path: f.path, description: f.description };
+    if (raw[i].phase !== undefined) {
+      if (typeof raw[i].phase === "string") entry.phase = raw[i].phase as string;
+      else issues.push(`files[${i}].phase must be a string`);
+    }
+    const deps = checkDependencies(raw[i].dependsOn, f.path, planned, `files[${i}].dependsOn`, issues);
+    if (deps.length) entry.dependsOn = deps;
+    return entry;
+  });
+  if (issues.length) throw new OutputContractError(issues, reply);
+
+  return { ...plan, files: orderPlan(entries, reply) };
+}
+
+export function parseEdits(reply: string): FileEdit[] {
+  const json = extractJSON(reply);
+  const list = json && typeof json === "object" ? (json as Record<string, unknown>).edits : undefined;
+  if (!Array.isArray(list)) throw new OutputContractError([`expected JSON matching ${EDITS_SCHEMA}`], reply);
+  if (!list.length) throw new OutputContractError([`"edits" is empty`], reply);
+
+  const issues: string[] = [];
+  const seen = new Set<string>();
+  const edits: FileEdit[] = [];
+
+  list.forEach((entry, i) => {
+    if (!entry || typeof entry !== "object") {
+      issues.push(`edits[${i}] must be an object`);
+      return;
+    }
+    const raw = entry as Record<string, unknown>;
+    const { path, issue } = checkPath(raw.path);
+    if (issue) issues.push(`edits[${i}].path ${issue}`);
+    if (path && seen.has(path)) issues.push(`edits[${i}].path ${path} appears more than once`);
+    if (path) seen.add(path);
+
+    const kinds = (["diff", "content", "delete"] as const).filter(k => raw[k] !== undefined && raw[k] !== false);
+    if (kinds.length !== 1) {
+      issues.push(`edits[${i}] needs exactly one of "diff", "content" or "delete"`);
+      return;
+    }
+    const kind = kinds[0];
+    if (kind !== "delete" && typeof raw[kind] !== "string") issues.push(`edits[${i}].${kind} must be a string`);
+    if (kind === "delete" && raw.delete !== true) issues.push(`edits[${i}].delete must be true`);
+
+    if (path) {
+      edits.push(kind === "delete" ? { path, delete: true } : { path, [kind]: raw[kind] as string });
+    }
+  });
+
+  if (issues.length) throw new OutputContractError(issues, reply);
+  return edits;
+}
+
+// The manifest among a set of generated files, if planning has run
+export function findPlan(files: Array<{ path: string; content: string }>): ProjectPlan | null {
+  const file = files.find(f => f.path === PLAN_PATH);
+  if (!file) return null;
+  try {
+    return JSON.parse(file.content) as ProjectPlan;
+  } catch {
+    return null;
+  }
+}
+
+// Planned paths with no generated file
+export function missingPlannedFiles(plan: ProjectPlan, files: Array<{ path: string }>): string[] {
+  const present = new Set(files.map(f => f.path));
+  return plan.files.map(f => f.path).filter(path => !present.has(path));
+}
+
+// Normalises a generated path, or explains why it can't be used
+export function checkPath(raw: unknown): { path?: string; issue?: string } {
+  if (typeof raw !== "string" || !raw.trim()) return { issue: "path must be a non-empty string" };
+
+  const path = raw.trim().replace(/^\.\//, "");
+  if (path.startsWith("/") || /^[a-zA-Z]:/.test(path)) return { issue: `${raw}: absolute paths are not allowed` };
+  if (path.includes("\\")) return { issue: `${raw}: use forward slashes` };
+  if (/[\u0000-\u001f]/.test(path)) return { issue: `${raw}: control characters are not allowed` };
+
+  const segments = path.split("/");
+  if (segments.some(s => s === ".." || s === ".")) return { issue: `${raw}: "." and ".." segments are not allowed` };
+  if (segments.some(s => !s)) return { issue: `${raw}: empty path segment` };
+
+  if (!ALLOWED_ROOTS.some(root => path.startsWith(root)) && !ROOT_FILES.test(path)) {
+    return { issue: `${raw}: must be under ${ALLOWED_ROOTS.join(" or ")} or a root config file (package.json, index.html, vite.config.ts…)` };
+  }
+  return { path };
+}
+
+function validateFileList(json: unknown, reply: string): FileEntry[] {
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new OutputContractError([`expected a JSON object matching ${FILE_LIST_SCHEMA}, not ${Array.isArray(json) ? "an array" : typeof json}`], reply);
+  }
+
+  const issues: string[] = [];
+  const files = checkEntries((json as Record<string, unknown>).files, "content", issues);
+  if (issues.length) throw new OutputContractError(issues, reply);
+  return files.map(f => ({ path: f.path, content: f.content }));
+}
+
+function checkEntries<K extends "content" | "description">(
+  value: unknown,
+  field: K,
+  issues: string[]
+): Array<{ path: string } & Record<K, string>> {
+  if (!Array.isArray(value)) {
+    issues.push(`"files" must be an array`);
+    return [];
+  }
+  if (!value.length) {
+    issues.push(`"files" is empty`);
+    return [];
+  }
+
+  const seen = new Set<string>();
+  const entries: Array<{ path: string } & Record<K, string>> = [];
+
+  value.forEach((entry, i) => {
+    if (!entry || typeof entry !== "object") {
+      issues.push(`files[${i}] must be an object with "path" and "${field}"`);
+      return;
+    }
+    const { path, issue } = checkPath((entry as Record<string, unknown>).path);
+    if (issue) issues.push(`files[${i}].path ${issue}`);
+
+    const text = (entry as Record<string, unknown>)[field];
+    if (typeof text !== "string") issues.push(`files[${i}].${field} must be a string`);
+
+    if (path && seen.has(path)) issues.push(`files[${i}].path ${path} appears more than once`);
+    if (path) seen.add(path);
+
+    if (path && typeof text === "string") entries.push({ path, [field]: text } as { path: string } & Record<K, string>);
+  });
+
+  return entries;
+}
+
+function checkDependencies(
+  value: unknown,
+  path: string,
+  planned: Set<string>,
+  label: string,
+  issues: string[]
+): string[] {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    issues.push(`${label} must be an array of planned paths`);
+    return [];
+  }
+
+  const deps: string[] = [];
+  for (const dep of value) {
+    const checked = checkPath(dep);
+    if (!checked.path) issues.push(`${label} ${checked.issue}`);
+    else if (checked.path === path) issues.push(`${label}: ${path} cannot depend on itself`);
+    else if (!planned.has(checked.path)) issues.push(`${label}: ${checked.path} is not in the plan`);
+    else if (!deps.includes(checked.path)) deps.push(checked.path);
+  }
+  return deps;
+}
+
+// Dependencies before dependants, otherwise in the planner's order
+function orderPlan(files: PlannedFile[], reply: string): PlannedFile[] {
+  const ordered: PlannedFile[] = [];
+  const done = new Set<string>();
+  let pending = files;
+
+  while (pending.length) {
+    const next = pending.find(f => (f.dependsOn || []).every(dep => done.has(dep)));
+    if (!next) {
+      throw new OutputContractError(
+        [`dependsOn has a cycle among: ${pending.map(f => f.path).join(", ")}`],
+        reply
+      );
+    }
+    ordered.push(next);
+    done.add(next.path);
+    pending = pending.filter(f => f !== next);
+  }
+  return ordered;
+}
+
+// The whole reply as JSON, else the first fenced block that parses
+function extractJSON(reply: string): unknown {
+  const attempt = (text: string) => {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return undefined;
+    }
+  };
+
+  const whole = attempt(reply.trim());
+  if (whole !== undefined) return whole;
+
+  for (const [, info, body] of reply.matchAll(FENCE)) {
+    const lang = info.trim().toLowerCase();
+    if (lang && lang !== "json") continue;
+    const parsed = attempt(body.trim());
+    if (parsed !== undefined) return parsed;
+  }
+  return undefined;
+}
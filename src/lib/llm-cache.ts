@@ -0,0 +1,173 @@
+// src/lib/llm-cache.ts
+// Codr — Cached replies and shared in-flight calls for identical LLM requests
+//
+// A reply is keyed on the requested provider and model, the normalized messages
+// (system prompt included) and every parameter, and kept for LLM_CACHE_TTL
+// seconds (unset or 0: no caching). Small replies live in KV
+// (llm-cache:<hash>, expiring by TTL), larger ones in R2 (llm-cache/<hash>.json,
+// expiry checked on read). Only finished replies are kept: a reply cut off at
+// the token limit, filtered or errored is asked for again next time.
+//
+// Identical calls running at the same time in one isolate share the request, so
+// they're paid for once, whether or not replies are kept. A call passes
+// `cache: false` when it wants a fresh answer (sampling on purpose, or a retry
+// after the last reply was rejected).
+
+import { canonicalJSON, sha256Hex } from "./hash";
+import type { ChatRequest, ChatResponse } from "./llm-chat";
+import type { LLMCallOptions, LLMChoice, LLMUsage, Provider } from "./llm";
+
+export interface LLMCacheEnv {
+  AGENT_CACHE?: KVNamespace;
+  AGENT_ASSETS?: R2Bucket;
+  LLM_CACHE_TTL?: string;  // seconds
+}
+
+export interface CachedReply {
+  response: ChatResponse;
+  provider: Provider;      // who answered (a fallback, perhaps)
+  model: string;
+  storedAt: string;
+}
+
+const KV_PREFIX = "llm-cache:";
+const R2_PREFIX = "llm-cache/";
+const KV_MAX_LENGTH = 128 * 1024; // characters of JSON; bigger replies go to R2
+const MIN_TTL_SECONDS = 60; // KV's shortest expiry
+
+// Calls being answered right now, by key; the signal is the asking call's
+const inflight = new Map<string, { promise: Promise<CachedReply>; signal?: AbortSignal }>();
+
+export async function llmCacheKey(choice: LLMChoice, request: ChatRequest): Promise<string> {
+  const { system, messages, ...settings } = request;
+  const text = (value?: string) => value?.replace(/\r\n?/g, "\n").trim();
+  return sha256Hex(canonicalJSON({
+    provider: choice.provider,
+    model: choice.model,
+    system: text(system),
+    messages: messages.map(m => ({ ...m, content: text(m.content) })),
+    settings
+  }));
+}
+
+export class LLMCache {
+  constructor(private env: LLMCacheEnv, private ttlSeconds: number) {}
+
+  get enabled(): boolean {
+    return this.ttlSeconds > 0 && !!(this.env.AGENT_CACHE || this.env.AGENT_ASSETS);
+  }
+
+  // The reply for `request`: stored, shared with an identical call in flight, or
+  // asked for with `ask` (whose usage reports go to `onUsage` as usual)
+  async through(
+    choice: LLMChoice,
+    request: ChatRequest,
+    options: LLMCallOptions,
+    ask: (options: LLMCallOptions) => Promise<ChatResponse>
+  ): Promise<ChatResponse> {
+    const key = await llmCacheKey(choice, request);
+    const started = Date.now();
+
+    const stored = await this.get(key);
+    if (stored) return this.hit(stored, options, started);
+
+    const running = inflight.get(key);
+    if (running) {
+      try {
+        return this.hit(await running.promise, options, started);
+      } catch (error) {
+        // The asking call was cancelled; this one wasn't, so it asks for itself
+        if (options.signal?.aborted || !running.signal?.aborted) throw error;
+      }
+    }
+
+    let answered: LLMUsage | undefined;
+    const promise = ask({
+      ...options,
+      onUsage: async usage => {
+        if (usage.ok) answered = usage;
+        await options.onUsage?.(usage);
+      }
+    }).then(response => ({
+      response,
+      provider: answered?.provider ?? choice.provider,
+      model: answered?.model ?? choice.model,
+      storedAt: new Date().toISOString()
+    }));
+    inflight.set(key, { promise, signal: options.signal });
+
+    try {
+      const reply = await promise;
+      if (reply.response.finishReason === "stop" || reply.response.finishReason === "tool_calls") {
+        await this.put(key, reply);
+      }
+      return reply.response;
+    } finally {
+      inflight.delete(key);
+    }
+  }
+
+  async forget(choice: LLMChoice, request: ChatRequest): Promise<void> {
+    const key = await llmCacheKey(choice, request);
+    try {
+      await Promise.all([
+        this.env.AGENT_CACHE?.delete(`${KV_PREFIX}${key}`),
+        this.env.AGENT_ASSETS?.delete(`${R2_PREFIX}${key}.json`)
+      ]);
+    } catch (error) {
+      console.warn(`Could not drop cached LLM reply ${key.slice(0, 12)}:`, error);
+    }
+  }
+
+  // A reply nobody paid for this time: usage is reported as a cached call, text as one piece
+  private async hit(reply: CachedReply, options: LLMCallOptions, started: number): Promise<ChatResponse> {
+    const { response, provider, model } = reply;
+    await options.onUsage?.({ provider, model, inputTokens: 0, outputTokens: 0, latencyMs: Date.now() - started, ok: true, cached: true });
+    if (response.text) options.onToken?.(response.text);
+    return response;
+  }
+
+  // Cache trouble never fails a call: a bad read is a miss, a bad write is skipped
+  private async get(key: string): Promise<CachedReply | null> {
+    if (!this.enabled) return null;
+    try {
+      const small = await this.env.AGENT_CACHE?.get<CachedReply>(`${KV_PREFIX}${key}`, "json");
+      if (small) return small;
+      const object = await this.env.AGENT_ASSETS?.get(`${R2_PREFIX}${key}.json`);
+      if (!object) return null;
+      const expiresAt = Number(object.customMetadata?.expiresAt ?? 0);
+      if (expiresAt < Date.now()) {
+        await this.env.AGENT_ASSETS!.delete(`${R2_PREFIX}${key}.json`);
+        return null;
+      }
+      return await object.json<CachedReply>();
+    } catch (error) {
+      console.warn(`Could not read cached LLM reply ${key.slice(0, 12)}:`, error);
+      return null;
+    }
+  }
+
+  private async put(key: string, reply: CachedReply): Promise<void> {
+    if (!this.enabled) return;
+    const body = JSON.stringify(reply);
+    const ttl = Math.max(MIN_TTL_SECONDS, this.ttlSeconds);
+    try {
+      if (this.env.AGENT_CACHE && body.length <= KV_MAX_LENGTH) {
+        await this.env.AGENT_CACHE.put(`${KV_PREFIX}${key}`, body, { expirationTtl: ttl });
+      } else if (this.env.AGENT_ASSETS) {
+        await this.env.AGENT_ASSETS.put(`${R2_PREFIX}${key}.json`, body, {
+          httpMetadata: { contentType: "application/json" },
+          customMetadata: { expiresAt: String(Date.now() + ttl * 1000) }
+        });
+      }
+    } catch (error) {
+      console.warn(`Could not cache LLM reply ${key.slice(0, 12)}:`, error);
+    }
+  }
+}
+
+// Factory function. LLM_CACHE_TTL sets how long replies are kept
+export function createLLMCache(env: LLMCacheEnv): LLMCache {
+  const ttl = Number(env.LLM_CACHE_TTL ?? 0);
+  return new LLMCache(env, Number.isFinite(ttl) && ttl > 0 ? ttl : 0);
+}
@@ -0,0 +1,118 @@
+// src/lib/llm-cassette.ts
+// Codr — Record/replay of LLM provider calls ("cassettes") for offline, repeatable runs
+//
+// With LLM_CASSETTE=<name> set, every provider exchange made through lib/llm.ts
+// (Workers AI binding calls included) goes through the cassette, keyed by a hash of
+// provider, model, system prompt and prompt (plus history and settings for richer chats):
+//   LLM_CASSETTE_MODE=record  call the provider and keep each successful response
+//   LLM_CASSETTE_MODE=replay  answer from the cassette only; a miss is an error, never a live call
+// Entries live in R2 at cassettes/<name>/<hash>.json. scripts/replay_generation.mjs
+// moves them to and from fixtures/cassettes/<name>.json.
+
+import { canonicalJSON, sha256Hex } from "./hash";
+
+export type CassetteMode = "record" | "replay";
+
+export interface CassetteEnv {
+  LLM_CASSETTE?: string;        // cassette name; unset = live calls, no recording
+  LLM_CASSETTE_MODE?: string;   // "record" | "replay" (default replay)
+  AGENT_ASSETS?: R2Bucket;
+}
+
+// What a response is looked up by
+export interface CassetteCall {
+  provider: string;
+  model: string;
+  system?: string;
+  prompt: string;        // the (latest) user turn
+  messages?: unknown[];  // the whole history, for multi-turn requests
+  settings?: unknown;    // limits, JSON mode, tools… when any are set
+}
+
+export interface CassetteEntry {
+  key: string;
+  call: CassetteCall;
+  request: { url: string; body: unknown }; // API keys redacted
+  response: { status: number; body: string; contentType?: string }; // text/event-stream for streamed replies
+  recordedAt: string;
+}
+
+export class CassetteMissError extends Error {
+  constructor(public cassette: string, public call: CassetteCall, public key: string) {
+    super(
+      `No recorded ${call.provider}/${call.model} response for prompt ${key.slice(0, 12)} in cassette "${cassette}" ` +
+      `(prompt starts "${call.prompt.trim().slice(0, 80)}"); re-record with LLM_CASSETTE_MODE=record`
+    );
+    this.name = "CassetteMissError";
+  }
+}
+
+export const CASSETTE_PREFIX = "cassettes/";
+
+// The fetch provider calls go through: live, recorded or replayed. `transport`
+// makes the live call (fetch, or a binding wrapped to look like it)
+export async function cassetteFetch(
+  env: CassetteEnv,
+  call: CassetteCall,
+  url: string,
+  init: RequestInit,
+  transport: (url: string, init: RequestInit) => Promise<Response> = fetch
+): Promise<Response> {
+  const name = env.LLM_CASSETTE;
+  if (!name) return transport(url, init);
+
+  const mode = env.LLM_CASSETTE_MODE || "replay";
+  if (mode !== "record" && mode !== "replay") throw new Error(`LLM_CASSETTE_MODE must be "record" or "replay", not "${mode}"`);
+  if (!env.AGENT_ASSETS) throw new Error("LLM cassettes need the AGENT_ASSETS bucket");
+
+  const key = await cassetteKey(call);
+  const objectKey = `${CASSETTE_PREFIX}${name}/${key}.json`;
+
+  if (mode === "replay") {
+    init.signal?.throwIfAborted();
+    const object = await env.AGENT_ASSETS.get(objectKey);
+    if (!object) throw new CassetteMissError(name, call, key);
+    const entry = await object.json<CassetteEntry>();
+    return new Response(entry.response.body, {
+      status: entry.response.status,
+      headers: { "content-type": entry.response.contentType || "application/json" }
+    });
+  }
+
+  // Streamed replies are kept whole, and replay as one burst
+  const res = await transport(url, init);
+  const body = await res.text();
+  // Failures (rate limits, outages) aren't worth replaying
+  if (res.ok) {
+    const entry: CassetteEntry = {
+      key,
+      call,
+      request: { url: redactUrl(url), body: parseBody(init.body) },
+      response: { status: res.status, body, contentType: res.headers.get("content-type") || undefined },
+      recordedAt: new Date().toISOString()
+    };
+    await env.AGENT_ASSETS.put(objectKey, JSON.stringify(entry, null, 2), {
+      httpMetadata: { contentType: "application/json" }
+    });
+  }
+  return new Response(body, { status: res.status, headers: res.headers });
+}
+
+export function cassetteKey(call: CassetteCall): Promise<string> {
+  const { provider, model, system, prompt, messages, settings } = call;
+  return sha256Hex(canonicalJSON({ provider, model, system, prompt, messages, settings }));
+}
+
+// Google AI Studio takes its key in the query string
+function redactUrl(url: string): string {
+  return url.replace(/([?&]key=)[^&]+/, "$1REDACTED");
+}
+
+function parseBody(body: RequestInit["body"]): unknown {
+  if (typeof body !== "string") return null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
@@ -0,0 +1,347 @@
+// src/lib/llm-chat.ts
+// Codr — One chat request/response shape across providers
+//
+// A ChatRequest (system prompt, message history, sampling limits, JSON mode,
+// tools and tool results) is written out in each provider family's wire format,
+// and each family's reply is read back into a ChatResponse:
+//   openai      openai, openrouter (OpenAI-compatible chat completions)
+//   anthropic   Messages API
+//   gemini      google (via Gateway) and googleai (AI Studio) generateContent
+//   workersai   Workers AI text generation through the AI binding
+// Transport (Gateway URLs, keys, cassettes, metering) stays in llm.ts.
+
+import type { Provider } from "./llm";
+
+export interface ToolCall {
+  id: string;                         // echo back in the tool message answering it
+  name: string;
+  arguments: Record<string, unknown>;
+}
+
+export type ChatMessage =
+  | { role: "user"; content: string }
+  | { role: "assistant"; content: string; toolCalls?: ToolCall[] }
+  | { role: "tool"; toolCallId: string; name: string; content: string }; // a tool's result
+
+export interface ToolDefinition {
+  name: string;
+  description?: string;
+  parameters: Record<string, unknown>; // JSON Schema for the arguments object
+}
+
+export type ToolChoice = "auto" | "none" | "required" | { name: string };
+
+export interface ChatRequest {
+  system?: string;
+  messages: ChatMessage[];
+  maxTokens?: number;         // reply limit; DEFAULT_MAX_TOKENS when unset
+  temperature?: number;
+  stop?: string[];
+  json?: boolean;             // reply with a single JSON object
+  tools?: ToolDefinition[];
+  toolChoice?: ToolChoice;    // default "auto" when tools are given
+}
+
+export type FinishReason = "stop" | "length" | "tool_calls" | "content_filter" | "other";
+
+export interface ChatResponse {
+  text: string;
+  toolCalls: ToolCall[];
+  finishReason: FinishReason;
+  model: string;
+  inputTokens: number;
+  outputTokens: number;
+}
+
+// Long enough for a whole generated source file
+export const DEFAULT_MAX_TOKENS = 8192;
+
+// Providers without a native JSON mode get told in the system prompt
+const JSON_INSTRUCTION = "Reply with a single JSON object and nothing else.";
+
+type Family = "openai" | "anthropic" | "gemini" | "workersai";
+
+export function familyOf(provider: Provider): Family {
+  if (provider === "anthropic") return "anthropic";
+  if (provider === "google" || provider === "googleai") return "gemini";
+  if (provider === "workersai") return "workersai";
+  return "openai";
+}
+
+// The provider request body for `model`
+export function encodeChat(provider: Provider, model: string, request: ChatRequest): Record<string, unknown> {
+  const family = familyOf(provider);
+  if (family === "anthropic") return encodeAnthropic(model, request);
+  if (family === "gemini") return encodeGemini(request);
+  if (family === "workersai") return encodeWorkersAI(request);
+  return encodeOpenAI(provider, model, request);
+}
+
+// A provider response body as a ChatResponse
+export function decodeChat(provider: Provider, model: string, data: any): ChatResponse {
+  const family = familyOf(provider);
+  if (family === "anthropic") return decodeAnthropic(model, data);
+  if (family === "gemini") return decodeGemini(model, data);
+  if (family === "workersai") return decodeWorkersAI(model, data);
+  return decodeOpenAI(model, data);
+}
+
+// --------------------- OpenAI-compatible ---------------------
+function encodeOpenAI(provider: Provider, model: string, request: ChatRequest): Record<string, unknown> {
+  const messages: unknown[] = request.system ? [{ role: "system", content: request.system }] : [];
+  for (const message of request.messages) {
+    if (message.role === "tool") {
+      messages.push({ role: "tool", tool_call_id: message.toolCallId, content: message.content });
+    } else if (message.role === "assistant" && message.toolCalls?.length) {
+      messages.push({
+        role: "assistant",
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: "function",
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      });
+    } else {
+      messages.push({ role: message.role, content: message.content });
+    }
+  }
+
+  const choice = request.toolChoice;
+  return {
+    model,
+    messages,
+    // OpenAI's reasoning models only take max_completion_tokens; compatible APIs take max_tokens
+    [provider === "openai" ? "max_completion_tokens" : "max_tokens"]: request.maxTokens ?? DEFAULT_MAX_TOKENS,
+    temperature: request.temperature,
+    stop: request.stop?.length ? request.stop : undefined,
+    response_format: request.json ? { type: "json_object" } : undefined,
+    tools: request.tools?.map(tool => ({
+      type: "function",
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    })),
+    tool_choice: !request.tools?.length || !choice ? undefined
+      : typeof choice === "string" ? choice
+      : { type: "function", function: { name: choice.name } }
+  };
+}
+
+function decodeOpenAI(model: string, data: any): ChatResponse {
+  const choice = data?.choices?.[0];
+  const toolCalls: ToolCall[] = (choice?.message?.tool_calls || []).map((call: any) => ({
+    id: String(call.id),
+    name: String(call.function?.name ?? ""),
+    arguments: parseArguments(call.function?.arguments)
+  }));
+  const reasons: Record<string, FinishReason> = {
+    stop: "stop",
+    length: "length",
+    tool_calls: "tool_calls",
+    function_call: "tool_calls",
+    content_filter: "content_filter"
+  };
+  return {
+    text: choice?.message?.content ?? "",
+    toolCalls,
+    finishReason: reasons[choice?.finish_reason] ?? (toolCalls.length ? "tool_calls" : "other"),
+    model: data?.model ?? model,
+    inputTokens: Number(data?.usage?.prompt_tokens ?? 0),
+    outputTokens: Number(data?.usage?.completion_tokens ?? 0)
+  };
+}
+
+// --------------------- Anthropic ---------------------
+function encodeAnthropic(model: string, request: ChatRequest): Record<string, unknown> {
+  // Tool results go back as user turns; consecutive turns of one role are merged
+  const messages: Array<{ role: "user" | "assistant"; content: unknown[] }> = [];
+  const push = (role: "user" | "assistant", blocks: unknown[]) => {
+    const last = messages[messages.length - 1];
+    if (last?.role === role) last.content.push(...blocks);
+    else messages.push({ role, content: blocks });
+  };
+
+  for (const message of request.messages) {
+    if (message.role === "tool") {
+      push("user", [{ type: "tool_result", tool_use_id: message.toolCallId, content: message.content }]);
+    } else if (message.role === "assistant") {
+      push("assistant", [
+        ...(message.content ? [{ type: "text", text: message.content }] : []),
+        ...(message.toolCalls || []).map(call => ({ type: "tool_use", id: call.id, name: call.name, input: call.arguments }))
+      ]);
+    } else {
+      push("user", [{ type: "text", text: message.content }]);
+    }
+  }
+
+  const choice = request.toolChoice;
+  const system = [request.system, request.json ? JSON_INSTRUCTION : ""].filter(Boolean).join("\n\n");
+  return {
+    model,
+    max_tokens: request.maxTokens ?? DEFAULT_MAX_TOKENS,
+    system: system || undefined,
+    // A lone text turn goes as a plain string
+    messages: messages.map(m =>
+      m.content.length === 1 && (m.content[0] as any).type === "text" ? { role: m.role, content: (m.content[0] as any).text } : m
+    ),
+    temperature: request.temperature,
+    stop_sequences: request.stop?.length ? request.stop : undefined,
+    tools: request.tools?.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters })),
+    tool_choice: !request.tools?.length || !choice ? undefined
+      : choice === "required" ? { type: "any" }
+      : typeof choice === "string" ? { type: choice }
+      : { type: "tool", name: choice.name }
+  };
+}
+
+function decodeAnthropic(model: string, data: any): ChatResponse {
+  const blocks: any[] = data?.content || [];
+  const reasons: Record<string, FinishReason> = {
+    end_turn: "stop",
+    stop_sequence: "stop",
+    max_tokens: "length",
+    tool_use: "tool_calls",
+    refusal: "content_filter"
+  };
+  return {
+    text: blocks.filter(b => b.type === "text").map(b => b.text).join(""),
+    toolCalls: blocks
+      .filter(b => b.type === "tool_use")
+      .map(b => ({ id: String(b.id), name: String(b.name), arguments: b.input ?? {} })),
+    finishReason: reasons[data?.stop_reason] ?? "other",
+    model: data?.model ?? model,
+    inputTokens: Number(data?.usage?.input_tokens ?? 0),
+    outputTokens: Number(data?.usage?.output_tokens ?? 0)
+  };
+}
+
+// --------------------- Gemini ---------------------
+function encodeGemini(request: ChatRequest): Record<string, unknown> {
+  const contents: Array<{ role: "user" | "model"; parts: unknown[] }> = [];
+  const push = (role: "user" | "model", parts: unknown[]) => {
+    const last = contents[contents.length - 1];
+    if (last?.role === role) last.parts.push(...parts);
+    else contents.push({ role, parts });
+  };
+
+  for (const message of request.messages) {
+    if (message.role === "tool") {
+      // functionResponse.response must be an object
+      const result = parseArguments(message.content);
+      push("user", [{
+        functionResponse: {
+          name: message.name,
+          response: Object.keys(result).length ? result : { content: message.content }
+        }
+      }]);
+    } else if (message.role === "assistant") {
+      push("model", [
+        ...(message.content ? [{ text: message.content }] : []),
+        ...(message.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.arguments } }))
+      ]);
+    } else {
+      push("user", [{ text: message.content }]);
+    }
+  }
+
+  const choice = request.toolChoice;
+  const generationConfig = {
+    maxOutputTokens: request.maxTokens ?? DEFAULT_MAX_TOKENS,
+    temperature: request.temperature,
+    stopSequences: request.stop?.length ? request.stop : undefined,
+    responseMimeType: request.json ? "application/json" : undefined
+  };
+  return {
+    systemInstruction: request.system ? { parts: [{ text: request.system }] } : undefined,
+    contents,
+    generationConfig,
+    tools: request.tools?.length
+      ? [{ functionDeclarations: request.tools.map(t => ({ name: t.name, description: t.description, parameters: t.parameters })) }]
+      : undefined,
+    toolConfig: !request.tools?.length || !choice ? undefined
+      : typeof choice === "object" ? { functionCallingConfig: { mode: "ANY", allowedFunctionNames: [choice.name] } }
+      : { functionCallingConfig: { mode: choice === "required" ? "ANY" : choice.toUpperCase() } }
+  };
+}
+
+function decodeGemini(model: string, data: any): ChatResponse {
+  const candidate = data?.candidates?.[0];
+  const parts: any[] = candidate?.content?.parts || [];
+  // Gemini doesn't id its calls; results are matched back by name
+  const toolCalls: ToolCall[] = parts
+    .filter(p => p.functionCall)
+    .map((p, i) => ({ id: p.functionCall.id ?? `call_${i}`, name: String(p.functionCall.name), arguments: p.functionCall.args ?? {} }));
+  const reasons: Record<string, FinishReason> = {
+    STOP: toolCalls.length ? "tool_calls" : "stop",
+    MAX_TOKENS: "length",
+    SAFETY: "content_filter",
+    RECITATION: "content_filter",
+    BLOCKLIST: "content_filter",
+    PROHIBITED_CONTENT: "content_filter",
+    SPII: "content_filter"
+  };
+  return {
+    text: parts.filter(p => typeof p.text === "string" && !p.thought).map(p => p.text).join(""),
+    toolCalls,
+    finishReason: reasons[candidate?.finishReason] ?? (data?.promptFeedback?.blockReason ? "content_filter" : "other"),
+    model: data?.modelVersion ?? model,
+    inputTokens: Number(data?.usageMetadata?.promptTokenCount ?? 0),
+    outputTokens: Number(data?.usageMetadata?.candidatesTokenCount ?? 0)
+  };
+}
+
+// --------------------- Workers AI ---------------------
+// Chat messages as OpenAI writes them; tools are the flat { name, description,
+// parameters } list and there is no tool choice ("none" leaves the tools out)
+function encodeWorkersAI(request: ChatRequest): Record<string, unknown> {
+  const openAI = encodeOpenAI("workersai", "", { ...request, json: false });
+  const messages = openAI.messages as Array<Record<string, unknown>>;
+  if (request.json) {
+    const system = messages[0]?.role === "system" ? messages.shift()!.content : "";
+    messages.unshift({ role: "system", content: [system, JSON_INSTRUCTION].filter(Boolean).join("\n\n") });
+  }
+
+  return {
+    messages,
+    max_tokens: request.maxTokens ?? DEFAULT_MAX_TOKENS,
+    temperature: request.temperature,
+    response_format: request.json ? { type: "json_object" } : undefined,
+    tools: request.toolChoice === "none" ? undefined : request.tools?.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }))
+  };
+}
+
+function decodeWorkersAI(model: string, data: any): ChatResponse {
+  const result = data?.result ?? data;
+  const toolCalls: ToolCall[] = (result?.tool_calls || []).map((call: any, i: number) => ({
+    id: String(call.id ?? `call_${i}`),
+    name: String(call.name ?? call.function?.name ?? ""),
+    arguments: parseArguments(call.arguments ?? call.function?.arguments)
+  }));
+  // In JSON mode some models hand back the parsed object
+  const text = typeof result?.response === "string" ? result.response
+    : result?.response != null ? JSON.stringify(result.response)
+    : "";
+  return {
+    text,
+    toolCalls,
+    finishReason: toolCalls.length ? "tool_calls" : result?.finish_reason === "length" ? "length" : "stop",
+    model,
+    inputTokens: Number(result?.usage?.prompt_tokens ?? 0),
+    outputTokens: Number(result?.usage?.completion_tokens ?? 0)
+  };
+}
+
+// Tool arguments arrive as a JSON string (OpenAI) or object; anything unparseable is {}
+function parseArguments(value: unknown): Record<string, unknown> {
+  if (value && typeof value === "object" && !Array.isArray(value)) return value as Record<string, unknown>;
+  if (typeof value !== "string" || !value.trim()) return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
@@ -0,0 +1,49 @@
+// src/lib/llm-pricing.ts
+// Codr — Estimated cost of a model call from its token counts
+//
+// List prices in USD per million tokens. They drift: this is for budgets and
+// rough attribution, not invoicing. A model missing here is recorded unpriced
+// (cost NULL) rather than guessed.
+
+import type { Provider } from "./llm";
+
+export interface ModelPrice {
+  input: number;   // USD per 1M input tokens
+  output: number;  // USD per 1M output tokens
+}
+
+// By model id; the same model costs the same whichever provider route it takes
+export const MODEL_PRICES: Record<string, ModelPrice> = {
+  "claude-3.7-sonnet": { input: 3, output: 15 },
+  "claude-3-7-sonnet-latest": { input: 3, output: 15 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  "claude-3.5-haiku": { input: 0.8, output: 4 },
+  "gpt-5": { input: 1.25, output: 10 },
+  "gpt-5-mini": { input: 0.25, output: 2 },
+  "gpt-5-nano": { input: 0.05, output: 0.4 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gemini-2.0-pro-exp": { input: 1.25, output: 10 }, // experimental; priced as 2.5 Pro so it counts
+  // Embeddings (input only)
+  "text-embedding-3-small": { input: 0.02, output: 0 },
+  "gemini-embedding-001": { input: 0.15, output: 0 },
+  // Workers AI bills neurons; these are Cloudflare's per-token equivalents
+  "@cf/meta/llama-3.3-70b-instruct-fp8-fast": { input: 0.29, output: 2.25 },
+  "@cf/qwen/qwen2.5-coder-32b-instruct": { input: 0.66, output: 1 },
+  "@cf/baai/bge-base-en-v1.5": { input: 0.067, output: 0 }
+};
+
+// OpenRouter ids carry the vendor ("anthropic/claude-3.7-sonnet")
+export function priceOf(provider: Provider, model: string): ModelPrice | undefined {
+  return MODEL_PRICES[model] ?? (provider === "openrouter" ? MODEL_PRICES[model.split("/").pop() || ""] : undefined);
+}
+
+// USD, or null when the model isn't priced
+export function estimateCost(provider: Provider, model: string, inputTokens: number, outputTokens: number): number | null {
+  const price = priceOf(provider, model);
+  if (!price) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
@@ -0,0 +1,201 @@
+// src/lib/llm-retry.ts
+// Codr — Retries, fallbacks and per-provider circuit breaking for model calls
+//
+// A call goes to its LLMChoice, then down the choice's `fallback` chain. Each
+// option gets MAX_ATTEMPTS tries at transient failures (429, 408, 5xx, network
+// errors) with jittered exponential backoff, waiting what retry-after asks for
+// when the provider says. Any other provider or setup failure (a missing key,
+// 401, 403, 404…) moves straight on to the next option. Only the caller's own
+// errors end the call at once: cancellation, a cassette miss, a spent budget.
+//
+// A provider whose calls keep failing transiently trips its breaker: it is skipped
+// in every chain for BREAKER_OPEN_MS. Breakers live in KV (llm-breaker:<provider>)
+// so one isolate's outage knowledge reaches the rest; KV is eventually consistent,
+// which is fine for this.
+
+import type { LLMChoice, Provider } from "./llm";
+import { CassetteMissError } from "./llm-cassette";
+
+export class LLMRequestError extends Error {
+  constructor(
+    public provider: Provider,
+    public status: number,
+    public body: string,
+    public retryAfterMs?: number
+  ) {
+    super(`LLM call failed: ${status} ${body}`);
+    this.name = "LLMRequestError";
+  }
+}
+
+export interface BreakerState {
+  failures: number;     // failed calls (retries exhausted) since `since`
+  since: number;
+  openUntil?: number;   // skipped until then
+}
+
+const MAX_ATTEMPTS = 3;              // per option in the chain
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_CAP_MS = 8_000;
+const MAX_RETRY_AFTER_MS = 20_000;   // asked to wait longer: move on to the fallback
+const TRANSIENT_STATUS = new Set([408, 429, 500, 502, 503, 504, 529]);
+// By name: abort reasons are DOMExceptions, and lib/ doesn't import services/usage
+const CALLER_ERRORS = new Set(["AbortError", "TimeoutError", "BudgetExceededError"]);
+
+const BREAKER_PREFIX = "llm-breaker:";
+const BREAKER_THRESHOLD = 3;         // failed calls within the window
+const BREAKER_WINDOW_MS = 2 * 60_000;
+const BREAKER_OPEN_MS = 3 * 60_000;
+
+// The error from a non-2xx provider response, with any retry-after it carried
+export async function requestError(provider: Provider, res: Response): Promise<LLMRequestError> {
+  return new LLMRequestError(provider, res.status, await res.text(), retryAfter(res.headers));
+}
+
+// The choice followed by its fallbacks, in order; a model already in the chain isn't tried twice
+export function fallbackChain(choice: LLMChoice): LLMChoice[] {
+  const chain: LLMChoice[] = [];
+  for (let next: LLMChoice | undefined = choice; next && chain.length < 8; next = next.fallback) {
+    if (!chain.some(c => c.provider === next!.provider && c.model === next!.model)) chain.push(next);
+  }
+  return chain;
+}
+
+export function isTransient(error: unknown): boolean {
+  if (error instanceof LLMRequestError) return TRANSIENT_STATUS.has(error.status);
+  // fetch rejects with a TypeError when the connection fails
+  return error instanceof TypeError;
+}
+
+// Failures no other provider would avoid
+function isCallerError(error: unknown): boolean {
+  return error instanceof CassetteMissError || CALLER_ERRORS.has((error as Error | undefined)?.name ?? "");
+}
+
+// Runs `attempt` against each option of the chain until one succeeds
+export async function withFallback<T>(
+  kv: KVNamespace | undefined,
+  choice: LLMChoice,
+  signal: AbortSignal | undefined,
+  attempt: (option: LLMChoice) => Promise<T>
+): Promise<T> {
+  const chain = fallbackChain(choice);
+  const failures: string[] = [];
+  let lastError: unknown;
+
+  for (const option of chain) {
+    const label = `${option.provider}/${option.model}`;
+    if (await breakerOpen(kv, option.provider)) {
+      failures.push(`${label}: circuit open`);
+      continue;
+    }
+
+    for (let tries = 1; ; tries++) {
+      signal?.throwIfAborted();
+      try {
+        const result = await attempt(option);
+        await closeBreaker(kv, option.provider);
+        return result;
+      } catch (error) {
+        if (signal?.aborted || isCallerError(error)) throw error;
+        lastError = error;
+
+        const transient = isTransient(error);
+        const wait = transient ? retryDelay(error, tries) : null;
+        if (tries >= MAX_ATTEMPTS || wait === null) {
+          failures.push(`${label}: ${error instanceof Error ? error.message : String(error)}`.slice(0, 300));
+          if (transient) await recordFailure(kv, option.provider);
+          break;
+        }
+        console.warn(`${label} failed (${error instanceof Error ? error.message.slice(0, 120) : error}); retrying in ${wait}ms`);
+        await sleep(wait, signal);
+      }
+    }
+  }
+
+  if (chain.length === 1 && lastError) throw lastError;
+  throw new Error(`No LLM provider could answer: ${failures.join("; ")}`);
+}
+
+// How long before the next try, or null when the provider asked for longer than we'll wait
+function retryDelay(error: unknown, tries: number): number | null {
+  const asked = error instanceof LLMRequestError ? error.retryAfterMs : undefined;
+  if (asked !== undefined) return asked > MAX_RETRY_AFTER_MS ? null : asked;
+  const ceiling = Math.min(BACKOFF_CAP_MS, BACKOFF_BASE_MS * 2 ** (tries - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+// retry-after-ms (OpenAI), else retry-after as seconds or an HTTP date
+function retryAfter(headers: Headers): number | undefined {
+  const ms = Number(headers.get("retry-after-ms"));
+  if (ms > 0) return ms;
+  const value = headers.get("retry-after");
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+    const abort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    signal?.addEventListener("abort", abort, { once: true });
+  });
+}
+
+// --------------------- Circuit breaker ---------------------
+// Breaker bookkeeping is best effort: a KV hiccup never fails the call itself
+
+export async function breakerState(kv: KVNamespace | undefined, provider: Provider): Promise<BreakerState | null> {
+  if (!kv) return null;
+  try {
+    return await kv.get<BreakerState>(`${BREAKER_PREFIX}${provider}`, "json");
+  } catch (error) {
+    console.warn(`Could not read the ${provider} breaker:`, error);
+    return null;
+  }
+}
+
+async function breakerOpen(kv: KVNamespace | undefined, provider: Provider): Promise<boolean> {
+  const state = await breakerState(kv, provider);
+  return !!state?.openUntil && state.openUntil > Date.now();
+}
+
+async function recordFailure(kv: KVNamespace | undefined, provider: Provider): Promise<void> {
+  if (!kv) return;
+  const now = Date.now();
+  const current = await breakerState(kv, provider);
+  const state: BreakerState = current && now - current.since < BREAKER_WINDOW_MS
+    ? { ...current, failures: current.failures + 1 }
+    : { failures: 1, since: now };
+  if (state.failures >= BREAKER_THRESHOLD) {
+    state.openUntil = now + BREAKER_OPEN_MS;
+    console.warn(`${provider} breaker open until ${new Date(state.openUntil).toISOString()}`);
+  }
+
+  try {
+    await kv.put(`${BREAKER_PREFIX}${provider}`, JSON.stringify(state), {
+      // Outlives the window or the open period, whichever ends later (KV's minimum TTL is 60s)
+      expirationTtl: Math.max(60, Math.ceil(((state.openUntil ?? state.since + BREAKER_WINDOW_MS) - now) / 1000))
+    });
+  } catch (error) {
+    console.warn(`Could not update the ${provider} breaker:`, error);
+  }
+}
+
+async function closeBreaker(kv: KVNamespace | undefined, provider: Provider): Promise<void> {
+  if (!kv || !(await breakerState(kv, provider))) return;
+  try {
+    await kv.delete(`${BREAKER_PREFIX}${provider}`);
+  } catch (error) {
+    console.warn(`Could not reset the ${provider} breaker:`, error);
+  }
+}
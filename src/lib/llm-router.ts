@@ -0,0 +1,167 @@
+// src/lib/llm-router.ts
+// Codr — Which model answers each stage of an agent's work
+//
+// The persona's llm_choice step lets a user map stages (ingest, analyze,
+// classify, generate, ui_copy) to models; "primary" covers every stage without
+// its own entry. Entries are persona ids (gemini, claude, openai, workersai),
+// known model ids ("gpt-5-mini", "@cf/…" Workers AI models), or
+// "<provider>/<model>" ("anthropic/claude-sonnet-4",
+// "openrouter/meta-llama/llama-3.3-70b"). "other" and "" mean no preference. A
+// stage nobody mapped gets the pickLLMForJTBD heuristics, which also become the
+// fallback behind a user's pick.
+//
+// Generation work maps onto stages: planning is "analyze"; files and refines
+// are "generate".
+
+import { pickLLMForJTBD, type EnvReq, type LLMChoice, type Provider } from "./llm";
+import { MODEL_PRICES } from "./llm-pricing";
+import { WORKERS_AI_MODELS } from "./llm-workers-ai";
+
+export const LLM_STAGES = ["ingest", "analyze", "classify", "generate", "ui_copy"] as const;
+
+export type LLMStage = typeof LLM_STAGES[number];
+
+// Stage (or "primary") → model spec
+export type LLMModelMap = Partial<Record<LLMStage | "primary", string>>;
+
+export class ModelMapError extends Error {
+  constructor(public issues: string[]) {
+    super(`Invalid llm_models: ${issues.join("; ")}`);
+    this.name = "ModelMapError";
+  }
+}
+
+// What a stage is for, beyond the stage itself
+export interface StageHint {
+  ui?: boolean; // front-end code (styling, UI components)
+}
+
+const PROVIDERS: Provider[] = ["anthropic", "openai", "google", "openrouter", "googleai", "workersai"];
+
+// Persona ids (persona.core.yaml llm_choice models)
+const ALIASES: Record<string, { provider: Provider; model: string }> = {
+  gemini: { provider: "google", model: "gemini-2.5-pro" },
+  claude: { provider: "anthropic", model: "claude-3.7-sonnet" },
+  openai: { provider: "openai", model: "gpt-5" },
+  workersai: { provider: "workersai", model: WORKERS_AI_MODELS.chat },
+  cloudflare: { provider: "workersai", model: WORKERS_AI_MODELS.chat }
+};
+
+const NO_PREFERENCE = new Set(["", "other", "auto", "default"]);
+
+// A model spec as a choice, or the reason it isn't one; null for "no preference"
+export function resolveModel(spec: string): LLMChoice | null | { issue: string } {
+  const value = spec.trim();
+  if (NO_PREFERENCE.has(value.toLowerCase())) return null;
+
+  const alias = ALIASES[value.toLowerCase()];
+  if (alias) return { ...alias, reason: `user selected ${value.toLowerCase()}` };
+  // Replicate runs media predictions (services/media.ts), not chat
+  if (/^replicate(\/|$)/i.test(value)) return { issue: `"${value}" is for media; pick a text model` };
+  if (/^@(cf|hf)\//.test(value)) return { provider: "workersai", model: value, reason: "user selected model" };
+
+  const slash = value.indexOf("/");
+  if (slash === -1) {
+    const provider = providerOfModel(value);
+    if (!provider) return { issue: `unknown model "${value}"` };
+    return { provider, model: value, reason: "user selected model" };
+  }
+
+  const provider = value.slice(0, slash) as Provider;
+  const model = value.slice(slash + 1);
+  if (!PROVIDERS.includes(provider)) return { issue: `unknown provider "${value.slice(0, slash)}"` };
+  if (!model) return { issue: `"${value}" names no model` };
+  // OpenRouter and Workers AI catalogs are open-ended; the rest must be models we know
+  if (provider === "workersai" && !/^@(cf|hf)\//.test(model)) return { issue: `Workers AI models are "@cf/…", not "${model}"` };
+  if (provider !== "openrouter" && provider !== "workersai" && !(model in MODEL_PRICES)) {
+    return { issue: `unknown ${provider} model "${model}"` };
+  }
+  if (provider === "openrouter" && !model.includes("/")) return { issue: `OpenRouter models are "vendor/model", not "${model}"` };
+  return { provider, model, reason: "user selected model" };
+}
+
+// A stored or submitted llm_models value (object or JSON text) as a map; throws
+// ModelMapError listing every bad entry. Empty values are an empty map, and a
+// lone model (the simple llm_choice answer, "gemini") is the primary
+export function parseModelMap(value: unknown): LLMModelMap {
+  if (value === undefined || value === null || value === "") return {};
+  let map = value;
+  if (typeof value === "string" && !value.trim().startsWith("{")) {
+    map = { primary: value };
+  } else if (typeof value === "string") {
+    try {
+      map = JSON.parse(value);
+    } catch {
+      throw new ModelMapError(["must be a JSON object of stage → model"]);
+    }
+  }
+  if (!map || typeof map !== "object" || Array.isArray(map)) throw new ModelMapError(["must be an object of stage → model"]);
+
+  const issues: string[] = [];
+  const parsed: LLMModelMap = {};
+  for (const [key, spec] of Object.entries(map as Record<string, unknown>)) {
+    if (key !== "primary" && !(LLM_STAGES as readonly string[]).includes(key)) {
+      issues.push(`unknown stage "${key}" (expected primary, ${LLM_STAGES.join(", ")})`);
+    } else if (typeof spec !== "string") {
+      issues.push(`${key}: model must be a string`);
+    } else {
+      const resolved = resolveModel(spec);
+      if (resolved && "issue" in resolved) issues.push(`${key}: ${resolved.issue}`);
+      else parsed[key as LLMStage | "primary"] = spec.trim();
+    }
+  }
+  if (issues.length) throw new ModelMapError(issues);
+  return parsed;
+}
+
+export class ModelRouter {
+  // `env` lets the heuristics bring in Workers AI (see pickLLMForJTBD)
+  constructor(private models: LLMModelMap, private jtbds: string, private env?: Partial<EnvReq>) {}
+
+  // The user's model for the stage (or their primary) ahead of the heuristic one
+  choose(stage: LLMStage, hint: StageHint = {}): LLMChoice {
+    const heuristic = this.heuristic(stage, hint);
+    const spec = this.models[stage] ?? this.models.primary;
+    const picked = spec ? resolveModel(spec) : null;
+    if (!picked || "issue" in picked) return heuristic;
+
+    const same = picked.provider === heuristic.provider && picked.model === heuristic.model;
+    return same ? heuristic : { ...picked, reason: `${picked.reason} for ${stage}`, fallback: heuristic };
+  }
+
+  private heuristic(stage: LLMStage, hint: StageHint): LLMChoice {
+    if (hint.ui) return pickLLMForJTBD("ui", this.env);
+    if (stage === "ui_copy") return pickLLMForJTBD("copy", this.env);
+    return pickLLMForJTBD(this.jtbds, this.env);
+  }
+}
+
+// Bare model ids by family name
+function providerOfModel(model: string): Provider | null {
+  if (!(model in MODEL_PRICES)) return null;
+  if (model.startsWith("claude")) return "anthropic";
+  if (model.startsWith("gpt")) return "openai";
+  if (model.startsWith("gemini")) return "google";
+  return null;
+}
+
+// Factory function. Stored maps are taken as far as they're valid: a bad entry
+// falls back to the heuristics rather than failing the run
+export function createModelRouter(models: unknown, jtbds: string, env?: Partial<EnvReq>): ModelRouter {
+  let map: LLMModelMap = {};
+  try {
+    map = parseModelMap(models);
+  } catch (error) {
+    console.warn(error instanceof Error ? error.message : String(error));
+    let raw = models;
+    try {
+      raw = typeof models === "string" ? JSON.parse(models) : models;
+    } catch {
+      raw = { primary: models };
+    }
+    if (raw && typeof raw === "object") {
+      map = Object.fromEntries(Object.entries(raw).filter(([, spec]) => typeof spec === "string"));
+    }
+  }
+  return new ModelRouter(map, jtbds, env);
+}
@@ -0,0 +1,249 @@
+// src/lib/llm-stream.ts
+// Codr — Streamed provider replies (server-sent events) read into a ChatResponse
+//
+// Each family streams differently: OpenAI-compatible chunks carry deltas of one
+// message, Anthropic sends typed block events, Gemini sends partial
+// GenerateContentResponses, Workers AI sends { response } pieces. A decoder takes the events in order, hands back the
+// text each one adds, and assembles the same ChatResponse a non-streamed call
+// returns. A reply that comes back as plain JSON instead (a cassette recorded
+// without streaming) is decoded whole.
+
+import type { Provider } from "./llm";
+import { decodeChat, familyOf, type ChatResponse } from "./llm-chat";
+
+export interface SSEEvent {
+  event?: string;
+  data: string;
+}
+
+export interface StreamDecoder {
+  push(event: SSEEvent): string; // text added by this event ("" if none)
+  finish(): ChatResponse;
+}
+
+// Request body additions that ask the provider to stream (Gemini streams by URL instead)
+export function streamFlags(provider: Provider): Record<string, unknown> {
+  if (provider === "openai") return { stream: true, stream_options: { include_usage: true } };
+  if (provider === "openrouter" || provider === "anthropic" || provider === "workersai") return { stream: true };
+  return {};
+}
+
+export function isEventStream(res: Response): boolean {
+  return (res.headers.get("content-type") || "").includes("text/event-stream");
+}
+
+// Server-sent events from a response body, one per blank-line-separated block
+export async function* sseEvents(body: ReadableStream<Uint8Array>): AsyncGenerator<SSEEvent> {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      // A trailing \r may be half of a \r\n split across chunks
+      buffer = (buffer + decoder.decode(value, { stream: !done })).replace(/\r\n|\r(?!$)/g, "\n");
+      let end: number;
+      while ((end = buffer.indexOf("\n\n")) !== -1) {
+        const event = parseEvent(buffer.slice(0, end));
+        buffer = buffer.slice(end + 2);
+        if (event) yield event;
+      }
+      if (done) break;
+    }
+    const last = parseEvent(buffer);
+    if (last) yield last;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+export function createStreamDecoder(provider: Provider, model: string): StreamDecoder {
+  const family = familyOf(provider);
+  if (family === "anthropic") return anthropicDecoder(model);
+  if (family === "gemini") return geminiDecoder(provider, model);
+  if (family === "workersai") return workersAIDecoder(model);
+  return openAIDecoder(model);
+}
+
+function parseEvent(block: string): SSEEvent | null {
+  let event: string | undefined;
+  const data: string[] = [];
+  for (const line of block.split("\n")) {
+    if (line.startsWith(":")) continue; // comment / keep-alive
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+    if (field === "event") event = value;
+    else if (field === "data") data.push(value);
+  }
+  return data.length ? { event, data: data.join("\n") } : null;
+}
+
+function parseData(event: SSEEvent): any {
+  try {
+    return JSON.parse(event.data);
+  } catch {
+    return null;
+  }
+}
+
+// --------------------- OpenAI-compatible ---------------------
+function openAIDecoder(model: string): StreamDecoder {
+  let text = "";
+  let finish: string | undefined;
+  let usage: any;
+  let modelSeen: string | undefined;
+  const calls: Array<{ id: string; name: string; arguments: string }> = [];
+
+  return {
+    push(event) {
+      if (event.data === "[DONE]") return "";
+      const chunk = parseData(event);
+      if (!chunk) return "";
+      if (chunk.error) throw new Error(`LLM stream failed: ${JSON.stringify(chunk.error)}`);
+      modelSeen ??= chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+
+      const choice = chunk.choices?.[0];
+      if (choice?.finish_reason) finish = choice.finish_reason;
+      for (const delta of choice?.delta?.tool_calls || []) {
+        const call = (calls[delta.index ?? calls.length] ??= { id: "", name: "", arguments: "" });
+        if (delta.id) call.id = delta.id;
+        if (delta.function?.name) call.name += delta.function.name;
+        if (delta.function?.arguments) call.arguments += delta.function.arguments;
+      }
+      const added = choice?.delta?.content ?? "";
+      text += added;
+      return added;
+    },
+    finish() {
+      // Same shape as a whole reply, so the non-streamed decoder reads it
+      return decodeChat("openai", model, {
+        model: modelSeen,
+        choices: [{
+          finish_reason: finish,
+          message: {
+            content: text,
+            tool_calls: calls.filter(Boolean).map(c => ({ id: c.id, type: "function", function: { name: c.name, arguments: c.arguments } }))
+          }
+        }],
+        usage
+      });
+    }
+  };
+}
+
+// --------------------- Anthropic ---------------------
+function anthropicDecoder(model: string): StreamDecoder {
+  const message: any = { model, content: [], usage: {} };
+  const partialJSON: string[] = [];
+
+  return {
+    push(event) {
+      const data = parseData(event);
+      if (!data) return "";
+      switch (data.type) {
+        case "message_start":
+          Object.assign(message, { ...data.message, content: [] });
+          message.usage = { ...data.message?.usage };
+          return "";
+        case "content_block_start":
+          message.content[data.index] = { ...data.content_block };
+          partialJSON[data.index] = "";
+          return "";
+        case "content_block_delta": {
+          const block = message.content[data.index];
+          if (data.delta?.type === "text_delta" && block) {
+            block.text = (block.text ?? "") + data.delta.text;
+            return data.delta.text;
+          }
+          if (data.delta?.type === "input_json_delta") partialJSON[data.index] += data.delta.partial_json;
+          return "";
+        }
+        case "content_block_stop": {
+          const block = message.content[data.index];
+          if (block?.type === "tool_use" && partialJSON[data.index]) {
+            try {
+              block.input = JSON.parse(partialJSON[data.index]);
+            } catch {
+              block.input = {};
+            }
+          }
+          return "";
+        }
+        case "message_delta":
+          if (data.delta?.stop_reason) message.stop_reason = data.delta.stop_reason;
+          if (data.usage) Object.assign(message.usage, data.usage);
+          return "";
+        case "error":
+          throw new Error(`LLM stream failed: ${JSON.stringify(data.error)}`);
+        default:
+          return ""; // ping, message_stop
+      }
+    },
+    finish() {
+      return decodeChat("anthropic", model, { ...message, content: message.content.filter(Boolean) });
+    }
+  };
+}
+
+// --------------------- Gemini ---------------------
+function geminiDecoder(provider: Provider, model: string): StreamDecoder {
+  const parts: any[] = [];
+  let finishReason: string | undefined;
+  let usageMetadata: any;
+  let modelVersion: string | undefined;
+  let blocked: unknown;
+
+  return {
+    push(event) {
+      const chunk = parseData(event);
+      if (!chunk) return "";
+      if (chunk.error) throw new Error(`LLM stream failed: ${JSON.stringify(chunk.error)}`);
+      if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata; // cumulative
+      modelVersion ??= chunk.modelVersion;
+      blocked ??= chunk.promptFeedback?.blockReason;
+
+      const candidate = chunk.candidates?.[0];
+      if (candidate?.finishReason) finishReason = candidate.finishReason;
+      let added = "";
+      for (const part of candidate?.content?.parts || []) {
+        parts.push(part);
+        if (typeof part.text === "string" && !part.thought) added += part.text;
+      }
+      return added;
+    },
+    finish() {
+      return decodeChat(provider, model, {
+        candidates: [{ content: { parts }, finishReason }],
+        usageMetadata,
+        modelVersion,
+        promptFeedback: blocked ? { blockReason: blocked } : undefined
+      });
+    }
+  };
+}
+
+// --------------------- Workers AI ---------------------
+function workersAIDecoder(model: string): StreamDecoder {
+  let text = "";
+  let usage: any;
+  const toolCalls: unknown[] = [];
+
+  return {
+    push(event) {
+      if (event.data === "[DONE]") return "";
+      const chunk = parseData(event);
+      if (!chunk) return "";
+      if (chunk.error) throw new Error(`LLM stream failed: ${JSON.stringify(chunk.error)}`);
+      if (chunk.usage) usage = chunk.usage;
+      if (Array.isArray(chunk.tool_calls)) toolCalls.push(...chunk.tool_calls);
+      const added = typeof chunk.response === "string" ? chunk.response : "";
+      text += added;
+      return added;
+    },
+    finish() {
+      return decodeChat("workersai", model, { response: text, tool_calls: toolCalls, usage });
+    }
+  };
+}
@@ -0,0 +1,73 @@
+// src/lib/llm-workers-ai.ts
+// Codr — Workers AI (the `AI` binding) as a provider transport
+//
+// Workers AI needs no third-party key: the binding runs models on Cloudflare's
+// network and bills the account. Calls go through the AI Gateway when one is
+// configured. The binding isn't fetch, so each call is wrapped as a
+// Response: a JSON body for a whole reply, an event stream for a streamed one,
+// and binding errors become statuses (capacity/rate limits 429, upstream faults
+// 503, anything else 400) so retries and cassettes treat it like any provider.
+
+export interface WorkersAIBinding {
+  run(model: string, inputs: Record<string, unknown>, options?: { gateway?: { id: string } }): Promise<unknown>;
+}
+
+export const WORKERS_AI_MODELS = {
+  chat: "@cf/meta/llama-3.3-70b-instruct-fp8-fast",
+  code: "@cf/qwen/qwen2.5-coder-32b-instruct",
+  embedding: "@cf/baai/bge-base-en-v1.5",
+  imageToText: "@cf/llava-hf/llava-1.5-7b-hf"
+};
+
+// Where a Workers AI call is addressed; cassettes record it as the request URL
+export function workersAIUrl(model: string): string {
+  return `workers-ai://${model}`;
+}
+
+// The AI_GATEWAY setting is a gateway URL (…/v1/<account>/<gateway>) or just its name
+export function gatewayId(setting?: string): string | undefined {
+  const value = setting?.trim().replace(/\/+$/, "");
+  if (!value) return undefined;
+  return /^https?:\/\//.test(value) ? value.split("/").pop() || undefined : value;
+}
+
+// A fetch-shaped sender over the binding: the URL names the model, the body is the model input
+export function workersAITransport(ai: WorkersAIBinding | undefined, gateway?: string) {
+  return async (url: string, init: RequestInit): Promise<Response> => {
+    if (!ai) throw new Error("Missing the AI binding (Workers AI)");
+    const model = url.replace(/^workers-ai:\/\//, "");
+    const inputs = JSON.parse(String(init.body ?? "{}"));
+    const id = gatewayId(gateway);
+
+    init.signal?.throwIfAborted();
+    let result: unknown;
+    try {
+      // The binding can't be cancelled; an abort stops the wait for it
+      result = await abortable(ai.run(model, inputs, id ? { gateway: { id } } : undefined), init.signal);
+    } catch (error) {
+      if (init.signal?.aborted) throw error;
+      const message = error instanceof Error ? error.message : String(error);
+      return new Response(message, { status: errorStatus(message) });
+    }
+
+    if (result instanceof ReadableStream) {
+      return new Response(result, { headers: { "content-type": "text/event-stream" } });
+    }
+    return new Response(JSON.stringify(result), { headers: { "content-type": "application/json" } });
+  };
+}
+
+function errorStatus(message: string): number {
+  if (/\b(3040|3036)\b|capacity|rate.?limit|too many requests/i.test(message)) return 429;
+  if (/upstream|timed? ?out|internal|unavailable/i.test(message)) return 503;
+  return 400;
+}
+
+function abortable<T>(promise: Promise<T>, signal?: AbortSignal | null): Promise<T> {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const abort = () => reject(signal.reason);
+    signal.addEventListener("abort", abort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", abort));
+  });
+}
@@ -1,25 +1,100 @@
 // src/lib/llm.ts
 // Codr — Unified LLM logic via Cloudflare AI Gateway (+ Google AI Studio for UI code)
 
-export type Provider = "anthropic" | "openai" | "google" | "openrouter" | "replicate" | "googleai";
+import { parseFileList } from "./file-contract";
+import { sha256Hex } from "./hash";
+import { createLLMCache } from "./llm-cache";
+import { cassetteFetch, type CassetteCall, type CassetteEnv } from "./llm-cassette";
+import { decodeChat, encodeChat, type ChatRequest, type ChatResponse } from "./llm-chat";
+import { requestError, withFallback } from "./llm-retry";
+import { createStreamDecoder, isEventStream, sseEvents, streamFlags } from "./llm-stream";
+import { WORKERS_AI_MODELS, workersAITransport, workersAIUrl, type WorkersAIBinding } from "./llm-workers-ai";
+
+export type {
+  ChatMessage,
+  ChatRequest,
+  ChatResponse,
+  FinishReason,
+  ToolCall,
+  ToolChoice,
+  ToolDefinition
+} from "./llm-chat";
+
+export type Provider = "anthropic" | "openai" | "google" | "openrouter" | "googleai" | "workersai";
 
 export interface LLMChoice {
   provider: Provider;
   model: string;
   reason: string;
-  fallback?: { provider: Provider; model: string; reason: string };
+  fallback?: LLMChoice; // tried when this one keeps failing or its provider's circuit is open
 }
 
 export interface EnvReq {
   AI_GATEWAY: string;                 // e.g. https://gateway.ai.cloudflare.com/v1/<acct>/<gw>
   OPENROUTER_API_KEY?: string;
-  REPLICATE_API_TOKEN?: string;
   GOOGLE_AI_STUDIO_API_KEY?: string;  // Gemini for UI code gen
-  AGENT_ASSETS?: any;                 // R2 bucket for assets
+  AGENT_ASSETS?: any;                 // R2 bucket for assets (and LLM cassettes)
+  LLM_CASSETTE?: CassetteEnv["LLM_CASSETTE"];
+  LLM_CASSETTE_MODE?: CassetteEnv["LLM_CASSETTE_MODE"];
+  AGENT_CACHE?: KVNamespace;          // per-provider circuit breakers (lib/llm-retry.ts)
+  AI?: WorkersAIBinding;              // Workers AI: no third-party key needed
+  LLM_ZERO_KEY?: string;              // "true": pick Workers AI models for everything
+  LLM_CACHE_TTL?: string;             // seconds identical replies are reused (lib/llm-cache.ts)
+}
+
+// How a provider request is sent: straight out, or through the LLM cassette
+type Send = (url: string, init: RequestInit) => Promise<Response>;
+
+export interface LLMCallOptions {
+  signal?: AbortSignal; // aborts the provider request (e.g. a cancelled generation)
+  onUsage?: (usage: LLMUsage) => void | Promise<void>; // after every call, failed ones included
+  onToken?: (text: string) => void;                    // stream the reply, text as it arrives
+  cache?: boolean;                                     // false: always ask the provider afresh
+}
+
+export type ChatStreamEvent =
+  | { type: "text"; text: string }
+  | { type: "done"; response: ChatResponse };
+
+// What one call used, as reported by the provider (0 tokens when it reported nothing)
+export interface LLMUsage {
+  provider: Provider;
+  model: string;
+  inputTokens: number;
+  outputTokens: number;
+  latencyMs: number;
+  ok: boolean;
+  cached?: boolean; // answered from the LLM cache or a shared call; nothing was paid
 }
 
 // --------------------- Model picker (quality-first, budget fallback) ---------------------
-export function pickLLMForJTBD(jtbd: string): LLMChoice {
+// With `env`, Workers AI joins in: every pick when only a Cloudflare account is
+// set up (zeroKeyMode), otherwise as the last fallback when the AI binding exists
+export function pickLLMForJTBD(jtbd: string, env?: Partial<EnvReq>): LLMChoice {
+  if (env && zeroKeyMode(env)) return pickWorkersAI(jtbd);
+  const choice = pickByJTBD(jtbd);
+  return env?.AI ? withLastFallback(choice, pickWorkersAI(jtbd)) : choice;
+}
+
+// No provider keys: the AI binding alone, or LLM_ZERO_KEY=true
+export function zeroKeyMode(env: Partial<EnvReq>): boolean {
+  if (env.LLM_ZERO_KEY === "true") return true;
+  return !!env.AI && !env.AI_GATEWAY && !env.OPENROUTER_API_KEY && !env.GOOGLE_AI_STUDIO_API_KEY;
+}
+
+function pickWorkersAI(jtbd: string): LLMChoice {
+  const s = (jtbd || "").toLowerCase();
+  if (s.includes("ui") || s.includes("interface") || s.includes("dashboard")) {
+    return { provider: "workersai", model: WORKERS_AI_MODELS.code, reason: "front-end code generation (zero-key)" };
+  }
+  return { provider: "workersai", model: WORKERS_AI_MODELS.chat, reason: "zero-key budget option" };
+}
+
+function withLastFallback(choice: LLMChoice, last: LLMChoice): LLMChoice {
+  return { ...choice, fallback: choice.fallback ? withLastFallback(choice.fallback, last) : last };
+}
+
+function pickByJTBD(jtbd: string): LLMChoice {
   const s = (jtbd || "").toLowerCase();
 
   // UI code generation (front-end)
@@ -62,97 +137,193 @@ function cleanBase(base?: string) {
   return base.replace(/\/+$/, "");
 }
 
-async function postJSON(url: string, headers: Record<string, string>, body: unknown) {
-  const res = await fetch(url, {
+async function postJSON(send: Send, provider: Provider, url: string, headers: Record<string, string>, body: unknown) {
+  const res = await send(url, {
     method: "POST",
     headers: { "content-type": "application/json", ...headers },
     body: JSON.stringify(body),
   });
-  if (!res.ok) throw new Error(`LLM call failed: ${res.status} ${await res.text()}`);
+  if (!res.ok) throw await requestError(provider, res);
   return res.json();
 }
 
+// Provider requests for one call: straight out, or through the LLM cassette.
+// Workers AI goes through its binding rather than fetch
+function sender(env: EnvReq, call: CassetteCall, signal?: AbortSignal): Send {
+  const transport = call.provider === "workersai" ? workersAITransport(env.AI, env.AI_GATEWAY) : fetch;
+  return (url, init) => cassetteFetch(env, call, url, { ...init, signal }, transport);
+}
+
+// Times a provider exchange and reports its usage, whether it succeeded or not
+async function metered(
+  provider: Provider,
+  model: string,
+  onUsage: LLMCallOptions["onUsage"],
+  call: () => Promise<ChatResponse>
+): Promise<ChatResponse> {
+  const started = Date.now();
+  try {
+    const reply = await call();
+    const { inputTokens, outputTokens } = reply;
+    await onUsage?.({ provider, model, inputTokens, outputTokens, latencyMs: Date.now() - started, ok: true });
+    return reply;
+  } catch (error) {
+    await onUsage?.({ provider, model, inputTokens: 0, outputTokens: 0, latencyMs: Date.now() - started, ok: false });
+    throw error;
+  }
+}
+
+// What a chat request is recorded under in a cassette. A single user turn with no
+// other settings keys the way a plain callLLM always has, so recordings stay valid
+function cassetteCall(provider: Provider, model: string, request: ChatRequest): CassetteCall {
+  const { system, messages, ...settings } = request;
+  const only = messages.length === 1 && messages[0].role === "user" ? messages[0].content : undefined;
+  const last = [...messages].reverse().find(m => m.role === "user");
+  return {
+    provider,
+    model,
+    system,
+    prompt: only ?? last?.content ?? "",
+    messages: only === undefined ? messages : undefined,
+    settings: Object.values(settings).some(v => v !== undefined) ? settings : undefined,
+  };
+}
+
 // --------------------- Unified LLM caller via AI Gateway ---------------------
+// Message history, limits, JSON mode and tools in, text + tool calls + finish reason out.
+// With `onToken` the reply is streamed and its text handed over as it arrives.
+// Transient failures are retried, then the choice's fallbacks tried (lib/llm-retry.ts).
+// Identical requests reuse a cached or in-flight reply unless `cache: false`
+export async function chatLLM(
+  env: EnvReq,
+  request: ChatRequest,
+  choice: LLMChoice,
+  options: LLMCallOptions = {}
+): Promise<ChatResponse> {
+  if (options.cache === false) return answer(env, request, choice, options);
+  return createLLMCache(env).through(choice, request, options, asked => answer(env, request, choice, asked));
+}
+
+// A reply from the provider (or its fallbacks), streamed or whole
+async function answer(env: EnvReq, request: ChatRequest, choice: LLMChoice, options: LLMCallOptions): Promise<ChatResponse> {
+  if (options.onToken) {
+    for await (const event of streamLLM(env, request, choice, options)) {
+      if (event.type === "text") options.onToken(event.text);
+      else if (event.type === "done") return event.response;
+    }
+    throw new Error("LLM stream ended without a reply");
+  }
+
+  return withFallback(env.AGENT_CACHE, choice, options.signal, ({ provider, model }) =>
+    metered(provider, model, options.onUsage, async () => {
+      const send = sender(env, cassetteCall(provider, model, request), options.signal);
+      const { url, headers } = endpoint(env, provider, model, false);
+      const data = await postJSON(send, provider, url, headers, encodeChat(provider, model, request));
+      return decodeChat(provider, model, data);
+    })
+  );
+}
+
+const DEFAULT_SYSTEM = "You are a helpful, concise AI agent.";
+
+// One prompt, one reply
 export async function callLLM(
   env: EnvReq,
   prompt: string,
   choice: LLMChoice,
-  system = "You are a helpful, concise AI agent."
+  system = DEFAULT_SYSTEM,
+  options: LLMCallOptions = {}
 ): Promise<string> {
-  const base = cleanBase(env.AI_GATEWAY);
-  const { provider, model } = choice;
+  const reply = await chatLLM(env, { system, messages: [{ role: "user", content: prompt }] }, choice, options);
+  return reply.text;
+}
 
-  // Cloudflare AI Gateway provider mount points
-  const mounts: Record<Exclude<Provider, "googleai" | "openrouter" | "replicate">, string> = {
-    openai: `${base}/openai`,
-    anthropic: `${base}/anthropic`,
-    google: `${base}/google`, // Gemini via Gateway
-  };
+// Drops the cached reply to a callLLM prompt (say, one that turned out unusable)
+export async function forgetLLMReply(env: EnvReq, prompt: string, choice: LLMChoice, system = DEFAULT_SYSTEM): Promise<void> {
+  await createLLMCache(env).forget(choice, { system, messages: [{ role: "user", content: prompt }] });
+}
 
-  if (provider === "openai") {
-    const data = await postJSON(`${mounts.openai}/v1/chat/completions`, {}, {
-      model,
-      messages: [{ role: "system", content: system }, { role: "user", content: prompt }],
-    });
-    return data?.choices?.[0]?.message?.content ?? "";
-  }
+// The reply as it's written: text deltas, then the whole ChatResponse. Usage is
+// reported once the stream ends (or fails, or the caller stops reading).
+// Retries and fallbacks only happen until the provider starts answering: a stream
+// that breaks partway fails, rather than hand over text a second time
+export async function* streamLLM(
+  env: EnvReq,
+  request: ChatRequest,
+  choice: LLMChoice,
+  { signal, onUsage }: LLMCallOptions = {}
+): AsyncGenerator<ChatStreamEvent> {
+  const { res, provider, model, started } = await withFallback(env.AGENT_CACHE, choice, signal, async ({ provider, model }) => {
+    const started = Date.now();
+    try {
+      const { url, headers } = endpoint(env, provider, model, true);
+      const res = await sender(env, cassetteCall(provider, model, request), signal)(url, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...headers },
+        body: JSON.stringify({ ...encodeChat(provider, model, request), ...streamFlags(provider) }),
+      });
+      if (!res.ok) throw await requestError(provider, res);
+      return { res, provider, model, started };
+    } catch (error) {
+      await onUsage?.({ provider, model, inputTokens: 0, outputTokens: 0, latencyMs: Date.now() - started, ok: false });
+      throw error;
+    }
+  });
+  let reply: ChatResponse | undefined;
 
-  if (provider === "anthropic") {
-    const data = await postJSON(`${mounts.anthropic}/v1/messages`, {
-      "anthropic-version": "2023-06-01",
-    }, {
+  try {
+    if (isEventStream(res) && res.body) {
+      const decoder = createStreamDecoder(provider, model);
+      for await (const event of sseEvents(res.body)) {
+        const text = decoder.push(event);
+        if (text) yield { type: "text", text };
+      }
+      reply = decoder.finish();
+    } else {
+      // Answered in one piece (no streaming support, or a cassette recorded without it)
+      reply = decodeChat(provider, model, await res.json());
+      if (reply.text) yield { type: "text", text: reply.text };
+    }
+    yield { type: "done", response: reply };
+  } finally {
+    await onUsage?.({
+      provider,
       model,
-      max_tokens: 1024,
-      system,
-      messages: [{ role: "user", content: prompt }],
+      inputTokens: reply?.inputTokens ?? 0,
+      outputTokens: reply?.outputTokens ?? 0,
+      latencyMs: Date.now() - started,
+      ok: !!reply,
     });
-    return data?.content?.[0]?.text ?? "";
   }
+}
 
-  if (provider === "google") {
-    const data = await postJSON(`${mounts.google}/v1beta/models/${encodeURIComponent(model)}:generateContent`, {}, {
-      contents: [{ parts: [{ text: `${system}\n\nUser: ${prompt}` }] }],
-    });
-    return data?.candidates?.[0]?.content?.parts?.[0]?.text ?? "";
+// Where a provider's requests go; `stream` picks Gemini's streaming method
+function endpoint(env: EnvReq, provider: Provider, model: string, stream: boolean): { url: string; headers: Record<string, string> } {
+  const method = `${encodeURIComponent(model)}:${stream ? "streamGenerateContent?alt=sse&" : "generateContent?"}`;
+
+  // googleai = direct Google AI Studio (Gemini) for UI code generation
+  if (provider === "googleai") {
+    if (!env.GOOGLE_AI_STUDIO_API_KEY) throw new Error("Missing GOOGLE_AI_STUDIO_API_KEY");
+    // Use official Gemini endpoint (Studio uses Gemini under the hood)
+    return { url: `https://generativelanguage.googleapis.com/v1beta/models/${method}key=${env.GOOGLE_AI_STUDIO_API_KEY}`, headers: {} };
   }
 
   // OpenRouter (direct, not through Gateway)
   if (provider === "openrouter") {
     const key = env.OPENROUTER_API_KEY;
     if (!key) throw new Error("Missing OPENROUTER_API_KEY");
-    const data = await postJSON("https://openrouter.ai/api/v1/chat/completions",
-      { Authorization: `Bearer ${key}` },
-      { model, messages: [{ role: "system", content: system }, { role: "user", content: prompt }] }
-    );
-    return data?.choices?.[0]?.message?.content ?? "";
+    return { url: "https://openrouter.ai/api/v1/chat/completions", headers: { Authorization: `Bearer ${key}` } };
   }
 
-  // Replicate (simple chat wrapper; adjust for specific models if needed)
-  if (provider === "replicate") {
-    const key = env.REPLICATE_API_TOKEN;
-    if (!key) throw new Error("Missing REPLICATE_API_TOKEN");
-    const data = await postJSON("https://api.replicate.com/v1/chat/completions",
-      { Authorization: `Bearer ${key}` },
-      { model, messages: [{ role: "system", content: system }, { role: "user", content: prompt }] }
-    );
-    return data?.choices?.[0]?.message?.content ?? "";
-  }
+  // Workers AI (the AI binding; through the Gateway when one is configured)
+  if (provider === "workersai") return { url: workersAIUrl(model), headers: {} };
 
-  // googleai = direct Google AI Studio (Gemini) for UI code generation
-  if (provider === "googleai") {
-    if (!env.GOOGLE_AI_STUDIO_API_KEY) throw new Error("Missing GOOGLE_AI_STUDIO_API_KEY");
-    // Use official Gemini endpoint (Studio uses Gemini under the hood)
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${env.GOOGLE_AI_STUDIO_API_KEY}`;
-    const res = await fetch(url, {
-      method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify({ contents: [{ parts: [{ text: `${system}\n\nUser: ${prompt}` }] }] }),
-    });
-    if (!res.ok) throw new Error(`Google AI Studio failed: ${res.status} ${await res.text()}`);
-    const data = await res.json();
-    // Expect text content (you can ask the model to return JSON for files)
-    return data?.candidates?.[0]?.content?.parts?.[0]?.text ?? "";
-  }
+  // Cloudflare AI Gateway provider mount points
+  const base = cleanBase(env.AI_GATEWAY);
+  if (provider === "openai") return { url: `${base}/openai/v1/chat/completions`, headers: {} };
+  if (provider === "anthropic") return { url: `${base}/anthropic/v1/messages`, headers: { "anthropic-version": "2023-06-01" } };
+  // Gemini via Gateway
+  if (provider === "google") return { url: `${base}/google/v1beta/models/${method.replace(/[?&]$/, "")}`, headers: {} };
 
   throw new Error(`Unknown provider: ${provider}`);
 }
@@ -161,27 +332,173 @@ export async function callLLM(
 export async function generateUIWithGoogle(
   env: EnvReq,
   model: string,
-  prompt: string
+  prompt: string,
+  { signal, onUsage, cache }: LLMCallOptions = {}
 ): Promise<{ files: Array<{ path: string; content: string }> }> {
   if (!env.GOOGLE_AI_STUDIO_API_KEY) throw new Error("Missing GOOGLE_AI_STUDIO_API_KEY");
   const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${env.GOOGLE_AI_STUDIO_API_KEY}`;
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "content-type": "application/json" },
-    body: JSON.stringify({
-      contents: [{ parts: [{ text: prompt }] }],
-      // Tip: You can add a system-style preamble by including it in `prompt`
-    }),
-  });
-  if (!res.ok) throw new Error(`Google UI gen failed: ${res.status} ${await res.text()}`);
-  const data = await res.json();
+  const choice: LLMChoice = { provider: "googleai", model, reason: "front-end code generation" };
+  const ask = ({ onUsage }: LLMCallOptions) => withFallback(env.AGENT_CACHE, choice, signal, () =>
+    metered("googleai", model, onUsage, async () => {
+      const res = await cassetteFetch(env, { provider: "googleai", model, prompt }, url, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({
+          contents: [{ parts: [{ text: prompt }] }],
+          // Tip: You can add a system-style preamble by including it in `prompt`
+        }),
+        signal,
+      });
+      if (!res.ok) throw await requestError("googleai", res);
+      return decodeChat("googleai", model, await res.json());
+    })
+  );
+  const request: ChatRequest = { messages: [{ role: "user", content: prompt }] };
+  const reply = cache === false
+    ? await ask({ onUsage })
+    : await createLLMCache(env).through(choice, request, { signal, onUsage }, ask);
 
-  // The model should be instructed to return JSON describing files.
-  // If it returns plain text, we fail soft and return an empty list.
-  try {
-    const text = data?.candidates?.[0]?.content?.parts?.[0]?.text ?? "";
-    return JSON.parse(text);
-  } catch {
-    return { files: [] };
+  // The model should be instructed to return JSON describing files; anything
+  // else throws OutputContractError (carrying the reply) so callers can repair or fail
+  return { files: parseFileList(reply.text) };
+}
+
+// --------------------- Embeddings ---------------------
+export type EmbeddingProvider = "openai" | "google" | "googleai" | "workersai";
+
+export const EMBEDDING_MODELS: Record<EmbeddingProvider, string> = {
+  openai: "text-embedding-3-small",
+  google: "gemini-embedding-001",
+  googleai: "gemini-embedding-001",
+  workersai: WORKERS_AI_MODELS.embedding
+};
+
+// Texts per request each API accepts
+const EMBED_BATCH: Record<EmbeddingProvider, number> = { openai: 256, google: 100, googleai: 100, workersai: 100 };
+
+export interface EmbedOptions {
+  signal?: AbortSignal;
+  onUsage?: LLMCallOptions["onUsage"];
+  purpose?: "document" | "query"; // Gemini embeds stored text and search queries differently
+  dimensions?: number;            // shortened vectors (OpenAI text-embedding-3, Gemini)
+}
+
+// The embedding model for this environment. Never a fallback chain: vectors from
+// different models can't be compared, so an index sticks to the model it was built with
+export function pickEmbeddingModel(env: Partial<EnvReq>): LLMChoice {
+  if (zeroKeyMode(env)) return { provider: "workersai", model: EMBEDDING_MODELS.workersai, reason: "zero-key embeddings" };
+  if (env.AI_GATEWAY) return { provider: "openai", model: EMBEDDING_MODELS.openai, reason: "embeddings via Gateway" };
+  if (env.GOOGLE_AI_STUDIO_API_KEY) return { provider: "googleai", model: EMBEDDING_MODELS.googleai, reason: "embeddings via AI Studio" };
+  return { provider: "workersai", model: EMBEDDING_MODELS.workersai, reason: "embeddings" };
+}
+
+// One vector per text, in order. Long lists go out in batches the provider accepts;
+// each batch is retried like any call and reported to `onUsage`
+export async function embed(
+  env: EnvReq,
+  texts: string[],
+  choice: LLMChoice = pickEmbeddingModel(env),
+  options: EmbedOptions = {}
+): Promise<number[][]> {
+  const batch = EMBED_BATCH[choice.provider as EmbeddingProvider];
+  if (!batch) throw new Error(`${choice.provider} has no embeddings API here (use ${Object.keys(EMBED_BATCH).join(", ")})`);
+
+  const vectors: number[][] = [];
+  for (let i = 0; i < texts.length; i += batch) {
+    vectors.push(...await embedBatch(env, texts.slice(i, i + batch), choice, options));
+  }
+  return vectors;
+}
+
+async function embedBatch(env: EnvReq, texts: string[], choice: LLMChoice, { signal, onUsage, purpose, dimensions }: EmbedOptions): Promise<number[][]> {
+  const { provider, model } = choice;
+  const settings = { embed: true, purpose, dimensions };
+  const send = sender(env, { provider, model, prompt: texts[0] ?? "", messages: texts, settings }, signal);
+  let vectors: number[][] = [];
+  await withFallback(env.AGENT_CACHE, { ...choice, fallback: undefined }, signal, () =>
+    metered(provider, model, onUsage, async () => {
+      const { url, headers, body } = embeddingRequest(env, provider, model, texts, purpose, dimensions);
+      const data: any = await postJSON(send, provider, url, headers, body);
+      const read = readEmbeddings(provider, data);
+      if (read.vectors.length !== texts.length) throw new Error(`Expected ${texts.length} embeddings from ${model}, got ${read.vectors.length}`);
+      vectors = read.vectors;
+      return { text: "", toolCalls: [], finishReason: "stop", model, inputTokens: read.tokens, outputTokens: 0 };
+    })
+  );
+  return vectors;
+}
+
+function embeddingRequest(
+  env: EnvReq,
+  provider: Provider,
+  model: string,
+  texts: string[],
+  purpose?: EmbedOptions["purpose"],
+  dimensions?: number
+): { url: string; headers: Record<string, string>; body: unknown } {
+  if (provider === "workersai") return { url: workersAIUrl(model), headers: {}, body: { text: texts } };
+  if (provider === "openai") {
+    return { url: `${cleanBase(env.AI_GATEWAY)}/openai/v1/embeddings`, headers: {}, body: { model, input: texts, dimensions } };
   }
+
+  // Gemini: batchEmbedContents, through the Gateway (google) or AI Studio (googleai)
+  const method = `${encodeURIComponent(model)}:batchEmbedContents`;
+  let url: string;
+  if (provider === "googleai") {
+    if (!env.GOOGLE_AI_STUDIO_API_KEY) throw new Error("Missing GOOGLE_AI_STUDIO_API_KEY");
+    url = `https://generativelanguage.googleapis.com/v1beta/models/${method}?key=${env.GOOGLE_AI_STUDIO_API_KEY}`;
+  } else {
+    url = `${cleanBase(env.AI_GATEWAY)}/google/v1beta/models/${method}`;
+  }
+  const requests = texts.map(text => ({
+    model: `models/${model}`,
+    content: { parts: [{ text }] },
+    taskType: purpose === "query" ? "RETRIEVAL_QUERY" : "RETRIEVAL_DOCUMENT",
+    outputDimensionality: dimensions
+  }));
+  return { url, headers: {}, body: { requests } };
+}
+
+// Vectors in input order, and the input tokens when the provider counts them (Gemini doesn't)
+function readEmbeddings(provider: Provider, data: any): { vectors: number[][]; tokens: number } {
+  if (provider === "openai") {
+    const rows: Array<{ index: number; embedding: number[] }> = [...(data?.data ?? [])].sort((a, b) => a.index - b.index);
+    return { vectors: rows.map(row => row.embedding), tokens: Number(data?.usage?.prompt_tokens ?? 0) };
+  }
+  if (provider === "workersai") {
+    return {
+      vectors: data?.result?.data ?? data?.data ?? [],
+      tokens: Number(data?.result?.usage?.prompt_tokens ?? data?.usage?.prompt_tokens ?? 0)
+    };
+  }
+  return { vectors: (data?.embeddings ?? []).map((e: { values: number[] }) => e.values), tokens: 0 };
+}
+
+// --------------------- Workers AI image-to-text ---------------------
+// A description of an image (or the answer to `prompt` about it)
+export async function describeImage(
+  env: EnvReq,
+  image: ArrayBuffer | Uint8Array,
+  prompt = "Describe this image.",
+  { model = WORKERS_AI_MODELS.imageToText, maxTokens = 512, signal, onUsage }: LLMCallOptions & { model?: string; maxTokens?: number } = {}
+): Promise<string> {
+  const bytes = image instanceof Uint8Array ? image : new Uint8Array(image);
+  const imageHash = await sha256Hex(bytes.slice().buffer);
+  const send = sender(env, { provider: "workersai", model, prompt, settings: { image: imageHash, maxTokens } }, signal);
+  const choice: LLMChoice = { provider: "workersai", model, reason: "image-to-text" };
+  const reply = await withFallback(env.AGENT_CACHE, choice, signal, () =>
+    metered("workersai", model, onUsage, async () => {
+      const data: any = await postJSON(send, "workersai", workersAIUrl(model), {}, { image: Array.from(bytes), prompt, max_tokens: maxTokens });
+      const result = data?.result ?? data;
+      return {
+        text: String(result?.description ?? result?.response ?? "").trim(),
+        toolCalls: [],
+        finishReason: "stop",
+        model,
+        inputTokens: Number(result?.usage?.prompt_tokens ?? 0),
+        outputTokens: Number(result?.usage?.completion_tokens ?? 0)
+      };
+    })
+  );
+  return reply.text;
 }
@@ -0,0 +1,54 @@
+// src/lib/secret-box.ts
+// Codr — AES-256-GCM encryption for values stored at rest (Web Crypto)
+//
+// The key lives only in the Worker (SECRETS_ENCRYPTION_KEY, 32 random bytes,
+// base64). Each value gets a fresh 96-bit IV, and the caller's context string is
+// bound in as additional data so a ciphertext copied to another row won't decrypt.
+
+export interface SealedValue {
+  ciphertext: string; // base64
+  iv: string;         // base64
+}
+
+export async function importSecretKey(base64Key: string | undefined): Promise<CryptoKey> {
+  if (!base64Key) throw new Error("SECRETS_ENCRYPTION_KEY is not configured");
+
+  let raw: ReturnType<typeof fromBase64>;
+  try {
+    raw = fromBase64(base64Key.trim());
+  } catch {
+    throw new Error("SECRETS_ENCRYPTION_KEY must be base64");
+  }
+  if (raw.byteLength !== 32) throw new Error("SECRETS_ENCRYPTION_KEY must decode to 32 bytes");
+
+  return crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["encrypt", "decrypt"]);
+}
+
+export async function seal(key: CryptoKey, plaintext: string, context: string): Promise<SealedValue> {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encrypted = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: new TextEncoder().encode(context) },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+  return { ciphertext: toBase64(new Uint8Array(encrypted)), iv: toBase64(iv) };
+}
+
+export async function open(key: CryptoKey, sealed: SealedValue, context: string): Promise<string> {
+  const decrypted = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(sealed.iv), additionalData: new TextEncoder().encode(context) },
+    key,
+    fromBase64(sealed.ciphertext)
+  );
+  return new TextDecoder().decode(decrypted);
+}
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function fromBase64(value: string) {
+  return Uint8Array.from(atob(value), ch => ch.charCodeAt(0));
+}
@@ -0,0 +1,80 @@
+// src/lib/semver.ts
+// Codr — Minimal semver matching for dependency resolution (no prerelease ordering)
+
+type Version = [number, number, number];
+
+export function parseVersion(version: string): Version | null {
+  const match = version.trim().replace(/^v/, "").match(/^(\d+)\.(\d+)\.(\d+)(?:[-+].*)?$/);
+  return match ? [Number(match[1]), Number(match[2]), Number(match[3])] : null;
+}
+
+export function compareVersions(a: string, b: string): number {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  if (!va || !vb) return a.localeCompare(b);
+  for (let i = 0; i < 3; i++) {
+    if (va[i] !== vb[i]) return va[i] - vb[i];
+  }
+  return 0;
+}
+
+// Exact versions only ("18.2.0"); ranges, tags and wildcards are unpinned
+export function isPinned(range: string): boolean {
+  return parseVersion(range) !== null && !/[\^~<>=*xX|\s]/.test(range.trim());
+}
+
+// Supports: exact, ^, ~, x/* wildcards, latest, comparators (>=, <, …),
+// space-separated AND sets and "||" alternatives
+export function satisfies(version: string, range: string): boolean {
+  const v = parseVersion(version);
+  if (!v) return false;
+
+  const trimmed = range.trim();
+  if (!trimmed || trimmed === "*" || trimmed === "latest" || trimmed === "x") return true;
+
+  return trimmed.split("||").some(set =>
+    set.trim().split(/\s+/).every(comparator => matchComparator(v, comparator))
+  );
+}
+
+function matchComparator(v: Version, comparator: string): boolean {
+  const match = comparator.match(/^(\^|~|>=|<=|>|<|=)?\s*v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?/);
+  if (!match) return false;
+
+  const [, op = "", ...raw] = match;
+  const parts = raw.map(p => (p === undefined || /[xX*]/.test(p) ? null : Number(p)));
+  const [major, minor, patch] = parts;
+  if (major === null) return true;
+
+  const floor: Version = [major, minor ?? 0, patch ?? 0];
+  const cmp = (a: Version, b: Version) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+
+  switch (op) {
+    case "^": {
+      // ^1.2.3 := <2.0.0, ^0.2.3 := <0.3.0, ^0.0.3 := <0.0.4
+      const ceiling: Version =
+        major > 0 || minor === null ? [major + 1, 0, 0] :
+        minor > 0 || patch === null ? [0, minor + 1, 0] :
+        [0, 0, (patch ?? 0) + 1];
+      return cmp(v, floor) >= 0 && cmp(v, ceiling) < 0;
+    }
+    case "~": {
+      const ceiling: Version = minor === null ? [major + 1, 0, 0] : [major, minor + 1, 0];
+      return cmp(v, floor) >= 0 && cmp(v, ceiling) < 0;
+    }
+    case ">=": return cmp(v, floor) >= 0;
+    case ">": return cmp(v, floor) > 0;
+    case "<=": return cmp(v, floor) <= 0;
+    case "<": return cmp(v, floor) < 0;
+    default:
+      // "1.2.3" exact, "1.2" / "1.x" partial
+      if (minor === null) return v[0] === major;
+      if (patch === null) return v[0] === major && v[1] === minor;
+      return cmp(v, floor) === 0;
+  }
+}
+
+export function maxSatisfying(versions: string[], range: string): string | null {
+  const matching = versions.filter(v => satisfies(v, range)).sort(compareVersions);
+  return matching.length ? matching[matching.length - 1] : null;
+}
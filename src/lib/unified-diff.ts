@@ -0,0 +1,85 @@
+// src/lib/unified-diff.ts
+// Codr — Apply a model-written unified diff to one file
+//
+// Hunks are placed by their context and removed lines, not by the line numbers in
+// the @@ header (models rarely get those right): the header is only a hint for
+// where to start looking. A hunk whose lines aren't in the file fails the whole
+// patch with a message that can go back to the model.
+
+interface Hunk {
+  hint: number;       // 0-based line the header says the hunk starts at
+  before: string[];   // context + removed lines, as they should appear in the file
+  after: string[];    // context + added lines
+}
+
+export function applyUnifiedDiff(original: string, diff: string): string {
+  const hunks = parseHunks(diff);
+  if (!hunks.length) throw new Error("diff has no @@ hunks");
+
+  const lines = original.split("\n");
+  let from = 0; // hunks apply top to bottom and never overlap
+
+  hunks.forEach((hunk, i) => {
+    const at = locate(lines, hunk, from);
+    if (at < 0) {
+      const first = hunk.before.find(line => line.trim()) ?? "";
+      throw new Error(`hunk ${i + 1} does not match the file (looking for "${first.trim().slice(0, 80)}")`);
+    }
+    lines.splice(at, hunk.before.length, ...hunk.after);
+    from = at + hunk.after.length;
+  });
+
+  return lines.join("\n");
+}
+
+function parseHunks(diff: string): Hunk[] {
+  const hunks: Hunk[] = [];
+  let current: Hunk | null = null;
+
+  for (const line of diff.replace(/\r\n/g, "\n").split("\n")) {
+    const header = line.match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/);
+    if (header) {
+      current = { hint: Math.max(0, Number(header[1]) - 1), before: [], after: [] };
+      hunks.push(current);
+      continue;
+    }
+    if (!current || line.startsWith("\\")) continue; // file headers, "\ No newline at end of file"
+
+    if (line.startsWith("+")) current.after.push(line.slice(1));
+    else if (line.startsWith("-")) current.before.push(line.slice(1));
+    else {
+      // Context; models often drop the leading space on blank lines
+      const text = line.startsWith(" ") ? line.slice(1) : line;
+      current.before.push(text);
+      current.after.push(text);
+    }
+  }
+
+  // A trailing blank "context" line is usually just the end of the reply
+  for (const hunk of hunks) {
+    while (hunk.before.length && hunk.before.at(-1) === "" && hunk.after.at(-1) === "") {
+      hunk.before.pop();
+      hunk.after.pop();
+    }
+  }
+  return hunks;
+}
+
+// Exact match nearest the header's line, then the same ignoring trailing whitespace
+function locate(lines: string[], hunk: Hunk, from: number): number {
+  if (!hunk.before.length) return Math.min(Math.max(hunk.hint, from), lines.length); // pure insertion
+
+  for (const same of [
+    (a: string, b: string) => a === b,
+    (a: string, b: string) => a.trimEnd() === b.trimEnd()
+  ]) {
+    const matches: number[] = [];
+    for (let at = from; at + hunk.before.length <= lines.length; at++) {
+      if (hunk.before.every((line, k) => same(lines[at + k], line))) matches.push(at);
+    }
+    if (matches.length) {
+      return matches.reduce((best, at) => (Math.abs(at - hunk.hint) < Math.abs(best - hunk.hint) ? at : best));
+    }
+  }
+  return -1;
+}
@@ -0,0 +1,469 @@
+// src/lib/vector-search.ts
+// Codr — Chunking, vector indexes and top-k retrieval over embeddings
+//
+// A VectorIndex stores vectors under a namespace (an agent id, say) and returns
+// the closest ones by cosine similarity. With a VECTORIZE binding that's a
+// Vectorize index (metric "cosine", dimensions matching the embedding model);
+// without one, a D1 table (vector_entries) scanned per query, or, with no D1
+// either, memory that lasts as long as the isolate. The stand-ins are for dev
+// and small corpora, not millions of chunks.
+//
+// SemanticIndex puts embed() in front: documents in, chunked and indexed as
+// "<document id>#<n>"; a query in, the best chunks (and their text) out. A
+// ChunkRegistry records how many chunks each document has (vector_documents in
+// D1, else memory), so re-adding a document replaces all of its chunks, and
+// removing one, or a whole namespace, deletes every vector it had.
+
+import { sha256Hex } from "./hash";
+import { embed, pickEmbeddingModel, type EmbedOptions, type EnvReq, type LLMChoice } from "./llm";
+
+export type VectorMetadata = Record<string, string | number | boolean>;
+
+export interface VectorRecord {
+  id: string;
+  values: number[];
+  metadata?: VectorMetadata;
+}
+
+export interface VectorMatch {
+  id: string;
+  score: number;  // cosine similarity, higher is closer
+  metadata?: VectorMetadata;
+}
+
+export interface VectorQueryOptions {
+  topK?: number;
+  filter?: VectorMetadata;  // metadata fields that must equal these values
+}
+
+export interface VectorIndex {
+  upsert(records: VectorRecord[]): Promise<void>;
+  query(vector: number[], options?: VectorQueryOptions): Promise<VectorMatch[]>;
+  delete(ids: string[]): Promise<void>;
+}
+
+export interface VectorEnv {
+  VECTORIZE?: Pick<Vectorize, "query" | "upsert" | "deleteByIds">;
+  AGENT_REGISTRY_DB?: D1Database;
+}
+
+const DEFAULT_TOP_K = 5;
+const VECTORIZE_BATCH = 1000;     // vectors per upsert/delete call
+const VECTORIZE_MAX_TOP_K = 20;   // with metadata returned
+const D1_BATCH = 50;              // statements per D1 batch
+const MAX_ID_BYTES = 64;          // Vectorize's id limit
+const ID_KEY = "_id";             // the caller's id, in the metadata of a Vectorize vector
+
+// --------------------- Indexes ---------------------
+
+// Vectorize ids are unique across the whole index, namespaces included, so each
+// is scoped: "<namespace>:<id>", or that string's SHA-256 when it won't fit
+export class VectorizeVectorIndex implements VectorIndex {
+  constructor(private binding: NonNullable<VectorEnv["VECTORIZE"]>, private namespace: string) {}
+
+  async upsert(records: VectorRecord[]): Promise<void> {
+    for (let i = 0; i < records.length; i += VECTORIZE_BATCH) {
+      const batch = records.slice(i, i + VECTORIZE_BATCH);
+      await this.binding.upsert(await Promise.all(batch.map(async r => ({
+        id: await this.scopedId(r.id),
+        values: r.values,
+        namespace: this.namespace,
+        metadata: { ...r.metadata, [ID_KEY]: r.id }
+      }))));
+    }
+  }
+
+  // Filters need a metadata index on each filtered field (wrangler vectorize create-metadata-index)
+  async query(vector: number[], { topK = DEFAULT_TOP_K, filter }: VectorQueryOptions = {}): Promise<VectorMatch[]> {
+    const { matches } = await this.binding.query(vector, {
+      topK: Math.min(topK, VECTORIZE_MAX_TOP_K),
+      namespace: this.namespace,
+      returnMetadata: "all",
+      filter
+    });
+    return matches.map(m => {
+      const { [ID_KEY]: id, ...metadata } = (m.metadata ?? {}) as VectorMetadata;
+      return { id: typeof id === "string" ? id : m.id, score: m.score, metadata };
+    });
+  }
+
+  async delete(ids: string[]): Promise<void> {
+    for (let i = 0; i < ids.length; i += VECTORIZE_BATCH) {
+      await this.binding.deleteByIds(await Promise.all(ids.slice(i, i + VECTORIZE_BATCH).map(id => this.scopedId(id))));
+    }
+  }
+
+  private async scopedId(id: string): Promise<string> {
+    const scoped = `${this.namespace}:${id}`;
+    return new TextEncoder().encode(scoped).length > MAX_ID_BYTES ? sha256Hex(scoped) : scoped;
+  }
+}
+
+export class D1VectorIndex implements VectorIndex {
+  constructor(private db: D1Database, private namespace: string) {}
+
+  async upsert(records: VectorRecord[]): Promise<void> {
+    const statements = records.map(r =>
+      this.db
+        .prepare(
+          `INSERT INTO vector_entries (namespace, id, vector, metadata) VALUES (?, ?, ?, ?)
+           ON CONFLICT(namespace, id) DO UPDATE SET vector = excluded.vector, metadata = excluded.metadata, updated_at = CURRENT_TIMESTAMP`
+        )
+        .bind(this.namespace, r.id, JSON.stringify(r.values), r.metadata ? JSON.stringify(r.metadata) : null)
+    );
+    for (let i = 0; i < statements.length; i += D1_BATCH) await this.db.batch(statements.slice(i, i + D1_BATCH));
+  }
+
+  async query(vector: number[], options: VectorQueryOptions = {}): Promise<VectorMatch[]> {
+    const { results } = await this.db
+      .prepare(`SELECT id, vector, metadata FROM vector_entries WHERE namespace = ?`)
+      .bind(this.namespace)
+      .all<{ id: string; vector: string; metadata: string | null }>();
+    const records = (results || []).map(row => ({
+      id: row.id,
+      values: JSON.parse(row.vector) as number[],
+      metadata: row.metadata ? (JSON.parse(row.metadata) as VectorMetadata) : undefined
+    }));
+    return rank(records, vector, options);
+  }
+
+  async delete(ids: string[]): Promise<void> {
+    const statements = ids.map(id =>
+      this.db.prepare(`DELETE FROM vector_entries WHERE namespace = ? AND id = ?`).bind(this.namespace, id)
+    );
+    for (let i = 0; i < statements.length; i += D1_BATCH) await this.db.batch(statements.slice(i, i + D1_BATCH));
+  }
+}
+
+// Namespace → id → record, shared by every MemoryVectorIndex in the isolate
+const memory = new Map<string, Map<string, VectorRecord>>();
+
+export class MemoryVectorIndex implements VectorIndex {
+  constructor(private namespace: string) {}
+
+  private get records(): Map<string, VectorRecord> {
+    let records = memory.get(this.namespace);
+    if (!records) memory.set(this.namespace, (records = new Map()));
+    return records;
+  }
+
+  async upsert(records: VectorRecord[]): Promise<void> {
+    for (const r of records) this.records.set(r.id, { ...r, values: [...r.values] });
+  }
+
+  async query(vector: number[], options: VectorQueryOptions = {}): Promise<VectorMatch[]> {
+    return rank([...this.records.values()], vector, options);
+  }
+
+  async delete(ids: string[]): Promise<void> {
+    for (const id of ids) this.records.delete(id);
+  }
+}
+
+// Brute-force top-k for the stand-ins
+function rank(records: VectorRecord[], vector: number[], { topK = DEFAULT_TOP_K, filter }: VectorQueryOptions): VectorMatch[] {
+  const wanted = Object.entries(filter ?? {});
+  return records
+    .filter(r => wanted.every(([key, value]) => r.metadata?.[key] === value))
+    .map(r => ({ id: r.id, score: cosine(r.values, vector), metadata: r.metadata }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+function cosine(a: number[], b: number[]): number {
+  if (a.length !== b.length) {
+    throw new Error(`Vector has ${b.length} dimensions, the index ${a.length}: was it built with another embedding model?`);
+  }
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+// Factory function. Vectorize when bound, else the D1 table, else memory
+export function createVectorIndex(env: VectorEnv, namespace: string): VectorIndex {
+  if (env.VECTORIZE) return new VectorizeVectorIndex(env.VECTORIZE, namespace);
+  if (env.AGENT_REGISTRY_DB) return new D1VectorIndex(env.AGENT_REGISTRY_DB, namespace);
+  return new MemoryVectorIndex(namespace);
+}
+
+// --------------------- Chunk registry ---------------------
+
+// How many chunks each document of a namespace is indexed as. Counts of 0 aren't kept
+export interface ChunkRegistry {
+  get(docIds: string[]): Promise<Map<string, number>>;
+  all(): Promise<Map<string, number>>;
+  set(counts: Map<string, number>): Promise<void>;
+  delete(docIds: string[]): Promise<void>;
+}
+
+export class D1ChunkRegistry implements ChunkRegistry {
+  constructor(private db: D1Database, private namespace: string) {}
+
+  async get(docIds: string[]): Promise<Map<string, number>> {
+    const counts = new Map<string, number>();
+    // D1 binds at most 100 parameters per statement
+    for (let i = 0; i < docIds.length; i += D1_BATCH) {
+      const batch = docIds.slice(i, i + D1_BATCH);
+      const { results } = await this.db
+        .prepare(`SELECT doc_id, chunks FROM vector_documents WHERE namespace = ? AND doc_id IN (${batch.map(() => "?").join(", ")})`)
+        .bind(this.namespace, ...batch)
+        .all<{ doc_id: string; chunks: number }>();
+      for (const row of results || []) counts.set(row.doc_id, row.chunks);
+    }
+    return counts;
+  }
+
+  async all(): Promise<Map<string, number>> {
+    const { results } = await this.db
+      .prepare(`SELECT doc_id, chunks FROM vector_documents WHERE namespace = ?`)
+      .bind(this.namespace)
+      .all<{ doc_id: string; chunks: number }>();
+    return new Map((results || []).map(row => [row.doc_id, row.chunks]));
+  }
+
+  async set(counts: Map<string, number>): Promise<void> {
+    const statements = [...counts].map(([docId, chunks]) =>
+      chunks
+        ? this.db
+            .prepare(
+              `INSERT INTO vector_documents (namespace, doc_id, chunks) VALUES (?, ?, ?)
+               ON CONFLICT(namespace, doc_id) DO UPDATE SET chunks = excluded.chunks, updated_at = CURRENT_TIMESTAMP`
+            )
+            .bind(this.namespace, docId, chunks)
+        : this.db.prepare(`DELETE FROM vector_documents WHERE namespace = ? AND doc_id = ?`).bind(this.namespace, docId)
+    );
+    for (let i = 0; i < statements.length; i += D1_BATCH) await this.db.batch(statements.slice(i, i + D1_BATCH));
+  }
+
+  async delete(docIds: string[]): Promise<void> {
+    await this.set(new Map(docIds.map(docId => [docId, 0])));
+  }
+}
+
+// Namespace → document id → chunks, shared by every MemoryChunkRegistry in the isolate
+const memoryChunks = new Map<string, Map<string, number>>();
+
+export class MemoryChunkRegistry implements ChunkRegistry {
+  constructor(private namespace: string) {}
+
+  private get counts(): Map<string, number> {
+    let counts = memoryChunks.get(this.namespace);
+    if (!counts) memoryChunks.set(this.namespace, (counts = new Map()));
+    return counts;
+  }
+
+  async get(docIds: string[]): Promise<Map<string, number>> {
+    return new Map(docIds.filter(id => this.counts.has(id)).map(id => [id, this.counts.get(id)!]));
+  }
+
+  async all(): Promise<Map<string, number>> {
+    return new Map(this.counts);
+  }
+
+  async set(counts: Map<string, number>): Promise<void> {
+    for (const [docId, chunks] of counts) {
+      if (chunks) this.counts.set(docId, chunks);
+      else this.counts.delete(docId);
+    }
+  }
+
+  async delete(docIds: string[]): Promise<void> {
+    for (const docId of docIds) this.counts.delete(docId);
+  }
+}
+
+// Factory function. D1 when bound, else memory
+export function createChunkRegistry(env: VectorEnv, namespace: string): ChunkRegistry {
+  return env.AGENT_REGISTRY_DB ? new D1ChunkRegistry(env.AGENT_REGISTRY_DB, namespace) : new MemoryChunkRegistry(namespace);
+}
+
+// Deletes every vector of a namespace, found through its chunk registry (Vectorize
+// can't list them), and the registry's rows; resolves to how many documents it had
+export async function deleteVectorNamespace(env: VectorEnv, namespace: string): Promise<number> {
+  const registry = createChunkRegistry(env, namespace);
+  const counts = await registry.all();
+  const ids = [...counts].flatMap(([docId, n]) => chunkIds(docId, 0, n));
+  if (ids.length) await createVectorIndex(env, namespace).delete(ids);
+  await registry.delete([...counts.keys()]);
+  return counts.size;
+}
+
+// "<document id>#<n>" for n in [from, to)
+function chunkIds(docId: string, from: number, to: number): string[] {
+  return Array.from({ length: Math.max(0, to - from) }, (_, i) => `${docId}#${from + i}`);
+}
+
+// --------------------- Chunking ---------------------
+
+export interface ChunkOptions {
+  maxChars?: number;  // chunk size to aim for
+  overlap?: number;   // characters of the previous chunk repeated at the start of the next
+}
+
+// Text in pieces for embedding: paragraphs packed together, long paragraphs split
+// at sentences (and overlong sentences cut), each chunk after the first opening
+// with the end of the one before so nothing is lost at a boundary
+export function chunkText(text: string, { maxChars = 1200, overlap = 150 }: ChunkOptions = {}): string[] {
+  const carryLength = Math.max(0, Math.min(overlap, Math.floor(maxChars / 2)));
+  const budget = maxChars - carryLength;
+  const pieces = text
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .flatMap(paragraph => splitLong(paragraph.trim(), budget))
+    .filter(Boolean);
+
+  const chunks: string[] = [];
+  let current: string[] = [];
+  let length = 0;
+  let carry = "";
+  const flush = () => {
+    const chunk = [carry, ...current].filter(Boolean).join("\n\n");
+    chunks.push(chunk);
+    carry = tail(chunk, carryLength);
+    current = [];
+    length = 0;
+  };
+
+  for (const piece of pieces) {
+    if (length && length + piece.length > budget) flush();
+    current.push(piece);
+    length += piece.length + 2;
+  }
+  if (current.length) flush();
+  return chunks;
+}
+
+function splitLong(paragraph: string, limit: number): string[] {
+  if (paragraph.length <= limit) return [paragraph];
+  const pieces: string[] = [];
+  let current = "";
+  for (const sentence of paragraph.split(/(?<=[.!?])\s+/)) {
+    if (current && current.length + sentence.length + 1 > limit) {
+      pieces.push(current);
+      current = "";
+    }
+    if (sentence.length > limit) {
+      for (let i = 0; i < sentence.length; i += limit) pieces.push(sentence.slice(i, i + limit));
+    } else {
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// The last `length` characters, starting at a word
+function tail(text: string, length: number): string {
+  if (!length) return "";
+  if (text.length <= length) return text;
+  const end = text.slice(-length);
+  const space = end.search(/\s/);
+  return (space >= 0 ? end.slice(space) : end).trim();
+}
+
+// --------------------- Semantic search ---------------------
+
+export interface SearchDocument {
+  id: string;
+  text: string;
+  metadata?: VectorMetadata;
+}
+
+export interface SearchMatch {
+  id: string;       // "<document id>#<n>"
+  docId: string;
+  score: number;
+  text: string;     // the chunk
+  metadata: VectorMetadata;
+}
+
+export interface AddOptions extends Omit<EmbedOptions, "purpose"> {
+  chunk?: ChunkOptions;
+}
+
+export interface SearchOptions extends Omit<EmbedOptions, "purpose">, VectorQueryOptions {}
+
+export class SemanticIndex {
+  // `choice` is the embedding model; keep it for the index's life (see pickEmbeddingModel)
+  constructor(
+    private env: EnvReq,
+    private index: VectorIndex,
+    private choice: LLMChoice,
+    private registry: ChunkRegistry
+  ) {}
+
+  get model(): string {
+    return this.choice.model;
+  }
+
+  // Indexes each document, replacing whatever it was indexed as before. A document
+  // sent twice in one call is indexed once, as its last version
+  async add(
+    documents: SearchDocument[],
+    { chunk, ...options }: AddOptions = {}
+  ): Promise<{ documents: number; chunks: number; removedChunks: number }> {
+    const latest = [...new Map(documents.map(doc => [doc.id, doc])).values()];
+    const counts = new Map<string, number>();
+    const chunks = latest.flatMap(doc => {
+      const texts = chunkText(doc.text, chunk);
+      counts.set(doc.id, texts.length);
+      return texts.map((text, n) => ({
+        id: `${doc.id}#${n}`,
+        text,
+        metadata: { ...doc.metadata, docId: doc.id, chunk: n, text }
+      }));
+    });
+
+    const vectors = chunks.length
+      ? await embed(this.env, chunks.map(c => c.text), this.choice, { ...options, purpose: "document" })
+      : [];
+    // Recorded at the larger count until the old tail is gone, so no vector is ever untracked
+    const previous = await this.registry.get([...counts.keys()]);
+    await this.registry.set(new Map([...counts].map(([docId, n]) => [docId, Math.max(n, previous.get(docId) ?? 0)])));
+    if (chunks.length) await this.index.upsert(chunks.map((c, i) => ({ id: c.id, values: vectors[i], metadata: c.metadata })));
+
+    const stale = [...counts].flatMap(([docId, n]) => chunkIds(docId, n, previous.get(docId) ?? 0));
+    if (stale.length) {
+      await this.index.delete(stale);
+      await this.registry.set(new Map([...counts].filter(([docId, n]) => (previous.get(docId) ?? 0) > n)));
+    }
+    return { documents: latest.length, chunks: chunks.length, removedChunks: stale.length };
+  }
+
+  // The `topK` chunks closest to `query`, best first
+  async search(query: string, { topK, filter, ...options }: SearchOptions = {}): Promise<SearchMatch[]> {
+    const [vector] = await embed(this.env, [query], this.choice, { ...options, purpose: "query" });
+    const matches = await this.index.query(vector, { topK, filter });
+    return matches.map(m => ({
+      id: m.id,
+      docId: String(m.metadata?.docId ?? m.id.replace(/#\d+$/, "")),
+      score: m.score,
+      text: String(m.metadata?.text ?? ""),
+      metadata: m.metadata ?? {}
+    }));
+  }
+
+  // Deletes documents and every chunk they were indexed as; resolves to how many were indexed
+  async remove(docIds: string[]): Promise<number> {
+    const counts = await this.registry.get(docIds);
+    const ids = [...counts].flatMap(([docId, n]) => chunkIds(docId, 0, n));
+    if (ids.length) await this.index.delete(ids);
+    await this.registry.delete([...counts.keys()]);
+    return counts.size;
+  }
+}
+
+// Factory function. The embedding model defaults to pickEmbeddingModel(env)
+export function createSemanticIndex(
+  env: EnvReq & VectorEnv,
+  namespace: string,
+  choice: LLMChoice = pickEmbeddingModel(env)
+): SemanticIndex {
+  return new SemanticIndex(env, createVectorIndex(env, namespace), choice, createChunkRegistry(env, namespace));
+}
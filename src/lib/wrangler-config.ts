@@ -0,0 +1,153 @@
+// src/lib/wrangler-config.ts
+// Codr — Read and rewrite the wrangler.toml subset our templates use
+//
+// Handles top-level keys, [vars] and the [[kv_namespaces]] / [[d1_databases]] /
+// [[r2_buckets]] arrays of tables, with string/number/boolean values, single-line
+// arrays and comments. Rewriting is line-based so comments and layout survive.
+
+export type ResourceSection = "kv_namespaces" | "d1_databases" | "r2_buckets";
+
+export const RESOURCE_SECTIONS: ResourceSection[] = ["kv_namespaces", "d1_databases", "r2_buckets"];
+
+export type TomlValue = string | number | boolean | TomlValue[];
+
+export interface WranglerConfig {
+  name?: string;
+  main?: string;
+  compatibility_date?: string;
+  vars: Record<string, TomlValue>;
+  kv_namespaces: Array<Record<string, TomlValue>>;
+  d1_databases: Array<Record<string, TomlValue>>;
+  r2_buckets: Array<Record<string, TomlValue>>;
+  [key: string]: unknown;
+}
+
+// section → binding → keys to set (e.g. kv_namespaces → WEBHOOK_DATA → { id, preview_id })
+export type ConfigRewrites = Partial<Record<ResourceSection, Record<string, Record<string, string>>>>;
+
+const TABLE = /^\[\s*([A-Za-z0-9_.-]+)\s*\]$/;
+const ARRAY_TABLE = /^\[\[\s*([A-Za-z0-9_.-]+)\s*\]\]$/;
+const KEY_VALUE = /^([A-Za-z0-9_-]+|"[^"]*")\s*=\s*(.+)$/;
+
+export function parseWranglerToml(source: string): WranglerConfig {
+  const config: WranglerConfig = { vars: {}, kv_namespaces: [], d1_databases: [], r2_buckets: [] };
+  let target: Record<string, unknown> = config;
+
+  for (const [index, raw] of source.split(/\r?\n/).entries()) {
+    const line = stripComment(raw).trim();
+    if (!line) continue;
+
+    const arrayTable = line.match(ARRAY_TABLE);
+    if (arrayTable) {
+      const list = (config[arrayTable[1]] as unknown[] | undefined) ?? [];
+      const entry: Record<string, TomlValue> = {};
+      list.push(entry);
+      config[arrayTable[1]] = list;
+      target = entry;
+      continue;
+    }
+
+    const table = line.match(TABLE);
+    if (table) {
+      const existing = config[table[1]];
+      target = (existing && typeof existing === "object" ? existing : (config[table[1]] = {})) as Record<string, unknown>;
+      continue;
+    }
+
+    const pair = line.match(KEY_VALUE);
+    if (!pair) throw new Error(`wrangler.toml:${index + 1}: cannot parse "${raw.trim()}"`);
+    target[pair[1].replace(/^"|"$/g, "")] = parseValue(pair[2], index + 1);
+  }
+
+  return config;
+}
+
+// Set keys inside the [[section]] blocks matched by their `binding`; keys a block
+// lacks are appended to it
+export function rewriteWranglerToml(source: string, rewrites: ConfigRewrites): string {
+  const lines = source.split(/\r?\n/);
+  const out: string[] = [];
+
+  let section: string | null = null;
+  let block: string[] = [];
+
+  const flush = () => {
+    if (!block.length) return;
+    const updates = section ? findUpdates(rewrites, section, block) : undefined;
+    if (updates) {
+      const pending = new Map(Object.entries(updates));
+      block = block.map(line => {
+        const pair = stripComment(line).trim().match(KEY_VALUE);
+        const key = pair?.[1].replace(/^"|"$/g, "");
+        if (!key || !pending.has(key)) return line;
+        const value = pending.get(key)!;
+        pending.delete(key);
+        const indent = line.match(/^\s*/)![0];
+        return `${indent}${key} = ${JSON.stringify(value)}`;
+      });
+      // Insert after the last key line so trailing blank lines stay at the end
+      let last = block.length - 1;
+      while (last > 0 && !stripComment(block[last]).trim()) last--;
+      block.splice(last + 1, 0, ...Array.from(pending, ([key, value]) => `${key} = ${JSON.stringify(value)}`));
+    }
+    out.push(...block);
+    block = [];
+  };
+
+  for (const line of lines) {
+    const trimmed = stripComment(line).trim();
+    const arrayTable = trimmed.match(ARRAY_TABLE);
+    if (arrayTable || TABLE.test(trimmed)) {
+      flush();
+      section = arrayTable ? arrayTable[1] : null;
+    }
+    block.push(line);
+  }
+  flush();
+
+  return out.join("\n");
+}
+
+function findUpdates(rewrites: ConfigRewrites, section: string, block: string[]): Record<string, string> | undefined {
+  const bySection = rewrites[section as ResourceSection];
+  if (!bySection) return undefined;
+  for (const line of block) {
+    const pair = stripComment(line).trim().match(KEY_VALUE);
+    if (pair?.[1] === "binding") {
+      const binding = parseValue(pair[2], 0);
+      return typeof binding === "string" ? bySection[binding] : undefined;
+    }
+  }
+  return undefined;
+}
+
+function parseValue(raw: string, line: number): TomlValue {
+  const value = raw.trim();
+  if (value.startsWith('"')) return JSON.parse(value);
+  if (value.startsWith("'")) return value.slice(1, value.lastIndexOf("'"));
+  if (value === "true" || value === "false") return value === "true";
+  if (/^[+-]?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value.startsWith("[")) {
+    try {
+      return JSON.parse(value); // single-line arrays of double-quoted strings / numbers
+    } catch {}
+  }
+  throw new Error(`wrangler.toml:${line}: unsupported value ${value}`);
+}
+
+// Drop a trailing "# comment" that isn't inside a string
+function stripComment(line: string): string {
+  let quote: string | null = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === "\\" && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === "#") {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
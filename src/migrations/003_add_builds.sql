@@ -0,0 +1,19 @@
+-- 🧱 003_add_builds.sql
+-- Content-addressed build history: one manifest row per build, artifacts in R2
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS builds (
+  id          TEXT PRIMARY KEY,           -- buildId returned by /api/build
+  app_id      TEXT NOT NULL,              -- agent id or ad-hoc app id
+  input_hash  TEXT NOT NULL,              -- sha256(files + framework + dependencies)
+  framework   TEXT,                       -- "react" | "vite"
+  success     INTEGER NOT NULL,           -- 1 | 0
+  manifest    TEXT,                       -- JSON: [{ path, type, key }] → R2 builds/objects/<sha256>
+  errors      TEXT,                       -- JSON array
+  warnings    TEXT,                       -- JSON array
+  cached_from TEXT,                       -- build id whose outputs were reused (cache hit)
+  created_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_builds_app ON builds(app_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_builds_input ON builds(input_hash);
@@ -0,0 +1,31 @@
+-- 🧱 004_add_agent_versions.sql
+-- Immutable deploy history: one row per publish; rollback only repoints routing
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS agent_versions (
+  id            TEXT PRIMARY KEY,         -- "<agentId>-v<version>", also the dispatch script name
+  agent_id      TEXT NOT NULL,
+  version       INTEGER NOT NULL,         -- 1, 2, 3… per agent
+  build_id      TEXT,                     -- builds.id the assets came from
+  build_hash    TEXT,                     -- builds.input_hash (sources + framework + deps)
+  files_hash    TEXT NOT NULL,            -- sha256 over the published files
+  assets_prefix TEXT NOT NULL,            -- R2 prefix: apps/<agentId>/<id>/
+  script_name   TEXT,                     -- Workers for Platforms script, when deployed there
+  deployment_id TEXT,
+  url           TEXT,
+  status        TEXT NOT NULL,            -- "deployed" | "failed"
+  error         TEXT,
+  deployed_by   TEXT,                     -- user id, "generator", "api"…
+  created_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (agent_id, version),
+  FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_versions_agent ON agent_versions(agent_id, version);
+
+-- Versions are a historical record; which one is live lives in KV (agent:<id>)
+CREATE TRIGGER IF NOT EXISTS agent_versions_immutable
+BEFORE UPDATE ON agent_versions
+BEGIN
+  SELECT RAISE(ABORT, 'agent_versions rows are immutable');
+END;
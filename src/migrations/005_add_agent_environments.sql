@@ -0,0 +1,15 @@
+-- 🧱 005_add_agent_environments.sql
+-- Named environments per agent: which version each one serves, and its vars
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS agent_environments (
+  agent_id    TEXT NOT NULL,
+  name        TEXT NOT NULL,              -- "preview" | "staging" | "production"
+  version_id  TEXT,                       -- agent_versions.id currently served (latest one for preview)
+  vars        TEXT,                       -- JSON map of plain-text environment variables
+  script_name TEXT,                       -- Workers for Platforms script serving this environment
+  promoted_by TEXT,
+  updated_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (agent_id, name),
+  FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
+);
@@ -0,0 +1,15 @@
+-- 🧱 006_add_agent_resources.sql
+-- KV namespaces, D1 databases and R2 buckets provisioned for an agent's template.
+-- Names embed the agent id, so everything listed here is Codr-owned and torn down with the agent.
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS agent_resources (
+  agent_id    TEXT NOT NULL,
+  type        TEXT NOT NULL,              -- "kv_namespace" | "d1" | "r2_bucket"
+  binding     TEXT NOT NULL,              -- binding name from the template's wrangler.toml
+  name        TEXT NOT NULL,              -- KV title / D1 database name / R2 bucket name
+  resource_id TEXT NOT NULL,              -- KV namespace id / D1 uuid / R2 bucket name
+  created_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (agent_id, type, binding),
+  FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
+);
@@ -0,0 +1,15 @@
+-- 🧱 007_add_agent_secrets.sql
+-- API keys and tokens an agent needs at runtime (intake question 5), AES-GCM encrypted with
+-- the Worker's SECRETS_ENCRYPTION_KEY. Plaintext never touches D1 and is never returned by the API.
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS agent_secrets (
+  agent_id    TEXT NOT NULL,
+  name        TEXT NOT NULL,              -- env name in the deployed Worker, e.g. OPENAI_API_KEY
+  ciphertext  TEXT NOT NULL,              -- base64 AES-GCM output (includes the auth tag)
+  iv          TEXT NOT NULL,              -- base64 96-bit nonce, fresh per write
+  updated_by  TEXT,
+  updated_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (agent_id, name),
+  FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
+);
@@ -0,0 +1,33 @@
+-- 🧱 008_add_llm_usage.sql
+-- Token, latency and cost of every model call, per agent and generation phase, and the
+-- monthly spend limit of the workspace an agent belongs to
+PRAGMA foreign_keys = ON;
+
+ALTER TABLE agents ADD COLUMN workspace_id TEXT NOT NULL DEFAULT 'default';
+
+-- No foreign key: spend still counts against the workspace after an agent is deleted
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  agent_id      TEXT NOT NULL,
+  workspace_id  TEXT NOT NULL,
+  phase         TEXT NOT NULL,            -- "planning" | "core" | "styling"… | "refine"
+  path          TEXT,                     -- the file being generated, if any
+  provider      TEXT NOT NULL,
+  model         TEXT NOT NULL,
+  input_tokens  INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  latency_ms    INTEGER NOT NULL,
+  cost_usd      REAL,                     -- estimate from lib/llm-pricing.ts; NULL = model not priced
+  status        TEXT NOT NULL,            -- "ok" | "error"
+  at            TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_agent ON llm_usage(agent_id, at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_workspace ON llm_usage(workspace_id, at);
+
+CREATE TABLE IF NOT EXISTS workspace_budgets (
+  workspace_id  TEXT PRIMARY KEY,
+  monthly_usd   REAL NOT NULL,            -- generation stops once this month's cost_usd reaches it
+  updated_by    TEXT,
+  updated_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
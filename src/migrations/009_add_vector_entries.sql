@@ -0,0 +1,14 @@
+-- 🧱 009_add_vector_entries.sql
+-- Stand-in for a Vectorize index where none is bound (local dev, small installs):
+-- vectors kept as JSON and scanned per query by lib/vector-search.ts
+PRAGMA foreign_keys = ON;
+
+-- No foreign key: a namespace is usually an agent id, but needn't be
+CREATE TABLE IF NOT EXISTS vector_entries (
+  namespace   TEXT NOT NULL,              -- e.g. the agent whose knowledge this is
+  id          TEXT NOT NULL,              -- "<document id>#<chunk>"
+  vector      TEXT NOT NULL,              -- JSON number[]
+  metadata    TEXT,                       -- JSON object (document id, chunk text…)
+  updated_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (namespace, id)
+);
@@ -0,0 +1,14 @@
+-- 🧱 010_add_vector_documents.sql
+-- The documents in each vector namespace and how many chunks each was indexed as
+-- (lib/vector-search.ts), so re-adding a document drops the chunks it no longer
+-- has and removing it, or its agent, can delete every vector: Vectorize can't list them
+PRAGMA foreign_keys = ON;
+
+-- No foreign key, like vector_entries
+CREATE TABLE IF NOT EXISTS vector_documents (
+  namespace   TEXT NOT NULL,
+  doc_id      TEXT NOT NULL,
+  chunks      INTEGER NOT NULL,           -- indexed as "<doc_id>#0" … "<doc_id>#<chunks - 1>"
+  updated_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (namespace, doc_id)
+);
@@ -0,0 +1,12 @@
+-- 🧱 011_add_pending_versions.sql
+-- A publish claims its version number first, as a "pending" row (UNIQUE (agent_id,
+-- version) turns a concurrent claim of the same number into a retry), and settles
+-- it once the upload and preview deploy are done. Settled rows stay immutable
+DROP TRIGGER IF EXISTS agent_versions_immutable;
+
+CREATE TRIGGER IF NOT EXISTS agent_versions_immutable
+BEFORE UPDATE ON agent_versions
+WHEN OLD.status != 'pending'
+BEGIN
+  SELECT RAISE(ABORT, 'agent_versions rows are immutable');
+END;
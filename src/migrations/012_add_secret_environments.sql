@@ -0,0 +1,24 @@
+-- 🧱 012_add_secret_environments.sql
+-- Secrets are set per environment. environment '*' is the agent-wide fallback
+-- (every secret stored before this migration): staging and production get it
+-- unless they have their own value; previews never do, they only get 'preview' rows.
+-- SQLite can't change a primary key in place, so the table is rebuilt.
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS agent_secrets_scoped (
+  agent_id    TEXT NOT NULL,
+  environment TEXT NOT NULL DEFAULT '*',  -- "preview" | "staging" | "production" | "*" (agent-wide)
+  name        TEXT NOT NULL,              -- env name in the deployed Worker, e.g. OPENAI_API_KEY
+  ciphertext  TEXT NOT NULL,              -- base64 AES-GCM output (includes the auth tag)
+  iv          TEXT NOT NULL,              -- base64 96-bit nonce, fresh per write
+  updated_by  TEXT,
+  updated_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (agent_id, environment, name),
+  FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
+);
+
+INSERT INTO agent_secrets_scoped (agent_id, environment, name, ciphertext, iv, updated_by, updated_at)
+SELECT agent_id, '*', name, ciphertext, iv, updated_by, updated_at FROM agent_secrets;
+
+DROP TABLE agent_secrets;
+ALTER TABLE agent_secrets_scoped RENAME TO agent_secrets;
@@ -0,0 +1,205 @@
+// src/services/app-host.ts
+// Codr — Serves deployed agent apps from R2 on their wildcard subdomain
+
+export type EnvironmentName = 'preview' | 'staging' | 'production';
+
+export interface AgentRoute {
+  id: string;
+  name?: string;
+  subdomain?: string;
+  environment?: EnvironmentName;
+  assetsPrefix?: string;   // R2 prefix the live build was published under (default apps/<id>/)
+  dispatchScript?: string; // user Worker in the dispatch namespace, set by Workers for Platforms deploys
+  versionId?: string;      // agent_versions row this host serves
+  vars?: Record<string, string>; // environment vars; PUBLIC_* ones are served at /__codr/env.json
+}
+
+export interface AppHostEnv {
+  AGENT_ASSETS: R2Bucket;
+  DISPATCHER?: { get(name: string): Fetcher };
+  CUSTOM_DOMAIN?: string;
+}
+
+// Vars with this prefix are public: served to any visitor at /__codr/env.json
+const PUBLIC_VAR_PREFIX = 'PUBLIC_';
+
+const CONTENT_TYPES: Record<string, string> = {
+  html: 'text/html; charset=utf-8',
+  js: 'application/javascript; charset=utf-8',
+  mjs: 'application/javascript; charset=utf-8',
+  css: 'text/css; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  map: 'application/json; charset=utf-8',
+  txt: 'text/plain; charset=utf-8',
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  ico: 'image/x-icon',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  webmanifest: 'application/manifest+json'
+};
+
+// "agent123.vibecodedit.xyz" → "agent123"; apex and unrelated hosts → null
+export function subdomainFromHost(host: string, customDomain?: string): string | null {
+  const hostname = host.split(':')[0].toLowerCase();
+
+  if (customDomain) {
+    const domain = customDomain.toLowerCase().replace(/^\*?\./, '');
+    if (!hostname.endsWith(`.${domain}`)) return null;
+    const sub = hostname.slice(0, -(domain.length + 1));
+    return sub && !sub.includes('.') ? sub : null;
+  }
+
+  const parts = hostname.split('.');
+  return parts.length > 2 ? parts[0] : null;
+}
+
+// Subdomain label per environment: "<agent>", "staging--<agent>", "pr-<n>--<agent>"
+export function hostLabel(agentId: string, environment: EnvironmentName = 'production', previewNumber?: number): string {
+  if (environment === 'production') return agentId;
+  if (environment === 'staging') return `staging--${agentId}`;
+  return `pr-${previewNumber ?? 0}--${agentId}`;
+}
+
+export function agentUrl(
+  env: { CUSTOM_DOMAIN?: string },
+  agentId: string,
+  environment: EnvironmentName = 'production',
+  previewNumber?: number
+): string {
+  return `https://${hostLabel(agentId, environment, previewNumber)}.${env.CUSTOM_DOMAIN || 'yourdomain.com'}`;
+}
+
+// KV routing entry (agent:<label>) read by the wildcard router; label is the full subdomain
+export async function getAgentRoute(kv: KVNamespace, label: string): Promise<AgentRoute | null> {
+  const cached = await kv.get(`agent:${label}`);
+  return cached ? JSON.parse(cached) : null;
+}
+
+// Merge so deploy state (dispatchScript, assetsPrefix) survives profile edits
+export async function updateAgentRoute(kv: KVNamespace, label: string, patch: Partial<AgentRoute>): Promise<AgentRoute> {
+  const route: AgentRoute = { id: label, ...(await getAgentRoute(kv, label)), ...patch };
+  await kv.put(`agent:${label}`, JSON.stringify(route));
+  return route;
+}
+
+export function assetsPrefixFor(route: AgentRoute): string {
+  return route.assetsPrefix || `apps/${route.id}/`;
+}
+
+export async function serveAgentApp(env: AppHostEnv, route: AgentRoute, request: Request): Promise<Response> {
+  const url = new URL(request.url);
+
+  // Runtime config for static apps. Anyone can fetch it, so only PUBLIC_* vars: the
+  // rest are for a dispatched script's server side
+  if (url.pathname === '/__codr/env.json') {
+    return new Response(JSON.stringify({ environment: route.environment || 'production', vars: publicVars(route.vars) }), {
+      headers: { 'content-type': 'application/json; charset=utf-8', 'cache-control': 'no-cache' }
+    });
+  }
+
+  if (route.dispatchScript && env.DISPATCHER) {
+    try {
+      return await env.DISPATCHER.get(route.dispatchScript).fetch(request);
+    } catch (error) {
+      // Script missing from the namespace: the R2 copy of the build is still servable
+      console.error(`Dispatch to ${route.dispatchScript} failed, serving from R2:`, error);
+    }
+  }
+
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    return new Response('Method not allowed', { status: 405, headers: { allow: 'GET, HEAD' } });
+  }
+
+  const prefix = assetsPrefixFor(route);
+
+  let path: string;
+  try {
+    path = decodeURIComponent(url.pathname).replace(/^\/+/, '');
+  } catch {
+    return notFound(route, url.pathname); // malformed %-escape
+  }
+  if (!path || path.endsWith('/')) path += 'index.html';
+  if (path.split('/').includes('..')) return notFound(route, url.pathname);
+
+  let object = await env.AGENT_ASSETS.get(`${prefix}${path}`);
+
+  // SPA fallback: extensionless routes (/settings, /notes/42) render the app shell
+  if (!object && !hasExtension(path)) {
+    path = 'index.html';
+    object = await env.AGENT_ASSETS.get(`${prefix}${path}`);
+  }
+
+  if (!object) return notFound(route, url.pathname);
+
+  const headers = new Headers();
+  object.writeHttpMetadata(headers);
+  if (!headers.has('content-type')) headers.set('content-type', contentTypeForPath(path));
+  headers.set('etag', object.httpEtag);
+  headers.set('cache-control', cacheControlFor(path));
+
+  const ifNoneMatch = request.headers.get('if-none-match');
+  if (ifNoneMatch && ifNoneMatch.split(',').map(t => t.trim()).includes(object.httpEtag)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  return new Response(request.method === 'HEAD' ? null : object.body, { headers });
+}
+
+function hasExtension(path: string): boolean {
+  return /\.[a-z0-9]+$/i.test(path.split('/').pop() || '');
+}
+
+export function contentTypeForPath(path: string): string {
+  const ext = path.slice(path.lastIndexOf('.') + 1).toLowerCase();
+  return CONTENT_TYPES[ext] || 'application/octet-stream';
+}
+
+// Build output under assets/ is content-hashed, so it can be cached forever;
+// the HTML shell must revalidate so new deploys show up immediately
+function cacheControlFor(path: string): string {
+  if (path.endsWith('.html')) return 'no-cache';
+  if (path.startsWith('assets/')) return 'public, max-age=31536000, immutable';
+  return 'public, max-age=300';
+}
+
+// Vars the app's visitors may see
+function publicVars(vars: Record<string, string> = {}): Record<string, string> {
+  return Object.fromEntries(Object.entries(vars).filter(([name]) => name.startsWith(PUBLIC_VAR_PREFIX)));
+}
+
+function notFound(route: AgentRoute, pathname: string): Response {
+  const title = route.name || route.id;
+  const html = `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width,initial-scale=1" />
+    <title>Not found · ${escapeHtml(title)}</title>
+    <style>
+      body { background: #0d0d0d; color: #f4f4f4; font-family: system-ui, sans-serif; margin: 0; }
+      main { min-height: 100dvh; display: flex; flex-direction: column; align-items: center; justify-content: center; text-align: center; padding: 2rem; }
+      code { color: #a855f7; }
+    </style>
+  </head>
+  <body>
+    <main>
+      <h1>404 — nothing here yet</h1>
+      <p><code>${escapeHtml(pathname)}</code> isn't part of ${escapeHtml(title)}.</p>
+      <p style="opacity:0.7">If you just hit “Code it”, the build may still be publishing. Try again in a minute.</p>
+    </main>
+  </body>
+</html>`;
+  return new Response(html, {
+    status: 404,
+    headers: { 'content-type': 'text/html; charset=utf-8', 'cache-control': 'no-cache' }
+  });
+}
+
+function escapeHtml(value: string): string {
+  return value.replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch] as string));
+}
@@ -0,0 +1,199 @@
+// src/services/build-cache.ts
+// Codr — Content-addressed build cache (manifests in D1, artifacts in R2)
+//
+// Builds are keyed by a hash of their inputs, so re-submitting an unchanged app
+// returns the previous outputs. Artifacts are stored by their own content hash,
+// so a rebuild that only touches styling re-uploads the CSS and shares the JS.
+
+import { sha256Hex, canonicalJSON } from '../lib/hash';
+import type { BuildAsset, BuildRequest, BuildResult } from './build';
+
+export interface BuildCacheEnv {
+  AGENT_ASSETS: R2Bucket;
+  AGENT_REGISTRY_DB: D1Database;
+}
+
+export interface BuildManifestEntry {
+  path: string;
+  type: BuildAsset['type'];
+  key: string; // R2 object key
+}
+
+export interface BuildRecord {
+  buildId: string;
+  appId: string;
+  inputHash: string;
+  framework: string;
+  success: boolean;
+  manifest: BuildManifestEntry[];
+  errors: string[];
+  warnings: string[];
+  cachedFrom?: string;
+  createdAt: string;
+}
+
+interface BuildRow {
+  id: string;
+  app_id: string;
+  input_hash: string;
+  framework: string;
+  success: number;
+  manifest: string | null;
+  errors: string | null;
+  warnings: string | null;
+  cached_from: string | null;
+  created_at: string;
+}
+
+const OBJECT_PREFIX = 'builds/objects/';
+
+export class BuildCache {
+  constructor(private env: BuildCacheEnv) {}
+
+  async hashInputs(
+    files: Array<{ path: string; content: string }>,
+    framework: BuildRequest['framework'],
+    dependencies: Record<string, string>
+  ): Promise<string> {
+    const sorted = [...files].sort((a, b) => a.path.localeCompare(b.path));
+    return sha256Hex(canonicalJSON({ files: sorted, framework, dependencies }));
+  }
+
+  // Latest successful build for these inputs, with assets loaded from R2
+  async lookup(inputHash: string): Promise<BuildRecord | null> {
+    const row = await this.env.AGENT_REGISTRY_DB
+      .prepare(`SELECT * FROM builds WHERE input_hash = ? AND success = 1 ORDER BY created_at DESC, rowid DESC LIMIT 1`)
+      .bind(inputHash)
+      .first<BuildRow>();
+    return row ? this.toRecord(row) : null;
+  }
+
+  async store(appId: string, inputHash: string, framework: string, result: BuildResult): Promise<BuildRecord> {
+    const manifest: BuildManifestEntry[] = [];
+
+    for (const asset of result.assets || []) {
+      const key = `${OBJECT_PREFIX}${await sha256Hex(asset.content)}`;
+      // Identical artifacts are shared across builds and apps
+      if (!(await this.env.AGENT_ASSETS.head(key))) {
+        await this.env.AGENT_ASSETS.put(key, asset.content, {
+          httpMetadata: { contentType: contentTypeFor(asset.type) }
+        });
+      }
+      manifest.push({ path: asset.path, type: asset.type, key });
+    }
+
+    return this.insert({
+      buildId: result.buildId,
+      appId,
+      inputHash,
+      framework,
+      success: result.success,
+      manifest,
+      errors: result.errors || [],
+      warnings: result.warnings || []
+    });
+  }
+
+  // Record a cache hit as its own build for this app, pointing at the reused outputs
+  async recordHit(appId: string, buildId: string, source: BuildRecord): Promise<BuildRecord> {
+    return this.insert({
+      ...source,
+      buildId,
+      appId,
+      cachedFrom: source.cachedFrom || source.buildId
+    });
+  }
+
+  async getBuild(appId: string, buildId: string): Promise<BuildRecord | null> {
+    const row = await this.env.AGENT_REGISTRY_DB
+      .prepare(`SELECT * FROM builds WHERE app_id = ? AND id = ?`)
+      .bind(appId, buildId)
+      .first<BuildRow>();
+    return row ? this.toRecord(row) : null;
+  }
+
+  async getLatestBuild(appId: string): Promise<BuildRecord | null> {
+    const row = await this.env.AGENT_REGISTRY_DB
+      .prepare(`SELECT * FROM builds WHERE app_id = ? ORDER BY created_at DESC, rowid DESC LIMIT 1`)
+      .bind(appId)
+      .first<BuildRow>();
+    return row ? this.toRecord(row) : null;
+  }
+
+  async listBuilds(appId: string, limit = 50): Promise<BuildRecord[]> {
+    const res = await this.env.AGENT_REGISTRY_DB
+      .prepare(`SELECT * FROM builds WHERE app_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?`)
+      .bind(appId, limit)
+      .all<BuildRow>();
+    return (res.results || []).map(row => this.toRecord(row));
+  }
+
+  // Rehydrate a manifest into the BuildResult shape the rest of the pipeline expects
+  async loadResult(record: BuildRecord): Promise<BuildResult> {
+    const assets: BuildAsset[] = [];
+    for (const entry of record.manifest) {
+      const object = await this.env.AGENT_ASSETS.get(entry.key);
+      if (!object) throw new Error(`Build artifact missing from R2: ${entry.key} (${entry.path})`);
+      assets.push({ path: entry.path, type: entry.type, content: await object.text() });
+    }
+
+    return {
+      success: record.success,
+      buildId: record.buildId,
+      inputHash: record.inputHash,
+      cached: !!record.cachedFrom,
+      assets,
+      errors: record.errors.length ? record.errors : undefined,
+      warnings: record.warnings
+    };
+  }
+
+  private async insert(record: Omit<BuildRecord, 'createdAt'>): Promise<BuildRecord> {
+    const createdAt = new Date().toISOString();
+    await this.env.AGENT_REGISTRY_DB
+      .prepare(
+        `INSERT INTO builds (id,app_id,input_hash,framework,success,manifest,errors,warnings,cached_from,created_at)
+         VALUES (?,?,?,?,?,?,?,?,?,?)`
+      )
+      .bind(
+        record.buildId,
+        record.appId,
+        record.inputHash,
+        record.framework,
+        record.success ? 1 : 0,
+        JSON.stringify(record.manifest),
+        JSON.stringify(record.errors),
+        JSON.stringify(record.warnings),
+        record.cachedFrom ?? null,
+        createdAt
+      )
+      .run();
+    return { ...record, createdAt };
+  }
+
+  private toRecord(row: BuildRow): BuildRecord {
+    return {
+      buildId: row.id,
+      appId: row.app_id,
+      inputHash: row.input_hash,
+      framework: row.framework,
+      success: row.success === 1,
+      manifest: JSON.parse(row.manifest || '[]'),
+      errors: JSON.parse(row.errors || '[]'),
+      warnings: JSON.parse(row.warnings || '[]'),
+      cachedFrom: row.cached_from || undefined,
+      createdAt: row.created_at
+    };
+  }
+}
+
+export function contentTypeFor(type: BuildAsset['type']): string {
+  return type === 'html' ? 'text/html' :
+         type === 'js' ? 'application/javascript' :
+         type === 'css' ? 'text/css' : 'text/plain';
+}
+
+// Factory function
+export function createBuildCache(env: BuildCacheEnv): BuildCache {
+  return new BuildCache(env);
+}
@@ -1,27 +1,68 @@
 // src/services/build.ts
 // Codr — Build pipeline for generated applications
 
+import type { Metafile } from 'esbuild-wasm';
+import { compile, normalizePath, type CompiledOutput } from '../lib/compiler';
+import { isPinned } from '../lib/semver';
+import { createBuildCache, type BuildCache } from './build-cache';
+import {
+  BASE_DEPENDENCIES,
+  BASE_DEV_DEPENDENCIES,
+  createDependencyResolver,
+  formatDependencyIssue,
+  packageName,
+  reconcileDependencies,
+  scanImports,
+  type DependencyIssue,
+  type DependencyReport,
+  type DependencyResolver
+} from './dependencies';
+
 export interface BuildRequest {
   appId: string;
   files: Array<{ path: string; content: string }>;
   framework: 'react' | 'vite';
   dependencies: Record<string, string>;
+  manifest?: string[]; // planned paths (project-structure.json); any missing fails the build
+}
+
+export interface BuildAsset {
+  path: string;
+  content: string;
+  type: 'js' | 'css' | 'html';
 }
 
 export interface BuildResult {
   success: boolean;
   buildId: string;
-  assets?: Array<{ path: string; content: string; type: 'js' | 'css' | 'html' }>;
+  assets?: BuildAsset[];
   errors?: string[];
   warnings?: string[];
+  inputHash?: string;
+  cached?: boolean;
+  dependencies?: Record<string, string>; // lock: package → resolved version
+  dependencyIssues?: DependencyIssue[];
 }
 
 export class BuildService {
-  constructor(private env: any) {}
+  private cache: BuildCache | null;
+  private resolver: DependencyResolver | null;
+
+  constructor(private env: any) {
+    // Cache needs both R2 (artifacts) and D1 (manifests); without them every build is fresh
+    this.cache = env?.AGENT_ASSETS && env?.AGENT_REGISTRY_DB ? createBuildCache(env) : null;
+    // Offline package mirror lives in the same R2 bucket
+    this.resolver = env?.AGENT_ASSETS ? createDependencyResolver(env.AGENT_ASSETS) : null;
+  }
 
   async buildApp(request: BuildRequest): Promise<BuildResult> {
     const buildId = `build_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
+    const missing = missingFromManifest(request);
+    if (missing.length) {
+      return { success: false, buildId, errors: [`Missing planned files: ${missing.join(', ')}`] };
+    }
+
     try {
       // Generate package.json for the app
       const packageJson = this.generatePackageJson(request);
@@ -29,46 +70,106 @@ export class BuildService {
       // Generate build configuration
       const buildConfig = this.generateBuildConfig(request);
 
-      // Add build files to the file list
-      const allFiles = [
-        ...request.files,
+      // Add build files to the file list (generated files win over scaffolding)
+      const allFiles = this.mergeFiles([
         { path: 'package.json', content: JSON.stringify(packageJson, null, 2) },
         ...buildConfig
-      ];
+      ], request.files);
 
-      // Simulate build process (in real implementation, this would use containers)
-      const buildResult = await this.executeBuild(allFiles, request.framework);
+      const deps = await this.resolveDependencies(allFiles, request.dependencies);
 
-      return {
+      // Hash the resolved versions, not the ranges, so a mirror update invalidates the cache
+      const inputHash = this.cache
+        ? await this.cache.hashInputs(allFiles, request.framework, deps.dependencies)
+        : undefined;
+
+      const cached = inputHash ? await this.fromCache(request.appId, buildId, inputHash) : null;
+      if (cached) return { ...cached, dependencies: deps.dependencies, dependencyIssues: deps.issues };
+
+      const buildResult = await this.executeBuild(allFiles, request.framework, deps);
+
+      const result: BuildResult = {
         success: buildResult.success,
         buildId,
         assets: buildResult.assets,
         errors: buildResult.errors,
-        warnings: buildResult.warnings
+        warnings: buildResult.warnings,
+        inputHash,
+        cached: false,
+        dependencies: deps.dependencies,
+        dependencyIssues: deps.issues
       };
 
+      if (this.cache && inputHash) {
+        try {
+          await this.cache.store(request.appId, inputHash, request.framework, result);
+        } catch (error) {
+          console.error(`Failed to store build ${buildId} in cache:`, error);
+        }
+      }
+
+      return result;
+
     } catch (error) {
       return {
         success: false,
         buildId,
-        errors: [`Build failed: ${error.message}`]
+        errors: [`Build failed: ${error instanceof Error ? error.message : String(error)}`]
       };
     }
   }
 
-  private generatePackageJson(request: BuildRequest): any {
-    const baseDeps = {
-      'react': '^18.2.0',
-      'react-dom': '^18.2.0'
-    };
+  // Declared: the app's effective package.json, then anything the caller passed explicitly
+  private async resolveDependencies(
+    files: Array<{ path: string; content: string }>,
+    requested: Record<string, string>
+  ): Promise<DependencyReport> {
+    let declared: Record<string, string> = {};
+    const pkgFile = files.find(f => f.path === 'package.json');
+    try {
+      declared = pkgFile ? JSON.parse(pkgFile.content).dependencies || {} : {};
+    } catch {
+      // Unparseable generated package.json: fall back to imports + requested deps
+    }
 
-    const devDeps = {
-      '@types/react': '^18.2.0',
-      '@types/react-dom': '^18.2.0',
-      '@vitejs/plugin-react': '^4.0.0',
-      'typescript': '^5.0.0',
-      'vite': '^4.0.0'
-    };
+    if (this.resolver) return this.resolver.resolve(files, declared, requested);
+
+    const { dependencies, issues } = reconcileDependencies(scanImports(files), declared, requested);
+    return { dependencies, resolved: [], issues };
+  }
+
+  private async fromCache(appId: string, buildId: string, inputHash: string): Promise<BuildResult | null> {
+    if (!this.cache) return null;
+    try {
+      const hit = await this.cache.lookup(inputHash);
+      if (!hit) return null;
+
+      // Load artifacts first so a missing object falls through to a fresh build
+      const result = await this.cache.loadResult(hit);
+      await this.cache.recordHit(appId, buildId, hit);
+      return { ...result, buildId, cached: true };
+    } catch (error) {
+      // A broken cache entry should never block a build
+      console.error(`Build cache lookup failed for ${appId}:`, error);
+      return null;
+    }
+  }
+
+  private mergeFiles(
+    base: Array<{ path: string; content: string }>,
+    overrides: Array<{ path: string; content: string }>
+  ): Array<{ path: string; content: string }> {
+    const merged = new Map<string, { path: string; content: string }>();
+    for (const file of [...base, ...overrides]) {
+      const path = normalizePath(file.path);
+      if (path) merged.set(path, { path, content: file.content });
+    }
+    return Array.from(merged.values());
+  }
+
+  private generatePackageJson(request: BuildRequest): any {
+    const baseDeps = BASE_DEPENDENCIES;
+    const devDeps = BASE_DEV_DEPENDENCIES;
 
     if (request.framework === 'vite') {
       return {
@@ -177,43 +278,186 @@ export default defineConfig({
 
   private async executeBuild(
     files: Array<{ path: string; content: string }>,
-    framework: string
-  ): Promise<{ success: boolean; assets?: any[]; errors?: string[]; warnings?: string[] }> {
-    // In a real implementation, this would:
-    // 1. Create a container with Node.js
-    // 2. Write all files to the container
-    // 3. Run npm install
-    // 4. Run npm run build
-    // 5. Collect the built assets from dist/
-
-    // For now, simulate a successful build
+    framework: string,
+    deps: DependencyReport
+  ): Promise<{ success: boolean; assets?: BuildAsset[]; errors?: string[]; warnings?: string[] }> {
     console.log(`Building ${framework} app with ${files.length} files`);
 
-    // Simulate build output
-    return {
-      success: true,
-      assets: [
-        {
-          path: 'index.html',
-          content: '<!DOCTYPE html><html><body><h1>Built App</h1></body></html>',
-          type: 'html'
-        },
-        {
-          path: 'assets/index.js',
-          content: 'console.log("Built JavaScript");',
-          type: 'js'
-        },
-        {
-          path: 'assets/index.css',
-          content: 'body { font-family: Arial; }',
-          type: 'css'
-        }
-      ],
-      warnings: ['Some warnings about unused imports']
+    const htmlFile = files.find(f => f.path === 'index.html') || files.find(f => f.path === 'public/index.html');
+    if (!htmlFile) {
+      return { success: false, errors: ['index.html: no HTML entry found (expected index.html or public/index.html)'] };
+    }
+
+    const scriptEntries = this.findModuleScripts(htmlFile.content);
+    const entryPoints = scriptEntries.length
+      ? scriptEntries.map(s => s.path)
+      : this.findFallbackEntry(files);
+
+    if (!entryPoints.length) {
+      return { success: false, errors: [`${htmlFile.path}: no module script and no src/main.tsx or src/index.tsx to bundle`] };
+    }
+
+    // Mirrored packages are bundled in; anything left over is loaded from the CDN, pinned
+    const plugins = this.resolver && deps.resolved.length ? [this.resolver.createPlugin(deps.resolved)] : [];
+    const dependencyWarnings = deps.issues.filter(i => i.kind !== 'unused').map(formatDependencyIssue);
+
+    const result = await compile(files, { entryPoints, plugins });
+    if (!result.success) {
+      return { success: false, errors: result.errors, warnings: [...dependencyWarnings, ...result.warnings] };
+    }
+
+    const warnings = [...dependencyWarnings, ...result.warnings];
+    const outputs = result.metafile?.outputs || {};
+
+    // Map each source entry to its emitted JS chunk + CSS bundle
+    const entryOutputs = new Map<string, { js: string; css?: string }>();
+    for (const [outPath, meta] of Object.entries(outputs)) {
+      if (!meta.entryPoint) continue;
+      const source = meta.entryPoint.replace(/^codr-vfs:/, '');
+      entryOutputs.set(source, {
+        js: this.publicPath(outPath),
+        css: meta.cssBundle ? this.publicPath(meta.cssBundle) : undefined
+      });
+    }
+
+    const { imports: importMap, errors } = this.buildImportMap(result.metafile, deps.dependencies, warnings);
+    if (errors.length) return { success: false, errors, warnings };
+    const html = this.rewriteHtml(htmlFile.content, scriptEntries, entryPoints, entryOutputs, importMap);
+
+    const assets: BuildAsset[] = [
+      { path: 'index.html', content: html, type: 'html' },
+      ...result.outputs
+        .filter(o => o.path.endsWith('.js') || o.path.endsWith('.css'))
+        .map((o: CompiledOutput) => ({
+          path: o.path,
+          content: o.content,
+          type: (o.path.endsWith('.css') ? 'css' : 'js') as BuildAsset['type']
+        }))
+    ];
+
+    return { success: true, assets, warnings };
+  }
+
+  // <script type="module" src="/src/main.tsx"> → { tag, path: "src/main.tsx" }
+  private findModuleScripts(html: string): Array<{ tag: string; path: string }> {
+    const scripts: Array<{ tag: string; path: string }> = [];
+    const tagPattern = /<script\b[^>]*>\s*<\/script>/gi;
+
+    for (const match of html.matchAll(tagPattern)) {
+      const tag = match[0];
+      if (!/type\s*=\s*["']module["']/i.test(tag)) continue;
+      const src = tag.match(/src\s*=\s*["']([^"']+)["']/i)?.[1];
+      if (!src || /^(https?:)?\/\//.test(src)) continue;
+      const path = normalizePath(src);
+      if (path) scripts.push({ tag, path });
+    }
+
+    return scripts;
+  }
+
+  private findFallbackEntry(files: Array<{ path: string; content: string }>): string[] {
+    const candidates = ['src/main.tsx', 'src/index.tsx', 'src/main.jsx', 'src/index.jsx', 'src/main.ts', 'src/index.js'];
+    const entry = candidates.find(c => files.some(f => f.path === c));
+    return entry ? [entry] : [];
+  }
+
+  private publicPath(outPath: string): string {
+    return outPath.replace(/^\/?dist\//, '');
+  }
+
+  // Bare imports stay external and are resolved in the browser through an import map.
+  // Only an exact version may come from the CDN: with a mirror configured nothing
+  // should be left external, and without one the declared version must be pinned
+  private buildImportMap(
+    metafile: Metafile | undefined,
+    dependencies: Record<string, string>,
+    warnings: string[]
+  ): { imports: Record<string, string>; errors: string[] } {
+    const specifiers = new Set<string>();
+    for (const meta of Object.values(metafile?.outputs || {})) {
+      for (const imp of meta.imports) {
+        if (imp.external && !/^(https?:|data:|\.|\/)/.test(imp.path)) specifiers.add(imp.path);
+      }
+    }
+
+    const packages = Array.from(new Set(Array.from(specifiers).map(packageName)));
+    const errors: string[] = [];
+    for (const pkg of packages) {
+      const version = dependencies[pkg];
+      if (this.resolver) {
+        errors.push(`package.json: "${pkg}" could not be bundled from the offline mirror (add it with npm run mirror -- ${pkg}@<version>)`);
+      } else if (!version || !isPinned(version)) {
+        errors.push(`package.json: "${pkg}@${version || 'latest'}" must be pinned to an exact version to load from the CDN`);
+      } else {
+        warnings.push(`package.json: "${pkg}" is loaded from the CDN at runtime (no offline mirror configured)`);
+      }
+    }
+
+    // Mark sibling packages external on the CDN so React & co. resolve to a single copy
+    const cdnUrl = (pkg: string, subpath = '') => {
+      const others = packages.filter(p => p !== pkg);
+      const query = others.length ? `?external=${others.join(',')}` : '';
+      return `https://esm.sh/${pkg}@${dependencies[pkg]}${subpath}${query}`;
     };
+
+    const imports: Record<string, string> = {};
+    for (const specifier of specifiers) {
+      const pkg = packageName(specifier);
+      imports[pkg] = cdnUrl(pkg);
+      if (specifier !== pkg) imports[specifier] = cdnUrl(pkg, specifier.slice(pkg.length));
+    }
+
+    return { imports, errors };
+  }
+
+  private rewriteHtml(
+    html: string,
+    scriptEntries: Array<{ tag: string; path: string }>,
+    entryPoints: string[],
+    entryOutputs: Map<string, { js: string; css?: string }>,
+    importMap: Record<string, string>
+  ): string {
+    let output = html;
+    const styles: string[] = [];
+
+    for (const entry of scriptEntries) {
+      const built = entryOutputs.get(entry.path);
+      if (!built) continue;
+      output = output.replace(entry.tag, `<script type="module" src="/${built.js}"></script>`);
+      if (built.css) styles.push(built.css);
+    }
+
+    // No module script in the HTML (CRA-style public/index.html): inject one
+    if (!scriptEntries.length) {
+      const built = entryOutputs.get(entryPoints[0]);
+      if (built) {
+        output = this.injectBefore(output, '</body>', `<script type="module" src="/${built.js}"></script>`);
+        if (built.css) styles.push(built.css);
+      }
+    }
+
+    const head: string[] = [];
+    if (Object.keys(importMap).length) {
+      head.push(`<script type="importmap">${JSON.stringify({ imports: importMap })}</script>`);
+    }
+    head.push(...styles.map(href => `<link rel="stylesheet" href="/${href}" />`));
+
+    return head.length ? this.injectBefore(output, '</head>', head.join('\n    ')) : output;
+  }
+
+  private injectBefore(html: string, marker: string, snippet: string): string {
+    const idx = html.toLowerCase().indexOf(marker);
+    if (idx === -1) return `${snippet}\n${html}`;
+    return `${html.slice(0, idx)}    ${snippet}\n  ${html.slice(idx)}`;
   }
 }
 
+function missingFromManifest(request: BuildRequest): string[] {
+  if (!request.manifest) return [];
+  const present = new Set(request.files.map(f => normalizePath(f.path)));
+  return request.manifest.filter(path => !present.has(normalizePath(path)));
+}
+
 // Factory function
 export function createBuildService(env: any): BuildService {
   return new BuildService(env);
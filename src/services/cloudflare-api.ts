@@ -0,0 +1,91 @@
+// src/services/cloudflare-api.ts
+// Codr — Minimal Cloudflare REST API client shared by deployment and provisioning
+//
+// `apiBaseUrl` and `fetch` are injectable so the services built on top can run
+// against a local stand-in of the API (no network, no real account).
+
+export interface CloudflareAPIConfig {
+  accountId: string;
+  apiToken: string;
+  apiBaseUrl?: string;   // default https://api.cloudflare.com/client/v4
+  fetch?: typeof fetch;
+}
+
+export interface CloudflareAPIMessage {
+  code: number;
+  message: string;
+}
+
+interface Envelope<T> {
+  success: boolean;
+  result: T;
+  errors?: CloudflareAPIMessage[];
+  messages?: CloudflareAPIMessage[];
+}
+
+export const DEFAULT_API_BASE_URL = 'https://api.cloudflare.com/client/v4';
+
+export class CloudflareAPIError extends Error {
+  constructor(
+    public status: number,
+    public errors: CloudflareAPIMessage[],
+    public path: string
+  ) {
+    super(
+      `Cloudflare API ${status} on ${path}: ` +
+      (errors.length ? errors.map(e => `${e.message} (${e.code})`).join('; ') : 'request failed')
+    );
+    this.name = 'CloudflareAPIError';
+  }
+}
+
+export class CloudflareAPI {
+  readonly accountId: string;
+  private baseUrl: string;
+  private fetcher: typeof fetch;
+
+  constructor(private config: CloudflareAPIConfig) {
+    this.accountId = config.accountId;
+    this.baseUrl = (config.apiBaseUrl || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+    // Unbound global fetch throws "Illegal invocation" in Workers
+    this.fetcher = config.fetch || ((input, init) => fetch(input, init));
+  }
+
+  // Account-scoped path: accountPath('workers/scripts') → /accounts/<id>/workers/scripts
+  accountPath(path: string): string {
+    return `/accounts/${this.accountId}/${path.replace(/^\/+/, '')}`;
+  }
+
+  async request<T>(
+    method: string,
+    path: string,
+    body?: unknown,
+    options: { token?: string; headers?: Record<string, string> } = {}
+  ): Promise<T> {
+    const headers: Record<string, string> = {
+      'Authorization': `Bearer ${options.token || this.config.apiToken}`,
+      ...options.headers
+    };
+
+    let payload: BodyInit | undefined;
+    if (body instanceof FormData) {
+      payload = body; // fetch sets the multipart boundary
+    } else if (body !== undefined) {
+      payload = JSON.stringify(body);
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await this.fetcher(`${this.baseUrl}${path}`, { method, headers, body: payload });
+    const envelope = await response.json().catch(() => null) as Envelope<T> | null;
+
+    if (!response.ok || !envelope?.success) {
+      throw new CloudflareAPIError(response.status, envelope?.errors || [], path);
+    }
+    return envelope.result;
+  }
+}
+
+// Factory function
+export function createCloudflareAPI(config: CloudflareAPIConfig): CloudflareAPI {
+  return new CloudflareAPI(config);
+}
@@ -0,0 +1,261 @@
+// src/services/dependencies.ts
+// Codr — Import scanning, dependency reconciliation and offline vendoring
+//
+// Generated apps declare dependencies in three places (template package_patches,
+// the build request and their own package.json) and use them in a fourth (imports).
+// This module reconciles all of them and resolves every package against an
+// offline mirror in R2, so builds never reach the public registry.
+//
+// Mirror layout (populated by scripts/mirror_packages.mjs):
+//   registry/<name>/index.json          → MirrorIndex
+//   registry/<name>/<version>/<file>.js → single-file browser ESM per export subpath
+
+import type { Plugin } from 'esbuild-wasm';
+import { isPinned, maxSatisfying } from '../lib/semver';
+import { sha256Hex } from '../lib/hash';
+
+export interface DetectedPackage {
+  name: string;
+  specifiers: string[];
+  files: string[];
+}
+
+export type DependencyIssueKind = 'undeclared' | 'unused' | 'unpinned' | 'unknown' | 'builtin';
+
+export interface DependencyIssue {
+  kind: DependencyIssueKind;
+  package: string;
+  message: string;
+  file?: string;
+}
+
+export interface MirrorFile {
+  key: string;          // R2 object key
+  integrity?: string;   // "sha256-<hex>" of the file contents
+}
+
+export interface MirrorIndex {
+  name: string;
+  versions: Record<string, { files: Record<string, MirrorFile> }>; // subpath ("." | "./client") → file
+}
+
+export interface ResolvedPackage {
+  name: string;
+  range: string;
+  version: string;
+  files: Record<string, MirrorFile>;
+}
+
+export interface DependencyReport {
+  dependencies: Record<string, string>; // name → exact version when resolved, declared range otherwise
+  resolved: ResolvedPackage[];
+  issues: DependencyIssue[];
+}
+
+// What every React app starts from, pinned to what scripts/mirror_packages.mjs vendors
+export const BASE_DEPENDENCIES: Record<string, string> = { 'react': '18.3.1', 'react-dom': '18.3.1' };
+export const BASE_DEV_DEPENDENCIES: Record<string, string> = {
+  '@types/react': '18.3.3',
+  '@types/react-dom': '18.3.0',
+  '@vitejs/plugin-react': '4.3.1',
+  'typescript': '5.5.4',
+  'vite': '4.5.3'
+};
+
+const MIRROR_PREFIX = 'registry/';
+const VENDOR_NAMESPACE = 'codr-vendor';
+
+const NODE_BUILTINS = new Set([
+  'assert', 'buffer', 'child_process', 'crypto', 'dns', 'events', 'fs', 'http', 'https',
+  'net', 'os', 'path', 'process', 'querystring', 'readline', 'stream', 'tls', 'url', 'util', 'zlib'
+]);
+
+const SCANNABLE = /\.(tsx?|jsx?|mjs)$/;
+// Tooling config and tests run at dev time, not in the shipped bundle
+const NOT_SHIPPED = /(^|\/)([\w-]+\.config\.[cm]?[jt]s|[^/]+\.(test|spec)\.[jt]sx?)$/;
+const IMPORT_PATTERNS = [
+  /\bimport\s+(?!type\b)(?:[^'"`;]*?\s+from\s+)?['"]([^'"]+)['"]/g, // import x from 'a' / import 'a'
+  /\bexport\s+(?!type\b)[^'"`;]*?\s+from\s+['"]([^'"]+)['"]/g,      // export { x } from 'a'
+  /\bimport\(\s*['"]([^'"]+)['"]\s*\)/g,                             // import('a')
+  /\brequire\(\s*['"]([^'"]+)['"]\s*\)/g                             // require('a')
+];
+
+// "react-dom/client" → "react-dom", "@scope/pkg/sub" → "@scope/pkg"
+export function packageName(specifier: string): string {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+function isBare(specifier: string) {
+  return !specifier.startsWith('.') && !specifier.startsWith('/') && !/^[a-z]+:\/\//i.test(specifier);
+}
+
+// --------------------- Import scanner ---------------------
+export function scanImports(files: Array<{ path: string; content: string }>): DetectedPackage[] {
+  const detected = new Map<string, { specifiers: Set<string>; files: Set<string> }>();
+
+  for (const file of files) {
+    if (!SCANNABLE.test(file.path) || NOT_SHIPPED.test(file.path)) continue;
+
+    for (const pattern of IMPORT_PATTERNS) {
+      for (const match of file.content.matchAll(pattern)) {
+        const specifier = match[1];
+        if (!isBare(specifier)) continue;
+
+        const name = specifier.startsWith('node:') ? specifier : packageName(specifier);
+        const entry = detected.get(name) || { specifiers: new Set<string>(), files: new Set<string>() };
+        entry.specifiers.add(specifier);
+        entry.files.add(file.path);
+        detected.set(name, entry);
+      }
+    }
+  }
+
+  return Array.from(detected.entries()).map(([name, entry]) => ({
+    name,
+    specifiers: Array.from(entry.specifiers),
+    files: Array.from(entry.files)
+  }));
+}
+
+// --------------------- Reconciliation ---------------------
+// Merge declared dependency maps (later sources win) with what the code actually imports
+export function reconcileDependencies(
+  detected: DetectedPackage[],
+  ...declaredSources: Array<Record<string, string> | undefined>
+): { dependencies: Record<string, string>; issues: DependencyIssue[] } {
+  const declared: Record<string, string> = Object.assign({}, ...declaredSources.filter(Boolean));
+  const dependencies: Record<string, string> = { ...declared };
+  const issues: DependencyIssue[] = [];
+
+  for (const pkg of detected) {
+    const bareName = pkg.name.replace(/^node:/, '');
+    if (pkg.name.startsWith('node:') || NODE_BUILTINS.has(bareName)) {
+      issues.push({
+        kind: 'builtin',
+        package: pkg.name,
+        file: pkg.files[0],
+        message: `"${pkg.name}" is a Node built-in and is not available in the browser`
+      });
+      continue;
+    }
+
+    if (!declared[pkg.name]) {
+      dependencies[pkg.name] = 'latest';
+      issues.push({
+        kind: 'undeclared',
+        package: pkg.name,
+        file: pkg.files[0],
+        message: `"${pkg.name}" is imported in ${pkg.files[0]} but not declared`
+      });
+    }
+  }
+
+  const used = new Set(detected.map(p => p.name));
+  for (const [name, range] of Object.entries(declared)) {
+    // The automatic JSX runtime imports react without any source mentioning it
+    if (!used.has(name) && name !== 'react' && name !== 'react-dom') {
+      issues.push({ kind: 'unused', package: name, message: `"${name}" is declared but never imported` });
+    }
+    if (!isPinned(range)) {
+      issues.push({ kind: 'unpinned', package: name, message: `"${name}@${range}" is not pinned to an exact version` });
+    }
+  }
+
+  return { dependencies, issues };
+}
+
+// --------------------- Offline mirror (R2) ---------------------
+export class DependencyResolver {
+  private indexes = new Map<string, MirrorIndex | null>();
+
+  constructor(private bucket: R2Bucket) {}
+
+  async resolve(
+    files: Array<{ path: string; content: string }>,
+    ...declaredSources: Array<Record<string, string> | undefined>
+  ): Promise<DependencyReport> {
+    const { dependencies, issues } = reconcileDependencies(scanImports(files), ...declaredSources);
+    const resolved: ResolvedPackage[] = [];
+    const pinned: Record<string, string> = {};
+
+    for (const [name, range] of Object.entries(dependencies)) {
+      const index = await this.loadIndex(name);
+      const version = index ? maxSatisfying(Object.keys(index.versions), range) : null;
+
+      if (!index || !version) {
+        pinned[name] = range;
+        issues.push({
+          kind: 'unknown',
+          package: name,
+          message: index
+            ? `No mirrored version of "${name}" satisfies ${range} (have ${Object.keys(index.versions).join(', ')})`
+            : `"${name}" is not in the offline package mirror`
+        });
+        continue;
+      }
+
+      pinned[name] = version;
+      resolved.push({ name, range, version, files: index.versions[version].files });
+    }
+
+    return { dependencies: pinned, resolved, issues };
+  }
+
+  // esbuild plugin that serves resolved packages straight from the mirror
+  createPlugin(resolved: ResolvedPackage[]): Plugin {
+    const byName = new Map(resolved.map(pkg => [pkg.name, pkg]));
+    const bucket = this.bucket;
+
+    return {
+      name: 'codr-vendor',
+      setup(build) {
+        build.onResolve({ filter: /^[^./]/ }, args => {
+          if (args.kind === 'entry-point' || !isBare(args.path)) return undefined;
+
+          const name = packageName(args.path);
+          const pkg = byName.get(name);
+          if (!pkg) return undefined; // left for the CDN import map
+
+          const subpath = args.path === name ? '.' : `.${args.path.slice(name.length)}`;
+          const file = pkg.files[subpath];
+          if (!file) {
+            return { errors: [{ text: `"${args.path}" is not in the offline mirror for ${name}@${pkg.version}` }] };
+          }
+
+          return { path: `${name}@${pkg.version}/${subpath}`, namespace: VENDOR_NAMESPACE, pluginData: file };
+        });
+
+        build.onLoad({ filter: /.*/, namespace: VENDOR_NAMESPACE }, async args => {
+          const file = args.pluginData as MirrorFile;
+          const object = await bucket.get(file.key);
+          if (!object) return { errors: [{ text: `Mirror object missing: ${file.key}` }] };
+
+          const contents = await object.text();
+          if (file.integrity && file.integrity !== `sha256-${await sha256Hex(contents)}`) {
+            return { errors: [{ text: `Integrity check failed for ${args.path} (${file.key})` }] };
+          }
+
+          return { contents, loader: 'js' };
+        });
+      }
+    };
+  }
+
+  private async loadIndex(name: string): Promise<MirrorIndex | null> {
+    if (!this.indexes.has(name)) {
+      const object = await this.bucket.get(`${MIRROR_PREFIX}${name}/index.json`);
+      this.indexes.set(name, object ? await object.json<MirrorIndex>() : null);
+    }
+    return this.indexes.get(name) ?? null;
+  }
+}
+
+export function formatDependencyIssue(issue: DependencyIssue): string {
+  return `${issue.file || 'package.json'}: ${issue.message}`;
+}
+
+// Factory function
+export function createDependencyResolver(bucket: R2Bucket): DependencyResolver {
+  return new DependencyResolver(bucket);
+}
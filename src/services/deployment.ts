@@ -1,57 +1,145 @@
 // src/services/deployment.ts
 // Codr — Workers for Platforms deployment service
+//
+// Each generated app becomes a user Worker in the dispatch namespace: its built
+// files go up as static assets (upload session → buckets → completion JWT), then
+// a tiny module script that serves them is uploaded with the assets attached.
+// The platform Worker reaches it through the DISPATCHER binding.
+
+import { sha256Hex } from '../lib/hash';
+import { agentUrl, contentTypeForPath } from './app-host';
+import { createCloudflareAPI, type CloudflareAPI } from './cloudflare-api';
 
 export interface DeploymentConfig {
   accountId: string;
   apiToken: string;
   dispatchNamespace: string;
   customDomain?: string;
+  apiBaseUrl?: string;      // point at a local stand-in of the Cloudflare API
+  fetch?: typeof fetch;
+  compatibilityDate?: string;
 }
 
-export interface DeploymentRequest {
+export interface WorkerBinding {
+  type: string;             // plain_text, secret_text, kv_namespace, d1, r2_bucket, assets, …
   name: string;
-  files: Array<{ path: string; content: string }>;
-  environment?: Record<string, string>;
+  [key: string]: unknown;
+}
+
+export interface WorkerModule {
+  name: string;             // module path as imported, e.g. "src/index.js"
+  content: string;
+}
+
+export interface DeploymentRequest {
+  name: string;             // script name in the dispatch namespace (usually the agent id)
+  files: Array<{ path: string; content: string }>; // built output: index.html, assets/*
+  environment?: Record<string, string>;            // plain-text vars
+  bindings?: WorkerBinding[];
+  // Worker templates ship their own code; without these the static-assets script is used
+  modules?: WorkerModule[];
+  mainModule?: string;
 }
 
 export interface DeploymentResult {
   success: boolean;
   deployedUrl?: string;
   deploymentId?: string;
+  scriptName?: string;
+  assetCount?: number;
   error?: string;
 }
 
-export class DeploymentService {
-  constructor(private config: DeploymentConfig) {}
+interface AssetManifestEntry {
+  hash: string;
+  size: number;
+}
 
-  async deployToWorkers(request: DeploymentRequest): Promise<DeploymentResult> {
-    try {
-      // This is a simplified implementation
-      // In production, this would:
-      // 1. Create a worker script from the generated files
-      // 2. Upload to Workers for Platforms dispatch namespace
-      // 3. Configure routing and custom domain
-      // 4. Return the actual deployed URL
+interface UploadSession {
+  jwt: string;
+  buckets: string[][]; // hashes the API doesn't have yet, grouped per upload request
+}
 
-      const deploymentId = `deploy-${Date.now()}-${request.name.replace(/[^a-zA-Z0-9]/g, '-')}`;
+interface ScriptUploadResult {
+  id?: string;
+  etag?: string;
+  modified_on?: string;
+}
 
-      // Simulate deployment process
-      console.log(`Deploying ${request.files.length} files for ${request.name}`);
+const MAIN_MODULE = 'worker.js';
 
-      // Create a simple worker script from the files
-      const workerScript = this.createWorkerScript(request.files);
+// Assets (with SPA fallback) do the routing; the script only runs for misses
+const WORKER_SCRIPT = `export default {
+  async fetch(request, env) {
+    return env.ASSETS.fetch(request);
+  }
+};
+`;
 
-      // In a real implementation, you'd upload this to Cloudflare Workers
-      // For now, return a placeholder URL
+export class DeploymentService {
+  private api: CloudflareAPI;
+
+  constructor(private config: DeploymentConfig) {
+    this.api = createCloudflareAPI({
+      accountId: config.accountId,
+      apiToken: config.apiToken,
+      apiBaseUrl: config.apiBaseUrl,
+      fetch: config.fetch
+    });
+  }
 
-      const deployedUrl = this.config.customDomain
-        ? `https://${deploymentId}.${this.config.customDomain}`
-        : `https://${deploymentId}.workers.dev`;
+  async deployToWorkers(request: DeploymentRequest): Promise<DeploymentResult> {
+    try {
+      const scriptName = scriptNameFor(request.name);
+      const modules = request.modules?.length
+        ? request.modules
+        : [{ name: MAIN_MODULE, content: WORKER_SCRIPT }];
+      const mainModule = request.modules?.length ? request.mainModule || modules[0].name : MAIN_MODULE;
+
+      if (!request.modules?.length && !request.files.some(f => f.path.replace(/^\/+/, '') === 'index.html')) {
+        throw new Error('No index.html in build output; build the app before deploying');
+      }
+      if (!modules.some(m => m.name === mainModule)) {
+        throw new Error(`Main module ${mainModule} is not among the uploaded modules`);
+      }
+
+      const assetsJwt = request.files.length ? await this.uploadAssets(scriptName, request.files) : undefined;
+
+      const bindings: WorkerBinding[] = [
+        ...(assetsJwt ? [{ type: 'assets', name: 'ASSETS' }] : []),
+        ...Object.entries(request.environment || {}).map(([name, text]) => ({ type: 'plain_text', name, text })),
+        ...(request.bindings || [])
+      ];
+
+      const metadata = {
+        main_module: mainModule,
+        compatibility_date: this.config.compatibilityDate || '2025-10-23',
+        bindings,
+        ...(assetsJwt && {
+          assets: {
+            jwt: assetsJwt,
+            config: {
+              html_handling: 'auto-trailing-slash',
+              not_found_handling: 'single-page-application'
+            }
+          }
+        })
+      };
+
+      const form = new FormData();
+      form.append('metadata', new Blob([JSON.stringify(metadata)], { type: 'application/json' }));
+      for (const module of modules) {
+        form.append(module.name, new Blob([module.content], { type: 'application/javascript+module' }), module.name);
+      }
+
+      const script = await this.api.request<ScriptUploadResult>('PUT', this.scriptPath(scriptName), form);
 
       return {
         success: true,
-        deployedUrl,
-        deploymentId
+        scriptName,
+        deploymentId: script.etag || script.id || scriptName,
+        deployedUrl: agentUrl({ CUSTOM_DOMAIN: this.config.customDomain }, scriptName),
+        assetCount: request.files.length
       };
     } catch (error) {
       return {
@@ -61,48 +149,93 @@ export class DeploymentService {
     }
   }
 
-  private createWorkerScript(files: Array<{ path: string; content: string }>): string {
-    // Find the main entry point (usually index.html or main.tsx)
-    const mainFile = files.find(f => f.path === 'index.html' || f.path === 'src/main.tsx');
+  async deleteScript(name: string): Promise<void> {
+    await this.api.request('DELETE', `${this.scriptPath(scriptNameFor(name))}?force=true`);
+  }
+
+  private scriptPath(scriptName: string): string {
+    return this.api.accountPath(
+      `workers/dispatch/namespaces/${encodeURIComponent(this.config.dispatchNamespace)}/scripts/${encodeURIComponent(scriptName)}`
+    );
+  }
 
-    if (!mainFile) {
-      throw new Error('No main entry point found');
+  // Returns the completion JWT that attaches the uploaded assets to the script
+  private async uploadAssets(scriptName: string, files: DeploymentRequest['files']): Promise<string> {
+    const manifest: Record<string, AssetManifestEntry> = {};
+    const byHash = new Map<string, { path: string; base64: string }>();
+
+    for (const file of files) {
+      const path = `/${file.path.replace(/^\/+/, '')}`;
+      const base64 = toBase64(file.content);
+      const extension = path.includes('.') ? path.slice(path.lastIndexOf('.') + 1) : '';
+      const hash = (await sha256Hex(base64 + extension)).slice(0, 32);
+      manifest[path] = { hash, size: new TextEncoder().encode(file.content).byteLength };
+      byHash.set(hash, { path, base64 });
     }
 
-    // Create a simple worker that serves the static content
-    return `
-export default {
-  async fetch(request) {
-    const url = new URL(request.url);
-
-    // Simple routing - in production this would serve the built assets
-    if (url.pathname === '/') {
-      return new Response(\`
-<!DOCTYPE html>
-<html>
-<head>
-  <title>Generated App</title>
-  <meta charset="utf-8">
-</head>
-<body>
-  <h1>Your Generated App</h1>
-  <p>This app was generated by Codr Agent!</p>
-  <p>Files generated: ${files.length}</p>
-</body>
-</html>
-\`, {
-        headers: { 'Content-Type': 'text/html' }
-      });
+    const session = await this.api.request<UploadSession>(
+      'POST',
+      `${this.scriptPath(scriptName)}/assets-upload-session`,
+      { manifest }
+    );
+
+    // Everything already known to Cloudflare: the session token completes the upload
+    let completionJwt = session.jwt;
+
+    for (const bucket of session.buckets || []) {
+      const form = new FormData();
+      for (const hash of bucket) {
+        const asset = byHash.get(hash);
+        if (!asset) throw new Error(`Upload session requested unknown asset hash ${hash}`);
+        form.append(hash, new Blob([asset.base64], { type: contentTypeForPath(asset.path) }), hash);
+      }
+
+      const uploaded = await this.api.request<{ jwt?: string }>(
+        'POST',
+        this.api.accountPath('workers/assets/upload?base64=true'),
+        form,
+        { token: session.jwt }
+      );
+      if (uploaded?.jwt) completionJwt = uploaded.jwt;
     }
 
-    return new Response('Not found', { status: 404 });
+    return completionJwt;
   }
-};
-    `;
+}
+
+// Workers for Platforms is opt-in: all three settings must be present
+export function deploymentConfigFromEnv(env: {
+  CLOUDFLARE_ACCOUNT_ID?: string;
+  CLOUDFLARE_API_TOKEN?: string;
+  CLOUDFLARE_API_BASE_URL?: string;
+  DISPATCH_NAMESPACE?: string;
+  CUSTOM_DOMAIN?: string;
+}): DeploymentConfig | null {
+  if (!env.CLOUDFLARE_ACCOUNT_ID || !env.CLOUDFLARE_API_TOKEN || !env.DISPATCH_NAMESPACE) return null;
+  return {
+    accountId: env.CLOUDFLARE_ACCOUNT_ID,
+    apiToken: env.CLOUDFLARE_API_TOKEN,
+    dispatchNamespace: env.DISPATCH_NAMESPACE,
+    customDomain: env.CUSTOM_DOMAIN,
+    apiBaseUrl: env.CLOUDFLARE_API_BASE_URL
+  };
+}
+
+// Script names: lowercase alphanumerics and dashes, max 63 chars
+export function scriptNameFor(name: string): string {
+  return name.toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 63) || 'app';
+}
+
+function toBase64(content: string): string {
+  const bytes = new TextEncoder().encode(content);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
   }
+  return btoa(binary);
 }
 
 // Factory function
 export function createDeploymentService(config: DeploymentConfig): DeploymentService {
   return new DeploymentService(config);
-}
\ No newline at end of file
+}
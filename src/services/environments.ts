@@ -0,0 +1,218 @@
+// src/services/environments.ts
+// Codr — Named environments per agent (preview → staging → production)
+//
+// An environment is a host plus the version it serves and its own vars:
+//   preview     pr-<n>--<agent>.<domain>   one host per version, created on publish
+//   staging     staging--<agent>.<domain>
+//   production  <agent>.<domain>
+// Activating a version writes the KV route for that host and, with Workers for
+// Platforms configured, uploads the version's files to the environment's script
+// with the environment's vars and the agent's secrets bound.
+
+import { agentUrl, hostLabel, updateAgentRoute, type EnvironmentName } from './app-host';
+import { createDeploymentService, deploymentConfigFromEnv, type WorkerBinding } from './deployment';
+import { createSecretsService, describeMissingSecrets, withoutSecretNames } from './secrets';
+import type { VersionEnv } from './versions';
+
+export const ENVIRONMENTS: EnvironmentName[] = ['preview', 'staging', 'production'];
+
+export interface AgentEnvironment {
+  agentId: string;
+  name: EnvironmentName;
+  versionId?: string;
+  vars: Record<string, string>;
+  scriptName?: string;
+  promotedBy?: string;
+  url?: string;
+  updatedAt?: string;
+}
+
+// The slice of an agent_versions row activation needs
+export interface ActivatableVersion {
+  id: string;
+  agentId: string;
+  version: number;
+  assetsPrefix: string;
+}
+
+export interface ActivationResult {
+  success: boolean;
+  url: string;
+  scriptName?: string;
+  deploymentId?: string;
+  error?: string;
+}
+
+interface EnvironmentRow {
+  agent_id: string;
+  name: EnvironmentName;
+  version_id: string | null;
+  vars: string | null;
+  script_name: string | null;
+  promoted_by: string | null;
+  updated_at: string;
+}
+
+export function isEnvironmentName(value: unknown): value is EnvironmentName {
+  return typeof value === 'string' && (ENVIRONMENTS as string[]).includes(value);
+}
+
+export class EnvironmentService {
+  constructor(private env: VersionEnv) {}
+
+  async listEnvironments(agentId: string): Promise<AgentEnvironment[]> {
+    const res = await this.env.AGENT_REGISTRY_DB
+      .prepare(`SELECT * FROM agent_environments WHERE agent_id = ?`)
+      .bind(agentId)
+      .all<EnvironmentRow>();
+    const rows = new Map((res.results || []).map(row => [row.name, row]));
+
+    // Environments exist implicitly; unconfigured ones come back empty
+    return ENVIRONMENTS.map(name => {
+      const row = rows.get(name);
+      return row ? this.toEnvironment(row) : { agentId, name, vars: {} };
+    });
+  }
+
+  async getEnvironment(agentId: string, name: EnvironmentName): Promise<AgentEnvironment> {
+    const row = await this.env.AGENT_REGISTRY_DB
+      .prepare(`SELECT * FROM agent_environments WHERE agent_id = ? AND name = ?`)
+      .bind(agentId, name)
+      .first<EnvironmentRow>();
+    return row ? this.toEnvironment(row) : { agentId, name, vars: {} };
+  }
+
+  // Replaces the environment's vars; a serving version is re-activated so they take effect
+  async setVars(
+    agentId: string,
+    name: EnvironmentName,
+    vars: Record<string, string>,
+    version?: ActivatableVersion | null
+  ): Promise<AgentEnvironment> {
+    await this.env.AGENT_REGISTRY_DB
+      .prepare(
+        `INSERT INTO agent_environments (agent_id,name,vars,updated_at) VALUES (?,?,?,?)
+         ON CONFLICT(agent_id,name) DO UPDATE SET vars=excluded.vars, updated_at=excluded.updated_at`
+      )
+      .bind(agentId, name, JSON.stringify(vars), new Date().toISOString())
+      .run();
+
+    // Preview vars apply to the next previews; existing pr-<n> hosts keep theirs
+    if (version && name !== 'preview') {
+      const current = await this.getEnvironment(agentId, name);
+      const result = await this.activate(version, name, current.promotedBy);
+      if (!result.success) throw new Error(`Vars saved but ${name} redeploy failed: ${result.error}`);
+    }
+
+    return this.getEnvironment(agentId, name);
+  }
+
+  async activate(
+    version: ActivatableVersion,
+    name: EnvironmentName,
+    promotedBy = 'api',
+    files?: Array<{ path: string; content: string }>
+  ): Promise<ActivationResult> {
+    const { vars } = await this.getEnvironment(version.agentId, name);
+    const label = hostLabel(version.agentId, name, version.version);
+    const url = agentUrl(this.env, version.agentId, name, version.version);
+
+    let scriptName: string | undefined;
+    let deploymentId: string | undefined;
+
+    const deployConfig = deploymentConfigFromEnv(this.env);
+    if (deployConfig) {
+      // Previews go out right after generation, before keys can be entered, so they
+      // aren't checked; in exchange they get no agent-wide or production secrets, only
+      // those set for 'preview'. Staging and production must have every key the agent
+      // asked for
+      const secrets = createSecretsService(this.env);
+      if (name !== 'preview') {
+        const check = await secrets.check(version.agentId, undefined, name);
+        if (!check.ok) return { success: false, url, error: describeMissingSecrets(check.missing) };
+      }
+      let secretBindings: WorkerBinding[];
+      try {
+        secretBindings = await secrets.bindings(version.agentId, name);
+      } catch (error) {
+        return { success: false, url, error: error instanceof Error ? error.message : String(error) };
+      }
+
+      const result = await createDeploymentService(deployConfig).deployToWorkers({
+        name: label,
+        files: files || (await this.loadFiles(version.assetsPrefix)),
+        environment: withoutSecretNames(vars, secretBindings),
+        bindings: secretBindings
+      });
+      if (!result.success) return { success: false, url, error: result.error };
+      scriptName = result.scriptName;
+      deploymentId = result.deploymentId;
+    }
+
+    await updateAgentRoute(this.env.AGENT_CACHE, label, {
+      id: version.agentId,
+      subdomain: label,
+      environment: name,
+      versionId: version.id,
+      assetsPrefix: version.assetsPrefix,
+      dispatchScript: scriptName, // undefined drops any script from an earlier deploy
+      vars
+    });
+
+    await this.env.AGENT_REGISTRY_DB
+      .prepare(
+        `INSERT INTO agent_environments (agent_id,name,version_id,vars,script_name,promoted_by,updated_at)
+         VALUES (?,?,?,?,?,?,?)
+         ON CONFLICT(agent_id,name) DO UPDATE SET
+           version_id=excluded.version_id,
+           script_name=excluded.script_name,
+           promoted_by=excluded.promoted_by,
+           updated_at=excluded.updated_at`
+      )
+      .bind(version.agentId, name, version.id, JSON.stringify(vars), scriptName ?? null, promotedBy, new Date().toISOString())
+      .run();
+
+    return { success: true, url, scriptName, deploymentId };
+  }
+
+  // Published files of a version, read back from its R2 prefix
+  private async loadFiles(prefix: string): Promise<Array<{ path: string; content: string }>> {
+    const files: Array<{ path: string; content: string }> = [];
+    let cursor: string | undefined;
+
+    do {
+      const listing = await this.env.AGENT_ASSETS.list({ prefix, cursor });
+      for (const object of listing.objects) {
+        const body = await this.env.AGENT_ASSETS.get(object.key);
+        if (body) files.push({ path: object.key.slice(prefix.length), content: await body.text() });
+      }
+      cursor = listing.truncated ? listing.cursor : undefined;
+    } while (cursor);
+
+    return files;
+  }
+
+  private toEnvironment(row: EnvironmentRow): AgentEnvironment {
+    return {
+      agentId: row.agent_id,
+      name: row.name,
+      versionId: row.version_id || undefined,
+      vars: JSON.parse(row.vars || '{}'),
+      scriptName: row.script_name || undefined,
+      promotedBy: row.promoted_by || undefined,
+      url: agentUrl(this.env, row.agent_id, row.name, previewNumber(row.version_id)),
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// "<agent>-v3" → 3 (version ids are assigned by VersionService.publish)
+function previewNumber(versionId: string | null): number | undefined {
+  const match = versionId?.match(/-v(\d+)$/);
+  return match ? Number(match[1]) : undefined;
+}
+
+// Factory function
+export function createEnvironmentService(env: VersionEnv): EnvironmentService {
+  return new EnvironmentService(env);
+}
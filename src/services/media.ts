@@ -0,0 +1,290 @@
+// src/services/media.ts
+// Codr — Image, audio and video generation for agents, through Replicate
+//
+// A request starts a prediction (the kind's default model, or the one asked
+// for) and follows it to the end: up to `wait` seconds inside the request, then
+// by webhook (POST /api/replicate/webhook, when APP_URL is set) or by the caller
+// polling GET /api/agents/:id/media/:predictionId. Replicate deletes outputs
+// after an hour, so a finished prediction's files are copied into AGENT_ASSETS:
+//
+//   media/<agentId>/<predictionId>/job.json     the job (status, model, assets)
+//   media/<agentId>/<predictionId>/<n>.<ext>    each output file
+//
+// KV maps a prediction back to its agent (media-prediction:<id>), so a webhook
+// can only complete jobs Codr started. Its payload isn't trusted: the
+// prediction is fetched again from the API.
+
+import { createReplicateAPI, isSettled, type Prediction, type PredictionStatus, type ReplicateAPI } from './replicate';
+import { createUsageService, type UsageEnv } from './usage';
+
+export type MediaKind = 'image' | 'audio' | 'video';
+
+// Official models: always their latest version, no version hash to keep current
+export const MEDIA_MODELS: Record<MediaKind, string> = {
+  image: 'black-forest-labs/flux-schnell',
+  audio: 'minimax/speech-02-turbo',
+  video: 'minimax/video-01'
+};
+
+export interface MediaEnv extends UsageEnv {
+  AGENT_ASSETS: R2Bucket;
+  AGENT_CACHE: KVNamespace;
+  REPLICATE_API_TOKEN?: string;
+  REPLICATE_API_BASE_URL?: string;   // override to hit a local stand-in of the API
+  APP_URL?: string;                  // where Replicate sends webhooks
+}
+
+export interface MediaRequest {
+  kind: MediaKind;
+  model: string;                     // "owner/name[:version]"
+  input: Record<string, unknown>;    // the model's inputs ({ prompt: "…" })
+  wait: number;                      // seconds to wait inside the request (0–60)
+}
+
+export interface MediaAsset {
+  name: string;          // "0.png"
+  key: string;           // in AGENT_ASSETS
+  url: string;           // served by GET /api/agents/:id/media/:predictionId/:name
+  contentType: string;
+  size: number;
+}
+
+export interface MediaJob {
+  agentId: string;
+  predictionId: string;
+  kind: MediaKind;
+  model: string;
+  status: PredictionStatus;
+  input: Record<string, unknown>;
+  assets: MediaAsset[];
+  output?: unknown;      // output that isn't files (text), as the model returned it
+  error?: string;
+  predictTime?: number;  // seconds of compute Replicate bills
+  createdAt: string;
+  completedAt?: string;  // set once the outputs are stored
+}
+
+export class MediaRequestError extends Error {
+  constructor(public issues: string[]) {
+    super(`Invalid media request: ${issues.join('; ')}`);
+    this.name = 'MediaRequestError';
+  }
+}
+
+const PREDICTION_PREFIX = 'media-prediction:';
+const PREDICTION_TTL_SECONDS = 24 * 60 * 60;  // predictions time out well before this
+const MAX_WAIT_SECONDS = 60;
+const FILE_NAME = /^\d+\.[a-z0-9]+$/;
+
+const EXTENSIONS: Record<string, string> = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/flac': 'flac',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm'
+};
+
+// A POST body as a request; throws MediaRequestError listing every problem
+export function parseMediaRequest(body: any): MediaRequest {
+  const issues: string[] = [];
+  const kind = body?.kind ?? 'image';
+  const known = typeof kind === 'string' && kind in MEDIA_MODELS;
+  if (!known) issues.push(`kind must be one of ${Object.keys(MEDIA_MODELS).join(', ')}`);
+  const model = body?.model ?? (known ? MEDIA_MODELS[kind as MediaKind] : undefined);
+  if (model !== undefined && (typeof model !== 'string' || !/^[\w.-]+\/[\w.-]+(:\w+)?$/.test(model))) issues.push('model must be "owner/name" or "owner/name:version"');
+  const input = body?.input;
+  if (!input || typeof input !== 'object' || Array.isArray(input)) issues.push('input must be an object of model inputs');
+  const wait = body?.wait ?? 0;
+  if (typeof wait !== 'number' || !(wait >= 0 && wait <= MAX_WAIT_SECONDS)) issues.push(`wait must be 0–${MAX_WAIT_SECONDS} seconds`);
+
+  if (issues.length) throw new MediaRequestError(issues);
+  return { kind, model, input, wait };
+}
+
+export class MediaService {
+  constructor(private env: MediaEnv, private api: ReplicateAPI) {}
+
+  async generate(agentId: string, request: MediaRequest): Promise<MediaJob> {
+    const started = Date.now();
+    const prediction = await this.api.createPrediction(request.model, request.input, {
+      webhook: this.webhookUrl(),
+      waitSeconds: request.wait || undefined
+    });
+
+    const job: MediaJob = {
+      agentId,
+      predictionId: prediction.id,
+      kind: request.kind,
+      model: request.model,
+      status: prediction.status,
+      input: request.input,
+      assets: [],
+      createdAt: new Date(started).toISOString()
+    };
+    await this.env.AGENT_CACHE.put(`${PREDICTION_PREFIX}${prediction.id}`, agentId, { expirationTtl: PREDICTION_TTL_SECONDS });
+    await this.save(job);
+
+    // Replicate may answer a waiting create before the model is done; poll out the rest
+    let current = prediction;
+    const remaining = request.wait * 1000 - (Date.now() - started);
+    if (!isSettled(current) && remaining > 0) current = await this.api.waitFor(current, { timeoutMs: remaining });
+    return isSettled(current) ? this.complete(job, current) : { ...job, status: current.status };
+  }
+
+  // The job, brought up to date with Replicate while it's still running
+  async get(agentId: string, predictionId: string): Promise<MediaJob | null> {
+    const job = await this.load(agentId, predictionId);
+    if (!job || settled(job)) return job;
+    const prediction = await this.api.getPrediction(predictionId);
+    return isSettled(prediction) ? this.complete(job, prediction) : { ...job, status: prediction.status };
+  }
+
+  async list(agentId: string): Promise<MediaJob[]> {
+    const jobs: MediaJob[] = [];
+    let cursor: string | undefined;
+    do {
+      const listing = await this.env.AGENT_ASSETS.list({ prefix: `media/${agentId}/`, cursor });
+      for (const object of listing.objects.filter(o => o.key.endsWith('/job.json'))) {
+        const job = await (await this.env.AGENT_ASSETS.get(object.key))?.json<MediaJob>();
+        if (job) jobs.push(job);
+      }
+      cursor = listing.truncated ? listing.cursor : undefined;
+    } while (cursor);
+    return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async cancel(agentId: string, predictionId: string): Promise<MediaJob | null> {
+    const job = await this.load(agentId, predictionId);
+    if (!job || settled(job)) return job;
+    const prediction = await this.api.cancelPrediction(predictionId);
+    return isSettled(prediction) ? this.complete(job, prediction) : { ...job, status: prediction.status };
+  }
+
+  // A Replicate callback: null when the prediction isn't one of ours
+  async handleWebhook(payload: { id?: unknown }): Promise<MediaJob | null> {
+    if (typeof payload?.id !== 'string') return null;
+    const agentId = await this.env.AGENT_CACHE.get(`${PREDICTION_PREFIX}${payload.id}`);
+    return agentId ? this.get(agentId, payload.id) : null;
+  }
+
+  // Copies a finished prediction's outputs into R2 and records it. A webhook and a
+  // poll may both get here; only the first to store the finished job records usage
+  private async complete(job: MediaJob, prediction: Prediction): Promise<MediaJob> {
+    const object = await this.env.AGENT_ASSETS.get(jobKey(job.agentId, job.predictionId));
+    const stored = object ? await object.json<MediaJob>() : null;
+    if (stored && settled(stored)) return stored;
+
+    const done: MediaJob = {
+      ...job,
+      status: prediction.status,
+      assets: [],
+      error: prediction.error || undefined,
+      predictTime: prediction.metrics?.predict_time,
+      completedAt: prediction.completed_at || new Date().toISOString()
+    };
+    if (prediction.status === 'succeeded') {
+      const urls = outputUrls(prediction.output);
+      // One at a time: video outputs are large
+      for (const [n, url] of urls.entries()) done.assets.push(await this.persist(job, url, n));
+      if (!urls.length) done.output = prediction.output;
+    }
+    // Unchanged since it was read, or someone else finished it meanwhile
+    if (!(await this.save(done, object?.etag))) return (await this.load(job.agentId, job.predictionId)) ?? done;
+
+    await createUsageService(this.env).record({
+      agentId: job.agentId,
+      phase: 'media',
+      provider: 'replicate',
+      model: job.model,
+      inputTokens: 0,
+      outputTokens: 0,
+      latencyMs: Math.round((prediction.metrics?.predict_time ?? 0) * 1000),
+      ok: prediction.status === 'succeeded'
+    });
+    return done;
+  }
+
+  private async persist(job: MediaJob, url: string, n: number): Promise<MediaAsset> {
+    const res = url.startsWith('data:') ? await fetch(url) : await this.api.fetchFile(url);
+    if (!res.ok) throw new Error(`Could not fetch output ${n} of prediction ${job.predictionId}: ${res.status}`);
+
+    const contentType = contentTypeOf(res.headers.get('content-type'), url);
+    const name = `${n}.${extensionOf(url, contentType)}`;
+    const key = `${jobPrefix(job.agentId, job.predictionId)}${name}`;
+    const body = await res.arrayBuffer();
+    await this.env.AGENT_ASSETS.put(key, body, { httpMetadata: { contentType } });
+    return { name, key, url: `/api/agents/${job.agentId}/media/${job.predictionId}/${name}`, contentType, size: body.byteLength };
+  }
+
+  private async load(agentId: string, predictionId: string): Promise<MediaJob | null> {
+    const object = await this.env.AGENT_ASSETS.get(jobKey(agentId, predictionId));
+    return object ? object.json<MediaJob>() : null;
+  }
+
+  // With `etag`, only over that exact copy; false when it has changed since
+  private async save(job: MediaJob, etag?: string): Promise<boolean> {
+    const written = await this.env.AGENT_ASSETS.put(jobKey(job.agentId, job.predictionId), JSON.stringify(job), {
+      httpMetadata: { contentType: 'application/json' },
+      onlyIf: etag ? { etagMatches: etag } : undefined
+    });
+    return written !== null;
+  }
+
+  private webhookUrl(): string | undefined {
+    return this.env.APP_URL ? `${this.env.APP_URL.replace(/\/+$/, '')}/api/replicate/webhook` : undefined;
+  }
+}
+
+// A stored output file; needs no Replicate access
+export async function mediaFile(bucket: R2Bucket, agentId: string, predictionId: string, name: string): Promise<R2ObjectBody | null> {
+  if (!FILE_NAME.test(name)) return null;
+  return bucket.get(`${jobPrefix(agentId, predictionId)}${name}`);
+}
+
+// Finished and stored: outputs copied, usage recorded
+function settled(job: MediaJob): boolean {
+  return !!job.completedAt;
+}
+
+function jobPrefix(agentId: string, predictionId: string): string {
+  return `media/${agentId}/${predictionId}/`;
+}
+
+function jobKey(agentId: string, predictionId: string): string {
+  return `${jobPrefix(agentId, predictionId)}job.json`;
+}
+
+// File URLs anywhere in a model's output: a URL, a list of them, or an object of them
+function outputUrls(output: unknown): string[] {
+  if (typeof output === 'string') return /^(https?:|data:)/.test(output) ? [output] : [];
+  if (Array.isArray(output)) return output.flatMap(outputUrls);
+  if (output && typeof output === 'object') return Object.values(output).flatMap(outputUrls);
+  return [];
+}
+
+function contentTypeOf(header: string | null, url: string): string {
+  const type = header?.split(';')[0].trim().toLowerCase();
+  if (type && type !== 'application/octet-stream') return type;
+  const ext = urlExtension(url);
+  return Object.entries(EXTENSIONS).find(([, e]) => e === ext)?.[0] || type || 'application/octet-stream';
+}
+
+function extensionOf(url: string, contentType: string): string {
+  return EXTENSIONS[contentType] || urlExtension(url) || 'bin';
+}
+
+function urlExtension(url: string): string | undefined {
+  if (url.startsWith('data:')) return undefined;
+  return new URL(url).pathname.match(/\.([a-z0-9]{2,5})$/i)?.[1].toLowerCase();
+}
+
+// Factory function
+export function createMediaService(env: MediaEnv): MediaService {
+  if (!env.REPLICATE_API_TOKEN) throw new Error('Missing REPLICATE_API_TOKEN');
+  return new MediaService(env, createReplicateAPI({ apiToken: env.REPLICATE_API_TOKEN, apiBaseUrl: env.REPLICATE_API_BASE_URL }));
+}
@@ -0,0 +1,240 @@
+// src/services/provisioning.ts
+// Codr — Per-agent KV / D1 / R2 provisioning for Worker templates
+//
+// Templates declare their storage in wrangler.toml with placeholder ids. At
+// deploy time each declared binding gets its own resource, named
+// codr-<agentId>-<binding>, so re-deploys (and retries after a partial failure)
+// find and reuse it instead of creating duplicates. Everything provisioned is
+// recorded in agent_resources for teardown.
+
+import {
+  parseWranglerToml,
+  rewriteWranglerToml,
+  type ConfigRewrites,
+  type ResourceSection
+} from '../lib/wrangler-config';
+import { CloudflareAPIError, type CloudflareAPI } from './cloudflare-api';
+import type { WorkerBinding } from './deployment';
+
+export type ResourceType = 'kv_namespace' | 'd1' | 'r2_bucket';
+
+export interface AgentResource {
+  agentId: string;
+  type: ResourceType;
+  binding: string;
+  name: string;
+  resourceId: string;
+  createdAt?: string;
+}
+
+export interface ProvisionResult {
+  success: boolean;
+  config?: string;            // wrangler.toml with real ids
+  bindings?: WorkerBinding[]; // upload metadata for the script
+  vars?: Record<string, string>;
+  resources?: AgentResource[];
+  error?: string;
+}
+
+export interface DeprovisionReport {
+  removed: AgentResource[];
+  errors: string[];
+}
+
+interface ResourceRow {
+  agent_id: string;
+  type: ResourceType;
+  binding: string;
+  name: string;
+  resource_id: string;
+  created_at: string;
+}
+
+const SECTION_TYPES: Record<ResourceSection, ResourceType> = {
+  kv_namespaces: 'kv_namespace',
+  d1_databases: 'd1',
+  r2_buckets: 'r2_bucket'
+};
+
+const PAGE_SIZE = 100;
+
+export class ProvisioningService {
+  constructor(private db: D1Database, private api: CloudflareAPI) {}
+
+  async provision(agentId: string, wranglerToml: string): Promise<ProvisionResult> {
+    try {
+      const config = parseWranglerToml(wranglerToml);
+      const existing = new Map((await this.listResources(agentId)).map(r => [`${r.type}:${r.binding}`, r]));
+
+      const resources: AgentResource[] = [];
+      const bindings: WorkerBinding[] = [];
+      const rewrites: ConfigRewrites = {};
+
+      for (const section of Object.keys(SECTION_TYPES) as ResourceSection[]) {
+        const type = SECTION_TYPES[section];
+
+        for (const entry of config[section]) {
+          const binding = entry.binding;
+          if (typeof binding !== 'string' || !binding) {
+            throw new Error(`wrangler.toml: [[${section}]] entry without a binding`);
+          }
+
+          const label = section === 'd1_databases' ? entry.database_name
+            : section === 'r2_buckets' ? entry.bucket_name
+            : undefined;
+          const name = resourceName(agentId, typeof label === 'string' && label ? label : binding);
+
+          const resource = existing.get(`${type}:${binding}`) || await this.findOrCreate(agentId, type, binding, name);
+          resources.push(resource);
+
+          if (type === 'kv_namespace') {
+            bindings.push({ type, name: binding, namespace_id: resource.resourceId });
+            (rewrites.kv_namespaces ??= {})[binding] = { id: resource.resourceId, preview_id: resource.resourceId };
+          } else if (type === 'd1') {
+            bindings.push({ type, name: binding, id: resource.resourceId });
+            (rewrites.d1_databases ??= {})[binding] = { database_name: resource.name, database_id: resource.resourceId };
+          } else {
+            bindings.push({ type, name: binding, bucket_name: resource.resourceId });
+            (rewrites.r2_buckets ??= {})[binding] = { bucket_name: resource.resourceId };
+          }
+        }
+      }
+
+      const vars = Object.fromEntries(
+        Object.entries(config.vars)
+          .filter(([, value]) => value !== '' && !Array.isArray(value))
+          .map(([key, value]) => [key, String(value)])
+      );
+
+      return {
+        success: true,
+        config: rewriteWranglerToml(wranglerToml, rewrites),
+        bindings,
+        vars,
+        resources
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Provisioning failed'
+      };
+    }
+  }
+
+  async listResources(agentId: string): Promise<AgentResource[]> {
+    const res = await this.db
+      .prepare(`SELECT * FROM agent_resources WHERE agent_id = ? ORDER BY created_at`)
+      .bind(agentId)
+      .all<ResourceRow>();
+    return (res.results || []).map(row => ({
+      agentId: row.agent_id,
+      type: row.type,
+      binding: row.binding,
+      name: row.name,
+      resourceId: row.resource_id,
+      createdAt: row.created_at
+    }));
+  }
+
+  // Deletes every recorded resource; keeps the row when deletion fails so it can be retried
+  async deprovision(agentId: string): Promise<DeprovisionReport> {
+    const report: DeprovisionReport = { removed: [], errors: [] };
+
+    for (const resource of await this.listResources(agentId)) {
+      try {
+        await this.deleteResource(resource);
+        await this.db
+          .prepare(`DELETE FROM agent_resources WHERE agent_id = ? AND type = ? AND binding = ?`)
+          .bind(agentId, resource.type, resource.binding)
+          .run();
+        report.removed.push(resource);
+      } catch (error) {
+        report.errors.push(`${resource.type} ${resource.name}: ${error instanceof Error ? error.message : error}`);
+      }
+    }
+
+    return report;
+  }
+
+  private async findOrCreate(agentId: string, type: ResourceType, binding: string, name: string): Promise<AgentResource> {
+    const resourceId = (await this.find(type, name)) ?? (await this.create(type, name));
+    const resource: AgentResource = { agentId, type, binding, name, resourceId };
+
+    await this.db
+      .prepare(
+        `INSERT INTO agent_resources (agent_id,type,binding,name,resource_id,created_at) VALUES (?,?,?,?,?,?)
+         ON CONFLICT(agent_id,type,binding) DO UPDATE SET name=excluded.name, resource_id=excluded.resource_id`
+      )
+      .bind(agentId, type, binding, name, resourceId, new Date().toISOString())
+      .run();
+
+    return resource;
+  }
+
+  private async find(type: ResourceType, name: string): Promise<string | null> {
+    if (type === 'kv_namespace') {
+      for (let page = 1; ; page++) {
+        const namespaces = await this.api.request<Array<{ id: string; title: string }>>(
+          'GET',
+          this.api.accountPath(`storage/kv/namespaces?per_page=${PAGE_SIZE}&page=${page}`)
+        );
+        const match = namespaces.find(ns => ns.title === name);
+        if (match) return match.id;
+        if (namespaces.length < PAGE_SIZE) return null;
+      }
+    }
+
+    if (type === 'd1') {
+      const databases = await this.api.request<Array<{ uuid: string; name: string }>>(
+        'GET',
+        this.api.accountPath(`d1/database?name=${encodeURIComponent(name)}`)
+      );
+      return databases.find(db => db.name === name)?.uuid ?? null;
+    }
+
+    try {
+      const bucket = await this.api.request<{ name: string }>('GET', this.api.accountPath(`r2/buckets/${name}`));
+      return bucket.name;
+    } catch (error) {
+      if (error instanceof CloudflareAPIError && error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  private async create(type: ResourceType, name: string): Promise<string> {
+    if (type === 'kv_namespace') {
+      const ns = await this.api.request<{ id: string }>('POST', this.api.accountPath('storage/kv/namespaces'), { title: name });
+      return ns.id;
+    }
+    if (type === 'd1') {
+      const db = await this.api.request<{ uuid: string }>('POST', this.api.accountPath('d1/database'), { name });
+      return db.uuid;
+    }
+    const bucket = await this.api.request<{ name?: string }>('POST', this.api.accountPath('r2/buckets'), { name });
+    return bucket?.name || name;
+  }
+
+  private async deleteResource(resource: AgentResource): Promise<void> {
+    const path = resource.type === 'kv_namespace' ? `storage/kv/namespaces/${resource.resourceId}`
+      : resource.type === 'd1' ? `d1/database/${resource.resourceId}`
+      : `r2/buckets/${resource.resourceId}`;
+
+    try {
+      await this.api.request('DELETE', this.api.accountPath(path));
+    } catch (error) {
+      // Already gone counts as removed
+      if (!(error instanceof CloudflareAPIError && error.status === 404)) throw error;
+    }
+  }
+}
+
+// codr-<agentId>-<label>: lowercase, dashes, ≤63 chars (R2 and D1 naming rules)
+export function resourceName(agentId: string, label: string): string {
+  const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `codr-${agentId}-${slug}`.slice(0, 63).replace(/-+$/, '');
+}
+
+// Factory function
+export function createProvisioningService(db: D1Database, api: CloudflareAPI): ProvisioningService {
+  return new ProvisioningService(db, api);
+}
@@ -24,9 +24,17 @@ export interface QAReport {
 export class QualityAssurance {
   constructor(private env: any) {}
 
-  async analyzeCode(files: Array<{ path: string; content: string }>): Promise<QAReport> {
+  // `manifest` is the planned file list (project-structure.json); each one missing is an error
+  async analyzeCode(files: Array<{ path: string; content: string }>, manifest?: string[]): Promise<QAReport> {
     const issues: CodeIssue[] = [];
 
+    const present = new Set(files.map(f => f.path));
+    for (const path of manifest || []) {
+      if (!present.has(path)) {
+        issues.push({ type: 'error', message: 'Planned file was not generated', file: path, rule: 'planned-file' });
+      }
+    }
+
     // Run multiple analysis types
     const lintResults = await this.runLinting(files);
     const typeResults = await this.runTypeChecking(files);
@@ -0,0 +1,173 @@
+// src/services/replicate.ts
+// Codr — Minimal Replicate predictions client (create, poll, cancel)
+//
+// Models are "owner/name" (official models, latest version) or
+// "owner/name:version". `apiBaseUrl` and `fetch` are injectable so media
+// generation can run against a local stand-in (scripts/fake_replicate.mjs).
+
+export interface ReplicateConfig {
+  apiToken: string;
+  apiBaseUrl?: string;   // default https://api.replicate.com/v1
+  fetch?: typeof fetch;
+}
+
+export type PredictionStatus = 'starting' | 'processing' | 'succeeded' | 'failed' | 'canceled';
+
+export interface Prediction {
+  id: string;
+  model?: string;
+  version?: string;
+  status: PredictionStatus;
+  input: Record<string, unknown>;
+  output?: unknown;              // a URL, a list of URLs, text… depending on the model
+  error?: string | null;
+  logs?: string;
+  created_at?: string;
+  completed_at?: string | null;
+  metrics?: { predict_time?: number; total_time?: number };
+}
+
+export interface CreatePredictionOptions {
+  webhook?: string;              // called back as the prediction progresses
+  webhookEvents?: Array<'start' | 'output' | 'logs' | 'completed'>;
+  waitSeconds?: number;          // hold the create call open until done (1–60)
+  signal?: AbortSignal;
+}
+
+export interface WaitOptions {
+  timeoutMs?: number;            // give up (and return the unfinished prediction) after this
+  signal?: AbortSignal;
+}
+
+export const DEFAULT_REPLICATE_BASE_URL = 'https://api.replicate.com/v1';
+
+const POLL_START_MS = 1_000;
+const POLL_MAX_MS = 5_000;
+const TRANSIENT_STATUS = new Set([429, 500, 502, 503, 504]);
+
+export class ReplicateAPIError extends Error {
+  constructor(
+    public status: number,
+    public detail: string,
+    public path: string
+  ) {
+    super(`Replicate API ${status} on ${path}: ${detail || 'request failed'}`);
+    this.name = 'ReplicateAPIError';
+  }
+}
+
+export function isSettled(prediction: Prediction): boolean {
+  return prediction.status === 'succeeded' || prediction.status === 'failed' || prediction.status === 'canceled';
+}
+
+export class ReplicateAPI {
+  readonly baseUrl: string;
+  private fetcher: typeof fetch;
+
+  constructor(private config: ReplicateConfig) {
+    this.baseUrl = (config.apiBaseUrl || DEFAULT_REPLICATE_BASE_URL).replace(/\/+$/, '');
+    // Unbound global fetch throws "Illegal invocation" in Workers
+    this.fetcher = config.fetch || ((input, init) => fetch(input, init));
+  }
+
+  async createPrediction(
+    model: string,
+    input: Record<string, unknown>,
+    options: CreatePredictionOptions = {}
+  ): Promise<Prediction> {
+    const [name, version] = model.split(':');
+    if (!/^[\w.-]+\/[\w.-]+$/.test(name)) throw new Error(`Replicate models are "owner/name[:version]", not "${model}"`);
+
+    const body: Record<string, unknown> = { input };
+    if (version) body.version = version;
+    if (options.webhook) {
+      body.webhook = options.webhook;
+      body.webhook_events_filter = options.webhookEvents || ['completed'];
+    }
+    const headers: Record<string, string> = {};
+    if (options.waitSeconds) headers['Prefer'] = `wait=${Math.max(1, Math.min(60, Math.round(options.waitSeconds)))}`;
+
+    const path = version ? '/predictions' : `/models/${name}/predictions`;
+    return this.request<Prediction>('POST', path, body, { headers, signal: options.signal });
+  }
+
+  getPrediction(id: string, signal?: AbortSignal): Promise<Prediction> {
+    return this.request<Prediction>('GET', `/predictions/${encodeURIComponent(id)}`, undefined, { signal });
+  }
+
+  cancelPrediction(id: string): Promise<Prediction> {
+    return this.request<Prediction>('POST', `/predictions/${encodeURIComponent(id)}/cancel`);
+  }
+
+  // Polls (backing off to POLL_MAX_MS) until the prediction settles or the timeout passes.
+  // A rate limit or server error while polling just means asking again later
+  async waitFor(prediction: Prediction, { timeoutMs = 5 * 60_000, signal }: WaitOptions = {}): Promise<Prediction> {
+    const deadline = Date.now() + timeoutMs;
+    let current = prediction;
+    let interval = POLL_START_MS;
+
+    while (!isSettled(current) && Date.now() < deadline) {
+      await sleep(Math.min(interval, Math.max(0, deadline - Date.now())), signal);
+      interval = Math.min(POLL_MAX_MS, Math.round(interval * 1.5));
+      try {
+        current = await this.getPrediction(current.id, signal);
+      } catch (error) {
+        if (!(error instanceof ReplicateAPIError && TRANSIENT_STATUS.has(error.status))) throw error;
+        console.warn(`Polling prediction ${current.id}: ${error.message}`);
+      }
+    }
+    return current;
+  }
+
+  // A file Replicate serves (an output); its own API URLs need the token
+  fetchFile(url: string, signal?: AbortSignal): Promise<Response> {
+    const headers: Record<string, string> = {};
+    if (url.startsWith(this.baseUrl)) headers['Authorization'] = `Bearer ${this.config.apiToken}`;
+    return this.fetcher(url, { headers, signal });
+  }
+
+  private async request<T>(
+    method: string,
+    path: string,
+    body?: unknown,
+    options: { headers?: Record<string, string>; signal?: AbortSignal } = {}
+  ): Promise<T> {
+    const headers: Record<string, string> = {
+      'Authorization': `Bearer ${this.config.apiToken}`,
+      ...options.headers
+    };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await this.fetcher(`${this.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: options.signal
+    });
+    const data = await response.json().catch(() => null) as (T & { detail?: string; title?: string }) | null;
+    if (!response.ok || !data) {
+      throw new ReplicateAPIError(response.status, data?.detail || data?.title || response.statusText, path);
+    }
+    return data;
+  }
+}
+
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+    const abort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    signal?.addEventListener('abort', abort, { once: true });
+  });
+}
+
+// Factory function
+export function createReplicateAPI(config: ReplicateConfig): ReplicateAPI {
+  return new ReplicateAPI(config);
+}
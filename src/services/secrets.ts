@@ -0,0 +1,285 @@
+// src/services/secrets.ts
+// Codr — Encrypted per-agent secrets (API keys for the connections picked at intake)
+//
+// Values are sealed with SECRETS_ENCRYPTION_KEY before they reach D1 and are only
+// ever decrypted to become secret_text bindings on a Workers for Platforms
+// deploy. Nothing here returns a value back to a caller: listings carry names
+// and timestamps only.
+//
+// A secret is set for one environment or agent-wide. Staging and production use
+// their own value, else the agent-wide one; previews only ever get secrets set for
+// 'preview', so keys meant for production never reach a preview script.
+
+import { importSecretKey, open, seal } from '../lib/secret-box';
+import type { EnvironmentName } from './app-host';
+import type { WorkerBinding } from './deployment';
+
+export interface SecretsEnv {
+  AGENT_REGISTRY_DB: D1Database;
+  SECRETS_ENCRYPTION_KEY?: string;
+}
+
+export interface SecretSummary {
+  name: string;
+  environment?: EnvironmentName;  // absent: agent-wide
+  updatedBy?: string;
+  updatedAt: string;
+}
+
+// One demanded key; any of `names` satisfies it (e.g. Slack bot token or webhook URL)
+export interface SecretRequirement {
+  integration: string;
+  names: string[];
+  required: boolean;
+  source: 'agent' | 'template';
+  purpose?: string;
+  satisfied?: boolean;
+}
+
+export interface SecretsCheck {
+  ok: boolean;
+  missing: SecretRequirement[];
+  requirements: SecretRequirement[];
+}
+
+// The slice of a template definition requirements are read from
+// (same shape as api_integrations in templates/definitions/*.yaml)
+export interface TemplateIntegrations {
+  api_integrations?: Array<{
+    type: string;             // "required" | "optional" | "browser"
+    providers?: string[];     // intake connection ids, any one will do
+    secrets?: string[];       // env names the template reads directly
+    purpose?: string;
+  }>;
+}
+
+// Intake question 5 connection → env names the deployed agent reads it from
+export const INTEGRATION_SECRETS: Record<string, string[]> = {
+  google: ['GOOGLE_API_KEY'],
+  notion: ['NOTION_API_KEY'],
+  slack: ['SLACK_BOT_TOKEN', 'SLACK_WEBHOOK_URL'],
+  openai: ['OPENAI_API_KEY'],
+  anthropic: ['ANTHROPIC_API_KEY'],
+  gemini: ['GOOGLE_AI_STUDIO_API_KEY'],
+  openrouter: ['OPENROUTER_API_KEY'],
+  replicate: ['REPLICATE_API_TOKEN'],
+  mail: ['MAILCHANNELS_API_KEY']
+};
+
+const SECRET_NAME = /^[A-Z_][A-Z0-9_]{0,63}$/;
+const MAX_SECRET_BYTES = 5 * 1024; // Workers secret size limit
+
+// agent_secrets.environment of agent-wide secrets
+const AGENT_WIDE = '*';
+
+interface SecretRow {
+  agent_id: string;
+  environment: string;
+  name: string;
+  ciphertext: string;
+  iv: string;
+  updated_by: string | null;
+  updated_at: string;
+}
+
+export class SecretsService {
+  private key?: Promise<CryptoKey>;
+
+  constructor(private env: SecretsEnv) {}
+
+  // Every stored secret, agent-wide and per environment
+  async listSecrets(agentId: string): Promise<SecretSummary[]> {
+    const res = await this.env.AGENT_REGISTRY_DB
+      .prepare(`SELECT environment, name, updated_by, updated_at FROM agent_secrets WHERE agent_id = ? ORDER BY name, environment`)
+      .bind(agentId)
+      .all<Pick<SecretRow, 'environment' | 'name' | 'updated_by' | 'updated_at'>>();
+    return (res.results || []).map(row => ({
+      name: row.name,
+      environment: row.environment === AGENT_WIDE ? undefined : (row.environment as EnvironmentName),
+      updatedBy: row.updated_by || undefined,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  // Upserts the given secrets for `environment` (agent-wide without one); a null or
+  // empty value deletes that one
+  async setSecrets(
+    agentId: string,
+    values: Record<string, string | null>,
+    updatedBy = 'api',
+    environment?: EnvironmentName
+  ): Promise<SecretSummary[]> {
+    for (const [name, value] of Object.entries(values)) {
+      if (!SECRET_NAME.test(name)) {
+        throw new Error(`Invalid secret name "${name}": use UPPER_SNAKE_CASE, up to 64 characters`);
+      }
+      if (value !== null && typeof value !== 'string') throw new Error(`Secret ${name} must be a string`);
+      if (value && new TextEncoder().encode(value).byteLength > MAX_SECRET_BYTES) {
+        throw new Error(`Secret ${name} is larger than 5 KB`);
+      }
+    }
+
+    const db = this.env.AGENT_REGISTRY_DB;
+    const scope = environment || AGENT_WIDE;
+    const now = new Date().toISOString();
+    const statements: D1PreparedStatement[] = [];
+
+    for (const [name, value] of Object.entries(values)) {
+      if (!value) {
+        statements.push(
+          db.prepare(`DELETE FROM agent_secrets WHERE agent_id = ? AND environment = ? AND name = ?`).bind(agentId, scope, name)
+        );
+        continue;
+      }
+      const sealed = await seal(await this.cryptoKey(), value, context(agentId, scope, name));
+      statements.push(
+        db
+          .prepare(
+            `INSERT INTO agent_secrets (agent_id,environment,name,ciphertext,iv,updated_by,updated_at) VALUES (?,?,?,?,?,?,?)
+             ON CONFLICT(agent_id,environment,name) DO UPDATE SET
+               ciphertext=excluded.ciphertext, iv=excluded.iv, updated_by=excluded.updated_by, updated_at=excluded.updated_at`
+          )
+          .bind(agentId, scope, name, sealed.ciphertext, sealed.iv, updatedBy, now)
+      );
+    }
+
+    if (statements.length) await db.batch(statements);
+    return this.listSecrets(agentId);
+  }
+
+  async deleteSecret(agentId: string, name: string, environment?: EnvironmentName): Promise<boolean> {
+    const res = await this.env.AGENT_REGISTRY_DB
+      .prepare(`DELETE FROM agent_secrets WHERE agent_id = ? AND environment = ? AND name = ?`)
+      .bind(agentId, environment || AGENT_WIDE, name)
+      .run();
+    return (res.meta?.changes ?? 0) > 0;
+  }
+
+  // Keys demanded by the agent's intake answers plus, for a template deploy, the template itself;
+  // satisfied by what `environment` would be deployed with
+  async requirements(
+    agentId: string,
+    template?: TemplateIntegrations,
+    environment: EnvironmentName = 'production'
+  ): Promise<SecretRequirement[]> {
+    const agent = await this.env.AGENT_REGISTRY_DB
+      .prepare(`SELECT api_keys_required FROM agents WHERE id = ?`)
+      .bind(agentId)
+      .first<{ api_keys_required: string | null }>();
+
+    const requirements: SecretRequirement[] = parseIntegrations(agent?.api_keys_required).map(integration => ({
+      integration,
+      names: secretNamesFor(integration),
+      required: true,
+      source: 'agent'
+    }));
+
+    for (const entry of template?.api_integrations || []) {
+      if (entry.type !== 'required' && entry.type !== 'optional') continue;
+      const required = entry.type === 'required';
+
+      if (entry.providers?.length) {
+        requirements.push({
+          integration: entry.providers.join('|'),
+          names: [...new Set(entry.providers.flatMap(secretNamesFor))],
+          required,
+          source: 'template',
+          purpose: entry.purpose
+        });
+      }
+      for (const name of entry.secrets || []) {
+        requirements.push({ integration: name, names: [name], required, source: 'template', purpose: entry.purpose });
+      }
+    }
+
+    const stored = new Set((await this.rowsFor(agentId, environment)).map(row => row.name));
+    return requirements.map(r => ({ ...r, satisfied: r.names.some(name => stored.has(name)) }));
+  }
+
+  async check(
+    agentId: string,
+    template?: TemplateIntegrations,
+    environment: EnvironmentName = 'production'
+  ): Promise<SecretsCheck> {
+    const requirements = await this.requirements(agentId, template, environment);
+    const missing = requirements.filter(r => r.required && !r.satisfied);
+    return { ok: missing.length === 0, missing, requirements };
+  }
+
+  // Decrypted values of `environment`'s secrets as Worker upload bindings; only
+  // called on the way to a deploy
+  async bindings(agentId: string, environment: EnvironmentName): Promise<WorkerBinding[]> {
+    const rows = await this.rowsFor(agentId, environment);
+    if (!rows.length) return [];
+
+    const key = await this.cryptoKey();
+    const bindings: WorkerBinding[] = [];
+    for (const row of rows) {
+      try {
+        const text = await open(key, row, context(agentId, row.environment, row.name));
+        bindings.push({ type: 'secret_text', name: row.name, text });
+      } catch {
+        throw new Error(`Secret ${row.name} could not be decrypted (was SECRETS_ENCRYPTION_KEY rotated?)`);
+      }
+    }
+    return bindings;
+  }
+
+  // The rows a deploy to `environment` uses: its own, then agent-wide ones it has no
+  // value for. Previews get their own only
+  private async rowsFor(agentId: string, environment: EnvironmentName): Promise<SecretRow[]> {
+    const res = await this.env.AGENT_REGISTRY_DB
+      .prepare(`SELECT * FROM agent_secrets WHERE agent_id = ? AND environment IN (?, ?) ORDER BY name`)
+      .bind(agentId, environment, environment === 'preview' ? environment : AGENT_WIDE)
+      .all<SecretRow>();
+    const rows = new Map<string, SecretRow>();
+    for (const row of res.results || []) {
+      if (row.environment === environment || !rows.has(row.name)) rows.set(row.name, row);
+    }
+    return [...rows.values()];
+  }
+
+  private cryptoKey(): Promise<CryptoKey> {
+    this.key ??= importSecretKey(this.env.SECRETS_ENCRYPTION_KEY);
+    return this.key;
+  }
+}
+
+// "OPENAI_API_KEY (openai), SLACK_BOT_TOKEN or SLACK_WEBHOOK_URL (slack)"
+export function describeMissingSecrets(missing: SecretRequirement[]): string {
+  return `Missing secrets: ${missing.map(r => `${r.names.join(' or ')} (${r.integration})`).join(', ')}`;
+}
+
+// Plain vars sharing a name with a secret would clash in the upload; the secret wins
+export function withoutSecretNames(vars: Record<string, string>, secrets: WorkerBinding[]): Record<string, string> {
+  const names = new Set(secrets.map(s => s.name));
+  return Object.fromEntries(Object.entries(vars).filter(([name]) => !names.has(name)));
+}
+
+function secretNamesFor(integration: string): string[] {
+  return INTEGRATION_SECRETS[integration] || [`${integration.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_API_KEY`];
+}
+
+// agents.api_keys_required is CSV from the builder, or a JSON array
+function parseIntegrations(value: string | null | undefined): string[] {
+  if (!value) return [];
+  let list: unknown = value;
+  if (value.trim().startsWith('[')) {
+    try {
+      list = JSON.parse(value);
+    } catch {}
+  }
+  const items = Array.isArray(list) ? list : String(list).split(',');
+  return [...new Set(items.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Ties each ciphertext to its row (agent-wide rows keep the context they were sealed
+// with before secrets had environments)
+function context(agentId: string, environment: string, name: string): string {
+  return environment === AGENT_WIDE ? `agent_secrets:${agentId}:${name}` : `agent_secrets:${agentId}:${environment}:${name}`;
+}
+
+// Factory function
+export function createSecretsService(env: SecretsEnv): SecretsService {
+  return new SecretsService(env);
+}
@@ -0,0 +1,238 @@
+// src/services/teardown.ts
+// Codr — Delete an agent and everything deployed or provisioned for it
+//
+// External resources go first and the D1 rows last: the rows are the only record
+// of what exists, so if any cleanup step fails they stay and the delete can be
+// retried. Shared build artifacts (builds/objects/*) are content-addressed and
+// may back other apps, so only this agent's build manifests are removed.
+
+import { deleteVectorNamespace, type VectorEnv } from '../lib/vector-search';
+import { hostLabel } from './app-host';
+import { CloudflareAPIError, createCloudflareAPI } from './cloudflare-api';
+import { createDeploymentService, deploymentConfigFromEnv } from './deployment';
+import { createGitHubService } from './github';
+import { createProvisioningService, type AgentResource } from './provisioning';
+import type { VersionEnv } from './versions';
+
+export interface TeardownEnv extends VersionEnv {
+  AGENT_STATE: DurableObjectNamespace;
+  VECTORIZE?: VectorEnv['VECTORIZE'];
+}
+
+export interface TeardownOptions {
+  deleteScripts?: boolean;   // remove Workers for Platforms scripts (default true)
+  userIds?: string[];        // also wipe these users' resume-in-progress sessions (<userId>:<agentId>)
+  github?: {                 // delete the exported repository
+    token: string;
+    username: string;
+    repository?: string;     // defaults to the agent id
+  };
+}
+
+export interface TeardownReport {
+  success: boolean;
+  agentId: string;
+  complete: boolean;         // false → D1 rows kept so the delete can be retried
+  removed: {
+    d1: Record<string, number>;   // table → rows deleted
+    r2: { objects: number; prefixes: string[] };
+    kv: string[];
+    durableObjects: string[];
+    scripts: string[];
+    resources: AgentResource[];
+    knowledgeDocuments: number;   // documents whose Vectorize vectors were deleted
+    githubRepository?: string;
+  };
+  errors: string[];
+}
+
+// Child tables first; builds has no FK to agents (app ids can be ad hoc).
+// llm_usage is kept: its spend still counts against the workspace's month
+const AGENT_TABLES: Array<[table: string, column: string]> = [
+  ['feedback', 'agent_id'],
+  ['agent_events', 'agent_id'],
+  ['agent_assets', 'agent_id'],
+  ['agent_tasks', 'agent_id'],
+  ['agent_versions', 'agent_id'],
+  ['agent_environments', 'agent_id'],
+  ['agent_resources', 'agent_id'],
+  ['agent_secrets', 'agent_id'],
+  ['vector_entries', 'namespace'],
+  ['vector_documents', 'namespace'],
+  ['builds', 'app_id'],
+  ['agents', 'id']
+];
+
+export class TeardownService {
+  constructor(private env: TeardownEnv) {}
+
+  async deleteAgent(agentId: string, options: TeardownOptions = {}): Promise<TeardownReport> {
+    const report: TeardownReport = {
+      success: false,
+      agentId,
+      complete: false,
+      removed: { d1: {}, r2: { objects: 0, prefixes: [] }, kv: [], durableObjects: [], scripts: [], resources: [], knowledgeDocuments: 0 },
+      errors: []
+    };
+    const fail = (step: string, error: unknown) =>
+      report.errors.push(`${step}: ${error instanceof Error ? error.message : String(error)}`);
+
+    const db = this.env.AGENT_REGISTRY_DB;
+    const versions = (await db
+      .prepare(`SELECT version, script_name FROM agent_versions WHERE agent_id = ?`)
+      .bind(agentId)
+      .all<{ version: number; script_name: string | null }>()).results || [];
+    const environments = (await db
+      .prepare(`SELECT script_name FROM agent_environments WHERE agent_id = ?`)
+      .bind(agentId)
+      .all<{ script_name: string | null }>()).results || [];
+    const assetKeys = ((await db
+      .prepare(`SELECT r2_key FROM agent_assets WHERE agent_id = ?`)
+      .bind(agentId)
+      .all<{ r2_key: string }>()).results || []).map(row => row.r2_key);
+
+    // Every host the agent has been served on: production, staging, pr-<n>
+    const labels = [
+      hostLabel(agentId, 'production'),
+      hostLabel(agentId, 'staging'),
+      ...versions.map(v => hostLabel(agentId, 'preview', v.version))
+    ];
+
+    // 1. Workers for Platforms scripts and provisioned KV / D1 / R2
+    const deployConfig = deploymentConfigFromEnv(this.env);
+    if (deployConfig) {
+      if (options.deleteScripts !== false) {
+        const scripts = new Set<string>();
+        for (const row of [...versions, ...environments]) if (row.script_name) scripts.add(row.script_name);
+        for (const label of labels) {
+          const route = await this.env.AGENT_CACHE.get<{ dispatchScript?: string }>(`agent:${label}`, 'json');
+          if (route?.dispatchScript) scripts.add(route.dispatchScript);
+        }
+
+        const deployment = createDeploymentService(deployConfig);
+        for (const script of scripts) {
+          try {
+            await deployment.deleteScript(script);
+            report.removed.scripts.push(script);
+          } catch (error) {
+            if (error instanceof CloudflareAPIError && error.status === 404) report.removed.scripts.push(script);
+            else fail(`script ${script}`, error);
+          }
+        }
+      }
+
+      const provisioning = createProvisioningService(db, createCloudflareAPI(deployConfig));
+      const deprovisioned = await provisioning.deprovision(agentId);
+      report.removed.resources = deprovisioned.removed;
+      report.errors.push(...deprovisioned.errors);
+    }
+
+    // 2. R2: published versions and their sources, template config, screenshots, generated media
+    for (const prefix of [`apps/${agentId}/`, `sources/${agentId}/`, `agent_assets/${agentId}/`, `media/${agentId}/`]) {
+      try {
+        const deleted = await this.deletePrefix(prefix);
+        report.removed.r2.objects += deleted;
+        if (deleted) report.removed.r2.prefixes.push(prefix);
+      } catch (error) {
+        fail(`r2 ${prefix}`, error);
+      }
+    }
+    const strayKeys = assetKeys.filter(key => !key.startsWith(`apps/${agentId}/`) && !key.startsWith(`agent_assets/${agentId}/`));
+    if (strayKeys.length) {
+      try {
+        await this.env.AGENT_ASSETS.delete(strayKeys);
+        report.removed.r2.objects += strayKeys.length;
+      } catch (error) {
+        fail('r2 agent_assets', error);
+      }
+    }
+
+    // 3. Knowledge vectors in Vectorize, by the chunk ids vector_documents records
+    // (the D1 stand-in's rows go with the rest in step 7)
+    if (this.env.VECTORIZE) {
+      try {
+        report.removed.knowledgeDocuments = await deleteVectorNamespace(this.env, agentId);
+      } catch (error) {
+        fail('vectorize', error);
+      }
+    }
+
+    // 4. KV routing entries and the legacy build cache key
+    for (const key of [...labels.map(label => `agent:${label}`), `build:${agentId}`]) {
+      try {
+        if (await this.env.AGENT_CACHE.get(key) !== null) {
+          await this.env.AGENT_CACHE.delete(key);
+          report.removed.kv.push(key);
+        }
+      } catch (error) {
+        fail(`kv ${key}`, error);
+      }
+    }
+
+    // 5. Durable Object storage: generation progress plus any named sessions
+    for (const name of [agentId, ...(options.userIds || []).map(userId => `${userId}:${agentId}`)]) {
+      try {
+        const stub = this.env.AGENT_STATE.get(this.env.AGENT_STATE.idFromName(name));
+        const res = await stub.fetch('https://do/all', { method: 'DELETE' });
+        if (!res.ok) throw new Error(`status ${res.status}`);
+        report.removed.durableObjects.push(name);
+      } catch (error) {
+        fail(`durable object ${name}`, error);
+      }
+    }
+
+    // 6. GitHub repository (opt-in)
+    if (options.github) {
+      const repository = options.github.repository || agentId;
+      const result = await createGitHubService({
+        token: options.github.token,
+        username: options.github.username,
+        email: ''
+      }).deleteRepository(repository);
+      if (result.success) report.removed.githubRepository = `${options.github.username}/${repository}`;
+      else fail(`github ${repository}`, result.error);
+    }
+
+    // 7. D1 rows, only once everything they describe is gone
+    if (report.errors.length) return report;
+
+    try {
+      const results = await db.batch(
+        AGENT_TABLES.map(([table, column]) => db.prepare(`DELETE FROM ${table} WHERE ${column} = ?`).bind(agentId))
+      );
+      AGENT_TABLES.forEach(([table], i) => {
+        const changes = results[i]?.meta?.changes ?? 0;
+        if (changes) report.removed.d1[table] = changes;
+      });
+    } catch (error) {
+      fail('d1', error);
+      return report;
+    }
+
+    report.success = true;
+    report.complete = true;
+    return report;
+  }
+
+  private async deletePrefix(prefix: string): Promise<number> {
+    let deleted = 0;
+    let cursor: string | undefined;
+
+    do {
+      const listing = await this.env.AGENT_ASSETS.list({ prefix, cursor });
+      const keys = listing.objects.map(object => object.key);
+      if (keys.length) {
+        await this.env.AGENT_ASSETS.delete(keys);
+        deleted += keys.length;
+      }
+      cursor = listing.truncated ? listing.cursor : undefined;
+    } while (cursor);
+
+    return deleted;
+  }
+}
+
+// Factory function
+export function createTeardownService(env: TeardownEnv): TeardownService {
+  return new TeardownService(env);
+}
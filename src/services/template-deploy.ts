@@ -0,0 +1,118 @@
+// src/services/template-deploy.ts
+// Codr — Deploy micro-agent Worker templates (webhook receiver, transformer, notifier)
+//
+// Unlike generated UI apps these are Worker scripts, so they always go to the
+// Workers for Platforms namespace: provision the storage the template's
+// wrangler.toml declares, upload its modules with those bindings and the
+// agent's secrets, then point the agent's production host at the script.
+
+import { getTemplate } from '../../templates/index.js';
+import { recordAgentEvent } from '../lib/events';
+import { parseWranglerToml } from '../lib/wrangler-config';
+import { agentUrl, hostLabel, updateAgentRoute } from './app-host';
+import { createCloudflareAPI } from './cloudflare-api';
+import { createDeploymentService, deploymentConfigFromEnv, type WorkerModule } from './deployment';
+import { createEnvironmentService } from './environments';
+import { createProvisioningService, type AgentResource } from './provisioning';
+import { createSecretsService, describeMissingSecrets, withoutSecretNames, type SecretRequirement } from './secrets';
+import type { VersionEnv } from './versions';
+
+export interface TemplateDeployResult {
+  success: boolean;
+  scriptName?: string;
+  url?: string;
+  config?: string;            // wrangler.toml with the provisioned ids
+  resources?: AgentResource[];
+  missingSecrets?: SecretRequirement[];
+  error?: string;
+}
+
+const MODULE_FILE = /^src\/.+\.m?js$/;
+
+export class TemplateDeploymentService {
+  constructor(private env: VersionEnv) {}
+
+  async deploy(agentId: string, templateId: string, requestedBy = 'api'): Promise<TemplateDeployResult> {
+    const deployConfig = deploymentConfigFromEnv(this.env);
+    if (!deployConfig) {
+      return { success: false, error: 'Worker templates need Workers for Platforms (CLOUDFLARE_ACCOUNT_ID, CLOUDFLARE_API_TOKEN, DISPATCH_NAMESPACE)' };
+    }
+
+    const template = getTemplate(templateId);
+    const toml = template?.files['wrangler.toml'];
+    if (!template || template.framework !== 'worker' || !toml) {
+      return { success: false, error: `${templateId} is not a Worker template` };
+    }
+
+    // Keys from intake plus whatever the template's api_integrations mark as required
+    const secrets = createSecretsService(this.env);
+    const check = await secrets.check(agentId, template, 'production');
+    if (!check.ok) {
+      return { success: false, missingSecrets: check.missing, error: describeMissingSecrets(check.missing) };
+    }
+
+    const api = createCloudflareAPI(deployConfig);
+    const provisioned = await createProvisioningService(this.env.AGENT_REGISTRY_DB, api).provision(agentId, toml);
+    if (!provisioned.success) {
+      await recordAgentEvent(this.env.AGENT_REGISTRY_DB, agentId, 'error', { template: templateId, error: provisioned.error });
+      return { success: false, error: `Provisioning failed: ${provisioned.error}` };
+    }
+
+    const modules: WorkerModule[] = Object.entries(template.files)
+      .filter(([path]) => MODULE_FILE.test(path))
+      .map(([name, content]) => ({ name, content: content.trim() + '\n' }));
+    const mainModule = parseWranglerToml(toml).main || 'src/index.js';
+
+    // Environment vars set through the API override the template's defaults
+    const production = await createEnvironmentService(this.env).getEnvironment(agentId, 'production');
+    const label = hostLabel(agentId, 'production');
+    const secretBindings = await secrets.bindings(agentId, 'production');
+
+    const deployed = await createDeploymentService(deployConfig).deployToWorkers({
+      name: label,
+      files: [],
+      modules,
+      mainModule,
+      environment: withoutSecretNames({ ...provisioned.vars, ...production.vars }, secretBindings),
+      bindings: [...(provisioned.bindings || []), ...secretBindings]
+    });
+
+    if (!deployed.success) {
+      await recordAgentEvent(this.env.AGENT_REGISTRY_DB, agentId, 'error', { template: templateId, error: deployed.error });
+      return { success: false, resources: provisioned.resources, error: deployed.error };
+    }
+
+    // Keep the resolved config next to the agent's other files (exported to GitHub, purged on teardown)
+    await this.env.AGENT_ASSETS.put(`apps/${agentId}/source/wrangler.toml`, provisioned.config!, {
+      httpMetadata: { contentType: 'application/toml' }
+    });
+
+    await updateAgentRoute(this.env.AGENT_CACHE, label, {
+      id: agentId,
+      subdomain: label,
+      environment: 'production',
+      dispatchScript: deployed.scriptName,
+      vars: production.vars
+    });
+
+    await recordAgentEvent(this.env.AGENT_REGISTRY_DB, agentId, 'deploy', {
+      template: templateId,
+      scriptName: deployed.scriptName,
+      resources: provisioned.resources?.map(r => `${r.type}:${r.binding}=${r.name}`),
+      requestedBy
+    });
+
+    return {
+      success: true,
+      scriptName: deployed.scriptName,
+      url: agentUrl(this.env, agentId),
+      config: provisioned.config,
+      resources: provisioned.resources
+    };
+  }
+}
+
+// Factory function
+export function createTemplateDeploymentService(env: VersionEnv): TemplateDeploymentService {
+  return new TemplateDeploymentService(env);
+}
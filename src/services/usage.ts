@@ -0,0 +1,220 @@
+// src/services/usage.ts
+// Codr — LLM usage accounting and workspace budgets
+//
+// Every model call made for an agent is one llm_usage row: tokens, latency,
+// provider/model and an estimated cost, attributed to the generation phase (and
+// file) it was made for. Agents belong to a workspace; a workspace may set a
+// monthly budget, and once the month's estimated spend reaches it generation
+// refuses to make further calls. Months are calendar months in UTC.
+
+import { estimateCost } from '../lib/llm-pricing';
+import type { LLMUsage, Provider } from '../lib/llm';
+
+export interface UsageEnv {
+  AGENT_REGISTRY_DB: D1Database;
+}
+
+export interface UsageEntry extends Omit<LLMUsage, 'provider'> {
+  provider: Provider | 'replicate';  // 'replicate': a media prediction (services/media.ts)
+  agentId: string;
+  phase: string;     // "planning", a file's phase, "refine"…
+  path?: string;     // the file the call generated, if any
+}
+
+export interface UsageTotals {
+  calls: number;
+  failedCalls: number;
+  inputTokens: number;
+  outputTokens: number;
+  latencyMs: number;     // summed over calls
+  costUsd: number;       // priced calls only
+  unpricedCalls: number; // models with no entry in lib/llm-pricing.ts
+}
+
+export interface BudgetStatus {
+  workspaceId: string;
+  month: string;             // "2025-07"
+  spentUsd: number;
+  limitUsd: number | null;   // null = no budget set
+  remainingUsd: number | null;
+  exceeded: boolean;
+}
+
+export interface AgentUsage {
+  agentId: string;
+  workspaceId: string;
+  totals: UsageTotals;
+  byPhase: Record<string, UsageTotals>;
+  byModel: Record<string, UsageTotals>; // "<provider>/<model>"
+  budget: BudgetStatus;
+}
+
+export class BudgetExceededError extends Error {
+  constructor(public budget: BudgetStatus) {
+    super(
+      `Monthly LLM budget for workspace ${budget.workspaceId} is used up ` +
+      `(${usd(budget.spentUsd)} of ${usd(budget.limitUsd ?? 0)} in ${budget.month})`
+    );
+    this.name = 'BudgetExceededError';
+  }
+}
+
+export const DEFAULT_WORKSPACE = 'default';
+
+interface TotalsRow {
+  calls: number;
+  failed_calls: number | null;
+  input_tokens: number | null;
+  output_tokens: number | null;
+  latency_ms: number | null;
+  cost_usd: number | null;
+  unpriced_calls: number | null;
+}
+
+const TOTALS = `COUNT(*) AS calls,
+  SUM(status = 'error') AS failed_calls,
+  SUM(input_tokens) AS input_tokens,
+  SUM(output_tokens) AS output_tokens,
+  SUM(latency_ms) AS latency_ms,
+  SUM(cost_usd) AS cost_usd,
+  SUM(cost_usd IS NULL AND status = 'ok') AS unpriced_calls`;
+
+export class UsageService {
+  constructor(private env: UsageEnv) {}
+
+  // One call's usage. Accounting must never fail the call it describes; cached
+  // replies cost nothing and aren't recorded
+  async record(entry: UsageEntry): Promise<void> {
+    if (entry.cached) return;
+    const cost = entry.provider === 'replicate' ? null : estimateCost(entry.provider, entry.model, entry.inputTokens, entry.outputTokens);
+    try {
+      await this.env.AGENT_REGISTRY_DB
+        .prepare(
+          `INSERT INTO llm_usage (agent_id, workspace_id, phase, path, provider, model, input_tokens, output_tokens, latency_ms, cost_usd, status)
+           VALUES (?, COALESCE((SELECT workspace_id FROM agents WHERE id = ?), ?), ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        )
+        .bind(
+          entry.agentId,
+          entry.agentId,
+          DEFAULT_WORKSPACE,
+          entry.phase,
+          entry.path ?? null,
+          entry.provider,
+          entry.model,
+          entry.inputTokens,
+          entry.outputTokens,
+          entry.latencyMs,
+          cost,
+          entry.ok ? 'ok' : 'error'
+        )
+        .run();
+    } catch (error) {
+      console.error(`Failed to record LLM usage for ${entry.agentId}:`, error);
+    }
+  }
+
+  async agentUsage(agentId: string): Promise<AgentUsage> {
+    const db = this.env.AGENT_REGISTRY_DB;
+    const [totals, phases, models] = await db.batch<TotalsRow & { phase?: string; provider?: string; model?: string }>([
+      db.prepare(`SELECT ${TOTALS} FROM llm_usage WHERE agent_id = ?`).bind(agentId),
+      db.prepare(`SELECT phase, ${TOTALS} FROM llm_usage WHERE agent_id = ? GROUP BY phase ORDER BY phase`).bind(agentId),
+      db.prepare(`SELECT provider, model, ${TOTALS} FROM llm_usage WHERE agent_id = ? GROUP BY provider, model ORDER BY provider, model`).bind(agentId)
+    ]);
+
+    const workspaceId = await this.workspaceOf(agentId);
+    return {
+      agentId,
+      workspaceId,
+      totals: toTotals(totals.results?.[0]),
+      byPhase: Object.fromEntries((phases.results || []).map(row => [row.phase!, toTotals(row)])),
+      byModel: Object.fromEntries((models.results || []).map(row => [`${row.provider}/${row.model}`, toTotals(row)])),
+      budget: await this.budget(workspaceId)
+    };
+  }
+
+  // This month's spend against the workspace's budget
+  async budget(workspaceId: string, now = new Date()): Promise<BudgetStatus> {
+    const month = now.toISOString().slice(0, 7);
+    const [spent, limit] = await Promise.all([
+      this.env.AGENT_REGISTRY_DB
+        .prepare(`SELECT SUM(cost_usd) AS spent FROM llm_usage WHERE workspace_id = ? AND at >= ?`)
+        .bind(workspaceId, `${month}-01 00:00:00`)
+        .first<{ spent: number | null }>(),
+      this.env.AGENT_REGISTRY_DB
+        .prepare(`SELECT monthly_usd FROM workspace_budgets WHERE workspace_id = ?`)
+        .bind(workspaceId)
+        .first<{ monthly_usd: number }>()
+    ]);
+
+    const spentUsd = spent?.spent ?? 0;
+    const limitUsd = limit ? limit.monthly_usd : null;
+    return {
+      workspaceId,
+      month,
+      spentUsd,
+      limitUsd,
+      remainingUsd: limitUsd === null ? null : Math.max(0, limitUsd - spentUsd),
+      exceeded: limitUsd !== null && spentUsd >= limitUsd
+    };
+  }
+
+  // Throws BudgetExceededError once the agent's workspace has used up its month
+  async assertWithinBudget(agentId: string): Promise<void> {
+    const budget = await this.budget(await this.workspaceOf(agentId));
+    if (budget.exceeded) throw new BudgetExceededError(budget);
+  }
+
+  // null removes the budget
+  async setBudget(workspaceId: string, monthlyUsd: number | null, updatedBy = 'api'): Promise<BudgetStatus> {
+    if (monthlyUsd === null) {
+      await this.env.AGENT_REGISTRY_DB
+        .prepare(`DELETE FROM workspace_budgets WHERE workspace_id = ?`)
+        .bind(workspaceId)
+        .run();
+    } else {
+      if (!Number.isFinite(monthlyUsd) || monthlyUsd < 0) throw new Error('monthlyUsd must be a non-negative number');
+      await this.env.AGENT_REGISTRY_DB
+        .prepare(
+          `INSERT INTO workspace_budgets (workspace_id, monthly_usd, updated_by, updated_at)
+           VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+           ON CONFLICT(workspace_id) DO UPDATE SET
+             monthly_usd = excluded.monthly_usd,
+             updated_by = excluded.updated_by,
+             updated_at = excluded.updated_at`
+        )
+        .bind(workspaceId, monthlyUsd, updatedBy)
+        .run();
+    }
+    return this.budget(workspaceId);
+  }
+
+  private async workspaceOf(agentId: string): Promise<string> {
+    const row = await this.env.AGENT_REGISTRY_DB
+      .prepare(`SELECT workspace_id FROM agents WHERE id = ?`)
+      .bind(agentId)
+      .first<{ workspace_id: string | null }>();
+    return row?.workspace_id || DEFAULT_WORKSPACE;
+  }
+}
+
+// Cents, or four decimals below a dollar so small budgets still read sensibly
+function usd(amount: number): string {
+  return `$${amount.toFixed(amount < 1 ? 4 : 2)}`;
+}
+
+function toTotals(row?: TotalsRow): UsageTotals {
+  return {
+    calls: row?.calls ?? 0,
+    failedCalls: row?.failed_calls ?? 0,
+    inputTokens: row?.input_tokens ?? 0,
+    outputTokens: row?.output_tokens ?? 0,
+    latencyMs: row?.latency_ms ?? 0,
+    costUsd: row?.cost_usd ?? 0,
+    unpricedCalls: row?.unpriced_calls ?? 0
+  };
+}
+
+// Factory function
+export function createUsageService(env: UsageEnv): UsageService {
+  return new UsageService(env);
+}
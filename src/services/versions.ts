@@ -0,0 +1,402 @@
+// src/services/versions.ts
+// Codr — Immutable deploy versions and rollback
+//
+// Every publish gets its own R2 prefix (apps/<agentId>/<versionId>/) and its own
+// preview host. Promoting to staging/production or rolling back re-activates a
+// stored version on that environment's host; nothing is regenerated or rebuilt.
+// The source files a version was built from are kept beside it
+// (sources/<agentId>/<versionId>.json), outside the served prefix, for refining.
+// A publish claims its version number (a pending row) before it uploads anything,
+// so two publishes at once never write to the same prefix.
+
+import { sha256Hex, canonicalJSON } from '../lib/hash';
+import { recordAgentEvent } from '../lib/events';
+import type { EnvironmentName } from './app-host';
+import { contentTypeFor } from './build-cache';
+import { createEnvironmentService, type ActivationResult, type EnvironmentService } from './environments';
+import type { BuildResult } from './build';
+
+export interface VersionEnv {
+  AGENT_REGISTRY_DB: D1Database;
+  AGENT_ASSETS: R2Bucket;
+  AGENT_CACHE: KVNamespace;
+  CUSTOM_DOMAIN?: string;
+  CLOUDFLARE_ACCOUNT_ID?: string;
+  CLOUDFLARE_API_TOKEN?: string;
+  CLOUDFLARE_API_BASE_URL?: string;
+  DISPATCH_NAMESPACE?: string;
+  SECRETS_ENCRYPTION_KEY?: string;
+}
+
+export type VersionStatus = 'pending' | 'deployed' | 'failed';
+
+export interface AgentVersion {
+  id: string;
+  agentId: string;
+  version: number;
+  buildId?: string;
+  buildHash?: string;
+  filesHash: string;
+  assetsPrefix: string;
+  scriptName?: string;
+  deploymentId?: string;
+  url?: string;
+  status: VersionStatus;
+  error?: string;
+  deployedBy?: string;
+  createdAt: string;
+  environments?: EnvironmentName[]; // staging / production hosts currently serving this version
+  live?: boolean;                   // serving production
+}
+
+interface VersionRow {
+  id: string;
+  agent_id: string;
+  version: number;
+  build_id: string | null;
+  build_hash: string | null;
+  files_hash: string;
+  assets_prefix: string;
+  script_name: string | null;
+  deployment_id: string | null;
+  url: string | null;
+  status: VersionStatus;
+  error: string | null;
+  deployed_by: string | null;
+  created_at: string;
+}
+
+export interface PromoteResult {
+  success: boolean;
+  environment?: EnvironmentName;
+  url?: string;
+  version?: AgentVersion;
+  previousVersionId?: string;
+  error?: string;
+}
+
+export interface SourceFile {
+  path: string;
+  content: string;
+  phase?: string;
+  model?: string;   // "<provider>/<model>" that wrote it
+}
+
+export interface PromoteOptions {
+  from?: EnvironmentName;     // promote whatever this environment serves (e.g. staging → production)
+  requestedBy?: string;
+}
+
+// Tries at claiming a version number before a publish gives up
+const RESERVE_ATTEMPTS = 5;
+
+export class VersionService {
+  private environments: EnvironmentService;
+
+  constructor(private env: VersionEnv) {
+    this.environments = createEnvironmentService(env);
+  }
+
+  // Publish a successful build as the next version on its own preview host
+  async publish(
+    agentId: string,
+    build: BuildResult,
+    deployedBy = 'api',
+    sources?: SourceFile[]
+  ): Promise<AgentVersion> {
+    if (!build.success || !build.assets?.length) {
+      throw new Error(`Build ${build.buildId} has no deployable output`);
+    }
+
+    const fileHashes: Array<[string, string]> = [];
+    for (const asset of build.assets) fileHashes.push([asset.path, await sha256Hex(asset.content)]);
+    const filesHash = await sha256Hex(canonicalJSON(fileHashes.sort((a, b) => a[0].localeCompare(b[0]))));
+
+    const reserved = await this.reserve(agentId, {
+      buildId: build.buildId,
+      buildHash: build.inputHash,
+      filesHash,
+      deployedBy
+    });
+    const { id, version, assetsPrefix } = reserved;
+
+    let preview: ActivationResult;
+    try {
+      for (const asset of build.assets) {
+        await this.env.AGENT_ASSETS.put(`${assetsPrefix}${asset.path}`, asset.content, {
+          httpMetadata: { contentType: contentTypeFor(asset.type) }
+        });
+      }
+      if (sources) {
+        await this.env.AGENT_ASSETS.put(sourcesKey(agentId, id), JSON.stringify(sources), {
+          httpMetadata: { contentType: 'application/json' }
+        });
+      }
+
+      preview = await this.environments.activate(
+        { id, agentId, version, assetsPrefix },
+        'preview',
+        deployedBy,
+        build.assets.map(a => ({ path: a.path, content: a.content }))
+      );
+    } catch (error) {
+      preview = { success: false, url: '', error: error instanceof Error ? error.message : String(error) };
+    }
+    const status: VersionStatus = preview.success ? 'deployed' : 'failed';
+
+    const record = await this.settle({
+      ...reserved,
+      scriptName: preview.scriptName,
+      deploymentId: preview.deploymentId,
+      url: preview.url || undefined,
+      status,
+      error: preview.error
+    });
+
+    await recordAgentEvent(this.env.AGENT_REGISTRY_DB, agentId, status === 'deployed' ? 'deploy' : 'error', {
+      versionId: id,
+      version,
+      buildId: build.buildId,
+      environment: 'preview',
+      status,
+      error: preview.error,
+      deployedBy
+    });
+
+    // A brand-new agent is reachable at its own subdomain straight away;
+    // after that, production only changes through promote/rollback
+    if (status === 'deployed' && !(await this.environments.getEnvironment(agentId, 'production')).versionId) {
+      await this.promote(agentId, 'production', id, { requestedBy: deployedBy });
+    }
+
+    return (await this.getVersion(agentId, id)) || record;
+  }
+
+  async listVersions(agentId: string, limit = 50): Promise<AgentVersion[]> {
+    const res = await this.env.AGENT_REGISTRY_DB
+      .prepare(`SELECT * FROM agent_versions WHERE agent_id = ? ORDER BY version DESC LIMIT ?`)
+      .bind(agentId, limit)
+      .all<VersionRow>();
+    const served = await this.servedEnvironments(agentId);
+    return (res.results || []).map(row => this.withEnvironments(this.toVersion(row), served));
+  }
+
+  // Accepts a version id ("abc-v3") or number ("3")
+  async getVersion(agentId: string, ref: string | number): Promise<AgentVersion | null> {
+    const byNumber = /^\d+$/.test(String(ref));
+    const row = await this.env.AGENT_REGISTRY_DB
+      .prepare(`SELECT * FROM agent_versions WHERE agent_id = ? AND ${byNumber ? 'version' : 'id'} = ?`)
+      .bind(agentId, byNumber ? Number(ref) : ref)
+      .first<VersionRow>();
+    return row ? this.withEnvironments(this.toVersion(row), await this.servedEnvironments(agentId)) : null;
+  }
+
+  // The source files a version was built from; null for versions published without them
+  async loadSources(agentId: string, versionId: string): Promise<SourceFile[] | null> {
+    const object = await this.env.AGENT_ASSETS.get(sourcesKey(agentId, versionId));
+    return object ? object.json<SourceFile[]>() : null;
+  }
+
+  // Serve an existing version from staging or production; nothing is rebuilt.
+  // Without a version or `from`: staging takes the latest version, production takes staging's.
+  async promote(
+    agentId: string,
+    to: EnvironmentName,
+    ref?: string | number,
+    options: PromoteOptions = {}
+  ): Promise<PromoteResult> {
+    return this.moveTo(agentId, to, ref, options, 'promote');
+  }
+
+  // Point production back at an earlier version
+  async rollback(agentId: string, ref: string | number, requestedBy = 'api'): Promise<PromoteResult> {
+    return this.moveTo(agentId, 'production', ref, { requestedBy }, 'rollback');
+  }
+
+  private async moveTo(
+    agentId: string,
+    to: EnvironmentName,
+    ref: string | number | undefined,
+    options: PromoteOptions,
+    kind: 'promote' | 'rollback'
+  ): Promise<PromoteResult> {
+    if (to === 'preview') return { success: false, error: 'Every version already has its own preview host' };
+
+    const target = await this.resolveTarget(agentId, to, ref, options.from);
+    if (!target) {
+      return { success: false, error: ref !== undefined ? `Version ${ref} not found` : `Nothing to promote to ${to}` };
+    }
+    if (target.status !== 'deployed') {
+      return { success: false, error: `Version ${target.id} failed to deploy and cannot be promoted` };
+    }
+
+    const current = await this.environments.getEnvironment(agentId, to);
+    if (current.versionId === target.id) {
+      return { success: true, environment: to, url: current.url, version: target, previousVersionId: target.id };
+    }
+
+    // The R2 copy is what the router falls back to, so it must still be there
+    if (!(await this.env.AGENT_ASSETS.head(`${target.assetsPrefix}index.html`))) {
+      return { success: false, error: `Assets for ${target.id} are no longer in R2` };
+    }
+
+    const requestedBy = options.requestedBy || 'api';
+    const result = await this.environments.activate(target, to, requestedBy);
+    if (!result.success) return { success: false, environment: to, error: result.error };
+
+    await recordAgentEvent(this.env.AGENT_REGISTRY_DB, agentId, kind, {
+      environment: to,
+      from: current.versionId,
+      to: target.id,
+      version: target.version,
+      requestedBy
+    });
+
+    return {
+      success: true,
+      environment: to,
+      url: result.url,
+      version: (await this.getVersion(agentId, target.id)) || target,
+      previousVersionId: current.versionId
+    };
+  }
+
+  private async resolveTarget(
+    agentId: string,
+    to: EnvironmentName,
+    ref: string | number | undefined,
+    from: EnvironmentName | undefined
+  ): Promise<AgentVersion | null> {
+    if (ref !== undefined && ref !== null && ref !== '') return this.getVersion(agentId, ref);
+
+    const source = from || (to === 'production' ? 'staging' : 'preview');
+    if (source === 'preview') {
+      const row = await this.env.AGENT_REGISTRY_DB
+        .prepare(`SELECT * FROM agent_versions WHERE agent_id = ? AND status = 'deployed' ORDER BY version DESC LIMIT 1`)
+        .bind(agentId)
+        .first<VersionRow>();
+      return row ? this.toVersion(row) : null;
+    }
+
+    const { versionId } = await this.environments.getEnvironment(agentId, source);
+    return versionId ? this.getVersion(agentId, versionId) : null;
+  }
+
+  // versionId → staging/production names serving it (previews are per version)
+  private async servedEnvironments(agentId: string): Promise<Map<string, EnvironmentName[]>> {
+    const served = new Map<string, EnvironmentName[]>();
+    for (const environment of await this.environments.listEnvironments(agentId)) {
+      if (environment.name === 'preview' || !environment.versionId) continue;
+      served.set(environment.versionId, [...(served.get(environment.versionId) || []), environment.name]);
+    }
+    return served;
+  }
+
+  private withEnvironments(version: AgentVersion, served: Map<string, EnvironmentName[]>): AgentVersion {
+    const environments = served.get(version.id) || [];
+    return { ...version, environments, live: environments.includes('production') };
+  }
+
+  // Claim the agent's next version number as a pending row. Two publishes reading the
+  // same MAX(version) both try to insert it; UNIQUE (agent_id, version) lets one win
+  // and the other reads again
+  private async reserve(
+    agentId: string,
+    fields: Pick<AgentVersion, 'buildId' | 'buildHash' | 'filesHash' | 'deployedBy'>
+  ): Promise<AgentVersion> {
+    for (let attempt = 1; ; attempt++) {
+      const latest = await this.env.AGENT_REGISTRY_DB
+        .prepare(`SELECT MAX(version) AS version FROM agent_versions WHERE agent_id = ?`)
+        .bind(agentId)
+        .first<{ version: number | null }>();
+      const version = (latest?.version || 0) + 1;
+      const id = `${agentId}-v${version}`;
+      try {
+        return await this.insert({
+          ...fields,
+          id,
+          agentId,
+          version,
+          assetsPrefix: `apps/${agentId}/${id}/`,
+          status: 'pending'
+        });
+      } catch (error) {
+        if (attempt >= RESERVE_ATTEMPTS || !/UNIQUE constraint failed/i.test(String(error))) throw error;
+      }
+    }
+  }
+
+  // Record how a pending version's deploy went; after this the row is immutable
+  private async settle(version: AgentVersion): Promise<AgentVersion> {
+    await this.env.AGENT_REGISTRY_DB
+      .prepare(
+        `UPDATE agent_versions SET script_name = ?, deployment_id = ?, url = ?, status = ?, error = ?
+         WHERE id = ? AND status = 'pending'`
+      )
+      .bind(
+        version.scriptName ?? null,
+        version.deploymentId ?? null,
+        version.url ?? null,
+        version.status,
+        version.error ?? null,
+        version.id
+      )
+      .run();
+    return version;
+  }
+
+  private async insert(version: Omit<AgentVersion, 'createdAt' | 'environments' | 'live'>): Promise<AgentVersion> {
+    const createdAt = new Date().toISOString();
+    await this.env.AGENT_REGISTRY_DB
+      .prepare(
+        `INSERT INTO agent_versions (id,agent_id,version,build_id,build_hash,files_hash,assets_prefix,script_name,deployment_id,url,status,error,deployed_by,created_at)
+         VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?)`
+      )
+      .bind(
+        version.id,
+        version.agentId,
+        version.version,
+        version.buildId ?? null,
+        version.buildHash ?? null,
+        version.filesHash,
+        version.assetsPrefix,
+        version.scriptName ?? null,
+        version.deploymentId ?? null,
+        version.url ?? null,
+        version.status,
+        version.error ?? null,
+        version.deployedBy ?? null,
+        createdAt
+      )
+      .run();
+    return { ...version, createdAt };
+  }
+
+  private toVersion(row: VersionRow): AgentVersion {
+    return {
+      id: row.id,
+      agentId: row.agent_id,
+      version: row.version,
+      buildId: row.build_id || undefined,
+      buildHash: row.build_hash || undefined,
+      filesHash: row.files_hash,
+      assetsPrefix: row.assets_prefix,
+      scriptName: row.script_name || undefined,
+      deploymentId: row.deployment_id || undefined,
+      url: row.url || undefined,
+      status: row.status,
+      error: row.error || undefined,
+      deployedBy: row.deployed_by || undefined,
+      createdAt: row.created_at
+    };
+  }
+}
+
+export function sourcesKey(agentId: string, versionId: string): string {
+  return `sources/${agentId}/${versionId}.json`;
+}
+
+// Factory function
+export function createVersionService(env: VersionEnv): VersionService {
+  return new VersionService(env);
+}
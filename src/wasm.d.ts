@@ -0,0 +1,5 @@
+// Wrangler bundles .wasm imports as pre-compiled WebAssembly modules
+declare module "*.wasm" {
+  const wasmModule: WebAssembly.Module;
+  export default wasmModule;
+}
@@ -12,14 +12,29 @@
 import { Hono } from "hono";
 import { cors } from "hono/cors";
 import { html } from "hono/html";
-import { nanoid } from "nanoid";
+import { customAlphabet } from "nanoid";
+import { recordAgentEvent } from "./lib/events";
+import { chatLLM, describeImage, type LLMChoice } from "./lib/llm";
+import { ModelMapError, parseModelMap, type LLMModelMap } from "./lib/llm-router";
+import { WORKERS_AI_MODELS } from "./lib/llm-workers-ai";
 import { getSession, putSession, sessionKey } from "./lib/session";
-import { AgentStateDO } from "./do/AgentStateDO";
-import { createCodeGenerator } from "./core/code-generator";
+import { createSemanticIndex } from "./lib/vector-search";
+import { AgentStateDO, type GenerationStatus } from "./do/AgentStateDO";
+import { createCodeGenerator, normalizeGenerationRequest, type CodeGeneratorEnv } from "./core/code-generator";
+import { agentUrl, getAgentRoute, serveAgentApp, subdomainFromHost, updateAgentRoute } from "./services/app-host";
+import { BudgetExceededError, DEFAULT_WORKSPACE, createUsageService } from "./services/usage";
 
 type MaybeKV = KVNamespace | undefined;
 
-interface Env {
+// Agent ids double as subdomains and script names: lowercase, DNS-safe
+const newAgentId = customAlphabet("0123456789abcdefghijklmnopqrstuvwxyz", 12);
+
+// How long a refine may hold the agent's generation lock (model call + build + publish)
+const REFINE_LOCK_MS = 5 * 60_000;
+// ...and a deploy, promote or rollback (uploads + a Workers for Platforms deploy)
+const DEPLOY_LOCK_MS = 2 * 60_000;
+
+type Env = {
   // Data & cache
   AGENT_CACHE: KVNamespace;
   AGENT_REGISTRY_DB: D1Database;
@@ -30,22 +45,91 @@ interface Env {
   AGENT_STATE: DurableObjectNamespace; // resume-in-progress DO
   DISPATCHER: any;                     // cross-app routing namespace
 
+  // Workers for Platforms deploys (optional; R2 hosting works without them)
+  CLOUDFLARE_ACCOUNT_ID?: string;
+  CLOUDFLARE_API_TOKEN?: string;       // secret: Workers Scripts:Edit
+  CLOUDFLARE_API_BASE_URL?: string;    // override to hit a local stand-in of the API
+  DISPATCH_NAMESPACE?: string;
+
+  // Agent secrets store
+  SECRETS_ENCRYPTION_KEY?: string;     // secret: 32 random bytes, base64 (AES-256-GCM)
+
   // AI & Gateway
   AI: any;                             // Workers AI binding
+  VECTORIZE?: Vectorize;               // agent knowledge indexes; without it, the D1 stand-in
+  LLM_ZERO_KEY?: string;               // "true": generate with Workers AI only (no provider keys)
+  LLM_CACHE_TTL?: string;              // seconds identical LLM replies are reused; unset = no cache
   CLOUDFLARE_AI_GATEWAY: string;       // Gateway name or URL
   GOOGLE_AI_STUDIO_API_KEY?: string;   // optional extra key
+  REPLICATE_API_TOKEN?: string;        // secret: image/audio/video generation (services/media.ts)
+  REPLICATE_API_BASE_URL?: string;     // override to hit a local stand-in (scripts/fake_replicate.mjs)
+  LLM_CASSETTE?: string;               // record/replay provider calls (tests; see lib/llm-cassette.ts)
+  LLM_CASSETTE_MODE?: string;          // "record" | "replay"
 
   // Config
   APP_URL: string;
+  CUSTOM_DOMAIN?: string;              // apex that agent subdomains live under
   LOG_LEVEL?: string;
 
   // Optional mail vars
   MAIL_FROM?: string;
   MAIL_REPLYTO?: string;
-}
+
+  // Optional OAuth vars
+  GOOGLE_CLIENT_ID?: string;
+  GITHUB_CLIENT_ID?: string;
+};
 
 const app = new Hono<{ Bindings: Env }>();
 
+// The bindings code generation (and refining) runs with
+function generatorEnv(env: Env): CodeGeneratorEnv {
+  return {
+    AI_GATEWAY: env.CLOUDFLARE_AI_GATEWAY,
+    GOOGLE_AI_STUDIO_API_KEY: env.GOOGLE_AI_STUDIO_API_KEY,
+    AI: env.AI,
+    LLM_ZERO_KEY: env.LLM_ZERO_KEY,
+    LLM_CACHE_TTL: env.LLM_CACHE_TTL,
+    LLM_CASSETTE: env.LLM_CASSETTE,
+    LLM_CASSETTE_MODE: env.LLM_CASSETTE_MODE,
+    AGENT_ASSETS: env.AGENT_ASSETS,
+    AGENT_REGISTRY_DB: env.AGENT_REGISTRY_DB,
+    AGENT_CACHE: env.AGENT_CACHE,
+    AGENT_STATE: env.AGENT_STATE,
+    CUSTOM_DOMAIN: env.CUSTOM_DOMAIN,
+    CLOUDFLARE_ACCOUNT_ID: env.CLOUDFLARE_ACCOUNT_ID,
+    CLOUDFLARE_API_TOKEN: env.CLOUDFLARE_API_TOKEN,
+    CLOUDFLARE_API_BASE_URL: env.CLOUDFLARE_API_BASE_URL,
+    DISPATCH_NAMESPACE: env.DISPATCH_NAMESPACE,
+    SECRETS_ENCRYPTION_KEY: env.SECRETS_ENCRYPTION_KEY
+  };
+}
+
+// The agent's workspace budget when this month's is used up: generation isn't started
+async function exhaustedBudget(env: Env, agentId: string): Promise<BudgetExceededError | null> {
+  try {
+    await createUsageService(env).assertWithinBudget(agentId);
+    return null;
+  } catch (error) {
+    if (error instanceof BudgetExceededError) return error;
+    throw error;
+  }
+}
+
+// The agent's generation lock (AgentStateDO /lock) for work outside a generation run:
+// refuses while a run or anyone else's lock is live. Release with the returned holder
+async function acquireAgentLock(env: Env, agentId: string, purpose: string, ttlMs: number): Promise<{ holder: string } | { error: string }> {
+  const stub = env.AGENT_STATE.get(env.AGENT_STATE.idFromName(agentId));
+  const res = await stub.fetch("https://do/lock", { method: "POST", body: JSON.stringify({ purpose, ttlMs }) });
+  const body = await res.json<any>();
+  return res.ok ? { holder: body.holder } : { error: body.error || "Agent is busy" };
+}
+
+async function releaseAgentLock(env: Env, agentId: string, holder: string): Promise<void> {
+  const stub = env.AGENT_STATE.get(env.AGENT_STATE.idFromName(agentId));
+  await stub.fetch(`https://do/lock?holder=${encodeURIComponent(holder)}`, { method: "DELETE" });
+}
+
 // CORS for API; UI is same-origin
 app.use("/api/*", cors());
 
@@ -171,13 +255,22 @@ app.get("/api/hello", (c) => c.json({ message: "Codr API online ✅" }));
 // Create or update an agent record
 app.post("/api/agents", async (c) => {
   const body = await c.req.json().catch(() => ({}));
-  const id = body.id || nanoid(10);
+  const id = body.id || newAgentId();
   const now = new Date().toISOString();
 
+  // Stage → model map from the llm_choice step; stored as JSON text
+  let llmModels: LLMModelMap;
+  try {
+    llmModels = parseModelMap(body.llm_models);
+  } catch (error) {
+    if (!(error instanceof ModelMapError)) throw error;
+    return c.json({ ok: false, error: error.message, issues: error.issues }, 400);
+  }
+
   await c.env.AGENT_REGISTRY_DB
     .prepare(
-      `INSERT INTO agents (id,name,jtbds,logic_yaml,input_sources,llm_models,api_keys_required,visual_style,frontend_framework,created_at,updated_at)
-       VALUES (?,?,?,?,?,?,?,?,?, ?,?)
+      `INSERT INTO agents (id,name,jtbds,logic_yaml,input_sources,llm_models,api_keys_required,visual_style,frontend_framework,workspace_id,created_at,updated_at)
+       VALUES (?,?,?,?,?,?,?,?,?,?, ?,?)
        ON CONFLICT(id) DO UPDATE SET
          name=excluded.name,
          jtbds=excluded.jtbds,
@@ -195,43 +288,333 @@ app.post("/api/agents", async (c) => {
       body.jtbds ?? "",
       body.logic_yaml ?? "",
       body.input_sources ?? "",
-      body.llm_models ?? "",
+      JSON.stringify(llmModels),
       body.api_keys_required ?? "",
       JSON.stringify(body.visual_style ?? {}),
       body.frontend_framework ?? "vite",
+      body.workspace_id || DEFAULT_WORKSPACE, // set on creation only
       now,
       now
     )
     .run();
 
-  await c.env.AGENT_CACHE.put(
-    `agent:${id}`,
-    JSON.stringify({ id, name: body.name ?? "", subdomain: id })
-  );
+  await updateAgentRoute(c.env.AGENT_CACHE, id, { name: body.name ?? "", subdomain: id });
 
   // If this is a new agent creation with full requirements, start code generation
+  let generation: GenerationStatus | undefined;
   if (!body.id && body.name && body.jtbds) {
+    const refused = await exhaustedBudget(c.env, id);
+    if (refused) return c.json({ ok: false, id, error: refused.message, budget: refused.budget }, 402);
     try {
-      const codeGenerator = createCodeGenerator({
-        AI_GATEWAY: c.env.CLOUDFLARE_AI_GATEWAY,
-        GOOGLE_AI_STUDIO_API_KEY: c.env.GOOGLE_AI_STUDIO_API_KEY,
-        AGENT_STATE: c.env.AGENT_STATE
-      });
-
-      // Start async code generation
-      c.executionCtx.waitUntil(
-        codeGenerator.generateApp(body, id).then(result => {
-          console.log(`Code generation completed for agent ${id}`, result);
-        }).catch(error => {
-          console.error(`Code generation failed for agent ${id}:`, error);
-        })
-      );
+      const codeGenerator = createCodeGenerator(generatorEnv(c.env));
+
+      // Runs in the agent's Durable Object, one checkpointed step per alarm;
+      // queued behind any generation already running for this agent
+      generation = await codeGenerator.generateApp(normalizeGenerationRequest({ ...body, llm_models: llmModels }), id);
     } catch (error) {
       console.error("Failed to start code generation:", error);
     }
   }
 
-  return c.json({ ok: true, id });
+  return c.json({ ok: true, id, preview_url: agentUrl(c.env, id), generation });
+});
+
+// Continue a failed or stalled generation from its last completed phase
+app.post("/api/agents/:id/generate/resume", async (c) => {
+  const id = c.req.param("id");
+  const refused = await exhaustedBudget(c.env, id);
+  if (refused) return c.json({ error: refused.message, budget: refused.budget }, 402);
+
+  const stub = c.env.AGENT_STATE.get(c.env.AGENT_STATE.idFromName(id));
+  const res = await stub.fetch("https://do/generate/resume", { method: "POST" });
+  return c.json(await res.json(), res.status as 200 | 409);
+});
+
+// Stop a running (or queued) generation; in-flight model calls are aborted
+app.post("/api/agents/:id/generate/cancel", async (c) => {
+  const id = c.req.param("id");
+
+  const stub = c.env.AGENT_STATE.get(c.env.AGENT_STATE.idFromName(id));
+  const res = await stub.fetch("https://do/generate/cancel", { method: "POST" });
+  return c.json(await res.json(), res.status as 200 | 409);
+});
+
+// Regenerate planned files of a finished run ({ "paths": ["src/App.tsx"] }) and rebuild
+app.post("/api/agents/:id/generate/files", async (c) => {
+  const id = c.req.param("id");
+  const body = await c.req.json().catch(() => ({}));
+  const refused = await exhaustedBudget(c.env, id);
+  if (refused) return c.json({ error: refused.message, budget: refused.budget }, 402);
+
+  const stub = c.env.AGENT_STATE.get(c.env.AGENT_STATE.idFromName(id));
+  const res = await stub.fetch("https://do/generate/files", {
+    method: "POST",
+    body: JSON.stringify({ paths: body.paths })
+  });
+  return c.json(await res.json(), res.status as 200 | 400 | 409);
+});
+
+// Change a generated app by instruction: { "instruction": "make the save button bigger",
+// "fromVersion"?: "<id>-v2" }. Edits the version's sources, rebuilds and publishes a new version
+app.post("/api/agents/:id/refine", async (c) => {
+  const id = c.req.param("id");
+  const { instruction, fromVersion, requestedBy } = await c.req.json().catch(() => ({}));
+  if (typeof instruction !== "string" || !instruction.trim()) {
+    return c.json({ error: "instruction is required" }, 400);
+  }
+
+  const agent = await c.env.AGENT_REGISTRY_DB
+    .prepare(`SELECT * FROM agents WHERE id = ?`)
+    .bind(id)
+    .first<Record<string, any>>();
+  if (!agent) return c.json({ error: "Agent not found" }, 404);
+
+  const { createVersionService } = await import("./services/versions");
+  const versions = createVersionService(c.env);
+  const base = fromVersion !== undefined
+    ? await versions.getVersion(id, fromVersion)
+    : (await versions.listVersions(id, 1))[0];
+  if (!base) return c.json({ error: fromVersion !== undefined ? `Version ${fromVersion} not found` : "Nothing generated yet" }, 404);
+
+  const sources = await versions.loadSources(id, base.id);
+  if (!sources) return c.json({ error: `${base.id} has no stored sources to refine; regenerate the app first` }, 409);
+
+  // visual_style and llm_models are stored as JSON text
+  const column = (value: unknown) => {
+    try {
+      return JSON.parse(String(value));
+    } catch {
+      return undefined;
+    }
+  };
+  const request = normalizeGenerationRequest({
+    ...agent,
+    visual_style: column(agent.visual_style) ?? {},
+    llm_models: column(agent.llm_models)
+  });
+  const files = sources.map(f => ({ ...f, phase: f.phase || "core" }));
+
+  // Same lock generation steps take, so a refine and a generation never publish at once
+  const lock = await acquireAgentLock(c.env, id, "refine", REFINE_LOCK_MS);
+  if ("error" in lock) return c.json(lock, 409);
+
+  try {
+    const result = await createCodeGenerator(generatorEnv(c.env), { agentId: id }).refine(request, id, files, instruction, requestedBy || "api");
+    if (!result.success) {
+      await recordAgentEvent(c.env.AGENT_REGISTRY_DB, id, "error", { refine: instruction, from: base.id, error: result.error });
+      return c.json({ ok: false, error: result.error, errors: result.build_result?.errors, changes: result.changes }, 422);
+    }
+
+    await recordAgentEvent(c.env.AGENT_REGISTRY_DB, id, "refine", {
+      instruction,
+      from: base.id,
+      to: result.deployment_id,
+      changes: result.changes
+    });
+    return c.json({ ok: true, from: base.id, version: result.deployment_id, preview_url: result.preview_url, changes: result.changes });
+  } catch (error) {
+    if (error instanceof BudgetExceededError) return c.json({ error: error.message, budget: error.budget }, 402);
+    return c.json({ error: `Refine failed: ${error instanceof Error ? error.message : error}` }, 502);
+  } finally {
+    await releaseAgentLock(c.env, id, lock.holder);
+  }
+});
+
+// Tokens, latency and estimated cost of the agent's model calls, by phase and model,
+// with its workspace's spend this month
+app.get("/api/agents/:id/usage", async (c) => {
+  const id = c.req.param("id");
+
+  const agent = await c.env.AGENT_REGISTRY_DB.prepare(`SELECT id FROM agents WHERE id = ?`).bind(id).first();
+  if (!agent) return c.json({ error: "Agent not found" }, 404);
+  return c.json(await createUsageService(c.env).agentUsage(id));
+});
+
+app.get("/api/workspaces/:id/budget", async (c) => {
+  return c.json(await createUsageService(c.env).budget(c.req.param("id")));
+});
+
+// body: { monthlyUsd: number | null, updatedBy? } — null removes the budget.
+// Once the month's estimated spend reaches it, generation and refine stop making model calls
+app.put("/api/workspaces/:id/budget", async (c) => {
+  const { monthlyUsd, updatedBy } = await c.req.json().catch(() => ({}));
+  if (monthlyUsd !== null && (typeof monthlyUsd !== "number" || !Number.isFinite(monthlyUsd) || monthlyUsd < 0)) {
+    return c.json({ error: "monthlyUsd must be a non-negative number, or null to remove the budget" }, 400);
+  }
+  return c.json(await createUsageService(c.env).setBudget(c.req.param("id"), monthlyUsd, updatedBy || "api"));
+});
+
+// ----------------------
+// 📚 Agent knowledge (semantic search for RAG apps; see lib/vector-search.ts)
+// ----------------------
+// body: { documents: [{ id, text, metadata? }] } — chunked, embedded and indexed under the agent.
+// Re-sending a document id replaces all of its chunks
+app.post("/api/agents/:id/knowledge", async (c) => {
+  const id = c.req.param("id");
+  const { documents } = await c.req.json().catch(() => ({}));
+  const valid = Array.isArray(documents) && documents.every((d: any) => typeof d?.id === "string" && d.id && typeof d?.text === "string");
+  if (!valid) return c.json({ error: "documents must be an array of { id, text, metadata? }" }, 400);
+
+  const agent = await c.env.AGENT_REGISTRY_DB.prepare(`SELECT id FROM agents WHERE id = ?`).bind(id).first();
+  if (!agent) return c.json({ error: "Agent not found" }, 404);
+  const refused = await exhaustedBudget(c.env, id);
+  if (refused) return c.json({ error: refused.message, budget: refused.budget }, 402);
+
+  const usage = createUsageService(c.env);
+  const index = createSemanticIndex({ ...generatorEnv(c.env), VECTORIZE: c.env.VECTORIZE }, id);
+  try {
+    const added = await index.add(documents, { onUsage: u => usage.record({ ...u, agentId: id, phase: "knowledge" }) });
+    return c.json({ agentId: id, model: index.model, ...added });
+  } catch (error) {
+    return c.json({ error: error instanceof Error ? error.message : String(error) }, 502);
+  }
+});
+
+// Removes a document (id URL-encoded) and all of its chunks
+app.delete("/api/agents/:id/knowledge/:docId", async (c) => {
+  const id = c.req.param("id");
+  const docId = c.req.param("docId");
+  const index = createSemanticIndex({ ...generatorEnv(c.env), VECTORIZE: c.env.VECTORIZE }, id);
+  const removed = await index.remove([docId]);
+  if (!removed) return c.json({ error: "Document not found" }, 404);
+  return c.json({ agentId: id, removed: docId });
+});
+
+// body: { query, topK?, filter? } — the agent's closest chunks, best first
+app.post("/api/agents/:id/knowledge/search", async (c) => {
+  const id = c.req.param("id");
+  const { query, topK, filter } = await c.req.json().catch(() => ({}));
+  if (typeof query !== "string" || !query.trim()) return c.json({ error: "query is required" }, 400);
+
+  const agent = await c.env.AGENT_REGISTRY_DB.prepare(`SELECT id FROM agents WHERE id = ?`).bind(id).first();
+  if (!agent) return c.json({ error: "Agent not found" }, 404);
+  const refused = await exhaustedBudget(c.env, id);
+  if (refused) return c.json({ error: refused.message, budget: refused.budget }, 402);
+
+  const usage = createUsageService(c.env);
+  const index = createSemanticIndex({ ...generatorEnv(c.env), VECTORIZE: c.env.VECTORIZE }, id);
+  try {
+    const matches = await index.search(query, {
+      topK: Number.isInteger(topK) && topK > 0 ? topK : undefined,
+      filter: filter && typeof filter === "object" && !Array.isArray(filter) ? filter : undefined,
+      onUsage: u => usage.record({ ...u, agentId: id, phase: "knowledge-search" })
+    });
+    return c.json({ agentId: id, matches });
+  } catch (error) {
+    return c.json({ error: error instanceof Error ? error.message : String(error) }, 502);
+  }
+});
+
+// ----------------------
+// 🎬 Media generation (image/audio/video through Replicate; see services/media.ts)
+// ----------------------
+// The media service, or null when Replicate isn't configured (the routes answer 503)
+async function mediaService(env: Env) {
+  const { createMediaService } = await import("./services/media");
+  return env.REPLICATE_API_TOKEN ? createMediaService(env) : null;
+}
+const NO_REPLICATE = { error: "Media generation needs REPLICATE_API_TOKEN" };
+
+// body: { kind?: "image" | "audio" | "video", model?: "owner/name[:version]", input: {...}, wait?: seconds }
+// 200 with the finished job (files copied to R2), or 202 while it runs: poll the job
+app.post("/api/agents/:id/media", async (c) => {
+  const id = c.req.param("id");
+  const { parseMediaRequest, MediaRequestError } = await import("./services/media");
+  const { ReplicateAPIError } = await import("./services/replicate");
+
+  let request;
+  try {
+    request = parseMediaRequest(await c.req.json().catch(() => ({})));
+  } catch (error) {
+    if (error instanceof MediaRequestError) return c.json({ error: error.message, issues: error.issues }, 400);
+    throw error;
+  }
+
+  const agent = await c.env.AGENT_REGISTRY_DB.prepare(`SELECT id FROM agents WHERE id = ?`).bind(id).first();
+  if (!agent) return c.json({ error: "Agent not found" }, 404);
+  const refused = await exhaustedBudget(c.env, id);
+  if (refused) return c.json({ error: refused.message, budget: refused.budget }, 402);
+  const media = await mediaService(c.env);
+  if (!media) return c.json(NO_REPLICATE, 503);
+
+  try {
+    const job = await media.generate(id, request);
+    return c.json(job, job.status === "starting" || job.status === "processing" ? 202 : 200);
+  } catch (error) {
+    // Replicate's 4xx are about the request (unknown model, bad input); anything else is upstream
+    if (error instanceof ReplicateAPIError && error.status >= 400 && error.status < 500 && error.status !== 429) {
+      return c.json({ error: error.message }, 400);
+    }
+    return c.json({ error: error instanceof Error ? error.message : String(error) }, 502);
+  }
+});
+
+app.get("/api/agents/:id/media", async (c) => {
+  const id = c.req.param("id");
+  const media = await mediaService(c.env);
+  if (!media) return c.json(NO_REPLICATE, 503);
+  return c.json({ agentId: id, media: await media.list(id) });
+});
+
+app.get("/api/agents/:id/media/:predictionId", async (c) => {
+  const media = await mediaService(c.env);
+  if (!media) return c.json(NO_REPLICATE, 503);
+  const job = await media.get(c.req.param("id"), c.req.param("predictionId"));
+  return job ? c.json(job) : c.json({ error: "Media job not found" }, 404);
+});
+
+app.post("/api/agents/:id/media/:predictionId/cancel", async (c) => {
+  const media = await mediaService(c.env);
+  if (!media) return c.json(NO_REPLICATE, 503);
+  const job = await media.cancel(c.req.param("id"), c.req.param("predictionId"));
+  return job ? c.json(job) : c.json({ error: "Media job not found" }, 404);
+});
+
+// A generated file, from R2 (Replicate's own copy is gone after an hour)
+app.get("/api/agents/:id/media/:predictionId/:file", async (c) => {
+  const { mediaFile } = await import("./services/media");
+  const object = await mediaFile(c.env.AGENT_ASSETS, c.req.param("id"), c.req.param("predictionId"), c.req.param("file"));
+  if (!object) return c.text("Not found", 404);
+  return new Response(object.body, {
+    headers: {
+      "content-type": object.httpMetadata?.contentType || "application/octet-stream",
+      "cache-control": "public, max-age=31536000, immutable"
+    }
+  });
+});
+
+// Replicate calls this as predictions finish (the webhook set when APP_URL is configured)
+app.post("/api/replicate/webhook", async (c) => {
+  const media = await mediaService(c.env);
+  if (!media) return c.json(NO_REPLICATE, 503);
+  const job = await media.handleWebhook(await c.req.json().catch(() => ({})));
+  return job ? c.json({ ok: true, status: job.status }) : c.json({ error: "Unknown prediction" }, 404);
+});
+
+// body: the image bytes (content-type image/*); ?prompt= asks something about it instead of
+// describing it. Answered by Workers AI image-to-text (lib/llm.ts describeImage)
+const MAX_DESCRIBED_IMAGE_BYTES = 4 * 1024 * 1024;
+app.post("/api/agents/:id/describe-image", async (c) => {
+  const id = c.req.param("id");
+  if (!/^image\//i.test(c.req.header("content-type") || "")) return c.json({ error: "Send the image as the body, with an image/* content-type" }, 415);
+  const image = await c.req.arrayBuffer();
+  if (!image.byteLength) return c.json({ error: "The image is empty" }, 400);
+  if (image.byteLength > MAX_DESCRIBED_IMAGE_BYTES) return c.json({ error: `Images are limited to ${MAX_DESCRIBED_IMAGE_BYTES / 1024 / 1024} MB` }, 413);
+
+  const agent = await c.env.AGENT_REGISTRY_DB.prepare(`SELECT id FROM agents WHERE id = ?`).bind(id).first();
+  if (!agent) return c.json({ error: "Agent not found" }, 404);
+  const refused = await exhaustedBudget(c.env, id);
+  if (refused) return c.json({ error: refused.message, budget: refused.budget }, 402);
+
+  const usage = createUsageService(c.env);
+  try {
+    const description = await describeImage(generatorEnv(c.env), image, c.req.query("prompt") || undefined, {
+      onUsage: u => usage.record({ ...u, agentId: id, phase: "describe-image" })
+    });
+    return c.json({ agentId: id, model: WORKERS_AI_MODELS.imageToText, description });
+  } catch (error) {
+    return c.json({ error: error instanceof Error ? error.message : String(error) }, 502);
+  }
 });
 
 // Feedback
@@ -279,37 +662,15 @@ app.get("/api/session", async (c) => {
   return c.json(await res.json());
 });
 
-// ----------------------
-// 🌐 Wildcard subdomain → agent resolver
-// ----------------------
-app.get("*", async (c) => {
-  const host = c.req.header("host") || "";
-  const parts = host.split(".");
-  const sub = parts.length > 2 ? parts[0] : "";
-
-  if (!sub) return c.text("Not found. Did you have MCP Codr publish it?", 404);
-
-  const cached = await c.env.AGENT_CACHE.get(`agent:${sub}`);
-  if (cached) {
-    const agent = JSON.parse(cached);
-    return c.json({ message: `Agent ${sub} active`, data: agent });
-  }
-
-  return c.text(`Agent ${sub} not found in Codr registry`, 404);
-});
-
 // ----------------------
 // 🔮 AI Example (optional test endpoint)
 // ----------------------
+// One Workers AI chat turn ({ "prompt": "...", "model"?: "@cf/..." })
 app.post("/api/ai/test", async (c) => {
   try {
-    const { prompt } = await c.req.json();
-    const aiRes = await c.env.AI.run(
-      "@cf/meta/llama-3-8b-instruct",
-      { prompt },
-      { gateway: c.env.CLOUDFLARE_AI_GATEWAY }
-    );
-    const data = await aiRes.json();
+    const { prompt, model } = await c.req.json();
+    const choice: LLMChoice = { provider: "workersai", model: model || WORKERS_AI_MODELS.chat, reason: "test endpoint" };
+    const data = await chatLLM(generatorEnv(c.env), { messages: [{ role: "user", content: String(prompt ?? "") }] }, choice);
     return c.json({ ok: true, data });
   } catch (err) {
     return c.json({ ok: false, error: String(err) }, 500);
@@ -363,11 +724,19 @@ app.get("/api/auth/callback/github", async (c) => {
 // ----------------------
 // WebSocket Routes (Real-time updates)
 // ----------------------
+// WebSocket upgrade: the agent's live progress channel (status changes, model output
+// as files are written, finished files). Plain GET: the latest status
 app.get("/api/ws/:agentId", async (c) => {
   const agentId = c.req.param("agentId");
 
-  // Get latest status from Durable Object
   const agentStub = c.env.AGENT_STATE.get(c.env.AGENT_STATE.idFromName(agentId));
+  if (c.req.header("Upgrade") === "websocket") {
+    const upgraded = await agentStub.fetch(new Request("https://do/ws", c.req.raw));
+    // Fresh (mutable) headers, so middleware like cors can still add its own
+    return new Response(upgraded.body, upgraded);
+  }
+
+  // Get latest status from Durable Object
   const statusResponse = await agentStub.fetch("https://do/status");
   const status = await statusResponse.json();
 
@@ -413,15 +782,9 @@ app.post("/api/build", async (c) => {
       dependencies: dependencies || {}
     };
 
+    // Manifest (D1) + artifacts (R2) are recorded by the build cache
     const result = await buildService.buildApp(buildRequest);
 
-    // Store build result in KV for later retrieval
-    await c.env.AGENT_CACHE.put(
-      `build:${appId}`,
-      JSON.stringify(result),
-      { expirationTtl: 3600 } // 1 hour
-    );
-
     return c.json(result);
   } catch (error) {
     return c.json({ error: `Build failed: ${error.message}` }, 500);
@@ -432,17 +795,312 @@ app.get("/api/build/:appId", async (c) => {
   const appId = c.req.param("appId");
 
   try {
-    const buildData = await c.env.AGENT_CACHE.get(`build:${appId}`);
-    if (!buildData) {
+    const { createBuildCache } = await import("./services/build-cache");
+    const buildCache = createBuildCache(c.env);
+
+    const record = await buildCache.getLatestBuild(appId);
+    if (!record) {
       return c.json({ error: "Build not found" }, 404);
     }
 
-    return c.json(JSON.parse(buildData));
+    return c.json(await buildCache.loadResult(record));
   } catch (error) {
     return c.json({ error: `Failed to retrieve build: ${error.message}` }, 500);
   }
 });
 
+app.get("/api/build/:appId/history", async (c) => {
+  const appId = c.req.param("appId");
+  const limit = Math.min(Number(c.req.query("limit") || 50), 200);
+
+  try {
+    const { createBuildCache } = await import("./services/build-cache");
+    const builds = await createBuildCache(c.env).listBuilds(appId, limit);
+
+    // Manifests only; fetch a single build for its contents
+    return c.json({ appId, builds });
+  } catch (error) {
+    return c.json({ error: `Failed to list builds: ${error instanceof Error ? error.message : error}` }, 500);
+  }
+});
+
+app.get("/api/build/:appId/:buildId", async (c) => {
+  const appId = c.req.param("appId");
+  const buildId = c.req.param("buildId");
+
+  try {
+    const { createBuildCache } = await import("./services/build-cache");
+    const buildCache = createBuildCache(c.env);
+
+    const record = await buildCache.getBuild(appId, buildId);
+    if (!record) {
+      return c.json({ error: "Build not found" }, 404);
+    }
+
+    return c.json(await buildCache.loadResult(record));
+  } catch (error) {
+    return c.json({ error: `Failed to retrieve build: ${error instanceof Error ? error.message : error}` }, 500);
+  }
+});
+
+// ----------------------
+// Deploy & Version Routes
+// ----------------------
+// Publishes a build (latest successful by default) as a new immutable version on its preview host.
+// R2 hosting always; Workers for Platforms too when CLOUDFLARE_* + DISPATCH_NAMESPACE are set.
+app.post("/api/agents/:id/deploy", async (c) => {
+  const id = c.req.param("id");
+  const { buildId, deployedBy } = await c.req.json().catch(() => ({}));
+
+  try {
+    const { createBuildCache } = await import("./services/build-cache");
+    const { createVersionService } = await import("./services/versions");
+    const buildCache = createBuildCache(c.env);
+
+    const record = buildId
+      ? await buildCache.getBuild(id, buildId)
+      : (await buildCache.listBuilds(id)).find(b => b.success) || null;
+    if (!record || !record.success) {
+      return c.json({ error: "No successful build to deploy" }, 404);
+    }
+
+    // Not while a generation or refine (or another deploy) is publishing
+    const lock = await acquireAgentLock(c.env, id, "deploy", DEPLOY_LOCK_MS);
+    if ("error" in lock) return c.json(lock, 409);
+    try {
+      const version = await createVersionService(c.env).publish(id, await buildCache.loadResult(record), deployedBy || "api");
+      return c.json({ success: version.status === "deployed", version }, version.status === "deployed" ? 200 : 502);
+    } finally {
+      await releaseAgentLock(c.env, id, lock.holder);
+    }
+  } catch (error) {
+    return c.json({ error: `Deploy failed: ${error instanceof Error ? error.message : error}` }, 500);
+  }
+});
+
+app.get("/api/agents/:id/versions", async (c) => {
+  const id = c.req.param("id");
+  const limit = Math.min(Number(c.req.query("limit") || 50), 200);
+
+  const { createVersionService } = await import("./services/versions");
+  const versions = await createVersionService(c.env).listVersions(id, limit);
+  return c.json({ agentId: id, versions });
+});
+
+app.post("/api/agents/:id/rollback", async (c) => {
+  const id = c.req.param("id");
+  const { version, versionId, requestedBy } = await c.req.json().catch(() => ({}));
+  const ref = versionId ?? version;
+  if (ref === undefined || ref === null || ref === "") {
+    return c.json({ error: "Missing version or versionId" }, 400);
+  }
+
+  const lock = await acquireAgentLock(c.env, id, "rollback", DEPLOY_LOCK_MS);
+  if ("error" in lock) return c.json(lock, 409);
+  try {
+    const { createVersionService } = await import("./services/versions");
+    const result = await createVersionService(c.env).rollback(id, ref, requestedBy || "api");
+    return c.json(result, result.success ? 200 : 400);
+  } finally {
+    await releaseAgentLock(c.env, id, lock.holder);
+  }
+});
+
+// preview → staging → production; body: { to, version?|versionId?, from?, requestedBy? }
+app.post("/api/agents/:id/promote", async (c) => {
+  const id = c.req.param("id");
+  const { to, from, version, versionId, requestedBy } = await c.req.json().catch(() => ({}));
+
+  const { isEnvironmentName } = await import("./services/environments");
+  if (!isEnvironmentName(to) || (from !== undefined && !isEnvironmentName(from))) {
+    return c.json({ error: "to/from must be one of: preview, staging, production" }, 400);
+  }
+
+  const lock = await acquireAgentLock(c.env, id, "promote", DEPLOY_LOCK_MS);
+  if ("error" in lock) return c.json(lock, 409);
+  try {
+    const { createVersionService } = await import("./services/versions");
+    const result = await createVersionService(c.env).promote(id, to, versionId ?? version, { from, requestedBy });
+    return c.json(result, result.success ? 200 : 400);
+  } finally {
+    await releaseAgentLock(c.env, id, lock.holder);
+  }
+});
+
+app.get("/api/agents/:id/environments", async (c) => {
+  const id = c.req.param("id");
+
+  const { createEnvironmentService } = await import("./services/environments");
+  const environments = await createEnvironmentService(c.env).listEnvironments(id);
+  return c.json({ agentId: id, environments });
+});
+
+app.put("/api/agents/:id/environments/:env/vars", async (c) => {
+  const id = c.req.param("id");
+  const name = c.req.param("env");
+  const { vars } = await c.req.json().catch(() => ({}));
+
+  const { createEnvironmentService, isEnvironmentName } = await import("./services/environments");
+  if (!isEnvironmentName(name)) {
+    return c.json({ error: "Environment must be one of: preview, staging, production" }, 400);
+  }
+  if (!vars || typeof vars !== "object" || Object.values(vars).some(v => typeof v !== "string")) {
+    return c.json({ error: "vars must be an object of string values" }, 400);
+  }
+
+  try {
+    const { createVersionService } = await import("./services/versions");
+    const environments = createEnvironmentService(c.env);
+    const { versionId } = await environments.getEnvironment(id, name);
+    const serving = versionId ? await createVersionService(c.env).getVersion(id, versionId) : null;
+
+    return c.json(await environments.setVars(id, name, vars, serving));
+  } catch (error) {
+    return c.json({ error: error instanceof Error ? error.message : String(error) }, 500);
+  }
+});
+
+// Worker templates (webhook-receiver, data-transformer, notification-agent): provisions the
+// KV/D1/R2 their wrangler.toml declares, then deploys the script to production
+app.post("/api/agents/:id/deploy-template", async (c) => {
+  const id = c.req.param("id");
+  const { templateId, requestedBy } = await c.req.json().catch(() => ({}));
+  if (!templateId) return c.json({ error: "Missing templateId" }, 400);
+
+  try {
+    const { createTemplateDeploymentService } = await import("./services/template-deploy");
+    const result = await createTemplateDeploymentService(c.env).deploy(id, templateId, requestedBy || "api");
+    return c.json(result, result.success ? 200 : 400);
+  } catch (error) {
+    return c.json({ error: `Deploy failed: ${error instanceof Error ? error.message : error}` }, 500);
+  }
+});
+
+app.get("/api/agents/:id/resources", async (c) => {
+  const id = c.req.param("id");
+
+  const { createCloudflareAPI } = await import("./services/cloudflare-api");
+  const { createProvisioningService } = await import("./services/provisioning");
+  const { deploymentConfigFromEnv } = await import("./services/deployment");
+  const config = deploymentConfigFromEnv(c.env);
+
+  // Listing only reads D1; the API client is never called
+  const api = createCloudflareAPI(config || { accountId: "", apiToken: "" });
+  const resources = await createProvisioningService(c.env.AGENT_REGISTRY_DB, api).listResources(id);
+  return c.json({ agentId: id, resources });
+});
+
+// Secrets for the connections picked at intake. Names and requirements only; values never come back.
+// ?templateId= adds that Worker template's api_integrations to the requirements;
+// ?environment= checks them for that environment (production by default).
+app.get("/api/agents/:id/secrets", async (c) => {
+  const id = c.req.param("id");
+  const templateId = c.req.query("templateId");
+  const environment = c.req.query("environment") || "production";
+
+  const { isEnvironmentName } = await import("./services/environments");
+  if (!isEnvironmentName(environment)) {
+    return c.json({ error: "environment must be one of: preview, staging, production" }, 400);
+  }
+
+  const { createSecretsService } = await import("./services/secrets");
+  const { getTemplate } = await import("../templates/index.js");
+  const secrets = createSecretsService(c.env);
+  const check = await secrets.check(id, templateId ? getTemplate(templateId) : undefined, environment);
+  return c.json({ agentId: id, environment, secrets: await secrets.listSecrets(id), ...check });
+});
+
+// body: { secrets: { NAME: "value" | null }, environment?, updatedBy? } — null removes a secret.
+// Without an environment they are agent-wide: staging and production fall back to them, previews never do.
+// Takes effect on the next deploy/promote of each environment.
+app.put("/api/agents/:id/secrets", async (c) => {
+  const id = c.req.param("id");
+  const { secrets: values, environment, updatedBy } = await c.req.json().catch(() => ({}));
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    return c.json({ error: "secrets must be an object of NAME: value" }, 400);
+  }
+
+  const { isEnvironmentName } = await import("./services/environments");
+  if (environment !== undefined && !isEnvironmentName(environment)) {
+    return c.json({ error: "environment must be one of: preview, staging, production" }, 400);
+  }
+
+  const agent = await c.env.AGENT_REGISTRY_DB.prepare(`SELECT id FROM agents WHERE id = ?`).bind(id).first();
+  if (!agent) return c.json({ error: "Agent not found" }, 404);
+
+  const { createSecretsService } = await import("./services/secrets");
+  const secrets = createSecretsService(c.env);
+  try {
+    const stored = await secrets.setSecrets(id, values, updatedBy || "api", environment);
+    const { missing } = await secrets.check(id, undefined, environment);
+    return c.json({ agentId: id, secrets: stored, missing });
+  } catch (error) {
+    return c.json({ error: error instanceof Error ? error.message : String(error) }, 400);
+  }
+});
+
+// ?environment= removes that environment's value; without it, the agent-wide one
+app.delete("/api/agents/:id/secrets/:name", async (c) => {
+  const id = c.req.param("id");
+  const name = c.req.param("name");
+  const environment = c.req.query("environment");
+
+  const { isEnvironmentName } = await import("./services/environments");
+  if (environment !== undefined && !isEnvironmentName(environment)) {
+    return c.json({ error: "environment must be one of: preview, staging, production" }, 400);
+  }
+
+  const { createSecretsService } = await import("./services/secrets");
+  const removed = await createSecretsService(c.env).deleteSecret(id, name, environment);
+  return c.json({ agentId: id, name, environment, removed }, removed ? 200 : 404);
+});
+
+// Full teardown: WfP scripts, provisioned KV/D1/R2, R2 files, Vectorize vectors, KV routes, DO state, then D1 rows.
+// body (optional): { userIds?, deleteScripts?, github?: { token, username, repository? } }
+app.delete("/api/agents/:id", async (c) => {
+  const id = c.req.param("id");
+  const options = await c.req.json().catch(() => ({}));
+
+  const agent = await c.env.AGENT_REGISTRY_DB
+    .prepare(`SELECT id FROM agents WHERE id = ?`)
+    .bind(id)
+    .first();
+  if (!agent) return c.json({ error: "Agent not found" }, 404);
+
+  try {
+    const { createTeardownService } = await import("./services/teardown");
+    const report = await createTeardownService(c.env).deleteAgent(id, {
+      userIds: Array.isArray(options.userIds) ? options.userIds : undefined,
+      deleteScripts: options.deleteScripts,
+      github: options.github?.token && options.github?.username ? options.github : undefined
+    });
+
+    // On success the event log is gone with the agent; a partial teardown leaves a trail
+    if (!report.complete) {
+      await recordAgentEvent(c.env.AGENT_REGISTRY_DB, id, "error", { teardown: report.errors });
+    }
+    return c.json(report, report.complete ? 200 : 502);
+  } catch (error) {
+    return c.json({ error: `Teardown failed: ${error instanceof Error ? error.message : error}` }, 500);
+  }
+});
+
+// ----------------------
+// 🌐 Wildcard subdomain → agent resolver
+// ----------------------
+// Registered last: it matches every request, so API routes above must win first.
+// All methods, because dispatched Worker templates (e.g. webhook receivers) take POSTs.
+app.all("*", async (c) => {
+  const sub = subdomainFromHost(c.req.header("host") || "", c.env.CUSTOM_DOMAIN);
+
+  if (!sub) return c.text("Not found. Did you have MCP Codr publish it?", 404);
+
+  const route = await getAgentRoute(c.env.AGENT_CACHE, sub);
+  if (!route) return c.text(`Agent ${sub} not found in Codr registry`, 404);
+
+  return serveAgentApp(c.env, route, c.req.raw);
+});
+
 // ----------------------
 // Exports
 // ----------------------
@@ -7,6 +7,10 @@ export const dataTransformerTemplate = {
   description: 'Transforms data between different formats (JSON, XML, CSV, etc.)',
   category: 'processing',
   framework: 'worker',
+  // Secrets set via /api/agents/:id/secrets; none are required to deploy
+  api_integrations: [
+    { type: 'optional', secrets: ['AGENT_API_KEY'], purpose: 'agent_chaining' }
+  ],
 
   files: {
     'src/index.js': `
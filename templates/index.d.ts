@@ -0,0 +1,38 @@
+// templates/index.d.ts
+// Types for the template registry (templates/index.js)
+
+export interface AgentTemplate {
+  name: string;
+  description: string;
+  category: string;
+  framework: 'worker' | 'react' | 'vite';
+  files: Record<string, string>; // path → file contents
+  api_integrations?: Array<{
+    type: string;                 // "required" | "optional" | "browser"
+    providers?: string[];
+    secrets?: string[];           // env names set via /api/agents/:id/secrets
+    purpose?: string;
+  }>;
+  [key: string]: any;
+}
+
+export declare const webhookReceiverTemplate: AgentTemplate;
+export declare const dataTransformerTemplate: AgentTemplate;
+export declare const notificationAgentTemplate: AgentTemplate;
+export declare const journalAppTemplate: AgentTemplate;
+export declare const ideaBankAppTemplate: AgentTemplate;
+export declare const dashboardAppTemplate: AgentTemplate;
+
+// src/codr-media.js: the media client added to apps with image, audio or video outputs, or image inputs
+export declare const MEDIA_CLIENT_PATH: string;
+export declare function mediaClientSource(agentId: string): string;
+
+export declare const AGENT_TEMPLATES: Record<string, AgentTemplate>;
+
+export declare function getTemplate(templateId: string): AgentTemplate | undefined;
+export declare function getAllTemplates(): AgentTemplate[];
+export declare function getTemplatesByCategory(category: string): AgentTemplate[];
+export declare function getTemplatesByFramework(framework: string): AgentTemplate[];
+
+export declare const TEMPLATE_CATEGORIES: Record<string, string>;
+export declare const FRAMEWORK_TYPES: Record<string, string>;
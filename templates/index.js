@@ -3,14 +3,26 @@
 // Import all available micro-agent and app templates
 
 // Agent templates (Workers)
-export { webhookReceiverTemplate } from './webhook-receiver.js';
-export { dataTransformerTemplate } from './data-transformer.js';
-export { notificationAgentTemplate } from './notification-agent.js';
+import { webhookReceiverTemplate } from './webhook-receiver.js';
+import { dataTransformerTemplate } from './data-transformer.js';
+import { notificationAgentTemplate } from './notification-agent.js';
 
 // App templates (React/Vite)
-export { journalAppTemplate } from './journal-app.js';
-export { ideaBankAppTemplate } from './idea-bank-app.js';
-export { dashboardAppTemplate } from './dashboard-app.js';
+import { journalAppTemplate } from './journal-app.js';
+import { ideaBankAppTemplate } from './idea-bank-app.js';
+import { dashboardAppTemplate } from './dashboard-app.js';
+
+// Files Codr adds to generated apps (not selectable templates)
+export { MEDIA_CLIENT_PATH, mediaClientSource } from './media-client.js';
+
+export {
+  webhookReceiverTemplate,
+  dataTransformerTemplate,
+  notificationAgentTemplate,
+  journalAppTemplate,
+  ideaBankAppTemplate,
+  dashboardAppTemplate
+};
 
 // Template registry for easy access
 export const AGENT_TEMPLATES = {
@@ -0,0 +1,115 @@
+// templates/media-client.js
+// Codr Template: Media client
+// A small fetch client for Codr's /api/agents/:id/media and describe-image routes.
+// Generated apps whose outputs include images, audio or video, or whose inputs include
+// images, get it as src/codr-media.js (see core/code-generator.ts);
+// scripts/media_generation.mjs runs it against the worker.
+
+export const MEDIA_CLIENT_PATH = 'src/codr-media.js';
+
+const AGENT_ID_PLACEHOLDER = '__CODR_AGENT_ID__';
+
+// The client file for one agent's app
+export function mediaClientSource(agentId) {
+  return MEDIA_CLIENT.replace(AGENT_ID_PLACEHOLDER, agentId);
+}
+
+const MEDIA_CLIENT = `
+/**
+ * Codr media client: images, audio and video for this app, generated through Codr.
+ *
+ *   import { createMediaClient } from './codr-media.js';
+ *   const media = createMediaClient();
+ *   const job = await media.generate('image', { prompt: 'a lighthouse at dusk' });
+ *   img.src = media.fileUrl(job.assets[0]);
+ *
+ * Inputs are the model's: { prompt } for images and video, { text } for audio.
+ * Files are kept by Codr, so their URLs stay valid. media.describe(file) turns an
+ * image (an upload, say) into text.
+ */
+
+const AGENT_ID = '${AGENT_ID_PLACEHOLDER}';
+
+export class MediaError extends Error {
+  constructor(message, status, job, issues) {
+    super(message);
+    this.name = 'MediaError';
+    this.status = status;   // HTTP status, when the request itself failed
+    this.job = job;         // the job, when the model failed or was canceled
+    this.issues = issues;   // what was wrong with the request (400)
+  }
+}
+
+export function createMediaClient({ agentId = AGENT_ID, baseUrl = '', fetch: fetcher = (input, init) => fetch(input, init) } = {}) {
+  const root = baseUrl.replace(/\\/+$/, '');
+  const routes = root + '/api/agents/' + encodeURIComponent(agentId) + '/media';
+
+  async function call(method, path, body) {
+    const res = await fetcher(routes + path, {
+      method,
+      headers: body ? { 'content-type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new MediaError(data.error || 'Media request failed (' + res.status + ')', res.status, undefined, data.issues);
+    return data;
+  }
+
+  const client = {
+    // Starts generating; the job comes back finished if it ends within \`wait\` seconds
+    start(kind, input, { model, wait = 30 } = {}) {
+      return call('POST', '', { kind, input, model, wait });
+    },
+
+    get(predictionId) {
+      return call('GET', '/' + encodeURIComponent(predictionId));
+    },
+
+    async list() {
+      return (await call('GET', '')).media;
+    },
+
+    cancel(predictionId) {
+      return call('POST', '/' + encodeURIComponent(predictionId) + '/cancel');
+    },
+
+    // Polls until the job is finished and its files are stored
+    async waitFor(job, { intervalMs = 2000, timeoutMs = 10 * 60 * 1000 } = {}) {
+      const deadline = Date.now() + timeoutMs;
+      let current = job;
+      while (!current.completedAt) {
+        if (Date.now() > deadline) throw new MediaError('Timed out waiting for ' + job.predictionId, undefined, current);
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+        current = await client.get(job.predictionId);
+      }
+      return current;
+    },
+
+    // Start, wait, and fail unless the model succeeded
+    async generate(kind, input, options = {}) {
+      const job = await client.waitFor(await client.start(kind, input, options), options);
+      if (job.status !== 'succeeded') throw new MediaError(job.error || 'Media generation ' + job.status, undefined, job);
+      return job;
+    },
+
+    // What's in an image (a File, Blob or bytes), or the answer to \`prompt\` about it
+    async describe(image, prompt, { type = image.type || 'image/png' } = {}) {
+      const query = prompt ? '?prompt=' + encodeURIComponent(prompt) : '';
+      const res = await fetcher(root + '/api/agents/' + encodeURIComponent(agentId) + '/describe-image' + query, {
+        method: 'POST',
+        headers: { 'content-type': type },
+        body: image
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new MediaError(data.error || 'Describe request failed (' + res.status + ')', res.status);
+      return data.description;
+    },
+
+    // Where to load an asset from (its url is relative to Codr's API)
+    fileUrl(asset) {
+      return root + asset.url;
+    }
+  };
+  return client;
+}
+`.trimStart();
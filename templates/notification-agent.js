@@ -7,6 +7,15 @@ export const notificationAgentTemplate = {
   description: 'Sends notifications via email, SMS, webhooks when triggered by other agents',
   category: 'output',
   framework: 'worker',
+  // Secrets set via /api/agents/:id/secrets; each channel only needs its own
+  api_integrations: [
+    { type: 'optional', secrets: ['MAILCHANNELS_API_KEY'], purpose: 'email' },
+    { type: 'optional', secrets: ['TWILIO_SID', 'TWILIO_TOKEN'], purpose: 'sms' },
+    { type: 'optional', secrets: ['WEBHOOK_API_KEY'], purpose: 'webhook' },
+    { type: 'optional', secrets: ['SLACK_WEBHOOK_URL'], purpose: 'slack' },
+    { type: 'optional', secrets: ['DISCORD_WEBHOOK_URL'], purpose: 'discord' },
+    { type: 'optional', secrets: ['AGENT_API_KEY'], purpose: 'agent_chaining' }
+  ],
 
   files: {
     'src/index.js': `
@@ -292,25 +301,25 @@ function formatMessage(notification, channel) {
 
   switch (channel) {
     case 'slack':
-      return \`\`\`
+      return \`\\\`\\\`\\\`
 \${baseMessage}
-\`\`\`
+\\\`\\\`\\\`
 *Priority: \${notification.priority}*
 *Time: \${new Date(notification.createdAt).toLocaleString()}*\`;
 
     case 'discord':
-      return `\`\`\`${baseMessage}\`\`\`
-\`Priority: ${notification.priority}\``;
+      return \`\\\`\\\`\\\`\${baseMessage}\\\`\\\`\\\`
+\\\`Priority: \${notification.priority}\\\`\`;
 
     case 'email':
     default:
-      return `Message: ${baseMessage}
+      return \`Message: \${baseMessage}
 
-Priority: ${notification.priority}
-Time: ${new Date(notification.createdAt).toLocaleString()}
-ID: ${notification.id}
+Priority: \${notification.priority}
+Time: \${new Date(notification.createdAt).toLocaleString()}
+ID: \${notification.id}
 
-Data: ${JSON.stringify(notification.data, null, 2)}`;
+Data: \${JSON.stringify(notification.data, null, 2)}\`;
   }
 }
 
@@ -7,6 +7,11 @@ export const webhookReceiverTemplate = {
   description: 'Accepts webhooks, validates them, and forwards processed data to other agents',
   category: 'input',
   framework: 'worker',
+  // Secrets set via /api/agents/:id/secrets; none are required to deploy
+  api_integrations: [
+    { type: 'optional', secrets: ['WEBHOOK_SECRET'], purpose: 'signature_validation' },
+    { type: 'optional', secrets: ['AGENT_API_KEY'], purpose: 'agent_chaining' }
+  ],
 
   files: {
     'src/index.js': `
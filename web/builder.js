@@ -3,6 +3,8 @@
  * - Click-to-select CTAs (toggleable)
  * - One question at a time; progress saved locally until POST
  * - Posts full payload to /api/agents
+ * - Shows generation live over /api/ws/:id (status, code as it's written)
+ * - Then asks for the keys picked in Q5 (PUT /api/agents/:id/secrets)
  */
 
 (() => {
@@ -193,7 +195,7 @@
       api_keys_required: [], next_step: null
     },
     style: { theme:null, color:null, font:null, vibe:null, motion:null, favorite_app:"", screenshots:[] },
-    llm_models: {},          // optional per-JTBD map (you can extend later)
+    llm_models: {},          // optional stage → model map (primary, ingest, analyze, classify, generate, ui_copy)
     frontend_framework: null // derived (react|vite)
   };
 
@@ -374,9 +376,105 @@
         el("p", {}, el("a", { href: data.preview_url, target: "_blank" }, data.preview_url)),
         el("p", {}, "You can now refine prompts, models and connectors from the agent dashboard.")
       );
+      if (data.generation) main.append(generationView(data.id));
+      if ((state.answers.api_keys_required || []).length) main.append(await secretsForm(data.id));
     }
   }
 
+  // ---- Live generation -------------------------------------------------------
+  // Step list from "status" messages; the file being written fills in token by token
+  function generationView(agentId) {
+    const wrap = el("section", {}, el("h2", {}, "Building your app"));
+    const summary = el("p", { class: "help" }, "Connecting…");
+    const steps = el("ul", { class: "review" });
+    const current = el("p", { class: "help" });
+    const code = el("pre", { class: "textarea", style: "white-space:pre-wrap;max-height:24em;overflow:auto" });
+    wrap.append(summary, steps, current, code);
+
+    const scheme = location.protocol === "https:" ? "wss" : "ws";
+    const ws = new WebSocket(`${scheme}://${location.host}/api/ws/${agentId}`);
+    ws.onmessage = (event) => {
+      const msg = JSON.parse(event.data);
+      if (msg.type === "status") {
+        const run = msg.run;
+        summary.textContent = run.status === "idle" ? "Waiting to start…" : `${run.status} — ${run.progress || 0}%`;
+        steps.innerHTML = "";
+        // Text nodes, not bullet(): paths and errors come from the model
+        (run.steps || []).forEach(step => steps.append(
+          el("li", {}, el("strong", {}, `${step.path || step.name}:`), ` ${step.status}${step.error ? ` — ${step.error}` : ""}`)
+        ));
+        if (["completed", "failed", "cancelled"].includes(run.status)) {
+          current.textContent = run.error || "";
+          ws.close();
+        }
+      } else if (msg.type === "reply") {
+        current.textContent = `Writing ${msg.path || msg.phase}…`;
+        code.textContent = "";
+      } else if (msg.type === "token") {
+        code.textContent += msg.text;
+        code.scrollTop = code.scrollHeight;
+      } else if (msg.type === "file") {
+        current.textContent = `Saved ${msg.path}`;
+      }
+    };
+    ws.onerror = () => { summary.textContent = "Live progress unavailable; the build continues in the background."; };
+    return wrap;
+  }
+
+  // ---- Secrets ---------------------------------------------------------------
+  // Values go straight to the encrypted store; the API only ever reports names
+  async function secretsForm(agentId) {
+    const wrap = el("section", {}, el("h2", {}, "Connect your keys"));
+    const res = await fetch(`/api/agents/${agentId}/secrets`);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      wrap.append(el("p", { class: "help" }, data.error || "Secrets store unavailable"));
+      return wrap;
+    }
+
+    wrap.append(el("p", { class: "help" },
+      "Needed before staging/production deploys. Keys are encrypted at rest and never shown again — leave a field empty to keep its saved value."));
+
+    const stored = new Set((data.secrets || []).map(s => s.name));
+    const inputs = {};
+    for (const req of data.requirements || []) {
+      for (const name of req.names) {
+        if (inputs[name]) continue;
+        const input = el("input", { type: "password", class: "input", autocomplete: "off", placeholder: stored.has(name) ? "•••••• saved" : name });
+        inputs[name] = input;
+        const label = req.names.length > 1 ? `${name} (${req.integration}, any one of ${req.names.join(" / ")})` : `${name} (${req.integration})`;
+        wrap.append(el("label", { class: "help" }, label), input);
+      }
+    }
+
+    const status = el("p", { class: "help" });
+    const save = el("button", { class: "primary", type: "button" }, "Save keys");
+    save.onclick = async () => {
+      const secrets = {};
+      Object.entries(inputs).forEach(([name, input]) => { if (input.value) secrets[name] = input.value; });
+      if (!Object.keys(secrets).length) return;
+
+      const put = await fetch(`/api/agents/${agentId}/secrets`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ secrets })
+      });
+      const result = await put.json().catch(() => ({}));
+      if (!put.ok) { status.textContent = result.error || "Save failed"; return; }
+
+      Object.entries(inputs).forEach(([name, input]) => {
+        if (secrets[name]) input.placeholder = "•••••• saved";
+        input.value = "";
+      });
+      status.textContent = result.missing && result.missing.length
+        ? `Saved. Still missing: ${result.missing.map(m => m.names.join(" or ")).join(", ")}`
+        : "Saved — all required keys are set.";
+    };
+
+    wrap.append(save, status);
+    return wrap;
+  }
+
   // Boot
   document.addEventListener("DOMContentLoaded", () => renderQuestion(steps[idx]));
 })();